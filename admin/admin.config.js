@@ -66,6 +66,10 @@ const CONFIG_CONFIG = {
         allowedIn: 'all',
         adminOnly: false,
     },
+    args: [
+        { name: 'opcao', type: 'enum', values: ['nlp'] },
+        { name: 'valor', type: 'enum', values: ['on', 'off', 'true', 'false', 'enable', 'disable'] },
+    ],
     autoDelete: {
         errorMessages: true,
         commandMessages: false,
@@ -114,6 +118,341 @@ const NEWS_DEBUG_CONFIG = {
     },
 };
 
+// Permission management commands (runtime store layered over configs/whitelist.js)
+const GRANT_CONFIG = {
+    prefixes: ['!grant'],
+    description:
+        'Libera um comando para um grupo ou usuário. Use !grant COMANDO [grupo|número] (apenas admin)',
+    permissions: {
+        allowedIn: 'all',
+        adminOnly: true,
+    },
+    args: [
+        { name: 'comando', type: 'word', description: 'nome ou prefixo do comando (ex.: DESENHO)' },
+        {
+            name: 'alvo',
+            type: ['mention', 'text'],
+            optional: true,
+            description: 'número, menção ou nome do grupo (padrão: grupo atual)',
+        },
+    ],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        notAllowed: 'Você não tem permissão para usar este comando.',
+        error: 'Erro ao liberar o comando.',
+    },
+};
+
+const REVOKE_CONFIG = {
+    prefixes: ['!revoke'],
+    description:
+        'Bloqueia um comando para um grupo ou usuário. Use !revoke COMANDO [grupo|número] (apenas admin)',
+    permissions: {
+        allowedIn: 'all',
+        adminOnly: true,
+    },
+    args: [
+        { name: 'comando', type: 'word', description: 'nome ou prefixo do comando (ex.: DESENHO)' },
+        {
+            name: 'alvo',
+            type: ['mention', 'text'],
+            optional: true,
+            description: 'número, menção ou nome do grupo (padrão: grupo atual)',
+        },
+    ],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        notAllowed: 'Você não tem permissão para usar este comando.',
+        error: 'Erro ao bloquear o comando.',
+    },
+};
+
+const PERMS_CONFIG = {
+    prefixes: ['!perms'],
+    description:
+        'Mostra quem pode usar um comando (padrões, liberações e bloqueios). Use !perms [COMANDO] (apenas admin)',
+    permissions: {
+        allowedIn: 'all',
+        adminOnly: true,
+    },
+    args: [{ name: 'comando', type: 'word', optional: true, description: 'nome ou prefixo do comando' }],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        notAllowed: 'Você não tem permissão para usar este comando.',
+        error: 'Erro ao consultar as permissões.',
+    },
+};
+
+const ROLE_CONFIG = {
+    prefixes: ['!role'],
+    description:
+        'Define o papel de um usuário (admin, moderator, member, guest). Use !role número papel (apenas admin)',
+    permissions: {
+        allowedIn: 'all',
+        adminOnly: true,
+    },
+    args: [
+        { name: 'usuario', type: 'mention' },
+        { name: 'papel', type: 'enum', values: ['admin', 'moderator', 'member', 'guest'] },
+    ],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        notAllowed: 'Você não tem permissão para usar este comando.',
+        error: 'Erro ao definir o papel do usuário.',
+    },
+};
+
+// Sticker trigger bindings (runtime store layered over the stickerHash config fields)
+const STICKER_BINDINGS_CONFIG = {
+    prefixes: ['!sticker'],
+    description:
+        'Vincula figurinhas a comandos. Responda a uma figurinha com !sticker vincular #comando [argumentos]; use !sticker listar ou !sticker remover [código] (apenas admin)',
+    permissions: {
+        allowedIn: 'all',
+        adminOnly: true,
+    },
+    args: [
+        { name: 'acao', type: 'enum', values: ['vincular', 'listar', 'remover'], optional: true },
+        {
+            name: 'alvo',
+            type: 'text',
+            optional: true,
+            description: 'comando com argumentos padrão (vincular) ou código da figurinha (remover)',
+        },
+    ],
+    examples: [
+        '!sticker vincular #resumo (respondendo a uma figurinha)',
+        '!sticker vincular #resumo 3h (respondendo a uma figurinha)',
+        '!sticker listar',
+        '!sticker remover 2ec460ac',
+    ],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        notAllowed: 'Você não tem permissão para usar este comando.',
+        noSticker: 'Responda a uma figurinha para vincular ou remover.',
+        noCommand: 'Informe o comando a vincular, ex.: !sticker vincular #resumo',
+        invalidCommand: 'Comando desconhecido: {command}',
+        notFound: 'Essa figurinha não está vinculada a nenhum comando.',
+        seedBinding: 'Essa figurinha está definida no arquivo de configuração de {command} e não pode ser removida por aqui.',
+        error: 'Erro ao gerenciar os vínculos de figurinhas.',
+    },
+};
+
+const PLUGINS_CONFIG = {
+    prefixes: ['!plugins'],
+    description:
+        'Lista os plugins e ativa ou desativa cada um, globalmente ou por grupo; também altera as configurações de um plugin (apenas admin)',
+    permissions: {
+        allowedIn: 'all',
+        adminOnly: true,
+    },
+    args: [
+        { name: 'acao', type: 'enum', values: ['listar', 'ativar', 'desativar', 'config'], optional: true },
+        { name: 'nome', type: 'word', optional: true, description: 'nome do plugin' },
+        {
+            name: 'alvo',
+            type: 'text',
+            optional: true,
+            description: 'grupo (nome ou "aqui") para ativar/desativar, ou "chave valor" para config',
+        },
+    ],
+    examples: [
+        '!plugins',
+        '!plugins desativar dado aqui',
+        '!plugins ativar dado',
+        '!plugins config dado faces 20',
+    ],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        notAllowed: 'Você não tem permissão para usar este comando.',
+        noName: 'Informe o nome do plugin, ex.: !plugins desativar dado',
+        notFound: 'Plugin não encontrado: {name}',
+        failed: 'O plugin {name} não carregou: {error}',
+        noGroup: 'Use "aqui" apenas dentro de um grupo.',
+        noSetting: 'Informe a configuração e o valor, ex.: !plugins config dado faces 20',
+        invalidSetting: 'Configuração inválida: {error}',
+        error: 'Erro ao gerenciar os plugins.',
+    },
+};
+
+const RELOAD_CONFIG = {
+    prefixes: ['!reload'],
+    description:
+        'Recarrega as configurações e prompts dos comandos sem reiniciar o bot; se algo estiver inválido, mantém a versão anterior (apenas admin)',
+    permissions: {
+        allowedIn: 'all',
+        adminOnly: true,
+    },
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        notAllowed: 'Você não tem permissão para usar este comando.',
+        error: 'Erro ao recarregar as configurações.',
+    },
+};
+
+const AUDIT_CONFIG = {
+    prefixes: ['!audit'],
+    description:
+        'Consulta o registro de comandos executados, filtrando por usuário, comando ou grupo e período (padrão: últimas 24 horas) (apenas admin)',
+    permissions: {
+        allowedIn: 'all',
+        adminOnly: true,
+    },
+    args: [
+        {
+            name: 'filtro',
+            type: 'text',
+            optional: true,
+            description: 'usuário (@menção ou número), comando, grupo ou "aqui", seguido do período (hoje, ontem, "7 dias")',
+        },
+    ],
+    examples: ['!audit', '!audit #resumo 7 dias', '!audit @fulano hoje', '!audit GrupoLF ontem', '!audit aqui 2 horas'],
+    maxEntries: 15,
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        notAllowed: 'Você não tem permissão para usar este comando.',
+        unknownFilter: 'Não reconheci "{filter}" como usuário, comando ou grupo.',
+        noGroup: 'Use "aqui" apenas dentro de um grupo.',
+        error: 'Erro ao consultar o registro de comandos.',
+    },
+};
+
+const STATS_CONFIG = {
+    prefixes: ['!stats'],
+    description:
+        'Estatísticas de uso dos comandos por comando, grupo, usuário e dia, com gráfico opcional (padrão: últimos 7 dias) (apenas admin)',
+    permissions: {
+        allowedIn: 'all',
+        adminOnly: true,
+    },
+    args: [
+        {
+            name: 'filtro',
+            type: 'text',
+            optional: true,
+            description: 'usuário, comando, grupo ou "aqui", seguido do período e de "grafico" para receber o gráfico',
+        },
+    ],
+    examples: ['!stats', '!stats 30 dias grafico', '!stats GrupoLF hoje', '!stats #resumo 7 dias', '!stats aqui grafico'],
+    topEntries: 5,
+    defaultDays: 7,
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        notAllowed: 'Você não tem permissão para usar este comando.',
+        unknownFilter: 'Não reconheci "{filter}" como usuário, comando ou grupo.',
+        noGroup: 'Use "aqui" apenas dentro de um grupo.',
+        error: 'Erro ao gerar as estatísticas.',
+    },
+};
+
+const CUSTOS_CONFIG = {
+    prefixes: ['!custos'],
+    description:
+        'Custos estimados da OpenAI no mês por módulo, grupo, usuário e modelo, orçamentos mensais globais e por grupo e acertos do cache de respostas (apenas admin)',
+    permissions: {
+        allowedIn: 'all',
+        adminOnly: true,
+    },
+    args: [
+        {
+            name: 'filtro',
+            type: 'text',
+            optional: true,
+            description:
+                'grupo ou "aqui" e mês (MM/AAAA), "orcamento [global|grupo|aqui] [valor|off]" ou "cache [limpar]"',
+        },
+    ],
+    examples: [
+        '!custos',
+        '!custos aqui',
+        '!custos GrupoLF 09/2026',
+        '!custos orcamento global 50',
+        '!custos orcamento aqui off',
+        '!custos cache',
+        '!custos cache limpar',
+    ],
+    topEntries: 5,
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        notAllowed: 'Você não tem permissão para usar este comando.',
+        noGroup: 'Use "aqui" apenas dentro de um grupo.',
+        invalidBudget: 'Use !custos orcamento [global|grupo|aqui] [valor em US$|off], ex.: !custos orcamento global 50',
+        error: 'Erro ao gerar o relatório de custos.',
+    },
+};
+
+const CONVERSA_CONFIG = {
+    prefixes: ['!conversa'],
+    description:
+        'Lista as conversas do # salvas (que sobrevivem a reinícios), mostra as de um grupo ou as apaga, inclusive as conversas separadas por membro (apenas admin)',
+    permissions: {
+        allowedIn: 'all',
+        adminOnly: true,
+    },
+    args: [
+        {
+            name: 'filtro',
+            type: 'text',
+            optional: true,
+            description: 'grupo, "aqui" ou chave de uma conversa separada, seguido de "limpar" para apagar',
+        },
+    ],
+    examples: ['!conversa', '!conversa aqui', '!conversa GrupoLF', '!conversa GrupoLF limpar'],
+    previewMessages: 4,
+    previewLength: 150,
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        notAllowed: 'Você não tem permissão para usar este comando.',
+        noGroup: 'Use "aqui" apenas dentro de um grupo.',
+        notFound: 'Nenhuma conversa salva para {group}.',
+        error: 'Erro ao consultar as conversas.',
+    },
+};
+
 // Export all configs
 module.exports = {
     CACHE_CLEAR_CONFIG,
@@ -122,4 +461,15 @@ module.exports = {
     CONFIG_CONFIG,
     CACHE_RESET_CONFIG,
     NEWS_DEBUG_CONFIG,
+    GRANT_CONFIG,
+    REVOKE_CONFIG,
+    PERMS_CONFIG,
+    ROLE_CONFIG,
+    STICKER_BINDINGS_CONFIG,
+    PLUGINS_CONFIG,
+    RELOAD_CONFIG,
+    AUDIT_CONFIG,
+    STATS_CONFIG,
+    CUSTOS_CONFIG,
+    CONVERSA_CONFIG,
 };
@@ -9,7 +9,22 @@ const {
     restartMonitors: newRestartMonitors,
 } = require('../newsMonitor/newsMonitor');
 const persistentCache = require('../newsMonitor/persistentCache');
-const { hasPermission } = require('../configs/whitelist');
+const { hasPermission, COMMAND_WHITELIST, ADMIN_ONLY_COMMANDS } = require('../configs/whitelist');
+const permissionStore = require('../core/permissionStore');
+const stickerBindingStore = require('../core/stickerBindingStore');
+const pluginManager = require('../core/pluginManager');
+const hotReload = require('../core/hotReload');
+const auditLog = require('../core/auditLog');
+const usageStats = require('../core/usageStats');
+const costTracker = require('../utils/costTracker');
+const llmCache = require('../utils/llmCache');
+const conversationManager = require('../chat/conversationManager');
+const { parseDuration } = require('../core/argumentParser');
+const { formatDateTime } = require('../utils/timeUtils');
+const { renderBarChart } = require('../utils/chartUtils');
+const { createMedia } = require('../core/transport/transport');
+const { handleAutoDelete, replyCommandError } = require('../utils/messageUtils');
+const { generateCommandPrefixMap } = require('../core/commandDiscovery');
 
 // Runtime configuration that can be modified during execution
 const runtimeConfig = {
@@ -412,6 +427,935 @@ async function handleNewsDebug(message) {
     }
 }
 
+/**
+ * Resolve a command reference ("DESENHO", "desenho", "#desenho", "!perms") to its name
+ * @param {string} reference - Command reference typed by the admin
+ * @returns {string|null} Command name or null if unknown
+ */
+function resolveCommandName(reference) {
+    if (!reference) return null;
+    const upper = reference.toUpperCase();
+    if (config.COMMANDS[upper] || COMMAND_WHITELIST[upper]) return upper;
+
+    const prefixMap = generateCommandPrefixMap();
+    return prefixMap[reference.replace(/^#/, '').toLowerCase()] || null;
+}
+
+/**
+ * Resolve the target of !grant/!revoke: a mentioned user, a phone number, a group name,
+ * or the current group when omitted
+ * @param {Object} message - The message triggering the command
+ * @param {Object} chat - The chat of the message
+ * @param {string} rawTarget - Text after the command name
+ * @returns {Promise<{type: 'group'|'user', id: string}|null>} Target or null if not found
+ */
+async function resolvePermissionTarget(message, chat, rawTarget) {
+    if (message.mentionedIds && message.mentionedIds.length > 0) {
+        return { type: 'user', id: message.mentionedIds[0] };
+    }
+
+    if (!rawTarget) {
+        return chat.isGroup ? { type: 'group', id: chat.name } : null;
+    }
+
+    const userId = permissionStore.normalizeUserId(rawTarget);
+    if (userId) {
+        return { type: 'user', id: userId };
+    }
+
+    const chats = await global.client.getChats();
+    const group = chats.find(c => c.isGroup && c.name.toLowerCase() === rawTarget.toLowerCase());
+    return group ? { type: 'group', id: group.name } : null;
+}
+
+function describeTarget(target) {
+    return target.type === 'group' ? `o grupo *${target.id}*` : `o usuário *${target.id.split('@')[0]}*`;
+}
+
+/**
+ * Shared implementation of !grant and !revoke
+ * @param {Object} message - The message triggering the command
+ * @param {string} input - Command input ("COMANDO [alvo]")
+ * @param {'grant'|'revoke'} action - Action to apply
+ */
+async function handlePermissionChange(message, input, action) {
+    const permissionKey = action === 'grant' ? 'GRANT' : 'REVOKE';
+    const chat = await message.getChat();
+    const chatName = chat.name || chat.id._serialized;
+    const userId = message.author || message.from;
+
+    if (!(await hasPermission(permissionKey, chatName, userId))) {
+        logger.debug(`${permissionKey} command rejected: unauthorized in ${chatName}`);
+        return;
+    }
+
+    const [commandReference, ...targetParts] = (input || '').trim().split(/\s+/);
+    const commandName = resolveCommandName(commandReference);
+    if (!commandName) {
+        await message.reply(`Uso: !${action} COMANDO [grupo|número]\nEx.: !${action} DESENHO Nome do Grupo`);
+        return;
+    }
+
+    if (ADMIN_ONLY_COMMANDS.includes(commandName)) {
+        await message.reply(
+            `${commandName} é exclusivo do admin. Use !role número admin para dar acesso total a alguém.`
+        );
+        return;
+    }
+
+    const target = await resolvePermissionTarget(message, chat, targetParts.join(' '));
+    if (!target) {
+        await message.reply('Grupo ou usuário não encontrado. Informe o nome exato do grupo ou o número com DDI.');
+        return;
+    }
+
+    if (action === 'grant') {
+        permissionStore.grant(commandName, target);
+        await message.reply(`✅ ${commandName} liberado para ${describeTarget(target)}.`);
+    } else {
+        permissionStore.revoke(commandName, target);
+        await message.reply(`🚫 ${commandName} bloqueado para ${describeTarget(target)}.`);
+    }
+}
+
+async function handleGrant(message, command, input) {
+    logger.debug('Grant command activated', { input });
+    try {
+        await handlePermissionChange(message, input, 'grant');
+    } catch (error) {
+        logger.error('Error in grant command:', error);
+        await replyCommandError(message, command, 'error');
+    }
+}
+
+async function handleRevoke(message, command, input) {
+    logger.debug('Revoke command activated', { input });
+    try {
+        await handlePermissionChange(message, input, 'revoke');
+    } catch (error) {
+        logger.error('Error in revoke command:', error);
+        await replyCommandError(message, command, 'error');
+    }
+}
+
+/**
+ * Show seeds, runtime grants and denials of a command, or the role list when no command is given
+ */
+async function handlePerms(message, command, input) {
+    logger.debug('Perms command activated', { input });
+
+    try {
+        const chat = await message.getChat();
+        const chatName = chat.name || chat.id._serialized;
+        const userId = message.author || message.from;
+
+        if (!(await hasPermission('PERMS', chatName, userId))) {
+            logger.debug(`Perms command rejected: unauthorized in ${chatName}`);
+            return;
+        }
+
+        const formatList = items =>
+            items.length > 0 ? items.map(item => `• ${item.replace(/@c\.us$/, '')}`).join('\n') : '• nenhum';
+
+        const reference = (input || '').trim();
+        if (!reference) {
+            let reply = '*PAPÉIS*\n\n';
+            for (const role of ['admin', 'moderator', 'guest']) {
+                const users = permissionStore.getUsersWithRole(role);
+                if (role === 'admin') users.unshift(`${config.CREDENTIALS.ADMIN_NUMBER} (principal)`);
+                reply += `*${role}*\n${formatList(users)}\n\n`;
+            }
+            reply += 'Use !perms COMANDO para ver as permissões de um comando.';
+            await message.reply(reply);
+            return;
+        }
+
+        const commandName = resolveCommandName(reference);
+        if (!commandName) {
+            await message.reply(`Comando desconhecido: ${reference}`);
+            return;
+        }
+
+        const seeds = COMMAND_WHITELIST[commandName];
+        const runtime = permissionStore.getCommandPermissions(commandName);
+        const isAdminOnly = ADMIN_ONLY_COMMANDS.includes(commandName);
+
+        let reply = `*PERMISSÕES: ${commandName}*\n\n`;
+        if (isAdminOnly) {
+            reply += '_Comando exclusivo do admin._\n\n';
+        }
+        reply += '*Padrões (whitelist)*\n';
+        reply += seeds === 'all' ? '• todos\n\n' : `${formatList((seeds || []).filter(Boolean))}\n\n`;
+        reply += `*Liberado para grupos*\n${formatList(runtime.allow.groups)}\n\n`;
+        reply += `*Liberado para usuários*\n${formatList(runtime.allow.users)}\n\n`;
+        reply += `*Bloqueado para grupos*\n${formatList(runtime.deny.groups)}\n\n`;
+        reply += `*Bloqueado para usuários*\n${formatList(runtime.deny.users)}`;
+
+        await message.reply(reply);
+    } catch (error) {
+        logger.error('Error in perms command:', error);
+        await replyCommandError(message, command, 'error');
+    }
+}
+
+/**
+ * Set the role of a user: !role <número|@menção> <admin|moderator|member|guest>
+ */
+async function handleRole(message, command, input) {
+    logger.debug('Role command activated', { input });
+
+    try {
+        const chat = await message.getChat();
+        const chatName = chat.name || chat.id._serialized;
+        const userId = message.author || message.from;
+
+        if (!(await hasPermission('ROLE', chatName, userId))) {
+            logger.debug(`Role command rejected: unauthorized in ${chatName}`);
+            return;
+        }
+
+        const parts = (input || '').trim().split(/\s+/).filter(Boolean);
+        const role = (parts.pop() || '').toLowerCase();
+        const targetId =
+            message.mentionedIds && message.mentionedIds.length > 0
+                ? message.mentionedIds[0]
+                : permissionStore.normalizeUserId(parts.join(''));
+
+        if (!targetId || !permissionStore.ROLES.includes(role)) {
+            await message.reply(`Uso: !role número papel\nPapéis: ${permissionStore.ROLES.join(', ')}`);
+            return;
+        }
+
+        permissionStore.setRole(targetId, role);
+        await message.reply(`✅ Papel de *${targetId.split('@')[0]}* definido como *${role}*.`);
+    } catch (error) {
+        logger.error('Error in role command:', error);
+        await replyCommandError(message, command, 'error');
+    }
+}
+
+function getCommandManager() {
+    // Lazy-load to avoid a require cycle (CommandManager → handlers → CommandManager)
+    // eslint-disable-next-line global-require
+    return require('../core/CommandManager');
+}
+
+/**
+ * Hash of the sticker the message replies to, or null when it doesn't quote a sticker
+ */
+async function getQuotedStickerHash(message) {
+    if (!message.hasQuotedMsg) return null;
+    const quoted = await message.getQuotedMessage();
+    if (!quoted || quoted.type !== 'sticker' || !quoted.hasMedia) return null;
+
+    const media = await quoted.downloadMedia();
+    return media && media.data ? stickerBindingStore.hashMedia(media) : null;
+}
+
+function describeBinding(binding) {
+    const commandConfig = config.COMMANDS[binding.command];
+    const prefix = commandConfig?.prefixes?.[0] || binding.command;
+    const origin = binding.seed ? ' _(config)_' : '';
+    return `• \`${binding.hash.slice(0, 8)}\` → ${prefix}${binding.args ? ` ${binding.args}` : ''}${origin}`;
+}
+
+/**
+ * !sticker vincular|listar|remover — manage which stickers trigger which commands
+ */
+async function handleStickerBindings(message, command, input, args = {}) {
+    logger.debug('Sticker bindings command activated', { input });
+
+    try {
+        const chat = await message.getChat();
+        const chatName = chat.name || chat.id._serialized;
+        const userId = message.author || message.from;
+
+        if (!(await hasPermission('STICKER_BINDINGS', chatName, userId))) {
+            logger.debug(`Sticker bindings command rejected: unauthorized in ${chatName}`);
+            return;
+        }
+
+        const target = (args.alvo || '').trim();
+
+        if (args.acao === 'vincular') {
+            const hash = await getQuotedStickerHash(message);
+            if (!hash) {
+                return replyCommandError(message, command, 'noSticker');
+            }
+            if (!target) {
+                return replyCommandError(message, command, 'noCommand');
+            }
+
+            const { command: boundCommand, input: defaultArgs } = await getCommandManager().parseCommand(
+                target,
+                [],
+                chat
+            );
+            if (!boundCommand) {
+                return replyCommandError(message, command, 'invalidCommand', { command: target });
+            }
+
+            stickerBindingStore.bind(hash, boundCommand.name, (defaultArgs || '').trim(), userId);
+            await message.reply(
+                `✅ Figurinha vinculada a *${boundCommand.name}*` +
+                    `${defaultArgs ? ` com os argumentos: ${defaultArgs.trim()}` : ''}.\n` +
+                    `Código: \`${hash.slice(0, 8)}\``
+            );
+            return;
+        }
+
+        if (args.acao === 'remover') {
+            const hash = target ? stickerBindingStore.resolveHash(target) : await getQuotedStickerHash(message);
+            if (!hash && !target) {
+                return replyCommandError(message, command, 'noSticker');
+            }
+
+            const removed = hash && stickerBindingStore.unbind(hash);
+            if (!removed) {
+                const seed = hash && stickerBindingStore.getBinding(hash);
+                return seed && seed.seed
+                    ? replyCommandError(message, command, 'seedBinding', { command: seed.command })
+                    : replyCommandError(message, command, 'notFound');
+            }
+
+            await message.reply(`🗑️ Figurinha \`${hash.slice(0, 8)}\` desvinculada de *${removed.command}*.`);
+            return;
+        }
+
+        const bindings = stickerBindingStore.listBindings();
+        if (bindings.length === 0) {
+            await message.reply(
+                'Nenhuma figurinha vinculada. Responda a uma figurinha com !sticker vincular #comando.'
+            );
+            return;
+        }
+
+        await message.reply(
+            `*FIGURINHAS VINCULADAS*\n\n${bindings.map(describeBinding).join('\n')}\n\n` +
+                'Use !sticker remover [código] (ou responda à figurinha) para desvincular.'
+        );
+    } catch (error) {
+        logger.error('Error in sticker bindings command:', error);
+        await message.reply(`${command.errorMessages.error} ${error.message}`);
+    }
+}
+
+function describePlugin(plugin) {
+    const { manifest } = plugin;
+    const header = `*${manifest.name}* v${manifest.version}`;
+    if (plugin.status === 'failed') {
+        return `❌ ${header} — falhou: ${plugin.error}`;
+    }
+
+    const prefixes = manifest.commands
+        .map(name => plugin.configs[name]?.prefixes?.[0] || name)
+        .join(', ');
+    const lines = [`${plugin.state.enabled ? '✅' : '⏸️'} ${header} — ${prefixes}`];
+    if (manifest.description) lines.push(`    ${manifest.description}`);
+    if (plugin.state.disabledGroups.length > 0) {
+        lines.push(`    Desativado em: ${plugin.state.disabledGroups.join(', ')}`);
+    }
+    const settings = Object.entries(pluginManager.resolveConfig(plugin));
+    if (settings.length > 0) {
+        lines.push(`    Config: ${settings.map(([key, value]) => `${key}=${value}`).join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * !plugins [listar|ativar|desativar|config] [nome] [grupo|chave valor]
+ */
+async function handlePlugins(message, command, input, args = {}) {
+    logger.debug('Plugins command activated', { input });
+
+    try {
+        const chat = await message.getChat();
+        const chatName = chat.name || chat.id._serialized;
+        const userId = message.author || message.from;
+
+        if (!(await hasPermission('PLUGINS', chatName, userId))) {
+            logger.debug(`Plugins command rejected: unauthorized in ${chatName}`);
+            return;
+        }
+
+        const action = args.acao || 'listar';
+        if (action === 'listar') {
+            const plugins = pluginManager.list();
+            if (plugins.length === 0) {
+                await message.reply('Nenhum plugin instalado. Coloque os plugins na pasta plugins/.');
+                return;
+            }
+            await message.reply(
+                `*PLUGINS*\n\n${plugins.map(describePlugin).join('\n\n')}\n\n` +
+                    'Use !plugins ativar|desativar [nome] [grupo|aqui] ou !plugins config [nome] [chave] [valor].'
+            );
+            return;
+        }
+
+        const name = (args.nome || '').toLowerCase();
+        if (!name) {
+            return replyCommandError(message, command, 'noName');
+        }
+        const plugin = pluginManager.plugins.get(name);
+        if (!plugin) {
+            return replyCommandError(message, command, 'notFound', { name });
+        }
+        if (plugin.status === 'failed') {
+            return replyCommandError(message, command, 'failed', { name, error: plugin.error });
+        }
+
+        const target = (args.alvo || '').trim();
+        if (action === 'config') {
+            const [key, ...valueParts] = target.split(/\s+/);
+            if (!key || valueParts.length === 0) {
+                return replyCommandError(message, command, 'noSetting');
+            }
+            try {
+                const value = pluginManager.setConfigValue(name, key, valueParts.join(' '));
+                await message.reply(`⚙️ *${name}*: ${key} = ${value}`);
+            } catch (error) {
+                return replyCommandError(message, command, 'invalidSetting', { error: error.message });
+            }
+            return;
+        }
+
+        let groupName = null;
+        if (target.toLowerCase() === 'aqui') {
+            if (!chat.isGroup) {
+                return replyCommandError(message, command, 'noGroup');
+            }
+            groupName = chat.name;
+        } else if (target) {
+            groupName = target;
+        }
+
+        const enabled = action === 'ativar';
+        pluginManager.setEnabled(name, enabled, groupName);
+        await message.reply(
+            `${enabled ? '✅' : '⏸️'} Plugin *${name}* ${enabled ? 'ativado' : 'desativado'}` +
+                `${groupName ? ` em ${groupName}` : ' globalmente'}.`
+        );
+    } catch (error) {
+        logger.error('Error in plugins command:', error);
+        await message.reply(`${command.errorMessages.error} ${error.message}`);
+    }
+}
+
+/**
+ * !reload — reload command configs and prompts, keeping the running ones if anything is invalid
+ */
+async function handleReload(message, command) {
+    logger.debug('Reload command activated');
+
+    try {
+        const chat = await message.getChat();
+        const chatName = chat.name || chat.id._serialized;
+        const userId = message.author || message.from;
+
+        if (!(await hasPermission('RELOAD', chatName, userId))) {
+            logger.debug(`Reload command rejected: unauthorized in ${chatName}`);
+            return;
+        }
+
+        const result = hotReload.reload('manual');
+        if (!result.ok) {
+            const errorMessage = await message.reply(
+                `❌ Recarga cancelada, a configuração anterior foi mantida:\n\n` +
+                    result.problems.map(problem => `• ${problem}`).join('\n')
+            );
+            await handleAutoDelete(errorMessage, command, true);
+            return;
+        }
+
+        await message.reply(
+            `♻️ Configurações recarregadas: ${result.files.length} arquivos, ` +
+                `${result.commands} comandos (${result.durationMs} ms).`
+        );
+    } catch (error) {
+        logger.error('Error in reload command:', error);
+        await message.reply(`${command.errorMessages.error} ${error.message}`);
+    }
+}
+
+const AUDIT_OUTCOME_ICONS = {
+    success: '✅',
+    error: '❌',
+    denied: '🚫',
+    invalid: '⚠️',
+    rate_limited: '⏳',
+    disabled: '⏸️',
+};
+
+/**
+ * Split "!audit"/"!stats" input into a filter reference and a trailing period ("hoje", "7 dias")
+ * @param {string} text - Input after the command
+ * @param {string} defaultPeriod - Period used when the input has none
+ * @returns {{reference: string, period: Object}} Reference and parsed period
+ */
+function parsePeriodSuffix(text, defaultPeriod) {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    for (let length = Math.min(3, tokens.length); length > 0; length--) {
+        const period = parseDuration(tokens.slice(-length).join(' '));
+        if (period) {
+            return { reference: tokens.slice(0, -length).join(' '), period };
+        }
+    }
+    return { reference: tokens.join(' '), period: parseDuration(defaultPeriod) };
+}
+
+/**
+ * Turn an !audit/!stats reference into query filters: user (mention or number), command or group
+ * @param {string[]} knownGroups - Group names the reference may match
+ * @returns {{filters: Object, label: string}|{error: string}} Filters or the errorMessages key
+ */
+function resolveUsageFilter(message, chat, reference, knownGroups) {
+    if (message.mentionedIds && message.mentionedIds.length > 0) {
+        const userId = message.mentionedIds[0];
+        return { filters: { userId }, label: `usuário ${userId.split('@')[0]}` };
+    }
+    if (!reference) {
+        return { filters: {}, label: 'todos os comandos' };
+    }
+    if (reference.toLowerCase() === 'aqui') {
+        return chat.isGroup ? { filters: { chatName: chat.name }, label: chat.name } : { error: 'noGroup' };
+    }
+
+    const userId = permissionStore.normalizeUserId(reference);
+    if (userId) {
+        return { filters: { userId }, label: `usuário ${userId.split('@')[0]}` };
+    }
+    const commandName = resolveCommandName(reference);
+    if (commandName) {
+        return { filters: { command: commandName }, label: `comando ${commandName}` };
+    }
+    const group = knownGroups.find(name => name.toLowerCase() === reference.toLowerCase());
+    return group ? { filters: { chatName: group }, label: group } : { error: 'unknownFilter' };
+}
+
+function describeAuditEntry(entry) {
+    const parts = [
+        formatDateTime(entry.ts),
+        entry.chatName || 'DM',
+        entry.userName || entry.userId.split('@')[0],
+        entry.command,
+        `${AUDIT_OUTCOME_ICONS[entry.outcome] || '•'} ${entry.outcome}`,
+        `${(entry.latencyMs / 1000).toFixed(1)}s`,
+    ];
+    if (entry.models.length > 0) parts.push(entry.models.join(', '));
+    return parts.join(' · ');
+}
+
+/**
+ * !audit [usuário|comando|grupo] [período] — query the command audit log
+ */
+async function handleAudit(message, command, input, args = {}) {
+    logger.debug('Audit command activated', { input });
+
+    try {
+        const chat = await message.getChat();
+        const chatName = chat.name || chat.id._serialized;
+        const userId = message.author || message.from;
+
+        if (!(await hasPermission('AUDIT', chatName, userId))) {
+            logger.debug(`Audit command rejected: unauthorized in ${chatName}`);
+            return;
+        }
+
+        const { reference, period } = parsePeriodSuffix((args.filtro || '').trim(), '24 horas');
+        const filter = resolveUsageFilter(message, chat, reference, auditLog.listGroups());
+        if (filter.error) {
+            return replyCommandError(message, command, filter.error, { filter: reference });
+        }
+
+        const entries = auditLog.query({ ...filter.filters, since: period.startTime });
+        const header = `*AUDITORIA* — ${filter.label} — ${period.description}`;
+        if (entries.length === 0) {
+            await message.reply(`${header}\n\nNenhum comando registrado.`);
+            return;
+        }
+
+        const outcomes = {};
+        for (const entry of entries) {
+            outcomes[entry.outcome] = (outcomes[entry.outcome] || 0) + 1;
+        }
+        const summary = Object.entries(outcomes)
+            .sort((a, b) => b[1] - a[1])
+            .map(([outcome, count]) => `${AUDIT_OUTCOME_ICONS[outcome] || '•'} ${count}`)
+            .join('  ');
+        const shown = entries.slice(0, command.maxEntries);
+
+        await message.reply(
+            `${header}\n${entries.length} ${entries.length === 1 ? 'execução' : 'execuções'}: ${summary}\n\n` +
+                `${shown.map(describeAuditEntry).join('\n')}` +
+                `${entries.length > shown.length ? `\n\n_Mostrando as ${shown.length} mais recentes._` : ''}`
+        );
+    } catch (error) {
+        logger.error('Error in audit command:', error);
+        await message.reply(`${command.errorMessages.error} ${error.message}`);
+    }
+}
+
+function describeRanking(title, entries, total, formatKey = key => key) {
+    const lines = entries.map(
+        ([key, count], index) => `${index + 1}. ${formatKey(key)} — ${count} (${Math.round((count / total) * 100)}%)`
+    );
+    return `*${title}*\n${lines.join('\n')}`;
+}
+
+function formatDayLabel(day) {
+    const [, month, date] = day.split('-');
+    return `${date}/${month}`;
+}
+
+/**
+ * !stats [usuário|comando|grupo] [período] [grafico] — command usage report
+ */
+async function handleStats(message, command, input, args = {}) {
+    logger.debug('Stats command activated', { input });
+
+    try {
+        const chat = await message.getChat();
+        const chatName = chat.name || chat.id._serialized;
+        const userId = message.author || message.from;
+
+        if (!(await hasPermission('STATS', chatName, userId))) {
+            logger.debug(`Stats command rejected: unauthorized in ${chatName}`);
+            return;
+        }
+
+        let text = (args.filtro || '').trim();
+        const chartMatch = text.match(/\s*\bgr[aá]fico$/i);
+        if (chartMatch) {
+            text = text.slice(0, chartMatch.index);
+        }
+        const { reference, period } = parsePeriodSuffix(text, `${command.defaultDays} dias`);
+        const filter = resolveUsageFilter(message, chat, reference, usageStats.listGroups());
+        if (filter.error) {
+            return replyCommandError(message, command, filter.error, { filter: reference });
+        }
+
+        const stats = usageStats.summarize({ ...filter.filters, since: period.startTime });
+        const header = `📊 *ESTATÍSTICAS* — ${filter.label} — ${period.description}`;
+        if (stats.total === 0) {
+            await message.reply(`${header}\n\nNenhum comando usado no período.`);
+            return;
+        }
+
+        // A dimension that is filtered to a single value has nothing to rank
+        const top = command.topEntries;
+        const sections = [`${header}\nTotal: ${stats.total} ${stats.total === 1 ? 'comando' : 'comandos'}`];
+        if (!filter.filters.command) {
+            sections.push(describeRanking('Comandos', stats.byCommand.slice(0, top), stats.total));
+        }
+        if (!filter.filters.chatName) {
+            sections.push(describeRanking('Grupos', stats.byGroup.slice(0, top), stats.total));
+        }
+        if (!filter.filters.userId) {
+            sections.push(
+                describeRanking('Usuários', stats.byUser.slice(0, top), stats.total, id => usageStats.getUserName(id))
+            );
+        }
+        const maxDay = Math.max(...stats.byDay.map(([, count]) => count));
+        const dayLines = stats.byDay.map(
+            ([day, count]) => `${formatDayLabel(day)} ${'▇'.repeat(Math.round((count / maxDay) * 10)) || '·'} ${count}`
+        );
+        sections.push(`*Por dia*\n${dayLines.join('\n')}`);
+
+        await message.reply(sections.join('\n\n'));
+
+        if (chartMatch) {
+            const png = await renderBarChart({
+                title: `Comandos por dia — ${filter.label}`,
+                labels: stats.byDay.map(([day]) => formatDayLabel(day)),
+                values: stats.byDay.map(([, count]) => count),
+            });
+            await message.reply(createMedia('image/png', png.toString('base64'), 'stats.png'));
+        }
+    } catch (error) {
+        logger.error('Error in stats command:', error);
+        await message.reply(`${command.errorMessages.error} ${error.message}`);
+    }
+}
+
+function formatUsd(value) {
+    return `US$ ${value > 0 && value < 0.01 ? value.toFixed(4) : value.toFixed(2)}`;
+}
+
+function formatTokens(count) {
+    if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+    if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+    return String(count);
+}
+
+function describeBudget(status) {
+    const cap = costTracker.getTierCapForRatio(status.ratio);
+    const effect = cap === 'LOW' ? ' — HIGH/MEDIUM → LOW' : cap === 'MEDIUM' ? ' — HIGH → MEDIUM' : '';
+    return (
+        `${status.group || 'Global'}: ${formatUsd(status.spent)} de ${formatUsd(status.limit)} ` +
+        `(${Math.round(status.ratio * 100)}%)${effect}`
+    );
+}
+
+function describeCostRanking(title, entries, formatKey) {
+    const lines = entries.map(
+        ([key, totals], index) => `${index + 1}. ${formatKey(key)} — ${formatUsd(totals.costUsd)} (${totals.calls})`
+    );
+    return `*${title}*\n${lines.join('\n')}`;
+}
+
+function formatHitRate({ hits, misses }) {
+    const requests = hits + misses;
+    return requests > 0 ? `${Math.round((hits / requests) * 100)}% de ${requests}` : 'sem uso';
+}
+
+function describeLlmCache() {
+    const { since, total, byNamespace } = llmCache.getStats();
+    const lines = byNamespace.map(
+        ([namespace, stats]) => `• ${namespace}: ${formatHitRate(stats)} (${stats.entries} salvas)`
+    );
+    return (
+        `*Cache de respostas* (desde ${formatDateTime(since)})\n` +
+        `Acertos: ${formatHitRate(total)}, economia estimada ${formatUsd(total.savedUsd)}, ` +
+        `${total.entries} ${total.entries === 1 ? 'resposta salva' : 'respostas salvas'}` +
+        (lines.length > 0 ? `\n${lines.join('\n')}` : '')
+    );
+}
+
+/**
+ * "!custos orcamento [global|grupo|aqui] [valor|off]"
+ */
+async function setCostBudget(message, command, chat, tokens) {
+    const value = (tokens.pop() || '').toLowerCase();
+    const scope = tokens.join(' ');
+    const limit = value === 'off' ? null : Number(value.replace(',', '.'));
+    if (!scope || (limit !== null && (!Number.isFinite(limit) || limit < 0))) {
+        return replyCommandError(message, command, 'invalidBudget');
+    }
+
+    let group = scope.toLowerCase() === 'global' ? null : scope;
+    if (scope.toLowerCase() === 'aqui') {
+        if (!chat.isGroup) {
+            return replyCommandError(message, command, 'noGroup');
+        }
+        group = chat.name;
+    }
+
+    costTracker.setBudget(group, limit);
+    const label = group ? `do grupo ${group}` : 'global';
+    await message.reply(
+        limit === null
+            ? `💰 Orçamento ${label} removido (sem limite).`
+            : `💰 Orçamento ${label}: ${formatUsd(limit)} por mês.\n${describeBudget(costTracker.getScopeStatus(group))}`
+    );
+}
+
+/**
+ * !custos [grupo|aqui] [MM/AAAA] — estimated OpenAI spend; !custos orcamento ... sets budgets;
+ * !custos cache [limpar] — response cache hit rates
+ */
+async function handleCustos(message, command, input, args = {}) {
+    logger.debug('Custos command activated', { input });
+
+    try {
+        const chat = await message.getChat();
+        const chatName = chat.name || chat.id._serialized;
+        const userId = message.author || message.from;
+
+        if (!(await hasPermission('CUSTOS', chatName, userId))) {
+            logger.debug(`Custos command rejected: unauthorized in ${chatName}`);
+            return;
+        }
+
+        const tokens = (args.filtro || '').trim().split(/\s+/).filter(Boolean);
+        if (tokens.length > 0 && ['orcamento', 'orçamento'].includes(tokens[0].toLowerCase())) {
+            return setCostBudget(message, command, chat, tokens.slice(1));
+        }
+        if (tokens.length > 0 && tokens[0].toLowerCase() === 'cache') {
+            if ((tokens[1] || '').toLowerCase() === 'limpar') {
+                const removed = llmCache.clear();
+                return message.reply(`🗑️ Cache de respostas limpo (${removed} ${removed === 1 ? 'resposta' : 'respostas'}).`);
+            }
+            return message.reply(describeLlmCache());
+        }
+
+        const currentMonth = costTracker.getCurrentMonth();
+        let month = currentMonth;
+        const monthMatch = tokens.length > 0 && tokens[tokens.length - 1].match(/^(\d{1,2})\/(\d{4})$/);
+        if (monthMatch) {
+            tokens.pop();
+            month = `${monthMatch[2]}-${monthMatch[1].padStart(2, '0')}`;
+        }
+        let group = tokens.join(' ') || null;
+        if (group && group.toLowerCase() === 'aqui') {
+            if (!chat.isGroup) {
+                return replyCommandError(message, command, 'noGroup');
+            }
+            group = chat.name;
+        }
+
+        const summary = costTracker.summarize({ month, group });
+        const [year, monthNumber] = month.split('-');
+        const header = `💰 *CUSTOS OPENAI* — ${group || 'todos os grupos'} — ${monthNumber}/${year}`;
+        const sections = [];
+
+        if (summary.total.calls === 0) {
+            sections.push(`${header}\n\nNenhuma chamada registrada no período.`);
+        } else {
+            const { total } = summary;
+            sections.push(
+                `${header}\nTotal estimado: ${formatUsd(total.costUsd)} em ${total.calls} ` +
+                    `${total.calls === 1 ? 'chamada' : 'chamadas'} (${formatTokens(total.inputTokens)} tokens de entrada, ` +
+                    `${formatTokens(total.outputTokens)} de saída)` +
+                    (total.unpriced > 0 ? `\n${total.unpriced} chamada(s) de modelos sem preço configurado` : '')
+            );
+        }
+
+        // Budgets only make sense for the running month
+        if (month === currentMonth) {
+            const budgets = group ? costTracker.getBudgetStatus(group) : costTracker.listBudgets();
+            sections.push(
+                budgets.length > 0
+                    ? `*Orçamentos*\n${budgets.map(describeBudget).join('\n')}`
+                    : '*Orçamentos*\nNenhum orçamento definido (!custos orcamento global 50)'
+            );
+        }
+
+        if (summary.total.calls > 0) {
+            const top = command.topEntries;
+            sections.push(describeCostRanking('Módulos', summary.byModule.slice(0, top), key => key || 'sem módulo'));
+            if (!group) {
+                sections.push(describeCostRanking('Grupos', summary.byGroup.slice(0, top), key => key || 'fora de grupos'));
+            }
+            sections.push(
+                describeCostRanking('Usuários', summary.byUser.slice(0, top), key =>
+                    key ? usageStats.getUserName(key) : 'sistema'
+                )
+            );
+            sections.push(describeCostRanking('Modelos', summary.byModel.slice(0, top), key => key));
+        }
+
+        // Cache statistics are not split by group or month
+        if (!group && month === currentMonth) {
+            sections.push(describeLlmCache());
+        }
+
+        await message.reply(sections.join('\n\n'));
+    } catch (error) {
+        logger.error('Error in custos command:', error);
+        await message.reply(`${command.errorMessages.error} ${error.message}`);
+    }
+}
+
+function describeConversationMessage(entry, maxLength) {
+    const text = Array.isArray(entry.content)
+        ? entry.content
+              .filter(part => part?.type === 'input_text' || part?.type === 'text')
+              .map(part => part.text)
+              .join(' ') + ' [imagem]'
+        : String(entry.content ?? '');
+    const oneLine = text.replace(/\s+/g, ' ').trim();
+    const preview = oneLine.length > maxLength ? `${oneLine.slice(0, maxLength)}...` : oneLine;
+    return `${entry.role === 'assistant' ? '🤖' : '👤'} ${preview}`;
+}
+
+function describeSavedConversation(entry) {
+    // Threads are shown with their key, which !conversa takes to show or delete just that one
+    const name = entry.thread ? `*${entry.groupName}* › ${entry.thread.label} (${entry.key})` : `*${entry.groupName}*`;
+    return (
+        `• ${name}: ${entry.messageCount} mensagem(ns), ${entry.contextRequests} pedido(s) de contexto, ` +
+        `${entry.model}, última atividade ${formatDateTime(entry.lastActivity.getTime())}`
+    );
+}
+
+/**
+ * !conversa [grupo|aqui|chave] [limpar] — list the saved # conversations, show one or delete
+ * them; a group name covers all of the group's threads (conversation.threading in chat.config.js)
+ */
+async function handleConversa(message, command, input, args = {}) {
+    logger.debug('Conversa command activated', { input });
+
+    try {
+        const chat = await message.getChat();
+        const chatName = chat.name || chat.id._serialized;
+        const userId = message.author || message.from;
+
+        if (!(await hasPermission('CONVERSA', chatName, userId))) {
+            logger.debug(`Conversa command rejected: unauthorized in ${chatName}`);
+            return;
+        }
+
+        const tokens = (args.filtro || '').trim().split(/\s+/).filter(Boolean);
+        const purge = tokens.length > 0 && tokens[tokens.length - 1].toLowerCase() === 'limpar';
+        if (purge) tokens.pop();
+
+        let group = tokens.join(' ') || null;
+        if (group && group.toLowerCase() === 'aqui') {
+            if (!chat.isGroup) {
+                return replyCommandError(message, command, 'noGroup');
+            }
+            group = chat.name;
+        }
+
+        if (!group) {
+            const saved = conversationManager.listConversations();
+            if (saved.length === 0) {
+                await message.reply('💬 Nenhuma conversa salva no momento.');
+                return;
+            }
+            await message.reply(
+                `💬 *CONVERSAS SALVAS*\n\n${saved.map(describeSavedConversation).join('\n')}\n\n` +
+                    'Use !conversa [grupo] para ver uma ou !conversa [grupo] limpar para apagá-la.'
+            );
+            return;
+        }
+
+        // A conversation key, else every conversation (thread) of the group
+        let key = conversationManager.getConversation(group) ? group : null;
+        const groupConversations = key ? [] : conversationManager.listConversations(group);
+        if (!key && groupConversations.length === 0) {
+            return replyCommandError(message, command, 'notFound', { group });
+        }
+
+        if (purge) {
+            const keys = key ? [key] : groupConversations.map(entry => entry.key);
+            keys.forEach(conversationKey => conversationManager.deleteConversation(conversationKey));
+            await message.reply(
+                keys.length === 1
+                    ? `🗑️ Conversa de *${group}* apagada.`
+                    : `🗑️ ${keys.length} conversas de *${group}* apagadas.`
+            );
+            return;
+        }
+
+        if (groupConversations.length > 1) {
+            await message.reply(
+                `💬 *CONVERSAS — ${group}*\n\n${groupConversations.map(describeSavedConversation).join('\n')}\n\n` +
+                    'Use !conversa [chave] para ver uma conversa.'
+            );
+            return;
+        }
+        key = key || groupConversations[0].key;
+        const conversation = conversationManager.getConversation(key);
+
+        const recent = conversation.messages
+            .filter(entry => entry.role === 'user' || entry.role === 'assistant')
+            .slice(-command.previewMessages)
+            .map(entry => describeConversationMessage(entry, command.previewLength));
+        await message.reply(
+            `💬 *CONVERSA — ${conversation.thread ? `${conversation.groupName} › ${conversation.thread.label}` : key}*\n` +
+                `Mensagens: ${conversation.messageCount} (${conversation.messages.length} no histórico)\n` +
+                `Modelo: ${conversation.model}\n` +
+                `Pedidos de contexto: ${conversation.contextRequests || 0} ` +
+                `(${conversation.totalContextMessages} mensagens de contexto)\n` +
+                `Última atividade: ${formatDateTime(conversation.lastActivity.getTime())}` +
+                (recent.length > 0 ? `\n\n*Últimas mensagens*\n${recent.join('\n')}` : '')
+        );
+    } catch (error) {
+        logger.error('Error in conversa command:', error);
+        await message.reply(`${command.errorMessages.error} ${error.message}`);
+    }
+}
+
 module.exports = {
     handleCacheClear,
     handleDebugPeriodic,
@@ -420,4 +1364,15 @@ module.exports = {
     handleCacheReset,
     handleNewsToggle,
     handleNewsDebug,
+    handleGrant,
+    handleRevoke,
+    handlePerms,
+    handleRole,
+    handleStickerBindings,
+    handlePlugins,
+    handleReload,
+    handleAudit,
+    handleStats,
+    handleCustos,
+    handleConversa,
 };
@@ -0,0 +1,67 @@
+// agendamentos.config.js
+// Configuration for the scheduling commands (#agendar, #agendamentos)
+
+const AGENDAR_CONFIG = {
+    prefixes: ['#agendar'],
+    description:
+        'Agenda um comando para rodar mais tarde ou periodicamente. Use #agendar [quando] [comando], ex.: #agendar 18h #resumo ou #agendar toda segunda 9h #news fut.',
+    args: [
+        {
+            name: 'quando',
+            type: 'schedule',
+            description: '"18h", "amanhã 9h", "25/12 10h", "toda segunda 9h", "todo dia 18h", "em 2 horas", "a cada 6 horas"',
+        },
+        {
+            name: 'comando',
+            type: 'text',
+            description: 'comando a executar, começando com # (ex.: #resumo)',
+            errorKey: 'noCommand',
+        },
+    ],
+    examples: ['#agendar 18h #resumo', '#agendar toda segunda 9h #news fut', '#agendar amanhã 8h #resumo ontem'],
+    maxJobsPerUser: 10,
+    minIntervalMinutes: 30,
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        noCommand: 'Informe o comando a agendar depois do horário, ex.: #agendar 18h #resumo',
+        invalidCommand: 'Só é possível agendar comandos que começam com # (ex.: #resumo).',
+        notSchedulable: 'Este comando não pode ser agendado.',
+        notAllowed: 'Você não tem permissão para usar este comando aqui.',
+        tooFrequent: 'O intervalo mínimo entre execuções é de {minutes} minutos.',
+        tooMany: 'Você já tem {max} agendamentos. Cancele algum com #agendamentos cancelar [id].',
+        pastTime: 'Esse horário já passou.',
+        error: 'Erro ao criar o agendamento.',
+    },
+    useGroupPersonality: false,
+};
+
+const AGENDAMENTOS_CONFIG = {
+    prefixes: ['#agendamentos'],
+    description: 'Lista os agendamentos deste chat. Use #agendamentos cancelar [id] para cancelar um agendamento.',
+    args: [
+        { name: 'acao', type: 'enum', values: ['listar', 'cancelar'], optional: true },
+        { name: 'id', type: 'number', optional: true, min: 1, description: 'número do agendamento' },
+    ],
+    examples: ['#agendamentos', '#agendamentos cancelar 3'],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        noId: 'Informe o número do agendamento, ex.: #agendamentos cancelar 3',
+        notFound: 'Agendamento não encontrado.',
+        notOwner: 'Só quem criou o agendamento (ou um admin/moderador) pode cancelá-lo.',
+        error: 'Erro ao consultar os agendamentos.',
+    },
+    useGroupPersonality: false,
+};
+
+module.exports = {
+    AGENDAR_CONFIG,
+    AGENDAMENTOS_CONFIG,
+};
@@ -0,0 +1,122 @@
+const logger = require('../utils/logger');
+const scheduler = require('../core/scheduler');
+const permissionStore = require('../core/permissionStore');
+const { replyCommandError } = require('../utils/messageUtils');
+const { describeSchedule, formatDateTime } = require('../utils/timeUtils');
+
+// Commands that would schedule or manage schedules themselves
+const NOT_SCHEDULABLE = ['AGENDAR', 'AGENDAMENTOS', 'WIZARD'];
+
+function getCommandManager() {
+    // Lazy-load to avoid a require cycle (CommandManager → handlers → CommandManager)
+    // eslint-disable-next-line global-require
+    return require('../core/CommandManager');
+}
+
+function describeJob(job) {
+    const owner = job.userId.replace(/@c\.us$/, '');
+    const when =
+        job.schedule.type === 'once'
+            ? describeSchedule(job.schedule)
+            : `${describeSchedule(job.schedule)} — próxima: ${formatDateTime(job.nextRunAt)}`;
+    return `*${job.id}.* ${job.payload.command}\n    ${when} (por ${owner})`;
+}
+
+async function handleAgendar(message, command, input, args = {}) {
+    logger.debug('Agendar command activated', { input });
+
+    const chat = await message.getChat();
+    const contact = await message.getContact();
+    const chatId = chat.id._serialized;
+    const userId = contact.id._serialized;
+    const commandText = (args.comando || '').trim();
+
+    if (!commandText.startsWith('#')) {
+        return replyCommandError(message, command, 'invalidCommand');
+    }
+
+    // Resolve the target command now so typos and forbidden commands fail immediately
+    const commandManager = getCommandManager();
+    const { command: target } = await commandManager.parseCommand(commandText, [], chat);
+    if (!target) {
+        return replyCommandError(message, command, 'invalidCommand');
+    }
+    if (NOT_SCHEDULABLE.includes(target.name)) {
+        return replyCommandError(message, command, 'notSchedulable');
+    }
+    if (!(await commandManager.isCommandAllowedInChat(target, chatId, userId))) {
+        return replyCommandError(message, command, 'notAllowed');
+    }
+
+    const schedule = args.quando;
+    if (schedule.type === 'interval' && schedule.everyMs < command.minIntervalMinutes * 60 * 1000) {
+        return replyCommandError(message, command, 'tooFrequent', { minutes: command.minIntervalMinutes });
+    }
+    if (scheduler.listJobs({ type: 'command', userId }).length >= command.maxJobsPerUser) {
+        return replyCommandError(message, command, 'tooMany', { max: command.maxJobsPerUser });
+    }
+
+    const job = scheduler.addJob({
+        type: 'command',
+        schedule,
+        chatId,
+        chatName: chat.isGroup ? chat.name : 'DM',
+        userId,
+        payload: { command: commandText },
+    });
+    if (!job) {
+        return replyCommandError(message, command, 'pastTime');
+    }
+
+    await message.reply(
+        `✅ Agendamento *${job.id}* criado: ${commandText}\n` +
+            `Quando: ${describeSchedule(schedule)}\n` +
+            (schedule.type === 'once' ? '\n' : `Próxima execução: ${formatDateTime(job.nextRunAt)}\n\n`) +
+            `Use #agendamentos cancelar ${job.id} para cancelar.`
+    );
+}
+
+async function handleAgendamentos(message, command, input, args = {}) {
+    logger.debug('Agendamentos command activated', { input });
+
+    const chat = await message.getChat();
+    const contact = await message.getContact();
+    const chatId = chat.id._serialized;
+    const userId = contact.id._serialized;
+
+    if (args.acao === 'cancelar') {
+        if (!args.id) {
+            return replyCommandError(message, command, 'noId');
+        }
+
+        const job = scheduler.getJob(args.id);
+        if (!job || job.type !== 'command' || job.chatId !== chatId) {
+            return replyCommandError(message, command, 'notFound');
+        }
+
+        const role = permissionStore.getRole(userId);
+        if (job.userId !== userId && role !== 'admin' && role !== 'moderator') {
+            return replyCommandError(message, command, 'notOwner');
+        }
+
+        scheduler.cancelJob(job.id);
+        await message.reply(`🗑️ Agendamento *${job.id}* cancelado: ${job.payload.command}`);
+        return;
+    }
+
+    const jobs = scheduler.listJobs({ type: 'command', chatId });
+    if (jobs.length === 0) {
+        await message.reply('Nenhum agendamento neste chat. Crie um com #agendar [quando] [comando].');
+        return;
+    }
+
+    await message.reply(
+        `📅 *Agendamentos*\n\n${jobs.map(describeJob).join('\n\n')}\n\n` +
+            'Use #agendamentos cancelar [id] para cancelar.'
+    );
+}
+
+module.exports = {
+    handleAgendar,
+    handleAgendamentos,
+};
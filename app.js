@@ -16,10 +16,13 @@ const qrcode = require('qrcode-terminal');
 const config = require('./configs/config');
 const { getWhatsAppOptimizedConfig } = require('./configs/puppeteerSettings');
 const { setupListeners } = require('./core/listener');
+const { setTransport } = require('./core/transport/transport');
+const { createWhatsAppTransport } = require('./core/transport/whatsappAdapter');
 const { initializeContextManager } = require('./chat/contextManager');
 const { initializeConversationManager } = require('./chat/conversationManager');
 const { initialize } = require('./newsMonitor/newsMonitor.js');
 const { scheduleNextSummary: schedulePeriodicSummary, getPeriodicSummaryStatus } = require('./periodicSummary/periodicSummaryUtils');
+const scheduler = require('./core/scheduler');
 const { performStartupGitPull, signalSystemdRestart } = require('./utils/gitUtils');
 const { performDependencySync, getDependencyStatus } = require('./utils/dependencyUtils');
 const {
@@ -208,8 +211,8 @@ async function initializeBot(gitResults) {
             puppeteer: puppeteerConfig
         });
 
-        // Store client globally for use in other modules
-        global.client = client;
+        // Register the WhatsApp transport (also stores the client globally for other modules)
+        setTransport(createWhatsAppTransport(client));
         logger.debug('Storing client globally...');
 
         // Automatic browser resource management
@@ -602,6 +605,9 @@ async function main() {
         
         // Schedule periodic summaries
         schedulePeriodicSummary();
+
+        // Resume persisted #agendar jobs
+        scheduler.start();
         
         // Spinner will be started by logger.startup once bot is fully initialized
     } catch (error) {
@@ -1,5 +1,5 @@
 const logger = require('../utils/logger');
-const { handleAutoDelete, sendStreamingResponse } = require('../utils/messageUtils');
+const { handleAutoDelete } = require('../utils/messageUtils');
 const { transcribeAudio } = require('./audioUtils');
 const fs = require('fs');
 const path = require('path');
@@ -58,9 +58,9 @@ async function handleAudio(message, command) {
             return;
         }
 
-        // Send the transcription with formatting using streaming response
-        const formattedResponse = `Transcrição:\n_${transcription}_`;
-        await sendStreamingResponse(message, formattedResponse, command, '🤖', 60, 120, 25);
+        // The transcription arrives whole, so there is nothing to stream
+        const responseMessage = await message.reply(`Transcrição:\n_${transcription}_`);
+        await handleAutoDelete(responseMessage, command);
     } catch (error) {
         logger.error('Error in AUDIO command:', error, {
             mediaType: message.type,
@@ -1,26 +1,18 @@
 const fs = require('fs');
-const { getOpenAIClient } = require('../utils/openaiUtils');
+const { runTranscription } = require('../utils/openaiUtils');
 const logger = require('../utils/logger');
 
 // Function to transcribe audio using OpenAI's Whisper model
 async function transcribeAudio(audioPath) {
     try {
         logger.debug('Starting audio transcription', { audioPath });
-        const openai = getOpenAIClient();
 
         // Verify file exists and is readable
         if (!fs.existsSync(audioPath)) {
             throw new Error(`Audio file not found at path: ${audioPath}`);
         }
 
-        const fileStream = fs.createReadStream(audioPath);
-        logger.debug('Created file stream for audio');
-
-        const transcription = await openai.audio.transcriptions.create({
-            file: fileStream,
-            model: 'whisper-1',
-            language: 'pt',
-        });
+        const transcription = await runTranscription(audioPath, { language: 'pt' });
 
         logger.debug('Transcription completed', {
             textLength: transcription.text.length,
@@ -1,5 +1,5 @@
 const logger = require('../utils/logger');
-const { extractTextFromImageWithOpenAI } = require('../utils/openaiUtils');
+const { extractTextFromImageWithOpenAI, runTranscription } = require('../utils/openaiUtils');
 const { downloadAndProcessDocument } = require('../resumos/documentUtils');
 const { MessageMedia } = require('whatsapp-web.js');
 const fs = require('fs');
@@ -245,16 +245,10 @@ async function processAudio(media, config) {
         fs.writeFileSync(tempPath, buffer);
 
         // Use OpenAI Whisper for transcription
-        const openai = require('../utils/openaiUtils').getOpenAIClient();
-        
-        const transcriptionResponse = await openai.audio.transcriptions.create({
-            file: fs.createReadStream(tempPath),
-            model: 'whisper-1',
-            language: 'pt', // Portuguese
-            response_format: 'text'
-        });
+        const transcription = await runTranscription(tempPath, { language: 'pt' });
 
-        result.transcription = transcriptionResponse;
+        result.transcription = transcription.text;
+        result.duration = transcription.duration || 0;
 
         logger.debug('Transcribed audio', {
             transcriptionLength: result.transcription.length
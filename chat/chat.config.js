@@ -18,6 +18,10 @@ const CHAT_CONFIG = {
         commandMessages: false,
         deleteTimeout: 60000,
     },
+    rateLimit: {
+        burst: { max: 5, windowSeconds: 60 },
+        perUser: { max: 40, windowMinutes: 60 },
+    },
     errorMessages: {
         invalidFormat: 'Por favor, forneça uma pergunta após #.',
         notAllowed: 'Você não tem permissão para usar este comando.',
@@ -49,7 +53,22 @@ const CHAT_CONFIG = {
         maxMessages: 1000,       // Legacy or other use? Retaining for now.
         maxTotalChatHistoryMessages: 1000, // Maximum total raw WhatsApp messages to process for context across requests
         maxContextRequests: 10,  // Maximum context requests per conversation turn (user query)
-        enabled: true
+        enabled: true,
+        // REQUEST_CONTEXT with filters (sobre/autor/de/até) searches a local index of the chat's
+        // messages (data/chatHistoryIndex/) instead of paging back chunkSize messages at a time
+        search: {
+            enabled: true,
+            useEmbeddings: true,       // false: keyword matching only, no embedding calls
+            maxResults: 40,            // Messages per search request
+            maxIndexedMessages: 5000,  // Per chat, oldest dropped first
+            updateFetchSize: 50,       // First read for new messages once a chat is indexed
+            minEmbedLength: 15,        // Shorter messages ("kkk", "ok") are matched by keywords only
+            embedBatchSize: 100,
+            maxEmbedPerSearch: 200,    // Embedded while a search waits, the rest in the background
+            keywordWeight: 0.3,        // Share of the score from shared keywords, the rest from similarity
+            minScore: 0.25,            // Below this a message is not about the subject
+            saveDelayMs: 5000
+        }
     },
     
     // Conversation settings
@@ -60,6 +79,32 @@ const CHAT_CONFIG = {
         initialHistory: {
             enabled: true,
             messageCount: 10
+        },
+        // How # conversations are split inside a group chat:
+        //   'group'      one conversation shared by every member
+        //   'user'       one conversation per member
+        //   'replyChain' replying to the bot's answer (or to the question) continues that conversation,
+        //                any other # message starts a new one
+        // Threads still read the group's messages through the initial history and REQUEST_CONTEXT
+        threading: {
+            mode: 'group',
+            maxTrackedMessages: 50  // replyChain: message ids remembered per thread to match replies
+        },
+        // Conversations saved to data/chatConversations.json survive restarts (still expiring after timeoutMinutes)
+        persistence: {
+            enabled: true,
+            saveDelayMs: 3000   // Batch writes made within this window
+        }
+    },
+    
+    // Long-term memories per group and member (chat/memoryStore.js, data/chatMemories.json)
+    memory: {
+        enabled: true,
+        maxInjected: 10,        // Memories added to the prompt per question
+        maxPerChat: 200,        // Beyond this, automatic then least recently used memories are dropped
+        autoExtract: {
+            enabled: true,      // Ask the LOW tier model for lasting facts after each reply
+            minQuestionLength: 20
         }
     },
     
@@ -112,6 +157,7 @@ const CHAT_CONFIG = {
     // Additional prompt references
     contextPrompts: CHAT_PROMPTS.CONTEXT_PROMPTS,
     errorPrompts: CHAT_PROMPTS.ERROR_PROMPTS,
+    memoryPrompts: CHAT_PROMPTS.MEMORY_PROMPTS,
     
     useGroupPersonality: true,
     get model() {
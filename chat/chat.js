@@ -1,11 +1,13 @@
 const config = require('../configs/config');
 const logger = require('../utils/logger');
-const { handleAutoDelete, sendStreamingResponse } = require('../utils/messageUtils');
+const { handleAutoDelete, createStreamingReply, takeNextReplyPart, replyCommandError } = require('../utils/messageUtils');
 const { extractLinks, unshortenLink, getPageContent } = require('../utils/linkUtils');
 const { formatUserMessage, getPromptTypeFromPrefix } = require('./promptUtils');
 
 // New conversation system imports
 const conversationManager = require('./conversationManager');
+const memoryStore = require('./memoryStore');
+const permissionStore = require('../core/permissionStore');
 const { 
     handleContextRequest, 
     validateContextRequest
@@ -23,21 +25,11 @@ const {
     generateAttachmentSummary
 } = require('./attachmentHandler');
 
-// Temporary flag to reset conversations once after prompt update
-let conversationsReset = false;
-
 const CHAT_PROMPTS = require('./chatgpt.prompt');
 
 async function handleChat(message, command, commandPrefix) {
-    let name, groupName;
+    let name, groupName, streamingReply, thread;
     try {
-        // One-time reset of all conversations to use new system prompts
-        if (!conversationsReset) {
-            conversationManager.resetAllConversations();
-            conversationsReset = true;
-            logger.info('Conversations reset to use updated system prompts');
-        }
-
         const contact = await message.getContact();
         name = contact.name || contact.pushname || 'Unknown';
         const question = message.body.substring(1);
@@ -62,16 +54,25 @@ async function handleChat(message, command, commandPrefix) {
 
         // Determine prompt type from command prefix
         const promptType = getPromptTypeFromPrefix(commandPrefix);
+
+        // Own conversation within the group when threading is on (conversation.threading.mode)
+        thread = await conversationManager.resolveThread(message, groupName, adminNumber, name);
+        const conversationKey = conversationManager.getConversationKey(groupName, adminNumber, thread);
         
         // Initialize conversation
-        const conversation = await conversationManager.initializeConversation(groupName, adminNumber, config, promptType);
+        const userId = message.author || message.from;
+        const conversation = await conversationManager.initializeConversation(groupName, adminNumber, config, promptType, thread, {
+            question,
+            userId,
+        });
         
         // Handle quoted message or link context
         let quotedContext = null;
         let linkContext = null;
         
-        if (message.hasQuotedMsg) {
-            const quotedMessage = await message.getQuotedMessage();
+        // A reply to the thread's own messages is already in its history
+        const quotedMessage = message.hasQuotedMsg ? await message.getQuotedMessage() : null;
+        if (quotedMessage && !conversationManager.isThreadMessage(conversationKey, quotedMessage)) {
             const quotedText = quotedMessage.body;
             const link = extractLinks(quotedText)[0];
 
@@ -103,8 +104,7 @@ async function handleChat(message, command, commandPrefix) {
         let attachmentData = await processAttachments(message, config);
         
         // Also check quoted message for attachments
-        if (message.hasQuotedMsg) {
-            const quotedMessage = await message.getQuotedMessage();
+        if (quotedMessage) {
             if (quotedMessage.hasMedia) {
                 logger.debug('Processing quoted message attachments');
                 const quotedAttachmentData = await processAttachments(quotedMessage, config);
@@ -145,7 +145,7 @@ async function handleChat(message, command, commandPrefix) {
                 image_url: `data:${img.mimeType};base64,${img.imageData}`
             }));
             
-            await conversationManager.addUserMessageWithImages(groupName, adminNumber, name, userMessage, imageContent, config);
+            await conversationManager.addUserMessageWithImages(groupName, adminNumber, name, userMessage, imageContent, config, thread);
             
             logger.debug('User message with images added to conversation', {
                 name,
@@ -155,7 +155,7 @@ async function handleChat(message, command, commandPrefix) {
             });
         } else {
             // Add regular text-only user message to conversation
-            await conversationManager.addUserMessage(groupName, adminNumber, name, userMessage, config);
+            await conversationManager.addUserMessage(groupName, adminNumber, name, userMessage, config, thread);
             
             logger.debug('User message added to conversation', {
                 name,
@@ -172,27 +172,29 @@ async function handleChat(message, command, commandPrefix) {
         const maxLoops = 10; // Safety limit to prevent infinite loops
         let finalResponse = null;
 
+        // Each loop streams into the same reply; context requests are never shown and the
+        // answer written after them replaces whatever was streamed before
+        streamingReply = await createStreamingReply(message, command);
+        const streamText = text => {
+            if (!/REQUEST_CONTEXT/i.test(text)) streamingReply.update(text);
+        };
+
         while (loopCount < maxLoops) {
             loopCount++;
             try {
-                // Get the full AI response without streaming inside the loop
-                const aiResponseObject = await conversationManager.getAIResponse(groupName, adminNumber, config);
+                const aiResponseObject = await conversationManager.getAIResponse(groupName, adminNumber, config, streamText, thread);
                 const aiResponse = aiResponseObject.content || aiResponseObject;
 
                 // CRITICAL: Add AI response to conversation history immediately
-                conversationManager.addRawMessageToConversation(
-                    conversationManager.getConversationGroupName(groupName, adminNumber),
-                    aiResponseObject,
-                    config
-                );
+                conversationManager.addRawMessageToConversation(conversationKey, aiResponseObject, config);
 
                 // Handle context requests
-                const contextResult = await handleContextRequest(aiResponse, groupName, config);
+                const contextResult = await handleContextRequest(aiResponse, groupName, config, thread, originalQuestion);
                 if (contextResult.hasContextRequest) {
                     const validation = validateContextRequest(groupName, contextRequestCount, config);
                     if (validation.isValid && contextResult.context) {
                         contextRequestCount++;
-                        conversationManager.addContextToConversation(groupName, adminNumber, contextResult.context, config, originalQuestion);
+                        conversationManager.addContextToConversation(groupName, adminNumber, contextResult.context, config, originalQuestion, false, thread);
                         continue; // Re-run AI with new context
                     }
                 }
@@ -224,29 +226,26 @@ async function handleChat(message, command, commandPrefix) {
             finalResponse = finalResponse || 'A conversa ficou muito complexa. Posso ajudar de forma mais direta?';
         }
         
-        // --- Send final response honoring STREAMING_ENABLED flag ---
+        // --- Send final response (a plain reply when SYSTEM.STREAMING_ENABLED is off) ---
         if (finalResponse && finalResponse.trim()) {
-            const cfg = require('../configs/config');
-            const streamingEnabled = cfg?.SYSTEM?.STREAMING_ENABLED === true;
-
-            if (streamingEnabled) {
-                await sendStreamingResponse(message, finalResponse.trim(), command, '🤖', 50, 100, 25);
-                logger.debug('Final ultra-fast stream response sent', {
-                    name,
-                    groupName,
-                    responseLength: finalResponse.trim().length,
-                });
-            } else {
-                const responseMessage = await message.reply(finalResponse.trim());
-                await handleAutoDelete(responseMessage, command, false);
-                logger.debug('Final non-stream response sent', {
-                    name,
-                    groupName,
-                    responseLength: finalResponse.trim().length,
-                });
-            }
+            const sentMessage = await streamingReply.finish(finalResponse.trim());
+            // Replies to either message continue the thread (replyChain mode)
+            conversationManager.trackThreadMessages(conversationKey, [message, sentMessage]);
+            // In the background: the reply is already out
+            conversationManager.extractMemories(groupName, adminNumber, config, {
+                userId,
+                userName: name,
+                question,
+                answer: finalResponse.trim(),
+            });
+            logger.debug('Final response sent', {
+                name,
+                groupName,
+                responseLength: finalResponse.trim().length,
+            });
         } else {
              // Fallback if no valid response
+            await streamingReply.abort();
             const errorMessage = await message.reply(
                 CHAT_PROMPTS.ERROR_PROMPTS.generalError || 
                 command.errorMessages.error || 
@@ -264,9 +263,10 @@ async function handleChat(message, command, commandPrefix) {
         // Reset conversation on critical error
         const adminNumber = config?.CREDENTIALS?.ADMIN_NUMBER;
         if (adminNumber) {
-            conversationManager.resetConversation(groupName, adminNumber);
+            conversationManager.resetConversation(groupName, adminNumber, thread);
         }
-        
+
+        await streamingReply?.abort();
         const errorMessage = await message.reply(
             CHAT_PROMPTS.ERROR_PROMPTS.generalError || 
             command.errorMessages.error || 
@@ -276,6 +276,137 @@ async function handleChat(message, command, commandPrefix) {
     }
 }
 
+/**
+ * #continua: next part of the chat's last long reply (see formatReply in utils/formatUtils.js)
+ */
+async function handleContinua(message, command) {
+    try {
+        const part = takeNextReplyPart(message.id.remote);
+        if (!part) {
+            const errorMessage = await message.reply(command.errorMessages.nothingPending);
+            await handleAutoDelete(errorMessage, command, true);
+            return;
+        }
+        const responseMessage = await message.reply(part);
+        await handleAutoDelete(responseMessage, command);
+    } catch (error) {
+        logger.error('Error in CONTINUA handler:', error);
+        const errorMessage = await message.reply(command.errorMessages.error);
+        await handleAutoDelete(errorMessage, command, true);
+    }
+}
+
+// "eu sou...", "meu aniversário..." are about the author, not the group
+const FIRST_PERSON = /^(eu|meu|minha|meus|minhas|sou|estou|tenho|moro|trabalho|gosto|prefiro|odeio)\b/i;
+
+/**
+ * #lembrar que [fato]: save a memory for the # assistant (chat/memoryStore.js), about the
+ * author when written in the first person, else about the group
+ */
+async function handleLembrar(message, command, input, args = {}) {
+    try {
+        if (config.COMMANDS.CHAT?.memory?.enabled === false) {
+            return replyCommandError(message, command, 'disabled');
+        }
+        const text = (args.fato || input || '').trim();
+        if (!text) {
+            return replyCommandError(message, command, 'noText');
+        }
+
+        const chat = await message.getChat();
+        const contact = await message.getContact();
+        const adminNumber = config?.CREDENTIALS?.ADMIN_NUMBER;
+        const aboutAuthor = FIRST_PERSON.test(text);
+        const memoryChat = conversationManager.getConversationGroupName(chat.isGroup ? chat.name : null, adminNumber);
+
+        const userId = aboutAuthor ? message.author || message.from : null;
+        const duplicate = memoryStore.findDuplicate(memoryChat, userId, text);
+        if (duplicate) {
+            return replyCommandError(message, command, 'duplicate', { id: duplicate.id });
+        }
+
+        const memory = memoryStore.add({
+            chat: memoryChat,
+            userId,
+            userName: aboutAuthor ? contact.name || contact.pushname || contact.number : null,
+            text,
+            source: 'explicit',
+        });
+
+        await message.reply(
+            aboutAuthor
+                ? `🧠 Anotado, vou lembrar disso sobre você: ${text} (memória ${memory.id})`
+                : `🧠 Anotado, vou lembrar que ${text} (memória ${memory.id})`
+        );
+    } catch (error) {
+        logger.error('Error in LEMBRAR handler:', error);
+        await replyCommandError(message, command, 'error');
+    }
+}
+
+function describeMemory(memory) {
+    const tags = [memory.userId ? 'sua' : null, memory.source === 'auto' ? 'automática' : null].filter(Boolean);
+    return `*${memory.id}.* ${memory.text}${tags.length > 0 ? ` _(${tags.join(', ')})_` : ''}`;
+}
+
+/**
+ * #memorias [listar|apagar id|limpar]: the memories of this chat the member can see (the
+ * group's and their own); admins and moderators may delete anyone's and clear the whole chat
+ */
+async function handleMemorias(message, command, input, args = {}) {
+    try {
+        const chat = await message.getChat();
+        const adminNumber = config?.CREDENTIALS?.ADMIN_NUMBER;
+        const memoryChat = conversationManager.getConversationGroupName(chat.isGroup ? chat.name : null, adminNumber);
+        const userId = message.author || message.from;
+        const role = permissionStore.getRole(userId);
+        const isModerator = role === 'admin' || role === 'moderator';
+
+        if (args.acao === 'apagar') {
+            if (!args.id) {
+                return replyCommandError(message, command, 'noId');
+            }
+            const memory = memoryStore.get(args.id);
+            const canDelete =
+                memory &&
+                memory.chat === memoryChat &&
+                (memory.userId === null || memory.userId === userId || isModerator);
+            if (!canDelete) {
+                return replyCommandError(message, command, 'notFound');
+            }
+            memoryStore.remove(memory.id);
+            await message.reply(`🗑️ Memória *${memory.id}* apagada.`);
+            return;
+        }
+
+        if (args.acao === 'limpar') {
+            // Members clear their own memories; admins and moderators the whole chat's
+            const removed = memoryStore.clear(memoryChat, isModerator ? null : userId);
+            await message.reply(
+                `🗑️ ${removed} ${removed === 1 ? 'memória apagada' : 'memórias apagadas'}` +
+                    `${isModerator ? ' deste chat' : ''}.`
+            );
+            return;
+        }
+
+        const memories = memoryStore.list(memoryChat, userId);
+        if (memories.length === 0) {
+            await message.reply('🧠 Ainda não tenho memórias deste chat. Ensine algo com #lembrar que [fato].');
+            return;
+        }
+        await message.reply(
+            `🧠 *Memórias*\n\n${memories.map(describeMemory).join('\n')}\n\n` +
+                'Use #memorias apagar [id] para apagar uma memória.'
+        );
+    } catch (error) {
+        logger.error('Error in MEMORIAS handler:', error);
+        await replyCommandError(message, command, 'error');
+    }
+}
+
 module.exports = {
     handleChat,
+    handleContinua,
+    handleLembrar,
+    handleMemorias,
 };
@@ -1,6 +1,15 @@
 // chatgpt.prompt.js
 // All ChatGPT prompts for the conversation system
 
+// Filtered context requests, answered from the chat's history index (contextManagement.search)
+const CONTEXT_SEARCH_INSTRUCTIONS = `BUSCA NO HISTÓRICO: Para perguntas sobre um assunto, uma pessoa ou um período, busque as mensagens relevantes em vez de ler as mais recentes, acrescentando filtros ao pedido:
+REQUEST_CONTEXT: [número] | sobre: [assunto] | autor: [nome] | de: [DD/MM/AA] | até: [DD/MM/AA]
+- Use só os filtros necessários; "de" e "até" também aceitam hoje, ontem e anteontem
+- Exemplos: REQUEST_CONTEXT: 30 | sobre: viagem para a praia
+            REQUEST_CONTEXT: 40 | autor: João | de: ontem
+- A busca devolve as mensagens mais relevantes em ordem cronológica; repetir a mesma busca traz as próximas
+- Sem filtros, REQUEST_CONTEXT: [número] continua trazendo as mensagens mais recentes, como para resumos e "primeira/última mensagem"`;
+
 const CHAT_PROMPTS = {
     // System prompts for conversation initialization
     SYSTEM_PROMPTS: {
@@ -75,6 +84,8 @@ Quando precisar de contexto, use: REQUEST_CONTEXT: [número]
 
 IMPORTANTE: Se precisar de mais contexto histórico após receber a primeira requisição, você pode solicitar mais com uma nova requisição REQUEST_CONTEXT: [número]. Continue solicitando contexto até encontrar as informações necessárias ou atingir o limite.
 
+${CONTEXT_SEARCH_INSTRUCTIONS}
+
 
 
 IMPORTANTE SOBRE GERAÇÃO DE IMAGENS:
@@ -135,6 +146,8 @@ Configurações:
 Se ainda precisar de mais contexto histórico, você pode solicitar novamente com:
 REQUEST_CONTEXT: [número de mensagens que você quer, máximo 100 por requisição]
 Você pode fazer múltiplas requisições até encontrar o que precisa (máximo 10 requisições totais).
+
+${CONTEXT_SEARCH_INSTRUCTIONS}
 `,
 
         humor: `Você é um assistente inteligente no WhatsApp com senso de humor e acesso a resultados de pesquisa.
@@ -157,6 +170,8 @@ NUNCA responda direto sobre histórico do chat sem pedir contexto primeiro!
 - Máximo por requisição: 100 mensagens
 - Você pode fazer múltiplas requisições para acessar até 1000 mensagens totais
 
+${CONTEXT_SEARCH_INSTRUCTIONS}
+
 Seja engraçado, e use resultados de pesquisa fornecidos pelo sistema quando disponíveis!`
     },
 
@@ -204,6 +219,19 @@ INSTRUÇÕES CRÍTICAS:
 
 A pergunta específica que você DEVE responder é sobre informações que podem estar em mensagens mais antigas.`,
         
+        // Appended to the system prompt of a member's own thread (conversation.threading in chat.config.js)
+        threadNote: `CONVERSA SEPARADA: Esta é uma conversa à parte dentro do grupo ({label}). As conversas de outros membros com você não aparecem aqui, mas estão no histórico do chat e podem ser consultadas com REQUEST_CONTEXT quando forem relevantes.`,
+
+        // Saved memories (chat/memoryStore.js) relevant to the question; {memories} is one line each
+        memories: `MEMÓRIAS DO GRUPO: Fatos que os membros pediram para você lembrar ou que surgiram em conversas anteriores. Use-os quando forem relevantes para a pergunta, sem repeti-los à toa:
+{memories}`,
+
+        // Header of history search results ({search} describes the filters)
+        searchResults: `RESULTADO DA BUSCA NO HISTÓRICO ({search}) - mensagens mais relevantes, em ordem cronológica:`,
+
+        // A history search that found nothing (new to this question)
+        searchNoResults: `BUSCA NO HISTÓRICO ({search}): nenhuma mensagem nova encontrada. Tente outros termos ou filtros, peça REQUEST_CONTEXT: [número] sem filtros para as mensagens mais recentes, ou responda com o que você já possui.`,
+
         // Renamed and revised for when all messages from source are confirmed loaded
         noMoreContextAllRetrieved: `ATENÇÃO: Todas as mensagens do histórico deste chat foram carregadas e fornecidas. NÃO solicite mais contexto.
 
@@ -269,7 +297,23 @@ Forneça sua resposta final AGORA com base em todas as informações que você j
 INFORMAÇÕES ATUAIS: O sistema pode ter fornecido resultados de pesquisa se relevante para a pergunta.
 
 Tente reformular sua pergunta ou solicite ajuda novamente.`
-    }
+    },
+
+    // Automatic memory extraction after a reply (memory.autoExtract in chat.config.js)
+    MEMORY_PROMPTS: {
+        extract: `Você decide o que um assistente de grupo de WhatsApp deve lembrar a longo prazo.
+
+Mensagem de {name}:
+{question}
+
+Resposta do assistente:
+{answer}
+
+Extraia apenas fatos duradouros e úteis no futuro sobre os membros ou o grupo (preferências, restrições, aniversários, profissões, combinados do grupo). Ignore perguntas, opiniões passageiras, assuntos do momento e qualquer coisa dita pelo assistente que o membro não confirmou.
+
+Responda SOMENTE com um array JSON, sem texto antes ou depois. Cada item: {"fato": "frase curta em terceira pessoa, com o nome da pessoa", "sobreAutor": true se o fato é sobre {name}}.
+Se não houver nada para lembrar, responda [].`,
+    },
 };
 
 module.exports = CHAT_PROMPTS;
@@ -1,8 +1,11 @@
 const logger = require('../utils/logger');
 const config = require('../configs/config');
+const historyIndex = require('./historyIndex');
+const CHAT_PROMPTS = require('./chatgpt.prompt');
 
 // Context state management
-let contextCache = new Map(); // groupName -> { allRawMessages: [], formattedMessages: [], lastSentIndex: number, allMessagesLoadedFromSource: boolean, totalRawMessagesProvidedAsContext: number }
+let contextCache = new Map(); // groupName (or groupName::threadId) -> { allRawMessages: [], formattedMessages: [], lastSentIndex: number, allMessagesLoadedFromSource: boolean, totalRawMessagesProvidedAsContext: number }
+let searchCache = new Map(); // groupName (or groupName::threadId) -> { question: string, sentIds: Set } messages already found for the current question
 
 // Get group names from environment variables
 const GROUP_LF = process.env.GROUP_LF;
@@ -31,9 +34,11 @@ async function initializeContextManager() {
 function clearContextCache(groupName = null) {
     if (groupName) {
         contextCache.delete(groupName);
+        searchCache.delete(groupName);
         logger.debug(`Context cache cleared for group: ${groupName}`);
     } else {
         contextCache.clear();
+        searchCache.clear();
         logger.debug('All context cache cleared');
     }
 }
@@ -88,14 +93,36 @@ function isGroupAllowed(groupName) {
     return false;
 }
 
+/**
+ * Format one chat message as a context line: [DD/MM/AA, HH:MM] >>Name: text (<<Você: for the bot)
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string|null} authorName - Sender, ignored for the bot's own messages
+ * @param {boolean} fromMe - Whether the bot sent the message
+ * @param {string} body - Message text
+ * @returns {string}
+ */
+function formatContextLine(timestamp, authorName, fromMe, body) {
+    const formattedDate = new Date(timestamp).toLocaleString('pt-BR', {
+        timeZone: 'America/Sao_Paulo',
+        day: '2-digit',
+        month: '2-digit',
+        year: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+    const prefix = fromMe ? '<<Você:' : `>>${authorName}:`;
+    return `[${formattedDate}] ${prefix} ${body}`;
+}
+
 /**
  * Fetch messages incrementally from a chat
  * @param {string} groupName - Name of the group/chat
  * @param {number} messageCount - Number of messages to fetch
  * @param {boolean} reset - Whether to reset the context cache
+ * @param {string|null} threadId - Conversation thread, which reads the chat from its own position
  * @returns {Promise<string>} Formatted messages or empty string
  */
-async function fetchContextMessages(groupName, messageCount = 100, reset = false) {
+async function fetchContextMessages(groupName, messageCount = 100, reset = false, threadId = null) {
     try {
         const client = global.client;
         if (!client) {
@@ -122,8 +149,9 @@ async function fetchContextMessages(groupName, messageCount = 100, reset = false
         }
         
         const MAX_CHAT_HISTORY_MESSAGES = config?.COMMANDS?.CHAT?.contextManagement?.maxTotalChatHistoryMessages || 1000;
+        const cacheKey = threadId ? `${contextGroupName}::${threadId}` : contextGroupName;
 
-        if (reset || !contextCache.has(contextGroupName)) {
+        if (reset || !contextCache.has(cacheKey)) {
             const initialFetchLimit = config?.COMMANDS?.CHAT?.maxMessageFetch || 1000;
             logger.debug(`Initial fetch or reset for ${contextGroupName}, limit: ${initialFetchLimit}`);
             const allRawMessages = await chat.fetchMessages({ limit: initialFetchLimit });
@@ -131,7 +159,7 @@ async function fetchContextMessages(groupName, messageCount = 100, reset = false
             const rawMessagesToCache = allRawMessages;
             const allLoaded = rawMessagesToCache.length < initialFetchLimit;
 
-            contextCache.set(contextGroupName, {
+            contextCache.set(cacheKey, {
                 allRawMessages: rawMessagesToCache.reverse(),
                 // formattedMessages: [], // This can be removed if we only return new chunks
                 lastSentIndex: 0, 
@@ -141,7 +169,7 @@ async function fetchContextMessages(groupName, messageCount = 100, reset = false
             logger.debug(`Cached ${rawMessagesToCache.length} raw messages for ${contextGroupName}. All loaded: ${allLoaded}`);
         }
 
-        const contextData = contextCache.get(contextGroupName);
+        const contextData = contextCache.get(cacheKey);
 
         // Check if max total messages limit for this interaction/cache has been reached
         if (contextData.totalRawMessagesProvidedAsContext >= MAX_CHAT_HISTORY_MESSAGES) {
@@ -190,24 +218,8 @@ async function fetchContextMessages(groupName, messageCount = 100, reset = false
         const newFormattedMessages = await Promise.all(
             nextRawMessagesBatch.map(async msg => {
                 const contact = await msg.getContact();
-                const date = new Date(msg.timestamp * 1000);
-                const formattedDate = date.toLocaleString('pt-BR', {
-                    timeZone: 'America/Sao_Paulo',
-                    day: '2-digit',
-                    month: '2-digit',
-                    year: '2-digit',
-                    hour: '2-digit',
-                    minute: '2-digit',
-                });
-
-                let prefix;
-                if (msg.fromMe) {
-                    prefix = '<<Você:';
-                } else {
-                    prefix = `>>${contact.name || contact.pushname || contact.number}:`;
-                }
-
-                return `[${formattedDate}] ${prefix} ${msg.body}`;
+                const senderName = contact.name || contact.pushname || contact.number;
+                return formatContextLine(msg.timestamp * 1000, senderName, msg.fromMe, msg.body);
             })
         );
 
@@ -233,6 +245,113 @@ async function fetchContextMessages(groupName, messageCount = 100, reset = false
     }
 }
 
+/**
+ * Describe search filters for the model ("sobre \"viagem\", de João, de 01/10/26 até 15/10/26")
+ * @param {Object} search - { query, author, from, to }
+ * @returns {string}
+ */
+function describeSearch({ query, author, from, to }) {
+    const formatDay = timestamp =>
+        new Date(timestamp).toLocaleDateString('pt-BR', {
+            timeZone: 'America/Sao_Paulo',
+            day: '2-digit',
+            month: '2-digit',
+            year: '2-digit',
+        });
+    return [
+        query ? `sobre "${query}"` : null,
+        author ? `de ${author}` : null,
+        from !== null && from !== undefined ? `de ${formatDay(from)}` : null,
+        to !== null && to !== undefined ? `até ${formatDay(to)}` : null,
+    ]
+        .filter(Boolean)
+        .join(', ');
+}
+
+/**
+ * Search a chat's history for the messages most relevant to a context request, through the
+ * local index (historyIndex.js) instead of the next chunk of recent messages
+ * @param {string} groupName - Name of the group/chat
+ * @param {Object} search - { query, author, from, to } (from/to in ms); see contextRequestHandler.parseContextRequest
+ * @param {number} messageCount - Messages wanted, capped to contextManagement.search.maxResults
+ * @param {string|null} threadId - Conversation thread
+ * @param {string} question - Question being answered; messages already found for it are not repeated
+ * @returns {Promise<Object>} { context, status, newMessagesCount } like fetchContextMessages; status
+ *   SEARCH_RESULTS_SENT, or NO_SEARCH_RESULTS with a note for the model as context
+ */
+async function searchContextMessages(groupName, search, messageCount = 40, threadId = null, question = '') {
+    try {
+        const client = global.client;
+        if (!client) {
+            logger.error('Client not available for message search');
+            return { context: '', status: 'ERROR_CLIENT_NOT_AVAILABLE', newMessagesCount: 0 };
+        }
+
+        const contextGroupName = getContextGroupName(groupName);
+        const adminNumber = config?.CREDENTIALS?.ADMIN_NUMBER;
+        const isAdminChat = !groupName || groupName.includes(adminNumber);
+        if (!isAdminChat && !isGroupAllowed(contextGroupName)) {
+            logger.debug(`Group ${contextGroupName} is not allowed to use ChatGPT`);
+            return { context: '', status: 'ERROR_GROUP_NOT_ALLOWED', newMessagesCount: 0 };
+        }
+
+        const chats = await client.getChats();
+        const chat = chats.find(c => c.name === contextGroupName);
+        if (!chat) {
+            logger.warn(`Chat ${contextGroupName} not found`);
+            return { context: '', status: 'ERROR_CHAT_NOT_FOUND', newMessagesCount: 0 };
+        }
+
+        const searchConfig = config?.COMMANDS?.CHAT?.contextManagement?.search || {};
+        const fetchLimit = config?.COMMANDS?.CHAT?.maxMessageFetch || 1000;
+        await historyIndex.update(contextGroupName, chat, fetchLimit);
+
+        const queryVector =
+            search.query && searchConfig.useEmbeddings !== false
+                ? await historyIndex.embed(contextGroupName, search.query)
+                : null;
+
+        const cacheKey = threadId ? `${contextGroupName}::${threadId}` : contextGroupName;
+        if (searchCache.get(cacheKey)?.question !== question) {
+            searchCache.set(cacheKey, { question, sentIds: new Set() });
+        }
+        const { sentIds } = searchCache.get(cacheKey);
+
+        const results = historyIndex.search(contextGroupName, search, {
+            limit: Math.min(messageCount, searchConfig.maxResults || 40),
+            excludeIds: sentIds,
+            queryVector,
+        });
+        const description = describeSearch(search);
+
+        logger.debug(`History search in ${contextGroupName}`, {
+            search: description,
+            results: results.length,
+            alreadySent: sentIds.size,
+            usedEmbeddings: !!queryVector,
+        });
+
+        if (results.length === 0) {
+            return {
+                context: CHAT_PROMPTS.CONTEXT_PROMPTS.searchNoResults.replace('{search}', description),
+                status: 'NO_SEARCH_RESULTS',
+                newMessagesCount: 0,
+            };
+        }
+
+        results.forEach(entry => sentIds.add(entry.id));
+        const lines = results.map(entry => formatContextLine(entry.timestamp, entry.author, entry.fromMe, entry.body));
+        return {
+            context: `${CHAT_PROMPTS.CONTEXT_PROMPTS.searchResults.replace('{search}', description)}\n${formatMessages(lines)}`,
+            status: 'SEARCH_RESULTS_SENT',
+            newMessagesCount: results.length,
+        };
+    } catch (error) {
+        logger.error('Error in searchContextMessages:', error);
+        return { context: '', status: 'ERROR_FETCHING_CONTEXT', newMessagesCount: 0 };
+    }
+}
+
 /**
  * Format messages for display
  * @param {Array} messages - Array of formatted message strings
@@ -320,25 +439,8 @@ async function fetchInitialHistory(groupName, messageCount = 10) {
         const formattedMessages = await Promise.all(
             reversedMessages.map(async msg => {
                 const contact = await msg.getContact();
-                const date = new Date(msg.timestamp * 1000);
-                const formattedDate = date.toLocaleString('pt-BR', {
-                    timeZone: 'America/Sao_Paulo',
-                    day: '2-digit',
-                    month: '2-digit',
-                    year: '2-digit',
-                    hour: '2-digit',
-                    minute: '2-digit',
-                });
-
-                let prefix;
-                if (msg.fromMe) {
-                    prefix = `<<Você:`;
-                } else {
-                    const senderName = contact.name || contact.pushname || contact.number;
-                    prefix = `>>${senderName}:`;
-                }
-
-                return `[${formattedDate}] ${prefix} ${msg.body}`;
+                const senderName = contact.name || contact.pushname || contact.number;
+                return formatContextLine(msg.timestamp * 1000, senderName, msg.fromMe, msg.body);
             })
         );
 
@@ -352,6 +454,7 @@ async function fetchInitialHistory(groupName, messageCount = 10) {
 module.exports = {
     initializeContextManager,
     fetchContextMessages,
+    searchContextMessages,
     clearContextCache,
     getContextStats,
     formatMessages,
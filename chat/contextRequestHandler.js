@@ -1,5 +1,51 @@
 const logger = require('../utils/logger');
-const { fetchContextMessages } = require('./contextManager');
+const { fetchContextMessages, searchContextMessages } = require('./contextManager');
+const { parseDate, addDays, zonedTimeToTimestamp } = require('../utils/timeUtils');
+
+// Filters after the count: REQUEST_CONTEXT: 30 | sobre: viagem | autor: João | de: 01/10 | até: 15/10
+const SEARCH_FILTERS = {
+    sobre: 'query',
+    assunto: 'query',
+    autor: 'author',
+    de: 'from',
+    desde: 'from',
+    ate: 'to',
+};
+
+/**
+ * Parse the search filters of a context request
+ * @param {string} text - Everything after the count, e.g. "| sobre: viagem | de: ontem"
+ * @returns {Object|null} { query, author, from, to } (from/to in ms, whole days in São Paulo),
+ *   or null when there are no valid filters
+ */
+function parseSearchFilters(text) {
+    const search = { query: null, author: null, from: null, to: null };
+    let hasFilter = false;
+
+    for (const part of text.split('|')) {
+        const match = part.match(/^\s*([^:]+?)\s*:\s*(.+?)\s*$/);
+        if (!match) continue;
+        const key = match[1].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        const field = SEARCH_FILTERS[key];
+        const value = match[2].replace(/^["']|["']$/g, '');
+        if (!field || !value) continue;
+
+        if (field === 'from' || field === 'to') {
+            const date = parseDate(value);
+            if (!date) {
+                logger.warn(`Ignoring context search date "${value}"`);
+                continue;
+            }
+            search[field] =
+                field === 'from' ? zonedTimeToTimestamp(date) : zonedTimeToTimestamp(addDays(date, 1)) - 1;
+        } else {
+            search[field] = value;
+        }
+        hasFilter = true;
+    }
+
+    return hasFilter ? search : null;
+}
 
 /**
  * Parse context request from ChatGPT response
@@ -11,8 +57,8 @@ function parseContextRequest(response) {
         return null;
     }
 
-    // Look for the exact pattern: REQUEST_CONTEXT: [number]
-    const contextRequestPattern = /REQUEST_CONTEXT:\s*(\d+)/i;
+    // Look for the pattern: REQUEST_CONTEXT: [number], optionally followed by search filters
+    const contextRequestPattern = /REQUEST_CONTEXT:\s*(\d+)([^\n]*)/i;
     const match = response.match(contextRequestPattern);
 
     if (match) {
@@ -27,16 +73,20 @@ function parseContextRequest(response) {
         // Cap the request to maximum allowed (100)
         const actualCount = Math.min(requestedCount, 100);
         
+        const search = parseSearchFilters(match[2]);
+
         logger.debug('Context request parsed', {
             requested: requestedCount,
             actual: actualCount,
-            capped: requestedCount > 100
+            capped: requestedCount > 100,
+            search
         });
 
         return {
             requestedCount: requestedCount,
             actualCount: actualCount,
-            wasCapped: requestedCount > 100
+            wasCapped: requestedCount > 100,
+            search: search
         };
     }
 
@@ -54,7 +104,7 @@ function isPureContextRequest(response) {
     }
 
     // Remove the context request pattern and check if anything meaningful remains
-    const contextRequestPattern = /REQUEST_CONTEXT:\s*\d+/gi;
+    const contextRequestPattern = /REQUEST_CONTEXT:\s*\d+[^\n]*/gi;
     const withoutContextRequest = response.replace(contextRequestPattern, '').trim();
     
     // Consider it pure if only whitespace, punctuation, or very short content remains
@@ -68,9 +118,11 @@ function isPureContextRequest(response) {
  * @param {string} response - ChatGPT response containing context request
  * @param {string} groupName - Group name for context fetching
  * @param {Object} config - Configuration object
+ * @param {Object|null} thread - Conversation thread within the chat (see conversationManager.resolveThread)
+ * @param {string} originalQuestion - Question being answered, so searches don't repeat messages already found for it
  * @returns {Promise<Object>} Context handling result
  */
-async function handleContextRequest(response, groupName, config) {
+async function handleContextRequest(response, groupName, config, thread = null, originalQuestion = '') {
     try {
         const contextRequest = parseContextRequest(response);
         
@@ -90,16 +142,26 @@ async function handleContextRequest(response, groupName, config) {
             actualCount: contextRequest.actualCount
         });
 
-        // Fetch the requested context
+        // Filtered requests search the chat's history; plain ones fetch the next chunk
+        const searchEnabled = config?.COMMANDS?.CHAT?.contextManagement?.search?.enabled !== false;
         const { 
             context, 
             status: fetchStatus, 
             newMessagesCount 
-        } = await fetchContextMessages(
-            groupName, 
-            contextRequest.actualCount,
-            false // Don't reset context cache
-        );
+        } = contextRequest.search && searchEnabled
+            ? await searchContextMessages(
+                groupName,
+                contextRequest.search,
+                contextRequest.actualCount,
+                thread?.id || null,
+                originalQuestion
+            )
+            : await fetchContextMessages(
+                groupName, 
+                contextRequest.actualCount,
+                false, // Don't reset context cache
+                thread?.id || null
+            );
 
         const result = {
             hasContextRequest: true,
@@ -204,6 +266,10 @@ function formatContextResponse(contextResult) {
             }
             message += '. Processando...';
             return message;
+        case 'SEARCH_RESULTS_SENT':
+            return `🔎 Busca no histórico: ${contextResult.newMessagesCount} mensagem(ns) relevante(s). Processando...`;
+        case 'NO_SEARCH_RESULTS':
+            return '🔎 Nenhuma mensagem encontrada no histórico para essa busca.';
         case 'NO_NEW_MESSAGES_IN_CACHE':
             return '📝 Não há novas mensagens de contexto no cache no momento. O bot usará o que já possui.';
         case 'ALL_MESSAGES_RETRIEVED':
@@ -0,0 +1,20 @@
+// continua.config.js
+// Configuration for the command that sends the next part of a long reply
+
+const CONTINUA_CONFIG = {
+    prefixes: ['#continua'],
+    description: 'Envia a próxima parte de uma resposta longa (chat, resumos e notícias) enviada neste chat.',
+    examples: ['#continua'],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        nothingPending: 'Não há mais partes para enviar neste chat.',
+        error: 'Erro ao enviar a próxima parte.',
+    },
+    useGroupPersonality: false,
+};
+
+module.exports = CONTINUA_CONFIG;
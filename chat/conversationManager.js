@@ -1,12 +1,22 @@
 const logger = require('../utils/logger');
-const { runConversationCompletion, runResponsesWithWebSearch } = require('../utils/openaiUtils');
+const { runCompletion, runConversationCompletion, runResponsesWithWebSearch } = require('../utils/openaiUtils');
 const CHAT_CONFIG = require('./chat.config');
 const GROUP_PERSONALITIES = require('./personalities.prompt');
 
 const { fetchInitialHistory } = require('./contextManager');
+const memoryStore = require('./memoryStore');
+const { readJsonFile, writeJsonFile } = require('../utils/storageUtils');
 
 // Conversation state management
-let conversations = new Map(); // groupName -> { messages: [], messageCount: number, lastActivity: Date, model: string }
+let conversations = new Map(); // conversation key (see getConversationKey) -> { messages: [], messageCount: number, totalContextMessages: number, contextRequests: number, lastActivity: Date, model: string, groupName: string, thread: Object|null, threadMessageIds: [] }
+
+// Conversations are mirrored to data/chatConversations.json so a restart does not end them;
+// writes are batched (conversation.persistence.saveDelayMs) since histories can be large
+const CONVERSATIONS_FILE = 'chatConversations.json';
+// Saved in place of images: their base64 data URLs would bloat the file
+const IMAGE_PLACEHOLDER = '[imagem]';
+let saveTimer = null;
+let restored = false;
 
 // Get group names from environment variables
 const GROUP_LF = process.env.GROUP_LF;
@@ -16,6 +26,11 @@ const GROUP_LF = process.env.GROUP_LF;
  */
 function initializeConversationManager() {
     try {
+        restoreConversations();
+
+        // Pending writes would be lost on restart (e.g. the git pull auto-update)
+        process.on('exit', flushConversations);
+
         // Clean up old conversations periodically
         setInterval(() => {
             cleanupExpiredConversations();
@@ -27,17 +42,95 @@ function initializeConversationManager() {
     }
 }
 
+function getPersistenceConfig() {
+    return CHAT_CONFIG?.conversation?.persistence || {};
+}
+
+function getTimeoutMs() {
+    const config = require('../configs/config');
+    return (config?.COMMANDS?.CHAT?.conversation?.timeoutMinutes || 30) * 60 * 1000;
+}
+
+/**
+ * Load the saved conversations, dropping the ones that expired while the bot was down
+ */
+function restoreConversations() {
+    if (restored || getPersistenceConfig().enabled === false) return;
+    restored = true;
+
+    const saved = readJsonFile(CONVERSATIONS_FILE, {});
+    const timeoutMs = getTimeoutMs();
+    let expired = 0;
+    for (const [groupName, conversation] of Object.entries(saved)) {
+        if (Date.now() - conversation.lastActivity > timeoutMs) {
+            expired += 1;
+            continue;
+        }
+        conversations.set(groupName, {
+            ...conversation,
+            contextRequests: conversation.contextRequests || 0,
+            lastActivity: new Date(conversation.lastActivity),
+        });
+    }
+
+    if (expired > 0) scheduleSave();
+    logger.info(`Restored ${conversations.size} chat conversation(s)${expired > 0 ? `, ${expired} expired` : ''}`);
+}
+
+function scheduleSave() {
+    if (saveTimer || getPersistenceConfig().enabled === false) return;
+    saveTimer = setTimeout(flushConversations, getPersistenceConfig().saveDelayMs ?? 3000);
+    saveTimer.unref?.();
+}
+
+/**
+ * Copy of a conversation's messages with every image part replaced by IMAGE_PLACEHOLDER
+ * @param {Object[]} messages - Conversation messages
+ * @returns {Object[]} Messages safe to save
+ */
+function withoutImages(messages) {
+    return messages.map(message =>
+        Array.isArray(message.content)
+            ? {
+                  ...message,
+                  content: message.content.map(part =>
+                      part?.type === 'input_image' ? { type: 'input_text', text: IMAGE_PLACEHOLDER } : part
+                  ),
+              }
+            : message
+    );
+}
+
+/**
+ * Write pending conversation changes now
+ */
+function flushConversations() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (getPersistenceConfig().enabled === false) return;
+
+    const saved = {};
+    for (const [groupName, conversation] of conversations.entries()) {
+        saved[groupName] = {
+            ...conversation,
+            messages: withoutImages(conversation.messages),
+            lastActivity: conversation.lastActivity.getTime(),
+        };
+    }
+    writeJsonFile(CONVERSATIONS_FILE, saved);
+}
+
 /**
  * Clean up expired conversations
  */
 function cleanupExpiredConversations() {
     const now = new Date();
-    const config = require('../configs/config');
-    const timeoutMs = (config?.COMMANDS?.CHAT?.conversation?.timeoutMinutes || 30) * 60 * 1000;
+    const timeoutMs = getTimeoutMs();
 
     for (const [groupName, conversation] of conversations.entries()) {
         if (now - conversation.lastActivity > timeoutMs) {
             conversations.delete(groupName);
+            scheduleSave();
             logger.debug(`Conversation expired for group: ${groupName}`);
         }
     }
@@ -64,6 +157,85 @@ function getConversationGroupName(originalGroupName, adminNumber) {
     return originalGroupName;
 }
 
+/**
+ * Key of a conversation in the conversations map: the conversation group name, plus the
+ * thread id when the chat is split into threads (conversation.threading.mode)
+ * @param {string|null} originalGroupName - Original group name
+ * @param {string} adminNumber - Admin number
+ * @param {Object|null} thread - Thread within the chat (see resolveThread)
+ * @returns {string} Conversation key
+ */
+function getConversationKey(originalGroupName, adminNumber, thread = null) {
+    const conversationGroupName = getConversationGroupName(originalGroupName, adminNumber);
+    return thread?.id ? `${conversationGroupName}::${thread.id}` : conversationGroupName;
+}
+
+/**
+ * Thread a # message belongs to, per conversation.threading.mode in chat.config.js:
+ *   group       null, the whole chat shares one conversation
+ *   user        the author's own conversation
+ *   replyChain  a reply to a message of a thread (the bot's answer or the question) continues
+ *               that thread; any other message starts a new one
+ * Direct chats are never split.
+ * @param {Object} message - Incoming # message
+ * @param {string|null} groupName - Group name (null outside groups)
+ * @param {string} adminNumber - Admin number
+ * @param {string} userName - Author's display name (thread label)
+ * @returns {Promise<{id: string, label: string}|null>} Thread, or null for the shared conversation
+ */
+async function resolveThread(message, groupName, adminNumber, userName) {
+    const mode = CHAT_CONFIG?.conversation?.threading?.mode || 'group';
+    if (!groupName || mode === 'group') return null;
+
+    if (mode === 'user') {
+        return { id: message.author || message.from, label: userName };
+    }
+
+    if (mode === 'replyChain') {
+        if (message.hasQuotedMsg) {
+            const quotedMessage = await message.getQuotedMessage();
+            const quotedId = quotedMessage?.id?._serialized;
+            const prefix = `${getConversationGroupName(groupName, adminNumber)}::`;
+            for (const [key, conversation] of conversations.entries()) {
+                if (key.startsWith(prefix) && conversation.threadMessageIds?.includes(quotedId)) {
+                    return conversation.thread;
+                }
+            }
+        }
+        const topic = message.body.replace(/^#!?\s*/, '').slice(0, 30);
+        return { id: message.id.id || message.id._serialized, label: `${userName}: ${topic}` };
+    }
+
+    logger.warn(`Unknown conversation threading mode "${mode}", using one conversation per group`);
+    return null;
+}
+
+/**
+ * Remember messages of a thread so replies to them continue it (replyChain mode)
+ * @param {string} conversationKey - Conversation key (see getConversationKey)
+ * @param {Array<Object|null>} messages - Question, answer, ... (nulls are skipped)
+ */
+function trackThreadMessages(conversationKey, messages) {
+    const conversation = conversations.get(conversationKey);
+    if (!conversation?.thread) return;
+
+    const maxTracked = CHAT_CONFIG?.conversation?.threading?.maxTrackedMessages || 50;
+    const ids = messages.map(message => message?.id?._serialized).filter(Boolean);
+    conversation.threadMessageIds = [...(conversation.threadMessageIds || []), ...ids].slice(-maxTracked);
+    scheduleSave();
+}
+
+/**
+ * Whether a message is already part of a conversation's thread (its text is in the history)
+ * @param {string} conversationKey - Conversation key (see getConversationKey)
+ * @param {Object} message - e.g. the quoted message
+ * @returns {boolean}
+ */
+function isThreadMessage(conversationKey, message) {
+    const ids = conversations.get(conversationKey)?.threadMessageIds || [];
+    return ids.includes(message?.id?._serialized);
+}
+
 /**
  * Determine the model to use based on total context messages count
  * @param {number} contextMessageCount - Total context messages provided to the conversation
@@ -86,15 +258,42 @@ function selectModel(contextMessageCount, config) {
     return defaultModel;
 }
 
+/**
+ * Saved memories as a prompt section (CONTEXT_PROMPTS.memories)
+ * @param {Object} config - Configuration object
+ * @param {Object[]} memories - From memoryStore.findRelevant
+ * @returns {string} Prompt section, empty without memories
+ */
+function formatMemories(config, memories) {
+    const template = config.COMMANDS?.CHAT?.contextPrompts?.memories;
+    if (!template || memories.length === 0) return '';
+    const lines = memories.map(
+        memory => `- ${memory.userId ? `(sobre ${memory.userName || 'quem pergunta'}) ` : ''}${memory.text}`
+    );
+    return template.replace('{memories}', lines.join('\n'));
+}
+
+/**
+ * Memories relevant to a question, or none when memory is disabled
+ * @param {string} conversationGroupName - Conversation group name (memories are kept per chat)
+ * @param {Object|null} memoryQuery - { question, userId } of the message being answered
+ * @returns {Object[]}
+ */
+function findRelevantMemories(conversationGroupName, memoryQuery) {
+    if (!memoryQuery?.question || CHAT_CONFIG?.memory?.enabled === false) return [];
+    return memoryStore.findRelevant(conversationGroupName, memoryQuery.userId || null, memoryQuery.question);
+}
+
 /**
  * Get system prompt for the conversation
  * @param {Object} config - Configuration object
  * @param {string} groupName - Group name
  * @param {string} promptType - Type of prompt (initial, withContext, humor)
  * @param {Object} conversation - Conversation object (optional, for image memory)
+ * @param {Object[]} memories - Saved memories relevant to the question (see findRelevantMemories)
  * @returns {string} System prompt string
  */
-function getSystemPrompt(config, groupName, promptType = 'initial', conversation = null) {
+function getSystemPrompt(config, groupName, promptType = 'initial', conversation = null, memories = []) {
     const chatConfig = config.COMMANDS?.CHAT || {};
     const basePrompt = chatConfig.systemPrompts?.[promptType] || chatConfig.systemPrompts?.initial || '';
     
@@ -110,6 +309,11 @@ function getSystemPrompt(config, groupName, promptType = 'initial', conversation
     }
     
     // Image generation removed - ChatGPT now only supports vision analysis
+
+    const memorySection = formatMemories(config, memories);
+    if (memorySection) {
+        finalPrompt = `${finalPrompt}\n\n${memorySection}`;
+    }
     
     return finalPrompt;
 }
@@ -120,12 +324,16 @@ function getSystemPrompt(config, groupName, promptType = 'initial', conversation
  * @param {string} adminNumber - Admin number
  * @param {Object} config - Configuration object
  * @param {string} promptType - Type of prompt for system message
+ * @param {Object|null} thread - Thread within the chat (see resolveThread)
+ * @param {Object|null} memoryQuery - { question, userId }: saved memories relevant to it are
+ *   added to the system prompt, or as a system message to an ongoing conversation
  * @returns {Object} Conversation object
  */
-async function initializeConversation(groupName, adminNumber, config, promptType = 'initial') {
+async function initializeConversation(groupName, adminNumber, config, promptType = 'initial', thread = null, memoryQuery = null) {
     const conversationGroupName = getConversationGroupName(groupName, adminNumber);
+    const conversationKey = getConversationKey(groupName, adminNumber, thread);
     
-    if (!conversations.has(conversationGroupName)) {
+    if (!conversations.has(conversationKey)) {
         // Get initial history settings from config
         const historyConfig = config.COMMANDS?.CHAT?.conversation?.initialHistory || { enabled: false, messageCount: 0 };
         
@@ -134,12 +342,19 @@ async function initializeConversation(groupName, adminNumber, config, promptType
             initialHistory = await fetchInitialHistory(groupName, historyConfig.messageCount);
         }
 
-        const systemPrompt = getSystemPrompt(config, conversationGroupName, promptType, null); // null for new conversations
+        const memories = findRelevantMemories(conversationGroupName, memoryQuery);
+        const systemPrompt = getSystemPrompt(config, conversationGroupName, promptType, null, memories); // null for new conversations
         
         let finalSystemPrompt = systemPrompt;
 
+        // Members' threads are separate; the note says so and where the rest of the group is
+        const threadNote = config.COMMANDS?.CHAT?.contextPrompts?.threadNote;
+        if (thread && threadNote) {
+            finalSystemPrompt = `${finalSystemPrompt}\n\n${threadNote.replace('{label}', thread.label)}`;
+        }
+
         if (initialHistory) {
-            finalSystemPrompt = `${systemPrompt}
+            finalSystemPrompt = `${finalSystemPrompt}
 
 ---
 
@@ -149,28 +364,46 @@ HISTÓRICO RECENTE DO CHAT:
 ${initialHistory}`;
         }
         
-        conversations.set(conversationGroupName, {
+        conversations.set(conversationKey, {
             messages: [
                 { role: 'system', content: finalSystemPrompt }
             ],
             messageCount: 0,
             totalContextMessages: 0, // Track total context messages provided
+            contextRequests: 0, // Context requests (REQUEST_CONTEXT) answered so far
             lastActivity: new Date(),
             model: selectModel(0, config), // Start with 0 context messages
 // Image generation removed - ChatGPT now only supports vision analysis
+            groupName: conversationGroupName,
+            thread,
+            threadMessageIds: [],
+            memoryIds: memories.map(memory => memory.id),
         });
         
-        logger.debug(`Initialized new conversation for ${conversationGroupName}`, {
+        logger.debug(`Initialized new conversation for ${conversationKey}`, {
             promptType,
             systemPromptLength: finalSystemPrompt.length,
             withInitialHistory: !!initialHistory,
         });
     } else {
+        const conversation = conversations.get(conversationKey);
         // Update last activity
-        conversations.get(conversationGroupName).lastActivity = new Date();
+        conversation.lastActivity = new Date();
+
+        // Memories the conversation hasn't seen yet, for the new question
+        const injected = new Set(conversation.memoryIds || []);
+        const newMemories = findRelevantMemories(conversationGroupName, memoryQuery).filter(
+            memory => !injected.has(memory.id)
+        );
+        if (newMemories.length > 0) {
+            conversation.messages.push({ role: 'system', content: formatMemories(config, newMemories) });
+            conversation.memoryIds = [...injected, ...newMemories.map(memory => memory.id)];
+            logger.debug(`Added ${newMemories.length} memories to conversation ${conversationKey}`);
+        }
     }
 
-    return conversations.get(conversationGroupName);
+    scheduleSave();
+    return conversations.get(conversationKey);
 }
 
 /**
@@ -180,10 +413,11 @@ ${initialHistory}`;
  * @param {string} userName - User name
  * @param {string} userMessage - User message (already formatted)
  * @param {Object} config - Configuration object
+ * @param {Object|null} thread - Thread within the chat (see resolveThread)
  * @returns {Object} Conversation object
  */
-async function addUserMessage(groupName, adminNumber, userName, userMessage, config) {
-    const conversation = await initializeConversation(groupName, adminNumber, config);
+async function addUserMessage(groupName, adminNumber, userName, userMessage, config, thread = null) {
+    const conversation = await initializeConversation(groupName, adminNumber, config, 'initial', thread);
     
     // The userMessage is already formatted by formatUserMessage, so use it directly
     conversation.messages.push({
@@ -196,9 +430,10 @@ async function addUserMessage(groupName, adminNumber, userName, userMessage, con
     
     // Update model based on total context messages provided (not conversation message count)
     conversation.model = selectModel(conversation.totalContextMessages, config);
+    scheduleSave();
     
     logger.debug(`Added user message to conversation`, {
-        groupName: getConversationGroupName(groupName, adminNumber),
+        groupName: getConversationKey(groupName, adminNumber, thread),
         messageCount: conversation.messageCount,
         totalMessages: conversation.messages.length,
         totalContextMessages: conversation.totalContextMessages,
@@ -216,10 +451,11 @@ async function addUserMessage(groupName, adminNumber, userName, userMessage, con
  * @param {string} userMessage - User's message
  * @param {Array} imageContent - Array of image content objects
  * @param {Object} config - Configuration object
+ * @param {Object|null} thread - Thread within the chat (see resolveThread)
  * @returns {Object} Conversation object
  */
-async function addUserMessageWithImages(groupName, adminNumber, userName, userMessage, imageContent, config) {
-    const conversation = await initializeConversation(groupName, adminNumber, config);
+async function addUserMessageWithImages(groupName, adminNumber, userName, userMessage, imageContent, config, thread = null) {
+    const conversation = await initializeConversation(groupName, adminNumber, config, 'initial', thread);
     
     // For gpt-5 models, use the correct content type format
     const messageContent = [
@@ -240,6 +476,7 @@ async function addUserMessageWithImages(groupName, adminNumber, userName, userMe
     
     // Update model based on total context messages provided (not conversation message count)
     conversation.model = selectModel(conversation.totalContextMessages, config);
+    scheduleSave();
     
     logger.debug('Added user message with images to conversation', {
         groupName,
@@ -261,10 +498,11 @@ async function addUserMessageWithImages(groupName, adminNumber, userName, userMe
  * @param {Object} config - Configuration object
  * @param {string} originalQuestion - Original user question to reiterate
  * @param {boolean} isAutoInjected - Whether this context was automatically injected
+ * @param {Object|null} thread - Thread within the chat (see resolveThread)
  * @returns {Object} Conversation object
  */
-function addContextToConversation(groupName, adminNumber, context, config, originalQuestion = null, isAutoInjected = false) {
-    const conversationGroupName = getConversationGroupName(groupName, adminNumber);
+function addContextToConversation(groupName, adminNumber, context, config, originalQuestion = null, isAutoInjected = false, thread = null) {
+    const conversationGroupName = getConversationKey(groupName, adminNumber, thread);
     const conversation = conversations.get(conversationGroupName);
     
     if (!conversation) {
@@ -304,6 +542,9 @@ ${context}`;
             line.includes('] >>') || line.includes('] <<')
         ).length;
         conversation.totalContextMessages += contextMessageCount;
+        if (!isAutoInjected) {
+            conversation.contextRequests = (conversation.contextRequests || 0) + 1;
+        }
         
         // Update model selection based on total context messages
         conversation.model = selectModel(conversation.totalContextMessages, config);
@@ -320,6 +561,7 @@ ${context}`;
     }
     
     conversation.lastActivity = new Date();
+    scheduleSave();
     return conversation;
 }
 
@@ -342,6 +584,7 @@ function addRawMessageToConversation(conversationGroupName, message, config) {
     
     // Update model selection based on total context messages (not conversation messages)
     conversation.model = selectModel(conversation.totalContextMessages, config);
+    scheduleSave();
     
     logger.debug(`Added raw message to conversation`, {
         groupName: conversationGroupName,
@@ -360,10 +603,12 @@ function addRawMessageToConversation(conversationGroupName, message, config) {
  * @param {string} groupName - Group name
  * @param {string} adminNumber - Admin number
  * @param {Object} config - Configuration object
+ * @param {Function|null} onText - Called with the reply so far as it streams (not for web search)
+ * @param {Object|null} thread - Thread within the chat (see resolveThread)
  * @returns {Promise<Object>} AI response object
  */
-async function getAIResponse(groupName, adminNumber, config) {
-    const conversationGroupName = getConversationGroupName(groupName, adminNumber);
+async function getAIResponse(groupName, adminNumber, config, onText = null, thread = null) {
+    const conversationGroupName = getConversationKey(groupName, adminNumber, thread);
     const conversation = conversations.get(conversationGroupName);
     
     if (!conversation) {
@@ -386,6 +631,7 @@ async function getAIResponse(groupName, adminNumber, config) {
                 const assistantMsg = await runResponsesWithWebSearch(conversation.messages, {
                     temperature: 1,
                     model: conversation.model,
+                    onText,
                 });
                 return assistantMsg;
             } catch (e) {
@@ -398,7 +644,8 @@ async function getAIResponse(groupName, adminNumber, config) {
             conversation.messages,
             1, // temperature
             conversation.model,
-            null // promptType
+            null, // promptType
+            { onText }
         );
         
         // Return the full response object
@@ -410,14 +657,77 @@ async function getAIResponse(groupName, adminNumber, config) {
     }
 }
 
+/**
+ * Facts from the model's extraction reply: a JSON array of { fato, sobreAutor }
+ * @param {string} reply
+ * @returns {Array<{fato: string, sobreAutor: boolean}>}
+ */
+function parseExtractedFacts(reply) {
+    const start = (reply || '').indexOf('[');
+    const end = (reply || '').lastIndexOf(']');
+    if (start === -1 || end <= start) return [];
+    try {
+        const facts = JSON.parse(reply.slice(start, end + 1));
+        return Array.isArray(facts)
+            ? facts.filter(fact => typeof fact?.fato === 'string' && fact.fato.trim() && fact.fato.length <= 300)
+            : [];
+    } catch (error) {
+        logger.debug('Memory extraction reply is not valid JSON', { reply });
+        return [];
+    }
+}
+
+/**
+ * Save lasting facts from a question and its answer as automatic memories
+ * (memory.autoExtract in chat.config.js); meant to run after the reply is sent, failures are
+ * only logged
+ * @param {string} groupName - Group name
+ * @param {string} adminNumber - Admin number
+ * @param {Object} config - Configuration object
+ * @param {Object} turn - { userId, userName, question, answer }
+ * @returns {Promise<Object[]>} Memories saved
+ */
+async function extractMemories(groupName, adminNumber, config, { userId, userName, question, answer }) {
+    const memoryConfig = CHAT_CONFIG?.memory || {};
+    const template = config.COMMANDS?.CHAT?.memoryPrompts?.extract;
+    if (memoryConfig.enabled === false || memoryConfig.autoExtract?.enabled === false || !template) return [];
+    if (!question || question.length < (memoryConfig.autoExtract?.minQuestionLength || 0)) return [];
+
+    try {
+        const prompt = template
+            .replace(/\{name\}/g, () => userName)
+            .replace('{question}', () => question)
+            .replace('{answer}', () => answer || '');
+        const reply = await runCompletion(prompt, 1, config?.SYSTEM?.AI_MODELS?.LOW);
+        const chat = getConversationGroupName(groupName, adminNumber);
+
+        return parseExtractedFacts(reply)
+            .map(fact =>
+                memoryStore.add({
+                    chat,
+                    userId: fact.sobreAutor ? userId : null,
+                    userName: fact.sobreAutor ? userName : null,
+                    text: fact.fato,
+                    source: 'auto',
+                })
+            )
+            .filter(Boolean);
+    } catch (error) {
+        logger.error('Error extracting memories from conversation:', error.message);
+        return [];
+    }
+}
+
 /**
  * Reset conversation for a group
  * @param {string} groupName - Group name
  * @param {string} adminNumber - Admin number
+ * @param {Object|null} thread - Thread within the chat (see resolveThread)
  */
-function resetConversation(groupName, adminNumber) {
-    const conversationGroupName = getConversationGroupName(groupName, adminNumber);
+function resetConversation(groupName, adminNumber, thread = null) {
+    const conversationGroupName = getConversationKey(groupName, adminNumber, thread);
     conversations.delete(conversationGroupName);
+    scheduleSave();
     logger.debug(`Conversation reset for group: ${conversationGroupName}`);
 }
 
@@ -427,6 +737,7 @@ function resetConversation(groupName, adminNumber) {
 function resetAllConversations() {
     const conversationCount = conversations.size;
     conversations.clear();
+    scheduleSave();
     logger.info(`All conversations reset. ${conversationCount} conversations cleared.`);
 }
 
@@ -434,10 +745,11 @@ function resetAllConversations() {
  * Get conversation stats
  * @param {string} groupName - Group name
  * @param {string} adminNumber - Admin number
+ * @param {Object|null} thread - Thread within the chat (see resolveThread)
  * @returns {Object} Conversation statistics
  */
-function getConversationStats(groupName, adminNumber) {
-    const conversationGroupName = getConversationGroupName(groupName, adminNumber);
+function getConversationStats(groupName, adminNumber, thread = null) {
+    const conversationGroupName = getConversationKey(groupName, adminNumber, thread);
     const conversation = conversations.get(conversationGroupName);
     
     if (!conversation) {
@@ -445,6 +757,7 @@ function getConversationStats(groupName, adminNumber) {
             exists: false,
             messageCount: 0,
             totalContextMessages: 0,
+            contextRequests: 0,
             model: null,
             lastActivity: null
         };
@@ -454,12 +767,57 @@ function getConversationStats(groupName, adminNumber) {
         exists: true,
         messageCount: conversation.messageCount,
         totalContextMessages: conversation.totalContextMessages,
+        contextRequests: conversation.contextRequests || 0,
         model: conversation.model,
         lastActivity: conversation.lastActivity,
         totalMessages: conversation.messages.length
     };
 }
 
+/**
+ * Saved conversations, most recently active first (for !conversa)
+ * @param {string|null} groupName - Only this group's conversations (threads included)
+ * @returns {Array<{key: string, groupName: string, thread: Object|null, messageCount: number, contextRequests: number, model: string, lastActivity: Date}>}
+ */
+function listConversations(groupName = null) {
+    return [...conversations.entries()]
+        .map(([key, conversation]) => ({
+            key,
+            // Conversations saved before threads existed have no groupName
+            groupName: conversation.groupName || key,
+            thread: conversation.thread || null,
+            messageCount: conversation.messageCount,
+            contextRequests: conversation.contextRequests || 0,
+            model: conversation.model,
+            lastActivity: conversation.lastActivity,
+        }))
+        .filter(entry => !groupName || entry.groupName === groupName)
+        .sort((a, b) => b.lastActivity - a.lastActivity);
+}
+
+/**
+ * A conversation by its key (no admin chat mapping), for inspection
+ * @param {string} conversationKey - Conversation key (see getConversationKey)
+ * @returns {Object|null} Conversation object
+ */
+function getConversation(conversationKey) {
+    return conversations.get(conversationKey) || null;
+}
+
+/**
+ * Delete a conversation by its key (no admin chat mapping)
+ * @param {string} conversationKey - Conversation key (see getConversationKey)
+ * @returns {boolean} Whether it existed
+ */
+function deleteConversation(conversationKey) {
+    const existed = conversations.delete(conversationKey);
+    if (existed) {
+        scheduleSave();
+        logger.debug(`Conversation deleted: ${conversationKey}`);
+    }
+    return existed;
+}
+
 /**
  * Update model selection for a conversation based on total context messages count
  * @param {string} conversationGroupName - Conversation group name (already processed)
@@ -501,6 +859,15 @@ module.exports = {
     resetConversation,
     resetAllConversations,
     getConversationStats,
+    listConversations,
+    getConversation,
+    deleteConversation,
+    flushConversations,
     getConversationGroupName,
+    getConversationKey,
+    resolveThread,
+    trackThreadMessages,
+    isThreadMessage,
+    extractMemories,
     selectModel
 }; 
\ No newline at end of file
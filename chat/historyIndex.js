@@ -0,0 +1,345 @@
+// historyIndex.js
+// Local search index of chat messages for context requests that ask for messages about a
+// subject, from an author or in a date range (contextManagement.search in chat.config.js)
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile, removeDataFile } = require('../utils/storageUtils');
+const { runEmbedding } = require('../utils/openaiUtils');
+const { keywords, overlap } = require('./promptUtils');
+
+// One file per chat, so a change rewrites only that chat
+const INDEX_DIR = 'chatHistoryIndex';
+
+function getChatFile(chatName) {
+    // Chat names can hold any character; the file is named by a hash and the name kept inside
+    const hash = crypto.createHash('sha1').update(chatName).digest('hex').slice(0, 16);
+    return `${INDEX_DIR}/${hash}.json`;
+}
+
+function getSearchConfig() {
+    // eslint-disable-next-line global-require
+    return require('./chat.config').contextManagement?.search || {};
+}
+
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+// Vectors are stored as base64 float32, a fraction of the size of JSON number arrays
+function encodeVector(vector) {
+    return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+function decodeVector(encoded) {
+    const buffer = Buffer.from(encoded, 'base64');
+    return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length && i < b.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Messages are indexed per chat name, oldest first, each chat in its own compact JSON file
+ * (data/chatHistoryIndex/<hash of the name>.json), read on first use:
+ *   { name, model, messages: [{ id, timestamp, author, fromMe, body, vector }] }
+ *
+ * Messages enter the index when a search fetches the chat's history, so it keeps messages
+ * older than a single fetch reaches (up to maxIndexedMessages). vector is the embedding of the
+ * body by `model`, or null for short messages and ones not embedded yet; changing the
+ * embedding model drops every vector of the chat and they are embedded again.
+ *
+ * Searches stay quick on a cold index: a search embeds at most maxEmbedPerSearch messages
+ * (newest first) and the rest are embedded in the background, matched by keywords meanwhile.
+ */
+class HistoryIndex {
+    constructor() {
+        this.chats = new Map(); // Chat name → index, loaded from its file
+        this.changed = new Set(); // Chats with changes not written yet
+        this.saveTimer = null;
+        this.exitHook = false;
+        this.embedding = new Set(); // Chats with a background embedding run
+    }
+
+    scheduleSave(chatName) {
+        this.changed.add(chatName);
+        if (!this.exitHook) {
+            this.exitHook = true;
+            process.once('exit', () => this.flush());
+        }
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), getSearchConfig().saveDelayMs ?? 5000);
+        this.saveTimer.unref?.();
+    }
+
+    /**
+     * Write the chats changed since the last write
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        for (const chatName of this.changed) {
+            const { model, messages } = this.chats.get(chatName);
+            writeJsonFile(getChatFile(chatName), { name: chatName, model, messages }, { pretty: false });
+        }
+        this.changed.clear();
+    }
+
+    getChat(chatName) {
+        if (!this.chats.has(chatName)) {
+            const stored = readJsonFile(getChatFile(chatName), null);
+            // A hash shared with another chat reads as an empty index
+            const own = stored?.name === chatName ? stored : {};
+            this.chats.set(chatName, { model: own.model || null, messages: own.messages || [] });
+        }
+        return this.chats.get(chatName);
+    }
+
+    /**
+     * Index the chat's messages newer than the newest indexed one. A cold index reads up to
+     * maxFetch messages; a warm one reads updateFetchSize and widens the read only while every
+     * message in it is new
+     * @param {string} chatName
+     * @param {Object} chat - Transport chat
+     * @param {number} maxFetch - Most messages to read
+     * @returns {Promise<number>} Messages added
+     */
+    async update(chatName, chat, maxFetch) {
+        const indexed = this.getChat(chatName).messages;
+        const newest = indexed.length > 0 ? indexed[indexed.length - 1].timestamp : null;
+        if (newest === null) {
+            return this.addMessages(chatName, await chat.fetchMessages({ limit: maxFetch }));
+        }
+
+        let limit = Math.min(getSearchConfig().updateFetchSize || 50, maxFetch);
+        let fetched = await chat.fetchMessages({ limit });
+        while (
+            fetched.length === limit &&
+            limit < maxFetch &&
+            fetched.every(msg => msg.timestamp * 1000 > newest)
+        ) {
+            limit = Math.min(limit * 4, maxFetch);
+            fetched = await chat.fetchMessages({ limit });
+        }
+        // Same-second messages are kept; addMessages skips the ones already indexed
+        return this.addMessages(chatName, fetched.filter(msg => msg.timestamp * 1000 >= newest));
+    }
+
+    /**
+     * Index the messages of a chat not indexed yet
+     * @param {string} chatName
+     * @param {Object[]} rawMessages - Transport messages (any order)
+     * @returns {Promise<number>} Messages added
+     */
+    async addMessages(chatName, rawMessages) {
+        const chat = this.getChat(chatName);
+        const known = new Set(chat.messages.map(entry => entry.id));
+        const fresh = rawMessages.filter(msg => {
+            const id = msg.id?._serialized;
+            if (!id || !(msg.body || '').trim() || known.has(id)) return false;
+            known.add(id);
+            return true;
+        });
+        if (fresh.length === 0) return 0;
+
+        // One contact lookup per author rather than per message
+        const authorIds = new Map();
+        fresh
+            .filter(msg => !msg.fromMe)
+            .forEach(msg => {
+                const authorId = msg.author || msg.from;
+                if (!authorIds.has(authorId)) authorIds.set(authorId, msg);
+            });
+        const authorNames = new Map();
+        await Promise.all(
+            [...authorIds].map(async ([authorId, msg]) => {
+                try {
+                    const contact = await msg.getContact();
+                    authorNames.set(authorId, contact.name || contact.pushname || contact.number);
+                } catch (error) {
+                    logger.debug(`Could not get the contact of ${authorId}: ${error.message}`);
+                }
+            })
+        );
+
+        const added = fresh.map(msg => {
+            const authorId = msg.author || msg.from;
+            const author = msg.fromMe
+                ? null
+                : authorNames.get(authorId) || msg._data?.notifyName || String(authorId || '').split('@')[0] || null;
+            return {
+                id: msg.id._serialized,
+                timestamp: msg.timestamp * 1000,
+                author,
+                fromMe: !!msg.fromMe,
+                body: msg.body.trim(),
+                vector: null,
+            };
+        });
+
+        const maxIndexedMessages = getSearchConfig().maxIndexedMessages || 5000;
+        chat.messages = [...chat.messages, ...added].sort((a, b) => a.timestamp - b.timestamp).slice(-maxIndexedMessages);
+        this.scheduleSave(chatName);
+        logger.debug(`Indexed ${added.length} messages of ${chatName}`, { total: chat.messages.length });
+        return added.length;
+    }
+
+    /**
+     * Embed a search query and up to maxEmbedPerSearch of the chat's messages that have no
+     * vector yet; the rest are embedded in the background
+     * @param {string} chatName
+     * @param {string} query
+     * @returns {Promise<Float32Array|number[]|null>} Query vector, or null when embedding failed
+     *   (the search then matches keywords only)
+     */
+    async embed(chatName, query) {
+        const chat = this.getChat(chatName);
+
+        let queryVector;
+        try {
+            const { model, embeddings } = await runEmbedding(query);
+            queryVector = embeddings[0];
+            if (chat.model !== model) {
+                if (chat.model) logger.info(`Embedding model of ${chatName} changed to ${model}, embedding its history again`);
+                chat.model = model;
+                chat.messages.forEach(entry => {
+                    entry.vector = null;
+                });
+            }
+        } catch (error) {
+            logger.warn(`Could not embed search for ${chatName}, matching keywords only: ${error.message}`);
+            return null;
+        }
+
+        // A background run already covers the chat's pending messages
+        if (this.embedding.has(chatName)) return queryVector;
+
+        const remaining = await this.embedPending(chatName, getSearchConfig().maxEmbedPerSearch ?? 200);
+        if (remaining > 0) {
+            this.embedding.add(chatName);
+            this.embedPending(chatName)
+                .catch(error => logger.warn(`Background embedding of ${chatName} failed: ${error.message}`))
+                .finally(() => this.embedding.delete(chatName));
+        }
+        return queryVector;
+    }
+
+    /**
+     * Embed the chat's messages without a vector, newest first
+     * @param {string} chatName
+     * @param {number} limit - Most messages to embed
+     * @returns {Promise<number>} Messages still pending (all of them when embedding fails)
+     */
+    async embedPending(chatName, limit = Infinity) {
+        const searchConfig = getSearchConfig();
+        const chat = this.getChat(chatName);
+        const pending = chat.messages
+            .filter(entry => !entry.vector && entry.body.length >= (searchConfig.minEmbedLength ?? 15))
+            .reverse();
+        const toEmbed = pending.slice(0, limit);
+        const batchSize = searchConfig.embedBatchSize || 100;
+
+        let embedded = 0;
+        for (let start = 0; start < toEmbed.length; start += batchSize) {
+            const batch = toEmbed.slice(start, start + batchSize);
+            try {
+                const { model, embeddings } = await runEmbedding(batch.map(entry => entry.body));
+                // A fallback model's vectors can't be compared with the chat's
+                if (model !== chat.model) {
+                    logger.warn(`Embeddings of ${chatName} came from ${model} instead of ${chat.model}, not stored`);
+                    return pending.length - embedded;
+                }
+                batch.forEach((entry, index) => {
+                    entry.vector = encodeVector(embeddings[index]);
+                });
+                embedded += batch.length;
+            } catch (error) {
+                logger.warn(`Could not embed messages of ${chatName}: ${error.message}`);
+                return pending.length - embedded;
+            }
+        }
+        if (embedded > 0) {
+            logger.debug(`Embedded ${embedded} messages of ${chatName}`, { remaining: pending.length - embedded });
+            this.scheduleSave(chatName);
+        }
+        return pending.length - embedded;
+    }
+
+    /**
+     * Find indexed messages
+     * @param {string} chatName
+     * @param {Object} search - { query, author, from, to }; every field optional
+     * @param {Object} options
+     * @param {number} options.limit - Messages to return
+     * @param {Set<string>} options.excludeIds - Messages already given for this question
+     * @param {Float32Array|number[]|null} options.queryVector - See embed()
+     * @returns {Object[]} Index entries, oldest first. With a query, the messages most about it;
+     *   without one, the first messages from `from`, else the latest ones
+     */
+    search(chatName, { query = null, author = null, from = null, to = null }, { limit, excludeIds = new Set(), queryVector = null }) {
+        const searchConfig = getSearchConfig();
+        const authorName = author ? normalizeName(author) : null;
+
+        const candidates = this.getChat(chatName).messages.filter(
+            entry =>
+                !excludeIds.has(entry.id) &&
+                (!authorName || normalizeName(entry.author).includes(authorName)) &&
+                (from === null || entry.timestamp >= from) &&
+                (to === null || entry.timestamp <= to)
+        );
+
+        if (!query) {
+            return from !== null ? candidates.slice(0, limit) : candidates.slice(-limit);
+        }
+
+        const queryWords = keywords(query);
+        const keywordWeight = searchConfig.keywordWeight ?? 0.3;
+        const minScore = searchConfig.minScore ?? 0.25;
+
+        return candidates
+            .map(entry => {
+                const keywordScore = queryWords.size > 0 ? overlap(queryWords, keywords(entry.body)) / queryWords.size : 0;
+                const score =
+                    queryVector && entry.vector
+                        ? (1 - keywordWeight) * cosineSimilarity(queryVector, decodeVector(entry.vector)) +
+                          keywordWeight * keywordScore
+                        : keywordScore;
+                return { entry, score };
+            })
+            .filter(({ score }) => score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ entry }) => entry)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * @param {string|null} chatName - Chat to forget, or null for every chat
+     */
+    clear(chatName = null) {
+        if (chatName) {
+            this.chats.delete(chatName);
+            this.changed.delete(chatName);
+            removeDataFile(getChatFile(chatName));
+        } else {
+            this.chats.clear();
+            this.changed.clear();
+            removeDataFile(INDEX_DIR);
+        }
+    }
+}
+
+module.exports = new HistoryIndex();
@@ -0,0 +1,49 @@
+// memorias.config.js
+// Configuration for the chat assistant's long-term memory commands (#lembrar que, #memorias)
+
+const LEMBRAR_CONFIG = {
+    prefixes: ['#lembrar que'],
+    description:
+        'Pede para o bot lembrar um fato nas próximas conversas do #. Fatos em primeira pessoa ("eu sou...") ficam guardados só para você.',
+    args: [{ name: 'fato', type: 'text', optional: true, description: 'o que lembrar' }],
+    examples: ['#lembrar que o João é vegetariano', '#lembrar que eu trabalho de noite'],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        noText: 'Diga o que lembrar, ex.: #lembrar que o João é vegetariano',
+        duplicate: 'Isso eu já sabia (memória {id}).',
+        disabled: 'A memória do bot está desativada.',
+        error: 'Erro ao salvar a memória.',
+    },
+    useGroupPersonality: false,
+};
+
+const MEMORIAS_CONFIG = {
+    prefixes: ['#memorias', '#memórias'],
+    description:
+        'Lista o que o bot lembra deste grupo e de você. Use #memorias apagar [id] para apagar uma memória ou #memorias limpar para apagar as suas.',
+    args: [
+        { name: 'acao', type: 'enum', values: ['listar', 'apagar', 'limpar'], optional: true },
+        { name: 'id', type: 'number', optional: true, min: 1, description: 'número da memória' },
+    ],
+    examples: ['#memorias', '#memorias apagar 12', '#memorias limpar'],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        noId: 'Informe o número da memória, ex.: #memorias apagar 12',
+        notFound: 'Memória não encontrada.',
+        error: 'Erro ao consultar as memórias.',
+    },
+    useGroupPersonality: false,
+};
+
+module.exports = {
+    LEMBRAR_CONFIG,
+    MEMORIAS_CONFIG,
+};
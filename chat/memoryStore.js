@@ -0,0 +1,192 @@
+// memoryStore.js
+// Long-term memories of the chat assistant per group and per member, saved with #lembrar que,
+// extracted from conversations, listed with #memorias and injected into the system prompt
+
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/storageUtils');
+const { keywords, overlap } = require('./promptUtils');
+
+const STORE_FILE = 'chatMemories.json';
+
+function getMemoryConfig() {
+    // eslint-disable-next-line global-require
+    return require('./chat.config').memory || {};
+}
+
+/**
+ * Memories belong to a chat (the conversation group name, so the admin's DM shares GROUP_LF's):
+ *   { nextId, memories: [{ id, chat, userId, userName, text, source, createdAt, lastUsedAt }] }
+ *
+ * userId is null for memories about the group; otherwise the memory is about that member
+ * and is only used in their questions. source is 'explicit' (#lembrar que) or 'auto'.
+ */
+class MemoryStore {
+    constructor() {
+        this.data = null;
+    }
+
+    load() {
+        if (!this.data) {
+            const stored = readJsonFile(STORE_FILE, {});
+            this.data = { nextId: stored.nextId || 1, memories: stored.memories || [] };
+        }
+        return this.data;
+    }
+
+    save() {
+        writeJsonFile(STORE_FILE, this.load());
+    }
+
+    /**
+     * A memory of the same chat and person with the same keywords, whatever the wording
+     * @returns {Object|null}
+     */
+    findDuplicate(chat, userId, text) {
+        const words = keywords(text);
+        return (
+            this.load().memories.find(memory => {
+                if (memory.chat !== chat || memory.userId !== userId) return false;
+                const existing = keywords(memory.text);
+                return words.size === existing.size && overlap(words, existing) === words.size;
+            }) || null
+        );
+    }
+
+    /**
+     * Save a memory unless the chat already has the same one for the same person
+     * @param {Object} memory - { chat, userId, userName, text, source }
+     * @returns {Object|null} The saved memory, or null for a duplicate
+     */
+    add({ chat, userId = null, userName = null, text, source = 'explicit' }) {
+        const data = this.load();
+        const duplicate = this.findDuplicate(chat, userId, text);
+        if (duplicate) {
+            logger.debug(`Memory not saved, ${chat} already has #${duplicate.id}`, { text });
+            return null;
+        }
+
+        const memory = {
+            id: data.nextId,
+            chat,
+            userId,
+            userName,
+            text: text.trim(),
+            source,
+            createdAt: Date.now(),
+            lastUsedAt: null,
+        };
+        data.nextId += 1;
+        data.memories.push(memory);
+        this.trim(chat);
+        this.save();
+        logger.info(`Memory #${memory.id} saved for ${chat}${userId ? ` (${userName || userId})` : ''} [${source}]`);
+        return memory;
+    }
+
+    /**
+     * Keep a chat within memory.maxPerChat, dropping automatic memories before explicit ones,
+     * least recently used first
+     */
+    trim(chat) {
+        const data = this.load();
+        const maxPerChat = getMemoryConfig().maxPerChat || 200;
+        const chatMemories = data.memories.filter(memory => memory.chat === chat);
+        if (chatMemories.length <= maxPerChat) return;
+
+        const dropOrder = [...chatMemories].sort(
+            (a, b) =>
+                (a.source === 'auto' ? 0 : 1) - (b.source === 'auto' ? 0 : 1) ||
+                (a.lastUsedAt || a.createdAt) - (b.lastUsedAt || b.createdAt)
+        );
+        const dropped = new Set(dropOrder.slice(0, chatMemories.length - maxPerChat).map(memory => memory.id));
+        data.memories = data.memories.filter(memory => !dropped.has(memory.id));
+        logger.debug(`Chat ${chat} over ${maxPerChat} memories, dropped ${dropped.size}`);
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.load().memories.find(memory => memory.id === id) || null;
+    }
+
+    /**
+     * Memories a member sees in a chat: the group's and their own, oldest first
+     * @param {string} chat
+     * @param {string} userId
+     * @returns {Object[]}
+     */
+    list(chat, userId) {
+        return this.load().memories.filter(
+            memory => memory.chat === chat && (memory.userId === null || memory.userId === userId)
+        );
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Object|null} The removed memory
+     */
+    remove(id) {
+        const data = this.load();
+        const memory = this.get(id);
+        if (!memory) return null;
+        data.memories = data.memories.filter(entry => entry.id !== id);
+        this.save();
+        logger.info(`Memory #${id} removed from ${memory.chat}`);
+        return memory;
+    }
+
+    /**
+     * Remove a chat's memories, or only one member's
+     * @param {string} chat
+     * @param {string|null} userId - Only this member's memories; null for all of the chat's
+     * @returns {number} Memories removed
+     */
+    clear(chat, userId = null) {
+        const data = this.load();
+        const before = data.memories.length;
+        data.memories = data.memories.filter(
+            memory => memory.chat !== chat || (userId !== null && memory.userId !== userId)
+        );
+        const removed = before - data.memories.length;
+        if (removed > 0) this.save();
+        return removed;
+    }
+
+    /**
+     * Memories worth giving the model for a question: the asker's own (they describe who is
+     * talking) and the group's that share keywords with the question, best matches first
+     * @param {string} chat
+     * @param {string|null} userId - Asker
+     * @param {string} question
+     * @returns {Object[]} At most memory.maxInjected memories
+     */
+    findRelevant(chat, userId, question) {
+        const maxInjected = getMemoryConfig().maxInjected || 10;
+        const questionWords = keywords(question);
+
+        const scored = this.load()
+            .memories.filter(memory => memory.chat === chat && (memory.userId === null || memory.userId === userId))
+            .map(memory => ({
+                memory,
+                // The asker's own memories always count
+                score: overlap(questionWords, keywords(memory.text)) + (memory.userId !== null ? 1 : 0),
+            }))
+            .filter(entry => entry.score > 0)
+            .sort((a, b) => b.score - a.score || b.memory.createdAt - a.memory.createdAt)
+            .slice(0, maxInjected)
+            .map(entry => entry.memory);
+
+        if (scored.length > 0) {
+            const now = Date.now();
+            scored.forEach(memory => {
+                memory.lastUsedAt = now;
+            });
+            this.save();
+        }
+        return scored;
+    }
+}
+
+module.exports = new MemoryStore();
@@ -4,6 +4,16 @@ const GROUP_PERSONALITIES = require('./personalities.prompt');
 // Get group names from environment variables
 const GROUP_LF = process.env.GROUP_LF;
 
+// Words that say nothing about what a text is about
+const STOPWORDS = new Set(
+    (
+        'que com para por uma uns umas dos das nos nas num numa pelo pela pelos pelas ele ela eles elas ' +
+        'isso isto esse essa este esta aquele aquela seu sua seus suas meu minha meus minhas voce voces ' +
+        'nao sim mais muito muita tem ter foi ser sao era como quando onde qual quais quem porque entao ' +
+        'tambem ainda sobre ate sem mas pra pro the and'
+    ).split(' ')
+);
+
 /**
  * Get the appropriate group name for prompt context
  * @param {string|null} originalGroupName - Original group name
@@ -134,6 +144,36 @@ function getPromptTypeFromPrefix(commandPrefix) {
     return 'initial';
 }
 
+/**
+ * Lowercase words without accents, short words and stopwords, used to match memories and
+ * chat history to questions ("João" matches "joao")
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function keywords(text) {
+    return new Set(
+        String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length >= 3 && !STOPWORDS.has(word))
+    );
+}
+
+/**
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} Words in both sets
+ */
+function overlap(a, b) {
+    let count = 0;
+    for (const word of a) {
+        if (b.has(word)) count += 1;
+    }
+    return count;
+}
+
 /**
  * Legacy compatibility function - get chat prompt (deprecated)
  * @deprecated Use createSystemPrompt instead
@@ -158,6 +198,8 @@ module.exports = {
     formatUserMessage,
     createSystemPrompt,
     getPromptTypeFromPrefix,
+    keywords,
+    overlap,
     // Legacy compatibility (deprecated)
     getChatPrompt,
     getChatPromptWithContext
@@ -4,6 +4,15 @@
 const COMMAND_LIST_CONFIG = {
     prefixes: ['#?'],
     description: 'Mostra esta lista de comandos disponíveis no grupo atual.',
+    args: [
+        {
+            name: 'comando',
+            type: 'word',
+            optional: true,
+            description: 'mostra uso, argumentos, limites e exemplos de um comando',
+        },
+    ],
+    examples: ['#?', '#? resumo', '#? desenho'],
     autoDelete: {
         errorMessages: true,
         commandMessages: true,
@@ -12,6 +21,7 @@ const COMMAND_LIST_CONFIG = {
     errorMessages: {
         error: 'Ocorreu um erro ao listar os comandos.',
         notAllowed: 'Você não tem permissão para usar este comando.',
+        unknownCommand: 'Comando não encontrado. Envie #? para ver a lista de comandos.',
     },
     useGroupPersonality: false,
     marketingMessage:
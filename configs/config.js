@@ -12,13 +12,56 @@ const config = {
   },
   NEWS_MONITOR,
   PERIODIC_SUMMARY,
+  // Reacting to a message with one of these emojis runs the mapped action on it.
+  // `command` entries run that command as the reacting user (permissions apply) with the
+  // reacted message as the quoted input; `input` is appended to the command prefix and
+  // `messageTypes` restricts which messages the reaction applies to.
+  REACTIONS: {
+    '🙏': { action: 'delete' }, // only affects bot messages
+    '📝': { command: 'RESUMOS' },
+    '🔊': { command: 'AUDIO', messageTypes: ['audio', 'ptt'] },
+    '🎨': { command: 'STICKER', messageTypes: ['image'] },
+    '🌐': {
+      command: 'CHAT',
+      input: 'Traduza a mensagem citada para o português. Responda apenas com a tradução.',
+    },
+  },
   SYSTEM: {
     MAX_LOG_MESSAGES: 1000,
     MESSAGE_DELETE_TIMEOUT: 60000,
     ENABLE_STARTUP_CACHE_CLEARING: true,
     MAX_RECONNECT_ATTEMPTS: 5,
     // Streaming is controlled at the system level for uniform behavior across modules
-    STREAMING_ENABLED: false,
+    STREAMING_ENABLED: true,
+    // Replies edited as tokens arrive (createStreamingReply in utils/messageUtils.js)
+    STREAMING: {
+      PLACEHOLDER: '🤖',
+      EDIT_INTERVAL_MS: 1500, // WhatsApp rate-limits fast edits of the same message
+      MIN_CHARS_PER_EDIT: 30,
+      MAX_EDITS: 40,          // intermediate edits per reply; the final text is always written
+      CHUNK_SIZE: 1000,       // message size when editing fails and text is sent in chunks
+    },
+    // WhatsApp formatting of model replies and splitting of long ones (utils/formatUtils.js)
+    REPLY_FORMAT: {
+      MAX_MESSAGE_LENGTH: 3000,     // longer replies are sent in numbered parts
+      PENDING_TTL: 60 * 60 * 1000,  // how long #continua keeps the remaining parts
+    },
+    // Natural language commands (bot mentions, admin DMs)
+    NLP: {
+      // Below this confidence the bot asks which command was meant instead of guessing
+      MIN_CONFIDENCE: 0.6,
+      MAX_CLARIFICATION_OPTIONS: 3,
+      CLARIFICATION_TIMEOUT: 2 * 60 * 1000,
+      // Local keyword matches at least this confident skip the LLM call
+      LOCAL_MIN_CONFIDENCE: 0.7,
+      // The local matcher answers when the LLM takes longer than this
+      LLM_TIMEOUT: 15000,
+    },
+    // Reload *.config.js / *.prompt.js without restarting (also available as !reload)
+    HOT_RELOAD: {
+      WATCH: false,
+      DEBOUNCE_MS: 1000,
+    },
     // Web Search lives under CHAT config; Reasoning stays centralized here.
     REASONING: {
       ENABLED: true,
@@ -35,12 +78,94 @@ const config = {
         DEFAULT: 'gpt-5-nano',
         VOICE: 'whisper-1',
         VISION_DEFAULT: 'gpt-5-nano',
+        IMAGE: 'gpt-5',
+        EMBEDDING: 'text-embedding-3-small',
     },
     AI_MODELS: {
       LOW: 'gpt-5-nano',
       MEDIUM: 'gpt-5-mini',
       HIGH: 'gpt-5',
     },
+    // Models tried, in order, when a tier's model fails or its circuit is open
+    AI_MODEL_FALLBACKS: {
+      HIGH: ['MEDIUM', 'LOW'],
+      MEDIUM: ['LOW'],
+      LOW: [],
+    },
+    // Per provider/model circuit breaker (utils/circuitBreaker.js); the admin is told when one opens and closes
+    CIRCUIT_BREAKER: {
+      FAILURE_THRESHOLD: 5, // consecutive failures (timeouts, 429, 5xx, unknown model) that open it
+      OPEN_MS: 60 * 1000,   // how long an open circuit is skipped before one probe call
+    },
+    // Which backend serves model calls. OpenAI uses the models above as is; other providers map
+    // the tiers (and VISION/VOICE/IMAGE/EMBEDDING) to their own models.
+    AI_PROVIDERS: {
+      DEFAULT: 'openai', // 'openai' | 'local' | 'fake'
+      // Group name → provider, e.g. { GrupoLF: 'local' }
+      GROUPS: {},
+      // OpenAI-compatible server (llama.cpp server, Ollama, LocalAI)
+      LOCAL: {
+        BASE_URL: 'http://127.0.0.1:11434/v1',
+        API_KEY: 'local',
+        TIMEOUT_MS: 120000,
+        MODELS: {
+          LOW: 'llama3.2:3b',
+          MEDIUM: 'llama3.1:8b',
+          HIGH: 'qwen2.5:14b',
+          VISION: 'llava:7b',
+          VOICE: 'whisper',
+          IMAGE: 'sd-turbo',
+          EMBEDDING: 'nomic-embed-text',
+        },
+      },
+      // Deterministic offline replies (local runner --fake-ai, tests)
+      FAKE: {
+        MODELS: {
+          LOW: 'fake-low',
+          MEDIUM: 'fake-medium',
+          HIGH: 'fake-high',
+          VISION: 'fake-vision',
+          VOICE: 'fake-voice',
+          IMAGE: 'fake-image',
+          EMBEDDING: 'fake-embedding',
+        },
+      },
+    },
+    // Cache of model replies for call sites that opt in ({ cache: NAMESPACE } in runCompletion)
+    LLM_CACHE: {
+      ENABLED: true,
+      // How long (ms) each namespace's replies stay valid; 0 disables a namespace
+      TTL: {
+        DEFAULT: 24 * 60 * 60 * 1000,
+        NEWS_EVALUATION: 12 * 60 * 60 * 1000,
+        NEWS_SUMMARY: 24 * 60 * 60 * 1000,
+        LINK_SUMMARY: 24 * 60 * 60 * 1000,
+        TRANSLATION: 7 * 24 * 60 * 60 * 1000,
+      },
+      MAX_ENTRIES: 2000,
+      MAX_SIZE_MB: 20,
+      SAVE_DELAY_MS: 5000,
+    },
+    // Estimated OpenAI spending, from the usage each response reports (see !custos)
+    OPENAI_COSTS: {
+      // USD per 1M tokens; transcription models in USD per minute of audio
+      PRICES: {
+        'gpt-5': { input: 1.25, cachedInput: 0.125, output: 10 },
+        'gpt-5-mini': { input: 0.25, cachedInput: 0.025, output: 2 },
+        'gpt-5-nano': { input: 0.05, cachedInput: 0.005, output: 0.4 },
+        // Image input tokens dominate edits, so they set the input price
+        'gpt-image-1': { input: 10, cachedInput: 2.5, output: 40 },
+        'whisper-1': { perMinute: 0.006 },
+        'text-embedding-3-small': { input: 0.02, output: 0 },
+      },
+      // Monthly limits in USD (null = no limit); "!custos orcamento" overrides them at runtime
+      BUDGETS: {
+        GLOBAL: null,
+        GROUPS: {},
+      },
+      // Share of a budget after which HIGH tier calls use MEDIUM; past 100% HIGH and MEDIUM use LOW
+      DOWNGRADE_AT: 0.8,
+    },
     ADMIN_NOTIFICATION_CHAT: CREDENTIALS.ADMIN_WHATSAPP_ID,
     PRESERVED_FILES_ON_UPDATE: ['configs/config.js', 'commands/periodicSummary.js'],
   },
@@ -3,6 +3,7 @@
 
 const config = require('./config');
 const logger = require('../utils/logger');
+const permissionStore = require('../core/permissionStore');
 
 // Get group names from environment variables
 const GROUP_LF = process.env.GROUP_LF;
@@ -11,6 +12,8 @@ const PHONE_DS1 = process.env.PHONE_DS1;
 const PHONE_DS2 = process.env.PHONE_DS2;
 
 // Command-specific whitelists
+// These are seed defaults: runtime grants, revokes and roles from core/permissionStore
+// (managed with !grant, !revoke and !role) are checked first
 const COMMAND_WHITELIST = {
     // Chat command whitelist
     CHAT: [GROUP_LF, `dm.${GROUP_LF}`, GROUP_AG],
@@ -30,9 +33,24 @@ const COMMAND_WHITELIST = {
     // Desenho edit command whitelist
     DESENHO_EDIT: [GROUP_LF, `dm.${GROUP_LF}`, GROUP_AG],
 
+    // Scheduling commands whitelist
+    AGENDAR: [GROUP_LF, `dm.${GROUP_LF}`, GROUP_AG],
+    AGENDAMENTOS: [GROUP_LF, `dm.${GROUP_LF}`, GROUP_AG],
+
+    // Reminder commands whitelist
+    LEMBRETE: [GROUP_LF, `dm.${GROUP_LF}`, GROUP_AG],
+    LEMBRETES: [GROUP_LF, `dm.${GROUP_LF}`, GROUP_AG],
+
+    // Chat memory commands whitelist (same chats as the # assistant that uses them)
+    LEMBRAR: [GROUP_LF, `dm.${GROUP_LF}`, GROUP_AG],
+    MEMORIAS: [GROUP_LF, `dm.${GROUP_LF}`, GROUP_AG],
+
     // Command list whitelist
     COMMAND_LIST: 'all',
 
+    // Remaining parts of long replies (only exist where a replying command was used)
+    CONTINUA: 'all',
+
     // Audio command whitelist
     AUDIO: [GROUP_LF, GROUP_AG],
 
@@ -51,6 +69,17 @@ const COMMAND_WHITELIST = {
     CACHE_CLEAR: [],
     CACHE_RESET: [],
     NEWS_DEBUG: [],
+    GRANT: [],
+    REVOKE: [],
+    PERMS: [],
+    ROLE: [],
+    STICKER_BINDINGS: [],
+    PLUGINS: [],
+    RELOAD: [],
+    AUDIT: [],
+    STATS: [],
+    CUSTOS: [],
+    CONVERSA: [],
 };
 
 // List of admin-only commands
@@ -63,6 +92,17 @@ const ADMIN_ONLY_COMMANDS = [
     'CACHE_CLEAR',
     'CACHE_RESET',
     'NEWS_DEBUG',
+    'GRANT',
+    'REVOKE',
+    'PERMS',
+    'ROLE',
+    'STICKER_BINDINGS',
+    'PLUGINS',
+    'RELOAD',
+    'AUDIT',
+    'STATS',
+    'CUSTOS',
+    'CONVERSA',
 ];
 
 /**
@@ -141,6 +181,19 @@ async function hasPermission(commandName, chatId, userId) {
         return true;
     }
 
+    // Runtime roles, grants and revokes take precedence over the seeds below
+    const storeDecision = permissionStore.resolvePermission(commandName, chatId, userId, {
+        adminOnly: ADMIN_ONLY_COMMANDS.includes(commandName),
+    });
+    if (storeDecision !== null) {
+        if (logger) {
+            logger.debug(`Permission store decided ${commandName} for ${userId} in ${chatId}`, {
+                allowed: storeDecision,
+            });
+        }
+        return storeDecision;
+    }
+
     // Special case for test group - allow all commands for testing
     if (chatId === GROUP_AG) {
         return true;
@@ -2,6 +2,10 @@ const config = require('../configs/config');
 const logger = require('../utils/logger');
 const nlpProcessor = require('./nlpProcessor');
 const whitelist = require('../configs/whitelist');
+const transport = require('./transport/transport');
+const permissionStore = require('./permissionStore');
+const pipeline = require('./middleware/pipeline');
+const { registerBuiltinMiddleware } = require('./middleware/builtins');
 const { generateCommandPrefixMap } = require('./commandDiscovery');
 
 class CommandManager {
@@ -9,6 +13,17 @@ class CommandManager {
         this.commandHandlers = new Map();
         this.messageQueue = [];
         this.setupAutoDelete();
+        registerBuiltinMiddleware(pipeline, this);
+    }
+
+    /**
+     * Register a middleware around every command dispatch (see middleware/pipeline.js)
+     * @param {string} name - Unique middleware name
+     * @param {Function} fn - async (ctx, next) => {}
+     * @param {Object} options - { order, commands }
+     */
+    use(name, fn, options) {
+        pipeline.use(name, fn, options);
     }
 
     // Register a command handler
@@ -64,8 +79,11 @@ class CommandManager {
                         getContact: async () => ({ id: { _serialized: 'unknown' } }),
                     };
 
-                    // Process with NLP, passing the chat object if available
-                    const nlpResult = await nlpProcessor.processNaturalLanguage(nlpMessageObj, chat);
+                    // Process with NLP, passing the chat object if available (the synthetic
+                    // message can't be replied to, so take the best guess instead of asking)
+                    const nlpResult = await nlpProcessor.processNaturalLanguage(nlpMessageObj, chat, {
+                        allowClarification: false,
+                    });
 
                     if (nlpResult && nlpResult.startsWith('#')) {
                         // Handle whitespace after # prefix
@@ -335,6 +353,11 @@ class CommandManager {
         return true;
     }
 
+    // Check if a user has the admin role (main admin number or granted via !role)
+    isAdminUser(userId) {
+        return permissionStore.getRole(userId) === 'admin';
+    }
+
     // Check if command is allowed in chat
     async isCommandAllowedInChat(command, chatId, userId = null) {
         const commandName = command.name;
@@ -351,10 +374,7 @@ class CommandManager {
         });
 
         // Check if user is admin (direct check)
-        const adminNumber = config.CREDENTIALS.ADMIN_NUMBER;
-        const isAdmin = userId === `${adminNumber}@c.us` || userId === adminNumber;
-
-        if (isAdmin) {
+        if (this.isAdminUser(userId)) {
             logger.debug(
                 `Admin access granted for command ${commandName} to User (${userPhone}) ${locationStr}`
             );
@@ -365,14 +385,15 @@ class CommandManager {
         let chatName = chatId;
         if (chatId.endsWith('@g.us')) {
             try {
-                const chat = await global.client.getChatById(chatId);
+                const chat = await transport.getChatById(chatId);
                 chatName = chat.name;
             } catch (error) {
                 logger.error('Error getting chat name:', error);
             }
         }
 
-        // Use the whitelist's hasPermission function
+        // Use the whitelist's hasPermission function, which consults the persisted
+        // permission store (roles, !grant/!revoke) before the seed whitelist
         const isAllowed = await whitelist.hasPermission(commandName, chatName, userId);
 
         // Debug log only (removed warning logs to avoid duplication)
@@ -411,14 +432,9 @@ class CommandManager {
             ) {
                 const { message } = this.messageQueue.shift();
                 try {
-                    const chat = await message.getChat();
-                    const messages = await chat.fetchMessages({ limit: 50 });
-                    const messageToDelete = messages.find(
-                        msg => msg.id._serialized === message.id._serialized
-                    );
-                    if (messageToDelete) {
-                        await messageToDelete.delete(true);
-                        logger.debug(`Deleted message:`, messageToDelete.body);
+                    const deleted = await transport.deleteMessage(message);
+                    if (deleted) {
+                        logger.debug(`Deleted message:`, message.body);
                     }
                 } catch (error) {
                     logger.error(`Failed to delete message:`, error);
@@ -487,64 +503,6 @@ class CommandManager {
                 return false;
             }
 
-            // Check if command is allowed in this chat for this user
-            const isAllowed = await this.isCommandAllowedInChat(command, chatId, userId);
-            if (!isAllowed) {
-                const { isBot, isDM, isAdmin, isOwner, isUser } = isAllowed;
-
-                logger.warn(`Command ${command.name} blocked due to permissions`, {
-                    command: command.name,
-                    isBot,
-                    isDM,
-                    isAdmin,
-                    isOwner,
-                    isUser,
-                });
-
-                if (isBot && command.errorMessages?.bot) {
-                    await message.reply(command.errorMessages.bot);
-                } else if (!isDM && command.errorMessages?.group) {
-                    await message.reply(command.errorMessages.group);
-                } else if (!isAdmin && command.errorMessages?.admin) {
-                    await message.reply(command.errorMessages.admin);
-                } else if (!isOwner && command.errorMessages?.owner) {
-                    await message.reply(command.errorMessages.owner);
-                } else if (!isUser && command.errorMessages?.user) {
-                    await message.reply(command.errorMessages.user);
-                } else if (command.errorMessages?.permission) {
-                    await message.reply(command.errorMessages.permission);
-                }
-
-                return false;
-            }
-
-            const userPhone = userId.endsWith('@c.us') ? userId.split('@')[0] : userId;
-            const userName = contact.pushname || contact.name || userPhone;
-            const userIdentifier = `${userName} (${userPhone})`;
-            // Location format: "in DM" or "in Group Name"
-            const locationStr = chat.isGroup ? `in ${chat.name}` : 'in DM';
-
-            let logMessage;
-            if (message.hasMedia) {
-                logMessage = `Executing command: ${command.name} by ${userIdentifier} ${locationStr} with media attachment`;
-            } else if (message.hasQuotedMsg) {
-                logMessage = `Executing command: ${command.name} by ${userIdentifier} ${locationStr} with quoted message`;
-            } else if (input && input.length > 0) {
-                logMessage = `Executing command: ${command.name} by ${userIdentifier} ${locationStr} with input: ${input}`;
-            } else {
-                logMessage = `Executing command: ${command.name} by ${userIdentifier} ${locationStr}`;
-            }
-
-            logger.info(logMessage);
-
-            logger.debug('Processing command', {
-                command: command.name,
-                input: input,
-                chatId: message.chat?.id?._serialized,
-                hasQuoted: message.hasQuotedMsg,
-                hasMedia: message.hasMedia,
-            });
-
             // Validate the command
             if (!this.validateCommand(command.name, command)) {
                 logger.warn(`Invalid command configuration for ${command.name}`);
@@ -558,25 +516,14 @@ class CommandManager {
                 return false;
             }
 
-            try {
-                // Execute the command with the final input
-                await handler(message, command, input);
-                return true;
-            } catch (error) {
-                // Format user identifier consistently
-                const userPhone = userId.endsWith('@c.us') ? userId.split('@')[0] : userId;
-                // Format location consistently
-                const locationStr = chat.isGroup ? `in ${chat.name}` : 'in DM';
-
-                logger.error(
-                    `Error executing command ${command.name} by ${userPhone} ${locationStr}:`,
-                    error
-                );
-                if (command.errorMessages?.error) {
-                    await message.reply(command.errorMessages.error);
-                }
-                return false;
-            }
+            // Auth, argument validation, rate limits, typing etc. run as middleware
+            const ctx = pipeline.createContext({ message, chat, contact, command, input, userId, chatId });
+            await pipeline.run(ctx, async () => {
+                // Execute the command with the final input and parsed arguments
+                await handler(ctx.message, command, ctx.input, ctx.args);
+                ctx.outcome = 'success';
+            });
+            return ctx.outcome === 'success';
         } catch (error) {
             logger.error('Error processing command:', error);
             return false;
@@ -1,6 +1,8 @@
 const commandManager = require('./CommandManager');
 const { discoverHandlers } = require('./handlerDiscovery');
 const { discoverCommands } = require('./commandDiscovery');
+const pluginManager = require('./pluginManager');
+const { COMMAND_WHITELIST, ADMIN_ONLY_COMMANDS } = require('../configs/whitelist');
 const logger = require('../utils/logger');
 
 function validateHandlers(commands, handlers) {
@@ -35,6 +37,23 @@ function validateHandlers(commands, handlers) {
     return allValid;
 }
 
+/**
+ * Load plugins and seed the whitelist with the permissions their manifests declare.
+ * Entries already present in configs/whitelist.js win over the manifest.
+ */
+function loadPlugins(coreCommands) {
+    pluginManager.loadAll(coreCommands);
+
+    for (const [commandName, seed] of Object.entries(pluginManager.getPermissionSeeds())) {
+        if (!(commandName in COMMAND_WHITELIST)) {
+            COMMAND_WHITELIST[commandName] = seed.allowedIn;
+        }
+        if (seed.adminOnly && !ADMIN_ONLY_COMMANDS.includes(commandName)) {
+            ADMIN_ONLY_COMMANDS.push(commandName);
+        }
+    }
+}
+
 // Register all command handlers
 function registerCommands() {
     logger.debug('Registering command handlers...');
@@ -42,12 +61,19 @@ function registerCommands() {
     const handlers = discoverHandlers();
     const commands = discoverCommands();
 
-    validateHandlers(commands, handlers);
+    // On a reload the discovered commands already include the loaded plugins
+    validateHandlers(commands, { ...handlers, ...pluginManager.getHandlers() });
 
     for (const [commandName, handler] of Object.entries(handlers)) {
         commandManager.registerHandler(commandName, handler);
     }
 
+    // Plugins are validated by pluginManager; a broken one is skipped, never fatal
+    loadPlugins(commands);
+    for (const [commandName, handler] of Object.entries(pluginManager.getHandlers())) {
+        commandManager.registerHandler(commandName, handler);
+    }
+
     logger.debug('Command handlers registered successfully');
 }
 
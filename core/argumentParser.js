@@ -0,0 +1,355 @@
+// argumentParser.js
+// Declarative argument schemas for command configs: parsing, validation and usage text
+
+const { findDurationUnit, parseSchedule } = require('../utils/timeUtils');
+
+/**
+ * Schema declared in a command config:
+ *
+ *   args: [
+ *       { name: 'periodo', type: ['duration', 'number'], optional: true, min: 1, max: 1000,
+ *         description: 'hoje, ontem, "2 horas" ou número de mensagens' },
+ *       { name: 'descricao', type: 'text', errorKey: 'noPrompt' },
+ *   ],
+ *   media: { required: true, from: ['attached', 'quoted'], types: ['image'] },
+ *   examples: ['#resumo 2 horas'],
+ *
+ * Types:
+ *   number   - integer, optional min/max
+ *   duration - hoje/hj, ontem, "N minutos|horas|dias" (abbreviations accepted)
+ *   schedule - when to run: "18h", "amanhã 9h", "toda segunda 9h", "em 2 horas", "a cada 30 min"
+ *   enum     - one of `values` (case insensitive)
+ *   mention  - @mention or phone number, resolved to a serialized user ID
+ *   word     - a single token
+ *   text     - all remaining input as typed, line breaks included (must be the last argument)
+ *
+ * `errorKey` points to an entry of the command's errorMessages used instead of the
+ * generic message when that argument is missing or invalid.
+ */
+
+const TYPE_LABELS = {
+    number: 'número',
+    duration: 'duração',
+    schedule: 'data/hora',
+    enum: 'opção',
+    mention: 'menção ou número',
+    word: 'palavra',
+    text: 'texto',
+};
+
+const MEDIA_LABELS = {
+    image: 'imagem',
+    sticker: 'figurinha',
+    audio: 'áudio',
+    ptt: 'áudio',
+    video: 'vídeo',
+    document: 'documento',
+};
+
+/**
+ * Parse a duration relative to now
+ * @param {string} text - e.g. "hoje", "ontem", "2 horas", "30min", "últimos 3 dias"
+ * @param {number} now - Reference timestamp (ms)
+ * @returns {{startTime: number, ms: number, amount?: number, unit?: string, description: string}|null}
+ */
+function parseDuration(text, now = Date.now()) {
+    const normalized = (text || '').toLowerCase().trim();
+
+    if (normalized === 'hoje' || normalized === 'hj') {
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+        return { startTime: today.getTime(), ms: now - today.getTime(), description: 'hoje' };
+    }
+
+    if (normalized === 'ontem') {
+        const yesterday = new Date(now);
+        yesterday.setDate(yesterday.getDate() - 1);
+        yesterday.setHours(0, 0, 0, 0);
+        return { startTime: yesterday.getTime(), ms: now - yesterday.getTime(), description: 'ontem' };
+    }
+
+    const match = normalized.match(/^(?:(?:as\s+)?[uú]ltim[oa]s?\s+)?(\d+)\s*([a-z]+)$/);
+    if (!match) return null;
+
+    const amount = parseInt(match[1], 10);
+    const unit = findDurationUnit(match[2]);
+    if (!unit || amount <= 0) return null;
+
+    // "última hora", "últimos 7 dias"
+    const last = `últim${unit.feminine ? 'a' : 'o'}`;
+    return {
+        startTime: now - amount * unit.ms,
+        ms: amount * unit.ms,
+        amount,
+        unit: unit.plural,
+        description: amount === 1 ? `${last} ${unit.singular}` : `${last}s ${amount} ${unit.plural}`,
+    };
+}
+
+function getTypes(spec) {
+    return Array.isArray(spec.type) ? spec.type : [spec.type || 'word'];
+}
+
+/**
+ * Try to parse the tokens at the start of `tokens` as one type
+ * @returns {{value: *, consumed: number}|{error: string}|null} null when the type does not apply
+ */
+function parseTyped(type, spec, tokens, context) {
+    const token = tokens[0];
+
+    switch (type) {
+        case 'text':
+            return { value: context.rest, consumed: tokens.length };
+
+        case 'word':
+            return { value: token, consumed: 1 };
+
+        case 'number': {
+            if (!/^-?\d+$/.test(token)) return null;
+            const value = parseInt(token, 10);
+            if (spec.min !== undefined && value < spec.min) {
+                return { error: `${spec.name} deve ser no mínimo ${spec.min}` };
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                return { error: `${spec.name} deve ser no máximo ${spec.max}` };
+            }
+            return { value, consumed: 1 };
+        }
+
+        case 'duration': {
+            // Durations may span a few tokens ("últimas 2 horas")
+            for (let length = Math.min(3, tokens.length); length > 0; length--) {
+                const value = parseDuration(tokens.slice(0, length).join(' '), context.now);
+                if (value) return { value, consumed: length };
+            }
+            return null;
+        }
+
+        case 'schedule': {
+            // Longest match first: "toda segunda às 9h" must not stop at "toda segunda"
+            for (let length = Math.min(6, tokens.length); length > 0; length--) {
+                const value = parseSchedule(tokens.slice(0, length).join(' '), context.now);
+                if (value) return { value, consumed: length };
+            }
+            return null;
+        }
+
+        case 'enum': {
+            const match = (spec.values || []).find(value => value.toLowerCase() === token.toLowerCase());
+            return match ? { value: match, consumed: 1 } : null;
+        }
+
+        case 'mention': {
+            if (token.startsWith('@') && context.mentions.length > 0) {
+                return { value: context.mentions.shift(), consumed: 1 };
+            }
+            const digits = token.replace(/^[@+]/, '').replace(/[\s\-()]/g, '');
+            return /^\d{8,15}$/.test(digits) ? { value: `${digits}@c.us`, consumed: 1 } : null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+function describeSpecType(spec) {
+    const types = getTypes(spec);
+    if (types.length === 1 && types[0] === 'enum') {
+        return (spec.values || []).join(' | ');
+    }
+    return types.map(type => TYPE_LABELS[type] || type).join(' ou ');
+}
+
+/**
+ * Build the usage line of a command from its schema
+ * @param {Object} command - Command configuration
+ * @returns {string} e.g. "#resumo [periodo]"
+ */
+function buildUsage(command) {
+    const parts = [command.prefixes?.[0] || command.name];
+    for (const spec of command.args || []) {
+        const label = getTypes(spec).includes('text') ? `${spec.name}...` : spec.name;
+        parts.push(spec.optional ? `[${label}]` : `<${label}>`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Describe the media requirement of a command
+ * @param {Object} command - Command configuration
+ * @returns {string|null} e.g. "imagem anexada ou citada"
+ */
+function describeMediaRequirement(command) {
+    const media = command.media;
+    if (!media?.required) return null;
+
+    const kinds = [...new Set((media.types || []).map(type => MEDIA_LABELS[type] || type))];
+    const sources = (media.from || ['attached', 'quoted']).map(source =>
+        source === 'quoted' ? 'citada' : 'anexada'
+    );
+    return `${kinds.length > 0 ? kinds.join(' ou ') : 'mídia'} ${sources.join(' ou ')}`;
+}
+
+/**
+ * Describe every argument of a command (used by the #? help page)
+ * @param {Object} command - Command configuration
+ * @returns {string[]} One line per argument
+ */
+function describeArguments(command) {
+    return (command.args || []).map(spec => {
+        const details = [describeSpecType(spec)];
+        if (spec.min !== undefined || spec.max !== undefined) {
+            details.push(`${spec.min ?? '…'}–${spec.max ?? '…'}`);
+        }
+        const optional = spec.optional ? ' (opcional)' : '';
+        const description = spec.description ? ` — ${spec.description}` : '';
+        return `• ${spec.name}${optional}: ${details.join(', ')}${description}`;
+    });
+}
+
+async function checkMedia(message, media) {
+    const from = media.from || ['attached', 'quoted'];
+    const types = media.types || [];
+    const matchesType = msg => types.length === 0 || types.includes(msg.type);
+
+    if (from.includes('attached') && message.hasMedia && matchesType(message)) {
+        return true;
+    }
+    if (from.includes('quoted') && message.hasQuotedMsg) {
+        try {
+            const quoted = await message.getQuotedMessage();
+            return !!(quoted?.hasMedia && matchesType(quoted));
+        } catch (error) {
+            return false;
+        }
+    }
+    return false;
+}
+
+/**
+ * Format a validation failure consistently
+ */
+function buildErrorMessage(command, spec, detail) {
+    if (spec?.errorKey && command.errorMessages?.[spec.errorKey]) {
+        return command.errorMessages[spec.errorKey];
+    }
+    const helpPrefix = (command.prefixes?.[0] || command.name).replace(/^[#!]/, '');
+    return `❌ ${detail}\nUso: ${buildUsage(command)}\nDetalhes: #? ${helpPrefix}`;
+}
+
+/**
+ * Parse and validate a command's input against its schema
+ * @param {Object} command - Command configuration (with args/media)
+ * @param {string} input - Raw input after the prefix
+ * @param {Object} message - The message (for mentions and media checks)
+ * @returns {Promise<{valid: true, args: Object}|{valid: false, error: string}>}
+ */
+async function parseArguments(command, input, message) {
+    const specs = command.args || [];
+    const context = { now: Date.now(), mentions: [...(message?.mentionedIds || [])] };
+    const text = (input || '').trim();
+    const tokenMatches = [...text.matchAll(/\S+/g)];
+    let tokens = tokenMatches.map(match => match[0]);
+    // Where each token starts, so a text argument gets the rest of the input as typed
+    let offsets = tokenMatches.map(match => match.index);
+    const args = {};
+
+    for (const spec of specs) {
+        if (tokens.length === 0) {
+            if (!spec.optional) {
+                return { valid: false, error: buildErrorMessage(command, spec, `Falta o argumento ${spec.name}.`) };
+            }
+            if (spec.default !== undefined) args[spec.name] = spec.default;
+            continue;
+        }
+
+        context.rest = text.slice(offsets[0]);
+        let parsed = null;
+        for (const type of getTypes(spec)) {
+            parsed = parseTyped(type, spec, tokens, context);
+            if (parsed) break;
+        }
+
+        if (!parsed) {
+            const detail = `"${tokens[0]}" não é um valor válido para ${spec.name} (${describeSpecType(spec)}).`;
+            return { valid: false, error: buildErrorMessage(command, spec, detail) };
+        }
+        if (parsed.error) {
+            return { valid: false, error: buildErrorMessage(command, spec, `${parsed.error}.`) };
+        }
+
+        args[spec.name] = parsed.value;
+        tokens = tokens.slice(parsed.consumed);
+        offsets = offsets.slice(parsed.consumed);
+    }
+
+    if (tokens.length > 0 && specs.length > 0) {
+        const detail = `Argumentos não reconhecidos: ${tokens.join(' ')}`;
+        return { valid: false, error: buildErrorMessage(command, null, detail) };
+    }
+
+    if (command.media?.required && message && !(await checkMedia(message, command.media))) {
+        const detail = `Este comando precisa de ${describeMediaRequirement(command)}.`;
+        const mediaSpec = command.media.errorKey ? { errorKey: command.media.errorKey } : null;
+        return { valid: false, error: buildErrorMessage(command, mediaSpec, detail) };
+    }
+
+    return { valid: true, args };
+}
+
+/**
+ * Check the args/media declaration of a config (used before hot-reloaded configs go live)
+ * @param {Object} command - Command config
+ * @returns {string[]} Problems found, empty when the schema is valid
+ */
+function validateSchema(command) {
+    if (command.args !== undefined && !Array.isArray(command.args)) {
+        return ['args must be an array'];
+    }
+
+    const problems = [];
+    const specs = command.args || [];
+    specs.forEach((spec, index) => {
+        if (!spec || typeof spec.name !== 'string') {
+            problems.push(`args[${index}] has no name`);
+            return;
+        }
+        const types = getTypes(spec);
+        for (const type of types) {
+            if (!TYPE_LABELS[type]) problems.push(`${spec.name}: unknown type ${type}`);
+        }
+        if (types.includes('enum') && !Array.isArray(spec.values)) {
+            problems.push(`${spec.name}: enum without values`);
+        }
+        if (types.includes('text') && index !== specs.length - 1) {
+            problems.push(`${spec.name}: text must be the last argument`);
+        }
+        if (spec.errorKey && !command.errorMessages?.[spec.errorKey]) {
+            problems.push(`${spec.name}: errorKey ${spec.errorKey} is not in errorMessages`);
+        }
+    });
+
+    for (const type of command.media?.types || []) {
+        if (!MEDIA_LABELS[type]) problems.push(`media: unknown type ${type}`);
+    }
+    return problems;
+}
+
+/**
+ * Whether a command declares any schema at all
+ * @param {Object} command - Command configuration
+ * @returns {boolean}
+ */
+function hasSchema(command) {
+    return Array.isArray(command.args) || !!command.media?.required;
+}
+
+module.exports = {
+    parseArguments,
+    parseDuration,
+    buildUsage,
+    describeArguments,
+    describeMediaRequirement,
+    hasSchema,
+    validateSchema,
+};
@@ -0,0 +1,74 @@
+// auditLog.js
+// Append-only record of every command dispatch (data/audit.jsonl), queried with !audit
+
+const crypto = require('crypto');
+const { appendJsonLine, readJsonLines } = require('../utils/storageUtils');
+
+const STORE_FILE = 'audit.jsonl';
+
+/**
+ * One JSON line per dispatch that reached the middleware pipeline:
+ *   { ts, chatId, chatName, userId, userName, command, inputHash, outcome, latencyMs, models, source }
+ *
+ * The input itself is not stored, only a short SHA-256 so repeated requests can be told
+ * apart without keeping message contents. `chatName` is null in DMs.
+ */
+class AuditLog {
+    hashInput(input) {
+        const text = (input || '').trim();
+        return text ? crypto.createHash('sha256').update(text).digest('hex').slice(0, 16) : null;
+    }
+
+    /**
+     * Append the record of a finished dispatch
+     * @param {Object} ctx - Pipeline context after the chain completed
+     */
+    record(ctx) {
+        appendJsonLine(STORE_FILE, {
+            ts: ctx.startedAt,
+            chatId: ctx.chatId,
+            chatName: ctx.chat.isGroup ? ctx.chat.name : null,
+            userId: ctx.userId,
+            userName: ctx.contact.pushname || ctx.contact.name || null,
+            command: ctx.command.name,
+            inputHash: this.hashInput(ctx.input),
+            outcome: ctx.outcome || 'unknown',
+            latencyMs: ctx.durationMs ?? Date.now() - ctx.startedAt,
+            models: ctx.models || [],
+            source: ctx.originalMessage.source || 'message',
+        });
+    }
+
+    /**
+     * Find records, newest first
+     * @param {Object} filters - Any of { userId, command, chatName, since, until }
+     * @returns {Object[]} Matching records
+     */
+    query({ userId = null, command = null, chatName = null, since = 0, until = Date.now() } = {}) {
+        const groupName = chatName ? chatName.toLowerCase() : null;
+        return readJsonLines(STORE_FILE)
+            .filter(
+                entry =>
+                    entry.ts >= since &&
+                    entry.ts <= until &&
+                    (!userId || entry.userId === userId) &&
+                    (!command || entry.command === command) &&
+                    (!groupName || (entry.chatName || '').toLowerCase() === groupName)
+            )
+            .reverse();
+    }
+
+    /**
+     * Group names seen in the log (used to recognize a group filter)
+     * @returns {string[]} Distinct group names
+     */
+    listGroups() {
+        const groups = new Set();
+        for (const entry of readJsonLines(STORE_FILE)) {
+            if (entry.chatName) groups.add(entry.chatName);
+        }
+        return [...groups];
+    }
+}
+
+module.exports = new AuditLog();
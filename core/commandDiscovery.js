@@ -123,7 +123,7 @@ function discoverCommands() {
     log('DEBUG', 'Scanning for command configurations...');
     
     // Directories to skip during scanning
-    const skipDirs = ['node_modules', '.git', '.wwebjs_cache', 'auth_main', 'auth_test', '.DS_Store'];
+    const skipDirs = ['node_modules', '.git', '.wwebjs_cache', 'auth_main', 'auth_test', '.DS_Store', 'data', 'plugins'];
     
     /**
      * Recursively scan directories for .config.js files
@@ -236,6 +236,15 @@ function discoverCommands() {
             configFailures.push(errorMsg);
         }
         
+        // Commands of enabled plugins (plugins/ is loaded by pluginManager, not scanned here)
+        // eslint-disable-next-line global-require
+        const pluginCommands = require('./pluginManager').getCommandConfigs();
+        for (const [commandName, commandConfig] of Object.entries(pluginCommands)) {
+            if (!commands[commandName]) {
+                commands[commandName] = commandConfig;
+            }
+        }
+        
     } catch (error) {
         log('ERROR', `❌ Error during command discovery: ${error.message}`);
     }
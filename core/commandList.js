@@ -3,8 +3,84 @@ const logger = require('../utils/logger');
 const { handleAutoDelete } = require('../utils/messageUtils');
 const commandManager = require('./CommandManager');
 const whitelist = require('../configs/whitelist');
+const rateLimiter = require('./rateLimiter');
+const { generateCommandPrefixMap } = require('./commandDiscovery');
+const { buildUsage, describeArguments, describeMediaRequirement } = require('./argumentParser');
 
-async function handleCommandList(message, command) {
+/**
+ * Resolve "#? <comando>" to a command name, by prefix ("resumo", "#resumo") or name
+ * @param {string} reference - Text typed after #?
+ * @returns {string|null} Command name or null if unknown
+ */
+function resolveHelpTarget(reference) {
+    const upper = reference.toUpperCase();
+    if (config.COMMANDS[upper]) return upper;
+    return generateCommandPrefixMap()[reference.replace(/^#/, '').toLowerCase()] || null;
+}
+
+/**
+ * Build the detailed help page of a command from its config and argument schema
+ * @param {string} name - Command name
+ * @param {Object} cmd - Command configuration
+ * @returns {string} Help text
+ */
+function buildCommandHelp(name, cmd) {
+    const command = { ...cmd, name };
+    const sections = [`📖 *${cmd.prefixes[0]}*`, cmd.description];
+
+    sections.push(`*Uso:* ${buildUsage(command)}`);
+
+    const argumentLines = describeArguments(command);
+    if (argumentLines.length > 0) {
+        sections.push(`*Argumentos:*\n${argumentLines.join('\n')}`);
+    }
+
+    const media = describeMediaRequirement(command);
+    if (media) {
+        sections.push(`*Requer:* ${media}`);
+    }
+
+    if (cmd.prefixes.length > 1) {
+        sections.push(`*Atalhos:* ${cmd.prefixes.join(', ')}`);
+    }
+
+    const limits = rateLimiter.describeLimits(command);
+    if (limits.length > 0) {
+        sections.push(`*Limites:*\n${limits.map(limit => `• ${limit}`).join('\n')}`);
+    }
+
+    if (cmd.examples && cmd.examples.length > 0) {
+        sections.push(`*Exemplos:*\n${cmd.examples.map(example => `• ${example}`).join('\n')}`);
+    }
+
+    return sections.filter(Boolean).join('\n\n');
+}
+
+async function handleCommandHelp(message, command, reference, chatId, userId) {
+    const name = resolveHelpTarget(reference);
+    const cmd = name ? config.COMMANDS[name] : null;
+
+    if (!cmd || !cmd.prefixes || !cmd.prefixes.length) {
+        const errorMessage = await message.reply(command.errorMessages.unknownCommand);
+        await handleAutoDelete(errorMessage, command, true);
+        return;
+    }
+
+    const allowed =
+        (await whitelist.hasPermission(name, chatId, userId)) &&
+        (await commandManager.isCommandAllowedInChat({ ...cmd, name }, chatId, userId));
+    if (!allowed) {
+        const errorMessage = await message.reply(command.errorMessages.notAllowed);
+        await handleAutoDelete(errorMessage, command, true);
+        return;
+    }
+
+    logger.debug('Sending command help', { command: name });
+    const response = await message.reply(buildCommandHelp(name, cmd));
+    await handleAutoDelete(response, command);
+}
+
+async function handleCommandList(message, command, input = '', args = {}) {
     try {
         logger.debug('Processing command list request');
         const chat = await message.getChat();
@@ -12,6 +88,12 @@ async function handleCommandList(message, command) {
         const userId = contact.id._serialized;
         const chatId = chat.isGroup ? chat.name : message.from;
 
+        // "#? <comando>" shows the detailed help of a single command
+        const reference = (args.comando || input || '').trim();
+        if (reference) {
+            return await handleCommandHelp(message, command, reference, chatId, userId);
+        }
+
         logger.debug('Building command list for chat', {
             chatId,
             userId,
@@ -52,7 +52,12 @@ Instructions:
 5. Other special handling:
    - If the user asks for a list of commands, available commands, or what the bot can do, respond with "#COMMAND_LIST"
 
-Examples:
+6. Rank your interpretations:
+   - Return up to 3 candidate commands, most likely first, each with a confidence between 0 and 1
+   - Use a high confidence (0.8 or more) when the intent is clear; when the message could mean different commands (e.g. a summary of the conversation or a news search), return each of them with a lower confidence
+   - For each candidate add a "label": a very short Portuguese description of what the user would get, starting with an article (e.g. "um resumo da conversa", "uma notícia sobre o jogo", "um desenho de um gato")
+
+Examples (value of the "command" field):
 - User quotes a link and says "resume isso" → "#resumo --quote=123456789"
 - User sends image and says "transforme em sticker" → "#sticker --media=987654321"
 - User: "faça um resumo das últimas 10 mensagens" → "#resumo 10"
@@ -68,9 +73,12 @@ Examples:
 - User: "mencione o time de desenvolvimento" → "@devs"
 - User: "preciso falar com os médicos" → "@medicos"
 
-IMPORTANT: For tag commands, return ONLY the tag name (e.g., "@all", "@admin", "@team1"), nothing else.
+- User: "me atualiza sobre o jogo" → two candidates: "#resumo" (0.5, "um resumo da conversa") and "#news jogo" (0.45, "uma notícia sobre o jogo")
+
+IMPORTANT: For tag commands, the "command" field is ONLY the tag name (e.g., "@all", "@admin", "@team1"), nothing else.
 
-Respond with ONLY the command format, no additional text or explanations.`,
+Respond with ONLY a JSON object in this format, no additional text or explanations:
+{"intents": [{"command": "#resumo 10", "confidence": 0.9, "label": "um resumo das últimas 10 mensagens"}]}`,
 };
 
 module.exports = COMMAND_PROCESSOR; 
\ No newline at end of file
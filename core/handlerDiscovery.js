@@ -29,7 +29,7 @@ function discoverHandlers() {
     logger.debug(' Scanning for command handlers...');
 
     // Directories to skip during scanning
-    const skipDirs = ['node_modules', '.git', 'wwebjs', 'auth_main', 'auth_test', '.DS_Store', 'configs'];
+    const skipDirs = ['node_modules', '.git', 'wwebjs', 'auth_main', 'auth_test', '.DS_Store', 'configs', 'data', 'plugins'];
 
     try {
         const entries = fs.readdirSync(rootDir, { withFileTypes: true });
@@ -93,4 +93,4 @@ function discoverHandlers() {
     return handlers;
 }
 
-module.exports = { discoverHandlers }; 
\ No newline at end of file
+module.exports = { discoverHandlers, handlerNameToCommandName }; 
\ No newline at end of file
@@ -0,0 +1,231 @@
+// hotReload.js
+// Reloads command configs and prompts without restarting (!reload or the file watcher)
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../configs/config');
+const logger = require('../utils/logger');
+const { discoverCommands } = require('./commandDiscovery');
+const { discoverHandlers } = require('./handlerDiscovery');
+const { validateSchema } = require('./argumentParser');
+const pluginManager = require('./pluginManager');
+const intentMatcher = require('./intentMatcher');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const RELOADABLE_FILE = /\.(config|prompt)\.js$/;
+
+function getCommandRegistry() {
+    // Lazy-load to avoid a require cycle (CommandRegistry → CommandManager → handlers)
+    // eslint-disable-next-line global-require
+    return require('./CommandRegistry');
+}
+
+function isReloadable(file) {
+    return (
+        RELOADABLE_FILE.test(file) &&
+        file.startsWith(ROOT_DIR + path.sep) &&
+        !file.includes(`${path.sep}node_modules${path.sep}`) &&
+        // Plugin modules are reloaded by pluginManager
+        !file.startsWith(path.join(ROOT_DIR, 'plugins') + path.sep)
+    );
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Replace the contents of a module's exports object with the fresh version, so modules
+ * that hold a reference to it (e.g. `const CHAT_PROMPTS = require('./chatgpt.prompt')`)
+ * see the new values
+ */
+function patchExports(target, source) {
+    for (const key of Object.keys(target)) {
+        if (!(key in source)) delete target[key];
+    }
+    Object.defineProperties(target, Object.getOwnPropertyDescriptors(source));
+}
+
+/**
+ * Check a candidate command set against the registered handlers
+ * @returns {string[]} Problems found, empty when the configs can go live
+ */
+function validateCommands(commands, handlers) {
+    const problems = [];
+
+    for (const name of Object.keys(handlers)) {
+        if (!commands[name]) problems.push(`${name}: handler has no config`);
+    }
+
+    const prefixOwners = new Map();
+    for (const [name, command] of Object.entries(commands)) {
+        if (!handlers[name]) {
+            problems.push(`${name}: new command has no handler (needs a restart)`);
+        }
+        if (
+            command.prefixes !== undefined &&
+            (!Array.isArray(command.prefixes) ||
+                command.prefixes.some(prefix => typeof prefix !== 'string' || !prefix.trim()))
+        ) {
+            problems.push(`${name}: prefixes must be a list of non-empty strings`);
+            continue;
+        }
+        if (command.errorMessages !== undefined && !isPlainObject(command.errorMessages)) {
+            problems.push(`${name}: errorMessages must be an object`);
+        }
+        problems.push(...validateSchema(command).map(problem => `${name}: ${problem}`));
+
+        // The same config may be registered under two names (COMMAND_LIST/COMMANDLIST)
+        for (const prefix of command.prefixes || []) {
+            const owner = prefixOwners.get(prefix.toLowerCase());
+            if (owner && owner.command !== command) {
+                problems.push(`${name}: prefix ${prefix} is already used by ${owner.name}`);
+            } else {
+                prefixOwners.set(prefix.toLowerCase(), { name, command });
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Hot reload of `*.config.js` and `*.prompt.js` modules. Fresh copies are loaded and
+ * validated first; only when everything is valid are the running modules patched, in a
+ * single synchronous step. On failure nothing changes and the admin is notified.
+ *
+ * Handler modules are not reloaded (they hold conversations, timers and other state):
+ * code changes and new commands still need a restart. Values a module copied out of a
+ * config at load time (e.g. a destructured constant) also keep their old value.
+ */
+class HotReloader {
+    constructor() {
+        this.watchers = [];
+        this.debounceTimer = null;
+        this.lastReload = null;
+    }
+
+    /**
+     * Reload configs and prompts
+     * @param {string} source - What triggered the reload ('manual', 'watcher')
+     * @returns {{ok: boolean, problems: string[], files: string[], commands: number, durationMs: number}}
+     */
+    reload(source = 'manual') {
+        const startedAt = Date.now();
+        const previous = new Map();
+        for (const [file, module] of Object.entries(require.cache)) {
+            if (isReloadable(file)) previous.set(file, module);
+        }
+        const cachedBefore = new Set(Object.keys(require.cache));
+
+        // Every reloadable module leaves the cache first, so fresh configs pull fresh prompts
+        for (const file of previous.keys()) {
+            delete require.cache[file];
+        }
+
+        const problems = [];
+        const fresh = new Map();
+        for (const file of previous.keys()) {
+            try {
+                fresh.set(file, require(file));
+            } catch (error) {
+                problems.push(`${path.relative(ROOT_DIR, file)}: ${error.message}`);
+            }
+        }
+
+        let commands = {};
+        if (problems.length === 0) {
+            // Also picks up config files added since startup
+            commands = discoverCommands();
+            problems.push(...validateCommands(commands, { ...discoverHandlers(), ...pluginManager.getHandlers() }));
+        }
+
+        // Put the running modules back before deciding anything
+        const freshModules = new Map([...fresh.keys()].map(file => [file, require.cache[file]]));
+        for (const [file, module] of previous) {
+            require.cache[file] = module;
+        }
+
+        const files = [...fresh.keys()].map(file => path.relative(ROOT_DIR, file));
+        const durationMs = Date.now() - startedAt;
+
+        if (problems.length > 0) {
+            for (const file of Object.keys(require.cache)) {
+                if (!cachedBefore.has(file)) delete require.cache[file];
+            }
+            logger.error(`Hot reload (${source}) rolled back, previous configs kept:\n- ${problems.join('\n- ')}`);
+            return { ok: false, problems, files, commands: 0, durationMs };
+        }
+
+        for (const [file, exported] of fresh) {
+            const current = previous.get(file).exports;
+            if (isPlainObject(current) && isPlainObject(exported)) {
+                patchExports(current, exported);
+            } else {
+                require.cache[file] = freshModules.get(file);
+            }
+        }
+
+        // Plugins, whitelist seeds and the keyword index follow the new configs
+        getCommandRegistry().registerCommands();
+        intentMatcher.reset();
+
+        const commandCount = Object.keys(discoverCommands()).length;
+        this.lastReload = { at: Date.now(), source, files: files.length, commands: commandCount };
+        logger.info(`Hot reload (${source}): ${files.length} config/prompt files, ${commandCount} commands`);
+        return { ok: true, problems: [], files, commands: commandCount, durationMs };
+    }
+
+    /**
+     * Watch the directories of the loaded configs and prompts and reload after changes
+     * (enabled with SYSTEM.HOT_RELOAD.WATCH)
+     */
+    startWatching() {
+        const settings = config.SYSTEM.HOT_RELOAD || {};
+        if (!settings.WATCH || this.watchers.length > 0) {
+            return;
+        }
+
+        const dirs = new Set(
+            Object.keys(require.cache)
+                .filter(isReloadable)
+                .map(file => path.dirname(file))
+        );
+        for (const dir of dirs) {
+            try {
+                const watcher = fs.watch(dir, (eventType, fileName) => {
+                    if (fileName && RELOADABLE_FILE.test(fileName)) {
+                        this.scheduleReload(settings.DEBOUNCE_MS || 1000);
+                    }
+                });
+                watcher.on('error', error => logger.warn(`Config watcher error in ${dir}: ${error.message}`));
+                this.watchers.push(watcher);
+            } catch (error) {
+                logger.warn(`Could not watch ${dir} for config changes: ${error.message}`);
+            }
+        }
+        logger.debug(`Watching ${this.watchers.length} directories for config and prompt changes`);
+    }
+
+    stopWatching() {
+        for (const watcher of this.watchers) {
+            watcher.close();
+        }
+        this.watchers = [];
+        clearTimeout(this.debounceTimer);
+    }
+
+    // Editors write a file in several steps; wait for them to settle
+    scheduleReload(delayMs) {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => {
+            try {
+                this.reload('watcher');
+            } catch (error) {
+                logger.error('Error during config hot reload:', error);
+            }
+        }, delayMs);
+    }
+}
+
+module.exports = new HotReloader();
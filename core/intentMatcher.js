@@ -0,0 +1,201 @@
+// intentMatcher.js
+// Offline keyword intent matcher for natural language commands (no network calls)
+
+const config = require('../configs/config');
+const logger = require('../utils/logger');
+const COMMAND_PROCESSOR = require('./commandProcessor.prompt');
+const { generateCommandPrefixMap } = require('./commandDiscovery');
+const { parseDuration } = require('./argumentParser');
+
+// Keyword weights by source; description/example words are divided by how many commands share them
+const PREFIX_WEIGHT = 3;
+const DESCRIPTION_WEIGHT = 1;
+const EXAMPLE_WEIGHT = 1;
+
+// Words that carry no intent (compared after normalization)
+const STOPWORDS = new Set([
+    'apenas', 'cada', 'cite', 'citada', 'como', 'comando', 'comandos', 'essa', 'esse', 'esta', 'este',
+    'isso', 'mais', 'mensagem', 'mensagens', 'para', 'pela', 'pelo', 'quais', 'qual', 'sobre', 'todas',
+    'todos', 'ultimas', 'ultimos', 'usando', 'voce', 'seus', 'suas', 'meus', 'minhas', 'admin', 'grupo',
+    'with', 'image', 'images',
+]);
+
+// Filler stripped from the start of the remaining text when it becomes the command input
+const LEADING_FILLER = new Set([
+    'a', 'ai', 'as', 'com', 'da', 'das', 'de', 'do', 'dos', 'e', 'em', 'faca', 'faz', 'favor', 'manda',
+    'mande', 'me', 'o', 'os', 'para', 'pode', 'por', 'pra', 'sobre', 'um', 'uma', 'umas', 'uns',
+]);
+
+function normalize(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Crude Portuguese stem: resume/resumo/resumir → "resum", notícia/notícias → "notic"
+ */
+function stem(word) {
+    const normalized = normalize(word);
+    return normalized.length > 5 ? normalized.slice(0, 5) : normalized;
+}
+
+function keywordStems(text) {
+    return text
+        .split(/\s+/)
+        .map(word => normalize(word))
+        .filter(word => word.length >= 4 && !STOPWORDS.has(word))
+        .map(stem);
+}
+
+/**
+ * Parse the "User ... "text" → "#command"" example lines of the NLP prompt
+ * @returns {Array<{text: string, command: string}>} Examples
+ */
+function parsePromptExamples() {
+    const examples = [];
+    const pattern = /"([^"]+)"\s*→\s*"([#@][^"\s]*)/g;
+    let match;
+    while ((match = pattern.exec(COMMAND_PROCESSOR.ANALYZE)) !== null) {
+        examples.push({ text: match[1], command: match[2] });
+    }
+    return examples;
+}
+
+class IntentMatcher {
+    constructor() {
+        this.index = null;
+    }
+
+    /**
+     * Build the keyword index from command prefixes, descriptions and the NLP prompt examples.
+     * Only user-facing `#` commands with a keyword prefix take part: admin `!` commands, the
+     * catch-all chat and tags need the LLM.
+     */
+    build() {
+        const commands = {};
+        for (const [name, cmd] of Object.entries(config.COMMANDS)) {
+            const prefix = (cmd.prefixes || []).find(candidate => /^#[^\s?!]{2,}$/.test(candidate));
+            if (!prefix || !cmd.description || commands[name] || name === 'CHAT' || name === 'TAGS') {
+                continue;
+            }
+            commands[name] = { name, prefix, command: cmd, prefixStems: new Set(), weights: new Map() };
+            for (const candidate of cmd.prefixes) {
+                if (candidate.startsWith('#')) commands[name].prefixStems.add(stem(candidate));
+            }
+            for (const word of keywordStems(cmd.description)) {
+                commands[name].weights.set(word, DESCRIPTION_WEIGHT);
+            }
+        }
+
+        const prefixMap = generateCommandPrefixMap();
+        for (const example of parsePromptExamples()) {
+            const reference = example.command.replace(/^#/, '');
+            const name = config.COMMANDS[reference.toUpperCase()]
+                ? reference.toUpperCase()
+                : prefixMap[reference.toLowerCase()];
+            if (!commands[name]) continue;
+            for (const word of keywordStems(example.text)) {
+                const weights = commands[name].weights;
+                weights.set(word, (weights.get(word) || 0) + EXAMPLE_WEIGHT);
+            }
+        }
+
+        // Words shared by several commands say less about any of them
+        const documentFrequency = new Map();
+        for (const entry of Object.values(commands)) {
+            for (const word of entry.weights.keys()) {
+                documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+            }
+        }
+        for (const entry of Object.values(commands)) {
+            for (const [word, weight] of entry.weights) {
+                entry.weights.set(word, weight / documentFrequency.get(word));
+            }
+            for (const word of entry.prefixStems) {
+                entry.weights.set(word, (entry.weights.get(word) || 0) + PREFIX_WEIGHT);
+            }
+        }
+
+        this.index = Object.values(commands);
+        logger.debug(`Intent matcher indexed ${this.index.length} commands`);
+        return this.index;
+    }
+
+    /**
+     * Drop the index so it is rebuilt from the current command configs
+     */
+    reset() {
+        this.index = null;
+    }
+
+    /**
+     * Rank the commands a message could mean, without calling the LLM
+     * @param {string} text - Message text (bot mention already removed)
+     * @returns {Object[]} Intents, most likely first:
+     *   [{ command: '#resumo 10', name: 'RESUMOS', confidence: 0.78, label: 'o comando #resumo' }]
+     */
+    match(text) {
+        const index = this.index || this.build();
+        const words = (text || '').split(/\s+/).filter(Boolean);
+        const stems = words.map(stem);
+
+        const scored = index
+            .map(entry => ({
+                entry,
+                score: [...new Set(stems)].reduce((sum, word) => sum + (entry.weights.get(word) || 0), 0),
+            }))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score);
+        if (scored.length === 0) return [];
+
+        const total = scored.reduce((sum, candidate) => sum + candidate.score, 0);
+        return scored.slice(0, 3).map(({ entry, score }) => {
+            // Saturating evidence, scaled by how clearly this command beats the others
+            const confidence = (1 - Math.exp(-score / 2)) * (score / total);
+            return {
+                command: this.buildCommandText(entry, words, stems),
+                name: entry.name,
+                confidence: Math.round(confidence * 100) / 100,
+                label: `o comando ${entry.prefix}`,
+            };
+        });
+    }
+
+    /**
+     * Turn the rest of the message into the command input, guided by its first argument type
+     */
+    buildCommandText(entry, words, stems) {
+        const firstArg = (entry.command.args || [])[0];
+        const types = firstArg ? [].concat(firstArg.type) : [];
+
+        // Durations and counts ("últimas 2 horas", "10 mensagens") can appear anywhere
+        if (types.includes('duration') || types.includes('number')) {
+            const text = words.join(' ').toLowerCase();
+            if (types.includes('duration')) {
+                const durationMatch = text.match(/(\d+)\s*([a-zà-ú]+)/);
+                if (durationMatch && parseDuration(durationMatch[0])) {
+                    return `${entry.prefix} ${durationMatch[0]}`;
+                }
+                const dayWord = words.find(word => ['hoje', 'ontem'].includes(normalize(word)));
+                if (dayWord) return `${entry.prefix} ${normalize(dayWord)}`;
+            }
+            const count = text.match(/\b(\d+)\b/);
+            return count && types.includes('number') ? `${entry.prefix} ${count[1]}` : entry.prefix;
+        }
+        if (types.length === 0) {
+            return entry.prefix;
+        }
+
+        // Free-form arguments: drop the words naming the command and leading filler
+        const rest = words.filter((word, i) => !entry.prefixStems.has(stems[i]));
+        while (rest.length > 0 && LEADING_FILLER.has(normalize(rest[0]))) {
+            rest.shift();
+        }
+        return rest.length > 0 ? `${entry.prefix} ${rest.join(' ')}` : entry.prefix;
+    }
+}
+
+module.exports = new IntentMatcher();
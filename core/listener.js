@@ -3,13 +3,14 @@
 const config = require('../configs/config');
 const logger = require('../utils/logger');
 const commandManager = require('./CommandManager');
-const typingManager = require('../utils/typingManager');
 const { registerCommands } = require('./CommandRegistry');
 const { processLinkSummary } = require('../news/news');
 const { initialize } = require('../newsMonitor/newsMonitor.js');
 const { getUserState, handleWizard, processWizardStep } = require('../periodicSummary/wizard/wizard');
 const nlpProcessor = require('./nlpProcessor');
-const crypto = require('crypto');
+const { handleReaction } = require('./reactionHandler');
+const stickerBindingStore = require('./stickerBindingStore');
+const hotReload = require('./hotReload');
 const { getWizardWelcomeMessage } = require('../utils/envUtils');
 
 // Get phone numbers from environment variables
@@ -36,28 +37,18 @@ async function handleStickerMessage(message) {
             return false;
         }
 
-        // Calculate the sticker hash
-        const hash = crypto.createHash('sha256').update(stickerData.data).digest('hex');
+        // Look the sticker up in the runtime bindings (and stickerHash config seeds)
+        const hash = stickerBindingStore.hashMedia(stickerData);
         logger.debug('Calculated sticker hash', { hash });
 
-        // Check for matching sticker hashes in command configs
-        let matchedCommand = null;
-        let commandName = null;
-
-        // Check each command for a matching sticker hash
-        for (const [name, cmd] of Object.entries(config.COMMANDS)) {
-            if (cmd.stickerHash && cmd.stickerHash === hash) {
-                matchedCommand = cmd;
-                commandName = name;
-                break;
-            }
-        }
-
+        const binding = stickerBindingStore.getBinding(hash);
+        const matchedCommand = binding && config.COMMANDS[binding.command];
         if (!matchedCommand) {
             logger.debug('No matching command found for sticker hash', { hash });
             return false;
         }
 
+        const commandName = binding.command;
         logger.info(`Sticker matched command: ${commandName}`, { hash });
 
         // Create a new message object with the command prefix
@@ -66,29 +57,15 @@ async function handleStickerMessage(message) {
             Object.getOwnPropertyDescriptors(message)
         );
 
-        // Set the message body to the command prefix
-        if (matchedCommand.prefixes && matchedCommand.prefixes.length > 0) {
-            commandMessage.body = matchedCommand.prefixes[0];
-        } else {
-            // For commands without prefixes (like TAGS)
-            commandMessage.body = `#${commandName.toLowerCase()}`;
-        }
+        // Set the message body to the command prefix plus the binding's default arguments
+        const prefix =
+            matchedCommand.prefixes && matchedCommand.prefixes.length > 0
+                ? matchedCommand.prefixes[0]
+                : `#${commandName.toLowerCase()}`; // For commands without prefixes (like TAGS)
+        commandMessage.body = binding.args ? `${prefix} ${binding.args}` : prefix;
 
-        // Process the command with persistent typing
-        const chat = await message.getChat();
-        const chatId = chat.id._serialized;
-        
-        try {
-            // Start persistent typing indicator
-            await typingManager.startTyping(chat, chatId);
-            
-            const result = await commandManager.processCommand(commandMessage);
-            
-            return result;
-        } finally {
-            // Always stop typing when command completes
-            typingManager.stopTyping(chatId);
-        }
+        // Process the command (the typing indicator is handled by the command middleware)
+        return await commandManager.processCommand(commandMessage);
     } catch (error) {
         logger.error('Error processing sticker message:', error);
         return false;
@@ -151,6 +128,9 @@ function setupListeners(client) {
         // Register commands first
         registerCommands();
 
+        // Reload configs and prompts when they change on disk (SYSTEM.HOT_RELOAD.WATCH)
+        hotReload.startWatching();
+
         // Set startup time when initializing
         startupTime = Date.now();
 
@@ -297,18 +277,9 @@ function setupListeners(client) {
                             prefix: message.body[0],
                             command: message.body,
                         });
-                        const chatId = chat.id._serialized;
-                        try {
-                            // Start persistent typing indicator
-                            await typingManager.startTyping(chat, chatId);
-                            
-                            const result = await commandManager.processCommand(message);
-                            if (!result) {
-                                logger.debug('Command processing failed or command not found');
-                            }
-                        } finally {
-                            // Always stop typing when command completes
-                            typingManager.stopTyping(chatId);
+                        const result = await commandManager.processCommand(message);
+                        if (!result) {
+                            logger.debug('Command processing failed or command not found');
                         }
                         return;
                     }
@@ -335,21 +306,12 @@ function setupListeners(client) {
                                     tag: validTag,
                                     command: message.body,
                                 });
-                                const chatId = chat.id._serialized;
-                                try {
-                                    // Start persistent typing indicator
-                                    await typingManager.startTyping(chat, chatId);
-                                    
-                                    const result = await commandManager.processCommand(
-                                        message,
-                                        validTag
-                                    );
-                                    if (!result) {
-                                        logger.debug('Tag command processing failed');
-                                    }
-                                } finally {
-                                    // Always stop typing when command completes
-                                    typingManager.stopTyping(chatId);
+                                const result = await commandManager.processCommand(
+                                    message,
+                                    validTag
+                                );
+                                if (!result) {
+                                    logger.debug('Tag command processing failed');
                                 }
                                 return;
                             } else {
@@ -412,17 +374,8 @@ function setupListeners(client) {
                                 nlpCommand: nlpResult,
                             });
 
-                            const chatId = chat.id._serialized;
-                            try {
-                                // Start persistent typing indicator for NLP commands
-                                await typingManager.startTyping(chat, chatId);
-                                
-                                await commandManager.processCommand(nlpMessage);
-                                return;
-                            } finally {
-                                // Always stop typing when command completes
-                                typingManager.stopTyping(chatId);
-                            }
+                            await commandManager.processCommand(nlpMessage);
+                            return;
                         } else {
                             logger.debug('NLP processing skipped or produced no result');
                         }
@@ -468,7 +421,7 @@ function setupListeners(client) {
             }
         });
 
-        // Handle message reactions for message deletion
+        // Handle message reactions (actions are mapped per emoji in config.REACTIONS)
         client.on('message_reaction', async reaction => {
             logger.debug('Received message_reaction event', {
                 emoji: reaction.reaction,
@@ -479,61 +432,7 @@ function setupListeners(client) {
             });
 
             try {
-                // Only delete messages reacted with praying hands emoji (🙏)
-                const PRAYER_EMOJI = '🙏';
-
-                // If the reaction is not the praying hands emoji, ignore it
-                if (reaction.reaction !== PRAYER_EMOJI) {
-                    logger.debug(
-                        `Ignoring reaction with emoji ${reaction.reaction} - only ${PRAYER_EMOJI} triggers deletion`
-                    );
-                    return;
-                }
-
-                // If the reacted message was from the bot, delete it
-                if (reaction.msgId.fromMe) {
-                    logger.debug(
-                        'Message was from bot and has prayer emoji reaction, getting chat'
-                    );
-
-                    // Get chat using the message's remote (chat) ID instead of sender ID
-                    const chat = await client.getChatById(reaction.msgId.remote);
-                    logger.debug('Got chat', {
-                        chatName: chat.name,
-                        chatId: chat.id._serialized,
-                        isGroup: chat.isGroup,
-                    });
-
-                    // Fetch messages with increased limit
-                    const messages = await chat.fetchMessages({
-                        limit: 200, // Increased limit to find older messages
-                    });
-
-                    logger.debug('Fetched messages', { count: messages.length });
-
-                    // Find our message
-                    const message = messages.find(
-                        msg => msg.id._serialized === reaction.msgId._serialized
-                    );
-                    logger.debug('Found message in history', {
-                        found: !!message,
-                        messageId: message?.id?._serialized,
-                        messageBody: message?.body,
-                    });
-
-                    if (message) {
-                        logger.debug('Attempting to delete message');
-                        await message.delete(true);
-                        logger.info(`Successfully deleted message after reaction`);
-                    } else {
-                        logger.warn('Could not find message to delete', {
-                            searchedId: reaction.msgId._serialized,
-                            chatId: chat.id._serialized,
-                        });
-                    }
-                } else {
-                    logger.debug('Message was not from bot, ignoring');
-                }
+                await handleReaction(reaction);
             } catch (error) {
                 logger.error('Failed to handle message reaction', error);
             }
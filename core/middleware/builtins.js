@@ -0,0 +1,238 @@
+// builtins.js
+// Built-in command middleware: audit trail, usage stats, error translation, metrics, plugin
+// gate, auth, command logging, argument validation, rate limiting and typing indicator
+
+const logger = require('../../utils/logger');
+const rateLimiter = require('../rateLimiter');
+const pluginManager = require('../pluginManager');
+const auditLog = require('../auditLog');
+const usageStats = require('../usageStats');
+const typingManager = require('../../utils/typingManager');
+const { handleAutoDelete } = require('../../utils/messageUtils');
+const { parseArguments, hasSchema } = require('../argumentParser');
+
+function describeUser(ctx) {
+    const userPhone = ctx.userId.endsWith('@c.us') ? ctx.userId.split('@')[0] : ctx.userId;
+    const userName = ctx.contact.pushname || ctx.contact.name || userPhone;
+    return { userPhone, userIdentifier: `${userName} (${userPhone})` };
+}
+
+function describeLocation(ctx) {
+    // Location format: "in DM" or "in Group Name"
+    return ctx.chat.isGroup ? `in ${ctx.chat.name}` : 'in DM';
+}
+
+/**
+ * Outermost: append every dispatch, whatever its outcome, to the persistent audit log
+ */
+async function auditTrail(ctx, next) {
+    try {
+        await next();
+    } finally {
+        auditLog.record(ctx);
+    }
+}
+
+/**
+ * Count executions for !stats (outside error translation, so failures count too)
+ */
+async function usageCounter(ctx, next) {
+    try {
+        await next();
+    } finally {
+        usageStats.record(ctx);
+    }
+}
+
+/**
+ * Turn handler exceptions into the command's error message
+ */
+async function errorTranslation(ctx, next) {
+    try {
+        await next();
+    } catch (error) {
+        ctx.outcome = 'error';
+        ctx.error = error;
+        logger.error(
+            `Error executing command ${ctx.command.name} by ${describeUser(ctx).userPhone} ${describeLocation(ctx)}:`,
+            error
+        );
+        if (ctx.command.errorMessages?.error) {
+            await ctx.message.reply(ctx.command.errorMessages.error);
+        }
+    }
+}
+
+/**
+ * Measure how long each dispatch takes
+ */
+async function metrics(ctx, next) {
+    try {
+        await next();
+    } finally {
+        ctx.durationMs = Date.now() - ctx.startedAt;
+        logger.debug(`Command ${ctx.command.name} finished`, {
+            outcome: ctx.outcome,
+            durationMs: ctx.durationMs,
+        });
+    }
+}
+
+/**
+ * Silently skip commands of plugins disabled in this group
+ */
+async function pluginGate(ctx, next) {
+    const groupName = ctx.chat.isGroup ? ctx.chat.name : null;
+    if (!pluginManager.isCommandEnabled(ctx.command.name, groupName)) {
+        ctx.outcome = 'disabled';
+        logger.debug(`Command ${ctx.command.name} skipped: its plugin is disabled ${describeLocation(ctx)}`);
+        return;
+    }
+    await next();
+}
+
+/**
+ * Check whether the user may run the command in this chat
+ */
+function createAuth(commandManager) {
+    return async function auth(ctx, next) {
+        const { command, message } = ctx;
+        const isAllowed = await commandManager.isCommandAllowedInChat(command, ctx.chatId, ctx.userId);
+        if (!isAllowed) {
+            ctx.outcome = 'denied';
+            const { isBot, isDM, isAdmin, isOwner, isUser } = isAllowed;
+
+            logger.warn(`Command ${command.name} blocked due to permissions`, {
+                command: command.name,
+                isBot,
+                isDM,
+                isAdmin,
+                isOwner,
+                isUser,
+            });
+
+            if (isBot && command.errorMessages?.bot) {
+                await message.reply(command.errorMessages.bot);
+            } else if (!isDM && command.errorMessages?.group) {
+                await message.reply(command.errorMessages.group);
+            } else if (!isAdmin && command.errorMessages?.admin) {
+                await message.reply(command.errorMessages.admin);
+            } else if (!isOwner && command.errorMessages?.owner) {
+                await message.reply(command.errorMessages.owner);
+            } else if (!isUser && command.errorMessages?.user) {
+                await message.reply(command.errorMessages.user);
+            } else if (command.errorMessages?.permission) {
+                await message.reply(command.errorMessages.permission);
+            }
+            return;
+        }
+        await next();
+    };
+}
+
+/**
+ * Log who runs what, where
+ */
+async function commandLog(ctx, next) {
+    const { message, command, input } = ctx;
+    const { userIdentifier } = describeUser(ctx);
+    const locationStr = describeLocation(ctx);
+
+    let logMessage;
+    if (message.hasMedia) {
+        logMessage = `Executing command: ${command.name} by ${userIdentifier} ${locationStr} with media attachment`;
+    } else if (message.hasQuotedMsg) {
+        logMessage = `Executing command: ${command.name} by ${userIdentifier} ${locationStr} with quoted message`;
+    } else if (input && input.length > 0) {
+        logMessage = `Executing command: ${command.name} by ${userIdentifier} ${locationStr} with input: ${input}`;
+    } else {
+        logMessage = `Executing command: ${command.name} by ${userIdentifier} ${locationStr}`;
+    }
+
+    logger.info(logMessage);
+
+    logger.debug('Processing command', {
+        command: command.name,
+        input: input,
+        chatId: ctx.chatId,
+        hasQuoted: message.hasQuotedMsg,
+        hasMedia: message.hasMedia,
+    });
+
+    await next();
+}
+
+/**
+ * Validate the input against the command's declared argument schema
+ */
+async function argumentValidation(ctx, next) {
+    const { command } = ctx;
+    if (hasSchema(command)) {
+        const parsed = await parseArguments(command, ctx.input, ctx.message);
+        if (!parsed.valid) {
+            ctx.outcome = 'invalid';
+            logger.debug(`Invalid arguments for ${command.name}`, { input: ctx.input });
+            const errorMessage = await ctx.message.reply(parsed.error);
+            await handleAutoDelete(errorMessage, command, true);
+            return;
+        }
+        ctx.args = parsed.args;
+    }
+    await next();
+}
+
+/**
+ * Enforce the command's rate limits (admin is exempt)
+ */
+function createRateLimit(commandManager) {
+    return async function rateLimit(ctx, next) {
+        const { command } = ctx;
+        if (!commandManager.isAdminUser(ctx.userId)) {
+            const limitResult = rateLimiter.consume(command, { userId: ctx.userId, chatId: ctx.chatId });
+            if (!limitResult.allowed) {
+                ctx.outcome = 'rate_limited';
+                logger.info(
+                    `Command ${command.name} rate limited for ${describeUser(ctx).userIdentifier} ${describeLocation(ctx)} (${limitResult.rule})`
+                );
+                const limitMessage = await ctx.message.reply(
+                    rateLimiter.formatLimitMessage(command, limitResult)
+                );
+                await handleAutoDelete(limitMessage, command, true);
+                return;
+            }
+        }
+        await next();
+    };
+}
+
+/**
+ * Keep the typing indicator on while the handler runs
+ */
+async function typing(ctx, next) {
+    try {
+        await typingManager.startTyping(ctx.chat, ctx.chatId);
+        await next();
+    } finally {
+        typingManager.stopTyping(ctx.chatId);
+    }
+}
+
+/**
+ * Register the built-in middleware on a pipeline
+ * @param {Object} pipeline - Middleware pipeline
+ * @param {Object} commandManager - CommandManager instance (permission and admin checks)
+ */
+function registerBuiltinMiddleware(pipeline, commandManager) {
+    pipeline.use('auditTrail', auditTrail, { order: 5 });
+    pipeline.use('usageStats', usageCounter, { order: 6 });
+    pipeline.use('errors', errorTranslation, { order: 10 });
+    pipeline.use('metrics', metrics, { order: 20 });
+    pipeline.use('plugins', pluginGate, { order: 25 });
+    pipeline.use('auth', createAuth(commandManager), { order: 30 });
+    pipeline.use('commandLog', commandLog, { order: 40 });
+    pipeline.use('arguments', argumentValidation, { order: 50 });
+    pipeline.use('rateLimit', createRateLimit(commandManager), { order: 60 });
+    pipeline.use('typing', typing, { order: 70 });
+}
+
+module.exports = { registerBuiltinMiddleware };
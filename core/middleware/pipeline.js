@@ -0,0 +1,145 @@
+// pipeline.js
+// Ordered middleware chain wrapped around every command dispatched by CommandManager
+
+const logger = require('../../utils/logger');
+const { runWithContext } = require('../../utils/requestContext');
+
+/**
+ * A middleware is an async function `(ctx, next) => {}`:
+ * - code before `await next()` runs before the handler (pre), code after it runs after (post)
+ * - not calling `next()` short-circuits the chain; set `ctx.outcome` to say why
+ * - `ctx.transformReply(fn)` rewrites every reply the handler sends through `ctx.message.reply`
+ *
+ * Lower `order` runs first (outermost). Built-ins use 5-70, see builtins.js.
+ *
+ *   const pipeline = require('./core/middleware/pipeline');
+ *   pipeline.use('signature', async (ctx, next) => {
+ *       ctx.transformReply(content => (typeof content === 'string' ? `${content}\n— bot` : content));
+ *       await next();
+ *   }, { order: 80, commands: ['CHAT'] });
+ */
+const DEFAULT_ORDER = 100;
+
+class MiddlewarePipeline {
+    constructor() {
+        this.middlewares = []; // { name, fn, order, commands }
+    }
+
+    /**
+     * Register a middleware, replacing any previous one with the same name
+     * @param {string} name - Unique name (used by remove() and in logs)
+     * @param {Function} fn - async (ctx, next) => {}
+     * @param {Object} options - Registration options
+     * @param {number} options.order - Position in the chain, lower runs first
+     * @param {string[]} options.commands - Only run for these command names (default: all)
+     */
+    use(name, fn, { order = DEFAULT_ORDER, commands = null } = {}) {
+        if (typeof fn !== 'function') {
+            throw new Error(`Middleware ${name} must be a function`);
+        }
+        this.remove(name);
+        this.middlewares.push({ name, fn, order, commands });
+        // Stable sort keeps registration order for equal positions
+        this.middlewares.sort((a, b) => a.order - b.order);
+        logger.debug(`Registered middleware ${name}`, { order, commands });
+    }
+
+    /**
+     * Remove a middleware by name
+     * @param {string} name - Middleware name
+     * @returns {boolean} Whether a middleware was removed
+     */
+    remove(name) {
+        const before = this.middlewares.length;
+        this.middlewares = this.middlewares.filter(middleware => middleware.name !== name);
+        return this.middlewares.length !== before;
+    }
+
+    /**
+     * List registered middleware in execution order
+     * @returns {Array<{name: string, order: number, commands: string[]|null}>}
+     */
+    list() {
+        return this.middlewares.map(({ name, order, commands }) => ({ name, order, commands }));
+    }
+
+    /**
+     * Build the context passed through the chain. `ctx.message` is a copy of the incoming
+     * message whose reply() applies the registered reply transforms.
+     * @param {Object} fields - message, chat, contact, command, input, userId, chatId
+     * @returns {Object} Dispatch context
+     */
+    createContext({ message, chat, contact, command, input, userId, chatId }) {
+        const replyTransforms = [];
+        const wrappedMessage = Object.create(
+            Object.getPrototypeOf(message),
+            Object.getOwnPropertyDescriptors(message)
+        );
+
+        wrappedMessage.reply = async (content, ...rest) => {
+            let transformed = content;
+            for (const transform of replyTransforms) {
+                transformed = await transform(transformed, ctx);
+            }
+            return message.reply(transformed, ...rest);
+        };
+
+        const ctx = {
+            message: wrappedMessage,
+            originalMessage: message,
+            chat,
+            contact,
+            command,
+            input,
+            args: {},
+            userId,
+            chatId,
+            state: {}, // free-form storage shared between middleware
+            outcome: null, // success | denied | invalid | rate_limited | error, or a custom value
+            error: null,
+            models: [], // models called while handling the command (utils/requestContext)
+            startedAt: Date.now(),
+            transformReply(fn) {
+                replyTransforms.push(fn);
+            },
+            reply(content, ...rest) {
+                return wrappedMessage.reply(content, ...rest);
+            },
+        };
+        return ctx;
+    }
+
+    /**
+     * Run the chain for one command, ending with the handler. The context is also made
+     * available to everything the chain awaits through utils/requestContext.
+     * @param {Object} ctx - Dispatch context built by CommandManager
+     * @param {Function} handler - async (ctx) => {} called after every middleware passed
+     * @returns {Promise<Object>} The context, with `outcome` set
+     */
+    async run(ctx, handler) {
+        const chain = this.middlewares.filter(
+            middleware => !middleware.commands || middleware.commands.includes(ctx.command.name)
+        );
+
+        const dispatch = async index => {
+            if (index === chain.length) {
+                await handler(ctx);
+                return;
+            }
+
+            let called = false;
+            await chain[index].fn(ctx, async () => {
+                if (called) {
+                    throw new Error(`Middleware ${chain[index].name} called next() twice`);
+                }
+                called = true;
+                await dispatch(index + 1);
+            });
+        };
+
+        await runWithContext(ctx, () => dispatch(0));
+        return ctx;
+    }
+}
+
+module.exports = new MiddlewarePipeline();
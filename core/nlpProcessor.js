@@ -5,6 +5,8 @@ const logger = require('../utils/logger');
 const whitelist = require('../configs/whitelist');
 const { runtimeConfig } = require('../admin/admin');
 const { generateCommandPrefixMap } = require('./commandDiscovery');
+const intentMatcher = require('./intentMatcher');
+const { runAsModule } = require('../utils/requestContext');
 
 class NLPProcessor {
     constructor() {
@@ -13,6 +15,7 @@ class NLPProcessor {
         });
         this.wizardStates = new Map(); // Track wizard states per user and chat
         this.welcomeMessageSent = new Map(); // Track when users received the welcome message
+        this.pendingIntents = new Map(); // chatId -> clarification awaiting the user's answer
         logger.debug('NLP Processor initialized');
     }
 
@@ -334,7 +337,17 @@ class NLPProcessor {
         }
     }
 
-    async processNaturalLanguage(message, chat = null) {
+    /**
+     * Interpret a message as a command. Returns the command text to run (e.g. "#resumo 10",
+     * "@all", "#pergunta") or null. When the best interpretation is not confident enough the
+     * user is asked which command they meant and their next message in the chat is resolved
+     * against the candidates instead.
+     * @param {Object} message - The message
+     * @param {Object} chat - Chat of the message (fetched when omitted)
+     * @param {Object} options - { allowClarification: ask instead of guessing (needs message.reply) }
+     * @returns {Promise<string|null>} Command text or null
+     */
+    async processNaturalLanguage(message, chat = null, { allowClarification = true } = {}) {
         try {
             logger.debug('Starting NLP processing attempt');
 
@@ -344,6 +357,12 @@ class NLPProcessor {
                 return null;
             }
 
+            // An answer to a clarification question doesn't need to mention the bot
+            const clarified = await this.resolvePendingIntent(message, chat);
+            if (clarified) {
+                return clarified;
+            }
+
             // First check if we should process this message
             const shouldProcess = await this.shouldProcessMessage(message, chat);
             logger.debug('NLP processing decision', { shouldProcess });
@@ -375,20 +394,7 @@ class NLPProcessor {
                 return null;
             }
 
-            // Clean the message body if the bot is mentioned
-            let messageBody = message.body;
-            const botNumber = config.CREDENTIALS.BOT_NUMBER;
-            const isBotMentioned =
-                message.mentionedIds && message.mentionedIds.some(id => id === `${botNumber}@c.us`);
-
-            if (isBotMentioned) {
-                // Remove the bot mention from the message
-                messageBody = messageBody.replace(new RegExp(`@${botNumber}\\s*`, 'i'), '').trim();
-                logger.debug('Cleaned message body after bot mention', {
-                    original: message.body,
-                    cleaned: messageBody,
-                });
-            }
+            const messageBody = this.cleanMessageBody(message);
 
             // Check for common command patterns before using the API
             const lowerBody = messageBody.toLowerCase();
@@ -414,168 +420,378 @@ class NLPProcessor {
                 return '#ferramentaresumo';
             }
 
-            // Get chat information for tag-specific commands (needed for the command list)
-            const chatName = chat.name;
+            // Obvious requests are matched locally; the LLM handles the rest and the local
+            // matcher stands in when the LLM fails or is too slow
+            const { LOCAL_MIN_CONFIDENCE } = config.SYSTEM.NLP;
+            const localIntents = intentMatcher.match(messageBody);
+            let intents;
+            if (localIntents.length > 0 && localIntents[0].confidence >= LOCAL_MIN_CONFIDENCE) {
+                logger.debug('Intent matched locally', { intent: localIntents[0] });
+                intents = localIntents;
+            } else {
+                try {
+                    intents = await this.rankIntents(message, chat);
+                } catch (error) {
+                    logger.warn(`NLP model unavailable, using the local intent matcher: ${error.message}`);
+                    intents = localIntents;
+                }
+            }
+            if (intents.length === 0) {
+                return null;
+            }
 
-            logger.debug('Processing natural language message', {
-                messageId: message.id?._serialized,
-                text: messageBody,
-                hasQuoted: message.hasQuotedMsg,
-                hasMedia: message.hasMedia,
-                type: message.type,
+            const [best] = intents;
+            const { MIN_CONFIDENCE } = config.SYSTEM.NLP;
+            if (best.confidence < MIN_CONFIDENCE && allowClarification && message.reply) {
+                await this.askClarification(message, chatId, userId, intents);
+                return null;
+            }
+
+            logger.info(`NLP detected command: ${best.name}`, { confidence: best.confidence });
+            return this.acceptIntent(best, userId, chatId);
+        } catch (error) {
+            logger.error('Error processing natural language command:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the bot mention from the message text
+     * @param {Object} message - The message
+     * @returns {string} Cleaned text
+     */
+    cleanMessageBody(message) {
+        let messageBody = message.body || '';
+        const botNumber = config.CREDENTIALS.BOT_NUMBER;
+        const isBotMentioned =
+            message.mentionedIds && message.mentionedIds.some(id => id === `${botNumber}@c.us`);
+
+        if (isBotMentioned) {
+            messageBody = messageBody.replace(new RegExp(`@${botNumber}\\s*`, 'i'), '').trim();
+            logger.debug('Cleaned message body after bot mention', {
+                original: message.body,
+                cleaned: messageBody,
             });
+        }
+        return messageBody;
+    }
 
-            // Get list of available commands with their descriptions and prefixes
-            const commandList = Object.entries(config.COMMANDS)
-                .filter(([_, cmd]) => cmd.description) // Only include commands with descriptions
-                .map(([name, cmd]) => {
-                    const prefixes = cmd.prefixes ? cmd.prefixes.join(' or ') : 'No prefix';
-                    const capabilities = this.getCommandCapabilities(cmd);
-                    logger.debug('Command capability check', { command: name, capabilities });
-
-                    // Add tag information for the TAGS command
-                    if (name === 'TAGS' && chat.isGroup) {
-                        let tagInfo = '';
-
-                        // Add special tags
-                        if (cmd.specialTags && Object.keys(cmd.specialTags).length > 0) {
-                            tagInfo +=
-                                '\n    Special Tags: ' + Object.keys(cmd.specialTags).join(', ');
-
-                            // Add descriptions for special tags
-                            tagInfo += '\n    Special Tag Descriptions:';
-                            for (const [tag, tagConfig] of Object.entries(cmd.specialTags)) {
-                                tagInfo += `\n      ${tag}: ${
-                                    tagConfig.description || 'No description'
-                                }`;
-                            }
-                        }
+    /**
+     * Ask the LLM which commands the message could mean
+     * @param {Object} message - The message
+     * @param {Object} chat - Chat of the message
+     * @returns {Promise<Object[]>} Intents, most likely first:
+     *   [{ command: '#resumo 10', name: 'RESUMOS', confidence: 0.9, label: 'um resumo ...' }]
+     */
+    async rankIntents(message, chat) {
+        logger.debug('Processing natural language message', {
+            messageId: message.id?._serialized,
+            text: this.cleanMessageBody(message),
+            hasQuoted: message.hasQuotedMsg,
+            hasMedia: message.hasMedia,
+            type: message.type,
+        });
 
-                        // Add group-specific tags
-                        if (
-                            cmd.groupTags &&
-                            cmd.groupTags[chatName] &&
-                            Object.keys(cmd.groupTags[chatName]).length > 0
-                        ) {
-                            tagInfo +=
-                                '\n    Group Tags: ' +
-                                Object.keys(cmd.groupTags[chatName]).join(', ');
-
-                            // Add details about each group tag
-                            tagInfo += '\n    Tag Details:';
-                            for (const [tag, tagConfig] of Object.entries(
-                                cmd.groupTags[chatName]
-                            )) {
-                                // Get description and members from config
-                                const description = tagConfig.description || 'No description';
-                                const members = Array.isArray(tagConfig.members)
-                                    ? tagConfig.members.join(', ')
-                                    : 'No members';
-                                tagInfo += `\n      ${tag}: ${description} (${members})`;
-                            }
-                        }
+        const commandList = this.buildCommandList(chat);
+        logger.debug('Built command list for NLP');
 
-                        return `${name}:
-                        Description: ${cmd.description}
-                        Usage: No prefix (use @tagname)
-                        Supports: ${capabilities}${tagInfo}`;
-                    }
+        // Prepare message context
+        const messageContext = await this.buildMessageContext(message);
+        logger.debug('Built message context', { context: messageContext });
 
-                    return `${name}:
-                        Description: ${cmd.description}
-                        Usage: ${prefixes}
-                        Supports: ${capabilities}`;
-                })
-                .join('\n\n');
-
-            logger.debug('Built command list for NLP');
-
-            // Prepare message context
-            const messageContext = await this.buildMessageContext(message);
-            logger.debug('Built message context', { context: messageContext });
-
-            // Prepare the prompt
-            const prompt = COMMAND_PROCESSOR.ANALYZE.replace('{commandList}', commandList).replace(
-                '{messageContext}',
-                messageContext
-            );
-
-            // Log the prompt only if PROMPT logging is enabled
-            if (config.SYSTEM?.CONSOLE_LOG_LEVELS?.PROMPT === true) {
-                logger.prompt('[PROMPT] Sending prompt to OpenAI:', prompt);
-            }
+        // Prepare the prompt
+        const prompt = COMMAND_PROCESSOR.ANALYZE.replace('{commandList}', commandList).replace(
+            '{messageContext}',
+            messageContext
+        );
+
+        // Log the prompt only if PROMPT logging is enabled
+        if (config.SYSTEM?.CONSOLE_LOG_LEVELS?.PROMPT === true) {
+            logger.prompt('[PROMPT] Sending prompt to OpenAI:', prompt);
+        }
 
-            // Call OpenAI API using centralized conversation utility so reasoning applies
-const { runConversationCompletion } = require('../utils/openaiUtils');
-const CHAT_CONFIG = require('../chat/chat.config');
-            const convResponse = await runConversationCompletion(
-                [{ role: 'system', content: prompt }],
-                1,
-                config.SYSTEM.AI_MODELS.MEDIUM,
-                null
-            );
-
-            // Get the command from the response
-            const processedCommand = (convResponse?.content || convResponse?.message?.content || '').trim();
-
-            // Log the response only if PROMPT logging is enabled
-            if (config.SYSTEM?.CONSOLE_LOG_LEVELS?.PROMPT === true) {
-                logger.prompt('[RESPONSE] Received from OpenAI:', processedCommand);
+        // Call OpenAI API using centralized conversation utility so reasoning applies
+        const { runConversationCompletion } = require('../utils/openaiUtils');
+        let timeoutId;
+        const timeoutPromise = new Promise((_, reject) => {
+            timeoutId = setTimeout(() => reject(new Error('NLP completion timeout')), config.SYSTEM.NLP.LLM_TIMEOUT);
+        });
+        const convResponse = await Promise.race([
+            runAsModule(
+                'NLP',
+                () => runConversationCompletion([{ role: 'system', content: prompt }], 1, config.SYSTEM.AI_MODELS.MEDIUM, null),
+                { chatName: chat.isGroup ? chat.name : null, userId: message.author || message.from }
+            ),
+            timeoutPromise,
+        ]).finally(() => clearTimeout(timeoutId));
+
+        const responseText = (convResponse?.content || convResponse?.message?.content || '').trim();
+
+        // Log the response only if PROMPT logging is enabled
+        if (config.SYSTEM?.CONSOLE_LOG_LEVELS?.PROMPT === true) {
+            logger.prompt('[RESPONSE] Received from OpenAI:', responseText);
+        }
+
+        const intents = this.parseIntents(responseText);
+        logger.debug('Ranked NLP intents', {
+            intents: intents.map(intent => `${intent.name} (${intent.confidence})`),
+        });
+        return intents;
+    }
+
+    /**
+     * Parse the LLM answer into ranked intents. A bare command ("#resumo 10") is still
+     * accepted and treated as a confident single intent.
+     * @param {string} responseText - Raw LLM answer
+     * @returns {Object[]} Intents sorted by confidence
+     */
+    parseIntents(responseText) {
+        let rawIntents;
+        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+            try {
+                rawIntents = JSON.parse(jsonMatch[0]).intents;
+            } catch (error) {
+                logger.warn('Could not parse NLP intents JSON', { responseText });
             }
+        }
+        if (!Array.isArray(rawIntents)) {
+            rawIntents = responseText ? [{ command: responseText, confidence: 1 }] : [];
+        }
 
-            // Parse the command
-            if (processedCommand.startsWith('#')) {
-                // Extract command name and input - modified to handle whitespace after #
-                // First remove the # and any whitespace after it
-                const cleanedCommand = processedCommand.replace(/^#\s*/, '').trim();
-                const commandParts = cleanedCommand.split(/\s+/);
-                let commandName = commandParts[0].toUpperCase();
-                const commandInput = commandParts.slice(1).join(' ');
-
-                // Get dynamic command prefix mapping and reverse it for NLP use
-                const prefixMap = generateCommandPrefixMap();
-                const commandMap = {};
-                
-                // Reverse the mapping: command name -> prefix
-                for (const [prefix, commandName] of Object.entries(prefixMap)) {
-                    commandMap[commandName] = prefix;
-                }
-                
-                // Special case for CHAT - just return the input without command prefix
-                commandMap['CHAT'] = null;
-
-                // Handle special case for CHAT - return just the input with # prefix
-                if (commandName === 'CHAT') {
-                    logger.info(`NLP detected command: ${commandName} with input: ${commandInput}`);
-                    logger.debug(`Mapped to actual command: # (ChatGPT default)`);
-                    return `#${commandInput}`.trim();
-                }
+        return rawIntents
+            .map(raw => {
+                const formatted = this.formatCommand(String(raw.command || '').trim());
+                if (!formatted) return null;
+                const confidence = Number(raw.confidence);
+                return {
+                    ...formatted,
+                    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+                    label: raw.label || formatted.command,
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.confidence - a.confidence);
+    }
 
-                // Get the actual command prefix for other commands
-                const actualCommand = commandMap[commandName] || commandName.toLowerCase();
+    /**
+     * Map an LLM command ("#RESUMOS 10", "#CHAT pergunta", "@all") to the text the bot runs
+     * @param {string} processedCommand - Command as returned by the LLM
+     * @returns {{command: string, name: string}|null} Runnable command and its name
+     */
+    formatCommand(processedCommand) {
+        if (processedCommand.startsWith('@')) {
+            return { command: processedCommand, name: 'TAGS' };
+        }
+        if (!processedCommand.startsWith('#')) {
+            return null;
+        }
 
-                logger.info(`NLP detected command: ${commandName} with input: ${commandInput}`);
-                logger.debug(`Mapped to actual command: #${actualCommand}`);
+        // Extract command name and input - handles whitespace after #
+        const cleanedCommand = processedCommand.replace(/^#\s*/, '').trim();
+        const commandParts = cleanedCommand.split(/\s+/);
+        const commandName = commandParts[0].toUpperCase();
+        const commandInput = commandParts.slice(1).join(' ');
 
-                // Return the properly formatted command
-                return `#${actualCommand} ${commandInput}`.trim();
-            } else if (processedCommand.startsWith('@')) {
-                logger.info(`NLP detected tag command: ${processedCommand}`);
-                return processedCommand;
-            }
+        // CHAT is the default command: the input goes right after #
+        if (commandName === 'CHAT') {
+            return { command: `#${commandInput}`.trim(), name: 'CHAT' };
+        }
 
-            // Special handling for WIZARD command
-            if (processedCommand.toLowerCase().startsWith('#ferramentaresumo')) {
-                const contact = await message.getContact();
-                this.setWizardState(contact.id._serialized, chat.id._serialized, true);
-                logger.debug('Wizard mode activated from NLP command');
-            }
+        // Reverse the dynamic prefix mapping: command name -> prefix
+        const prefixMap = generateCommandPrefixMap();
+        const commandMap = {};
+        for (const [prefix, name] of Object.entries(prefixMap)) {
+            commandMap[name] = prefix;
+        }
 
-            return processedCommand;
-        } catch (error) {
-            logger.error('Error processing natural language command:', error);
-            throw error;
+        // The LLM may answer with the command name or with one of its prefixes
+        const actualCommand = commandMap[commandName] || commandName.toLowerCase();
+        const name = prefixMap[actualCommand] || commandName;
+        logger.debug(`Mapped to actual command: #${actualCommand}`);
+        return { command: `#${actualCommand} ${commandInput}`.trim(), name };
+    }
+
+    /**
+     * Final bookkeeping for the chosen intent
+     */
+    acceptIntent(intent, userId, chatId) {
+        if (intent.command.toLowerCase().startsWith('#ferramentaresumo')) {
+            this.setWizardState(userId, chatId, true);
+            logger.debug('Wizard mode activated from NLP command');
+        }
+        return intent.command;
+    }
+
+    /**
+     * Ask the user which of the candidate intents they meant and remember the candidates
+     */
+    async askClarification(message, chatId, userId, intents) {
+        const { MAX_CLARIFICATION_OPTIONS, CLARIFICATION_TIMEOUT } = config.SYSTEM.NLP;
+        const options = intents.slice(0, MAX_CLARIFICATION_OPTIONS);
+
+        this.pendingIntents.set(chatId, {
+            userId,
+            intents: options,
+            expiresAt: Date.now() + CLARIFICATION_TIMEOUT,
+        });
+        logger.debug('Asking NLP clarification', {
+            chatId,
+            options: options.map(intent => `${intent.name} (${intent.confidence})`),
+        });
+
+        const question =
+            options.length === 1
+                ? `Você quer ${options[0].label}? (responda sim ou não)`
+                : `Você quer ${options
+                      .map(intent => intent.label)
+                      .join(' ou ')
+                      .replace(/ ou (?=.* ou )/g, ', ')}?\n` +
+                  options.map((intent, index) => `${index + 1}. ${intent.label}`).join('\n');
+        await message.reply(`🤔 ${question}`);
+    }
+
+    /**
+     * Resolve the user's answer to a pending clarification question. The pending state is
+     * consumed by the asker's next message either way; unrelated answers fall through.
+     * @param {Object} message - The message
+     * @param {Object} chat - Chat of the message
+     * @returns {Promise<string|null>} Chosen command text or null
+     */
+    async resolvePendingIntent(message, chat) {
+        if (this.pendingIntents.size === 0) return null;
+
+        const targetChat = chat || (await this.getRobustChatObject(message));
+        const chatId = targetChat?.id?._serialized;
+        const pending = chatId && this.pendingIntents.get(chatId);
+        if (!pending) return null;
+
+        const contact = await message.getContact();
+        const userId = contact.id._serialized;
+        if (pending.userId !== userId) return null;
+
+        this.pendingIntents.delete(chatId);
+        if (Date.now() > pending.expiresAt) {
+            logger.debug('NLP clarification expired', { chatId });
+            return null;
+        }
+
+        const intent = this.matchClarificationAnswer(this.cleanMessageBody(message), pending.intents);
+        if (!intent) {
+            logger.debug('Message did not answer the NLP clarification', { chatId });
+            return null;
+        }
+
+        logger.info(`NLP clarification resolved to ${intent.name}`);
+        return this.acceptIntent(intent, userId, chatId);
+    }
+
+    /**
+     * Pick the intent an answer refers to: by number, "sim" for the first option, or by
+     * words of its label/command
+     */
+    matchClarificationAnswer(answer, intents) {
+        const normalize = text =>
+            text
+                .toLowerCase()
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '');
+        const normalized = normalize(answer).trim();
+        if (!normalized || /^(nao|n|nenhum|nenhuma|cancela|cancelar)\b/.test(normalized)) {
+            return null;
+        }
+
+        const number = normalized.match(/^(\d+)\b/);
+        if (number) {
+            return intents[Number(number[1]) - 1] || null;
+        }
+        if (/^(sim|s|isso|pode|ok|esse|essa|o primeiro|a primeira)\b/.test(normalized)) {
+            return intents[0];
         }
+
+        // Count the distinctive words (4+ letters) of each option that the answer contains
+        const answerWords = new Set(normalized.split(/[^a-z0-9]+/));
+        const scores = intents.map(intent => {
+            const words = normalize(`${intent.label} ${intent.command} ${intent.name}`)
+                .split(/[^a-z0-9]+/)
+                .filter(word => word.length >= 4);
+            return new Set(words.filter(word => answerWords.has(word))).size;
+        });
+        const bestScore = Math.max(...scores);
+        const winners = scores.filter(score => score === bestScore);
+        return bestScore > 0 && winners.length === 1 ? intents[scores.indexOf(bestScore)] : null;
+    }
+
+    /**
+     * Describe the available commands for the NLP prompt
+     * @param {Object} chat - Chat of the message (for group tags)
+     * @returns {string} Command list
+     */
+    buildCommandList(chat) {
+        const chatName = chat.name;
+
+        // Get list of available commands with their descriptions and prefixes
+        return Object.entries(config.COMMANDS)
+            .filter(([_, cmd]) => cmd.description) // Only include commands with descriptions
+            .map(([name, cmd]) => {
+                const prefixes = cmd.prefixes ? cmd.prefixes.join(' or ') : 'No prefix';
+                const capabilities = this.getCommandCapabilities(cmd);
+                logger.debug('Command capability check', { command: name, capabilities });
+
+                // Add tag information for the TAGS command
+                if (name === 'TAGS' && chat.isGroup) {
+                    let tagInfo = '';
+
+                    // Add special tags
+                    if (cmd.specialTags && Object.keys(cmd.specialTags).length > 0) {
+                        tagInfo +=
+                            '\n    Special Tags: ' + Object.keys(cmd.specialTags).join(', ');
+
+                        // Add descriptions for special tags
+                        tagInfo += '\n    Special Tag Descriptions:';
+                        for (const [tag, tagConfig] of Object.entries(cmd.specialTags)) {
+                            tagInfo += `\n      ${tag}: ${
+                                tagConfig.description || 'No description'
+                            }`;
+                        }
+                    }
+
+                    // Add group-specific tags
+                    if (
+                        cmd.groupTags &&
+                        cmd.groupTags[chatName] &&
+                        Object.keys(cmd.groupTags[chatName]).length > 0
+                    ) {
+                        tagInfo +=
+                            '\n    Group Tags: ' +
+                            Object.keys(cmd.groupTags[chatName]).join(', ');
+
+                        // Add details about each group tag
+                        tagInfo += '\n    Tag Details:';
+                        for (const [tag, tagConfig] of Object.entries(
+                            cmd.groupTags[chatName]
+                        )) {
+                            // Get description and members from config
+                            const description = tagConfig.description || 'No description';
+                            const members = Array.isArray(tagConfig.members)
+                                ? tagConfig.members.join(', ')
+                                : 'No members';
+                            tagInfo += `\n      ${tag}: ${description} (${members})`;
+                        }
+                    }
+
+                    return `${name}:
+                    Description: ${cmd.description}
+                    Usage: No prefix (use @tagname)
+                    Supports: ${capabilities}${tagInfo}`;
+                }
+
+                return `${name}:
+                    Description: ${cmd.description}
+                    Usage: ${prefixes}
+                    Supports: ${capabilities}`;
+            })
+            .join('\n\n');
     }
 
     getCommandCapabilities(cmd) {
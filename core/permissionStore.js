@@ -0,0 +1,169 @@
+// permissionStore.js
+// Persisted, runtime-editable permissions layered on top of the whitelist seed defaults
+
+const config = require('../configs/config');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/storageUtils');
+
+const STORE_FILE = 'permissions.json';
+
+/**
+ * Roles, from most to least privileged:
+ * - admin:     every command, including admin-only ones and !grant/!revoke/!role
+ * - moderator: every non admin-only command in any chat
+ * - member:    default; the whitelist seeds plus runtime grants decide
+ * - guest:     blocked from all commands
+ */
+const ROLES = ['admin', 'moderator', 'member', 'guest'];
+const DEFAULT_ROLE = 'member';
+
+const DEFAULT_STORE = {
+    roles: {}, // userId -> role
+    commands: {}, // COMMAND -> { allow: { groups: [], users: [] }, deny: { groups: [], users: [] } }
+};
+
+class PermissionStore {
+    constructor() {
+        this.ROLES = ROLES;
+        this.data = null;
+    }
+
+    load() {
+        if (!this.data) {
+            const stored = readJsonFile(STORE_FILE, DEFAULT_STORE);
+            this.data = {
+                roles: stored.roles || {},
+                commands: stored.commands || {},
+            };
+        }
+        return this.data;
+    }
+
+    save() {
+        writeJsonFile(STORE_FILE, this.load());
+    }
+
+    /**
+     * Normalize a user reference ("5511999999999", "+55 11 99999-9999", "...@c.us")
+     * @param {string} user - User reference
+     * @returns {string|null} Serialized user ID or null if it is not a phone number
+     */
+    normalizeUserId(user) {
+        if (!user) return null;
+        if (user.endsWith('@c.us')) return user;
+        const digits = user.replace(/[\s+\-()@]/g, '');
+        return /^\d{8,15}$/.test(digits) ? `${digits}@c.us` : null;
+    }
+
+    getRole(userId) {
+        const adminNumber = config.CREDENTIALS.ADMIN_NUMBER;
+        if (userId === `${adminNumber}@c.us` || userId === adminNumber) {
+            return 'admin';
+        }
+        return this.load().roles[userId] || DEFAULT_ROLE;
+    }
+
+    setRole(userId, role) {
+        const data = this.load();
+        if (role === DEFAULT_ROLE) {
+            delete data.roles[userId];
+        } else {
+            data.roles[userId] = role;
+        }
+        this.save();
+        logger.info(`Role of ${userId} set to ${role}`);
+    }
+
+    getCommandEntry(commandName) {
+        const data = this.load();
+        if (!data.commands[commandName]) {
+            data.commands[commandName] = {
+                allow: { groups: [], users: [] },
+                deny: { groups: [], users: [] },
+            };
+        }
+        return data.commands[commandName];
+    }
+
+    /**
+     * Grant a command to a group (by name) or user (by ID), removing any explicit denial
+     * @param {string} commandName - Command name (e.g. DESENHO)
+     * @param {{type: 'group'|'user', id: string}} target - Grant target
+     */
+    grant(commandName, target) {
+        const entry = this.getCommandEntry(commandName);
+        const key = target.type === 'group' ? 'groups' : 'users';
+        entry.deny[key] = entry.deny[key].filter(id => id !== target.id);
+        if (!entry.allow[key].includes(target.id)) {
+            entry.allow[key].push(target.id);
+        }
+        this.save();
+        logger.info(`Granted ${commandName} to ${target.type} ${target.id}`);
+    }
+
+    /**
+     * Revoke a command from a group or user. Runtime grants are removed and an explicit
+     * denial is recorded so that whitelist seeds are overridden too.
+     * @param {string} commandName - Command name (e.g. DESENHO)
+     * @param {{type: 'group'|'user', id: string}} target - Revoke target
+     */
+    revoke(commandName, target) {
+        const entry = this.getCommandEntry(commandName);
+        const key = target.type === 'group' ? 'groups' : 'users';
+        entry.allow[key] = entry.allow[key].filter(id => id !== target.id);
+        if (!entry.deny[key].includes(target.id)) {
+            entry.deny[key].push(target.id);
+        }
+        this.save();
+        logger.info(`Revoked ${commandName} from ${target.type} ${target.id}`);
+    }
+
+    /**
+     * Get the runtime grants and denials of a command
+     * @param {string} commandName - Command name
+     * @returns {{allow: Object, deny: Object}} Copy of the stored entry
+     */
+    getCommandPermissions(commandName) {
+        const entry = this.load().commands[commandName];
+        return {
+            allow: { groups: [...(entry?.allow.groups || [])], users: [...(entry?.allow.users || [])] },
+            deny: { groups: [...(entry?.deny.groups || [])], users: [...(entry?.deny.users || [])] },
+        };
+    }
+
+    getUsersWithRole(role) {
+        return Object.entries(this.load().roles)
+            .filter(([, userRole]) => userRole === role)
+            .map(([userId]) => userId);
+    }
+
+    /**
+     * Decide a permission from roles and runtime entries
+     * @param {string} commandName - Command name
+     * @param {string} chatName - Group name, or chat ID for DMs
+     * @param {string} userId - Serialized user ID
+     * @param {Object} options - Extra context
+     * @param {boolean} options.adminOnly - Whether the command is admin-only
+     * @returns {boolean|null} true/false when the store decides, null to fall back to seeds
+     */
+    resolvePermission(commandName, chatName, userId, { adminOnly = false } = {}) {
+        const role = this.getRole(userId);
+        if (role === 'admin') return true;
+        if (role === 'guest') return false;
+
+        const entry = this.load().commands[commandName];
+        if (entry) {
+            if (entry.deny.users.includes(userId) || entry.deny.groups.includes(chatName)) {
+                return false;
+            }
+            if (!adminOnly && (entry.allow.users.includes(userId) || entry.allow.groups.includes(chatName))) {
+                return true;
+            }
+        }
+
+        if (role === 'moderator' && !adminOnly) return true;
+        return null;
+    }
+}
+
+module.exports = new PermissionStore();
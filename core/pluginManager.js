@@ -0,0 +1,313 @@
+// pluginManager.js
+// Loads optional command bundles from plugins/<name>/ and tracks their enabled state
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/storageUtils');
+const { handlerNameToCommandName } = require('./handlerDiscovery');
+
+const PLUGINS_DIR = path.resolve(__dirname, '..', 'plugins');
+const MANIFEST_FILE = 'plugin.json';
+const STORE_FILE = 'plugins.json';
+
+const SCHEMA_TYPES = ['number', 'string', 'boolean', 'enum'];
+
+/**
+ * Manifest (plugins/<dir>/plugin.json):
+ *   {
+ *     name, version, description, main: 'index.js', enabledByDefault: true,
+ *     commands: ['DADO'],
+ *     permissions: { DADO: { allowedIn: 'all' | ['Group name', 'dm.Group name'], adminOnly: false } },
+ *     configSchema: { faces: { type: 'number', default: 6, min: 2, max: 100, description } }
+ *   }
+ *
+ * The main module follows the same conventions as the built-in modules: `X_CONFIG`
+ * exports are command configs and `handleX` exports are their handlers. Each command
+ * config receives the plugin's effective settings as `pluginConfig`.
+ *
+ * Runtime state (data/plugins.json): { plugins: { [name]: { enabled, disabledGroups, config } } }
+ */
+class PluginManager {
+    constructor() {
+        this.plugins = new Map(); // name -> { manifest, dir, status, error, configs, handlers }
+        this.state = null;
+    }
+
+    loadState() {
+        if (!this.state) {
+            const stored = readJsonFile(STORE_FILE, { plugins: {} });
+            this.state = { plugins: stored.plugins || {} };
+        }
+        return this.state;
+    }
+
+    saveState() {
+        writeJsonFile(STORE_FILE, this.loadState());
+    }
+
+    getPluginState(name, manifest = this.plugins.get(name)?.manifest) {
+        const plugins = this.loadState().plugins;
+        if (!plugins[name]) {
+            plugins[name] = {
+                enabled: manifest ? manifest.enabledByDefault !== false : true,
+                disabledGroups: [],
+                config: {},
+            };
+        }
+        return plugins[name];
+    }
+
+    /**
+     * Load every plugin under plugins/. A plugin that fails validation or throws while
+     * loading is marked as failed and skipped; it never stops the bot from starting.
+     * @param {Object} coreCommands - Built-in command configs (plugins can't override them)
+     * @returns {Map} Loaded plugins
+     */
+    loadAll(coreCommands = {}) {
+        this.plugins.clear();
+        if (!fs.existsSync(PLUGINS_DIR)) {
+            return this.plugins;
+        }
+
+        const dirs = fs
+            .readdirSync(PLUGINS_DIR, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'));
+
+        for (const dir of dirs) {
+            const pluginDir = path.join(PLUGINS_DIR, dir.name);
+            let name = dir.name;
+            try {
+                const manifest = this.readManifest(pluginDir);
+                name = manifest.name;
+                if (this.plugins.has(name)) {
+                    throw new Error(`duplicate plugin name ${name}`);
+                }
+                this.plugins.set(name, this.loadPlugin(manifest, pluginDir, coreCommands));
+                logger.debug(`Loaded plugin ${name} v${manifest.version}`, { commands: manifest.commands });
+            } catch (error) {
+                logger.warn(`⚠ Plugin ${name} failed to load: ${error.message}`);
+                this.plugins.set(name, {
+                    manifest: { name, version: '?', commands: [] },
+                    dir: pluginDir,
+                    status: 'failed',
+                    error: error.message,
+                    configs: {},
+                    handlers: {},
+                });
+            }
+        }
+
+        const failed = [...this.plugins.values()].filter(plugin => plugin.status === 'failed').length;
+        logger.debug(`Loaded ${this.plugins.size - failed} plugin(s), ${failed} failed`);
+        return this.plugins;
+    }
+
+    readManifest(pluginDir) {
+        const manifestPath = path.join(pluginDir, MANIFEST_FILE);
+        if (!fs.existsSync(manifestPath)) {
+            throw new Error(`missing ${MANIFEST_FILE}`);
+        }
+
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        if (!manifest.name || !/^[a-z0-9_-]+$/.test(manifest.name)) {
+            throw new Error('manifest "name" must be lowercase letters, numbers, "-" or "_"');
+        }
+        if (!manifest.version) {
+            throw new Error('manifest has no "version"');
+        }
+        if (!Array.isArray(manifest.commands) || manifest.commands.length === 0) {
+            throw new Error('manifest "commands" must list at least one command');
+        }
+        for (const [key, field] of Object.entries(manifest.configSchema || {})) {
+            if (!SCHEMA_TYPES.includes(field.type)) {
+                throw new Error(`config "${key}" has unknown type ${field.type}`);
+            }
+        }
+        return manifest;
+    }
+
+    loadPlugin(manifest, pluginDir, coreCommands) {
+        const mainPath = path.join(pluginDir, manifest.main || 'index.js');
+        // Drop a cached copy so a reload picks up changes
+        delete require.cache[require.resolve(mainPath)];
+        const exported = require(mainPath);
+
+        const configs = {};
+        const handlers = {};
+        for (const [key, value] of Object.entries(exported)) {
+            if (key.endsWith('_CONFIG') && value && typeof value === 'object') {
+                configs[key.replace(/_CONFIG$/, '')] = value;
+            } else if (typeof value === 'function') {
+                const commandName = handlerNameToCommandName(key);
+                if (commandName) handlers[commandName] = value;
+            }
+        }
+
+        for (const commandName of manifest.commands) {
+            if (coreCommands[commandName] && !coreCommands[commandName].plugin) {
+                throw new Error(`command ${commandName} already exists in the bot`);
+            }
+            if (!configs[commandName] || !handlers[commandName]) {
+                throw new Error(`command ${commandName} needs an ${commandName}_CONFIG export and a handler`);
+            }
+        }
+
+        const plugin = { manifest, dir: pluginDir, status: 'loaded', error: null, configs, handlers };
+        // Validate stored settings now so a bad value is reported at load time
+        this.resolveConfig(plugin);
+        return plugin;
+    }
+
+    /**
+     * Effective settings of a plugin: schema defaults overridden by stored values
+     */
+    resolveConfig(plugin) {
+        const stored = this.getPluginState(plugin.manifest.name, plugin.manifest).config;
+        const resolved = {};
+        for (const [key, field] of Object.entries(plugin.manifest.configSchema || {})) {
+            resolved[key] = key in stored ? this.validateConfigValue(key, field, stored[key]) : field.default;
+        }
+        return resolved;
+    }
+
+    /**
+     * Validate (and coerce text input for) one setting against its schema field.
+     * Messages are in Portuguese because !plugins config shows them to the admin.
+     * @returns {*} Validated value
+     */
+    validateConfigValue(key, field, value) {
+        let coerced = value;
+        if (field.type === 'number') {
+            coerced = Number(value);
+            if (!Number.isFinite(coerced)) throw new Error(`${key} deve ser um número`);
+            if (field.min !== undefined && coerced < field.min) throw new Error(`${key} deve ser ≥ ${field.min}`);
+            if (field.max !== undefined && coerced > field.max) throw new Error(`${key} deve ser ≤ ${field.max}`);
+        } else if (field.type === 'boolean') {
+            coerced = typeof value === 'boolean' ? value : ['true', 'on', 'sim', '1'].includes(String(value).toLowerCase());
+        } else if (field.type === 'enum') {
+            if (!(field.values || []).includes(value)) {
+                throw new Error(`${key} deve ser um de: ${(field.values || []).join(', ')}`);
+            }
+        } else {
+            coerced = String(value);
+        }
+        return coerced;
+    }
+
+    /**
+     * Command configs of loaded plugins (merged into config.COMMANDS). Disabled plugins keep
+     * their configs so their prefixes still parse; the dispatch gate skips them instead.
+     * @returns {Object} COMMAND -> config with `pluginConfig` and `plugin`
+     */
+    getCommandConfigs() {
+        const commands = {};
+        for (const plugin of this.plugins.values()) {
+            if (plugin.status !== 'loaded') continue;
+            const pluginConfig = this.resolveConfig(plugin);
+            for (const commandName of plugin.manifest.commands) {
+                commands[commandName] = {
+                    ...plugin.configs[commandName],
+                    plugin: plugin.manifest.name,
+                    pluginConfig,
+                };
+            }
+        }
+        return commands;
+    }
+
+    /**
+     * Handlers of every loaded plugin
+     * @returns {Object} COMMAND -> handler
+     */
+    getHandlers() {
+        const handlers = {};
+        for (const plugin of this.plugins.values()) {
+            if (plugin.status === 'loaded') Object.assign(handlers, plugin.handlers);
+        }
+        return handlers;
+    }
+
+    /**
+     * Whitelist seeds declared by loaded plugins
+     * @returns {Object} COMMAND -> { allowedIn, adminOnly }
+     */
+    getPermissionSeeds() {
+        const seeds = {};
+        for (const plugin of this.plugins.values()) {
+            if (plugin.status !== 'loaded') continue;
+            for (const commandName of plugin.manifest.commands) {
+                const permissions = (plugin.manifest.permissions || {})[commandName] || {};
+                seeds[commandName] = {
+                    allowedIn: permissions.allowedIn || [],
+                    adminOnly: !!permissions.adminOnly,
+                };
+            }
+        }
+        return seeds;
+    }
+
+    getPluginForCommand(commandName) {
+        for (const plugin of this.plugins.values()) {
+            if (plugin.status === 'loaded' && plugin.manifest.commands.includes(commandName)) return plugin;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a plugin command may run in a chat (globally enabled and not disabled there)
+     * @param {string} commandName - Command name
+     * @param {string} groupName - Group name, or null in DMs
+     * @returns {boolean} True for non-plugin commands
+     */
+    isCommandEnabled(commandName, groupName) {
+        const plugin = this.getPluginForCommand(commandName);
+        if (!plugin) return true;
+        const state = this.getPluginState(plugin.manifest.name);
+        return state.enabled && !(groupName && state.disabledGroups.includes(groupName));
+    }
+
+    /**
+     * Enable or disable a plugin globally or for one group
+     * @param {string} name - Plugin name
+     * @param {boolean} enabled - New state
+     * @param {string|null} groupName - Group to change, or null for the global switch
+     */
+    setEnabled(name, enabled, groupName = null) {
+        const state = this.getPluginState(name);
+        if (groupName) {
+            state.disabledGroups = state.disabledGroups.filter(group => group !== groupName);
+            if (!enabled) state.disabledGroups.push(groupName);
+        } else {
+            state.enabled = enabled;
+        }
+        this.saveState();
+        logger.info(`Plugin ${name} ${enabled ? 'enabled' : 'disabled'}${groupName ? ` in ${groupName}` : ''}`);
+    }
+
+    /**
+     * Change one plugin setting after validating it against the manifest schema
+     * @returns {*} Stored value
+     */
+    setConfigValue(name, key, value) {
+        const plugin = this.plugins.get(name);
+        const field = (plugin?.manifest.configSchema || {})[key];
+        if (!field) {
+            throw new Error(`configuração desconhecida: ${key}`);
+        }
+        const validated = this.validateConfigValue(key, field, value);
+        this.getPluginState(name).config[key] = validated;
+        this.saveState();
+        logger.info(`Plugin ${name} setting ${key} set to ${validated}`);
+        return validated;
+    }
+
+    list() {
+        return [...this.plugins.values()].map(plugin => ({
+            ...plugin,
+            state: plugin.status === 'loaded' ? this.getPluginState(plugin.manifest.name) : null,
+        }));
+    }
+}
+
+module.exports = new PluginManager();
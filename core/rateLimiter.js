@@ -0,0 +1,191 @@
+// rateLimiter.js
+// Sliding-window rate limiting and quotas for commands, declared per command config
+
+const logger = require('../utils/logger');
+
+/**
+ * Supported rules in a command's `rateLimit` block:
+ *
+ *   rateLimit: {
+ *       perUser:    { max: 10, windowMinutes: 60 },    // each user, across all chats
+ *       perGroup:   { max: 50, windowMinutes: 1440 },  // each chat (group or DM)
+ *       perCommand: { max: 200, windowMinutes: 1440 }, // everyone, everywhere
+ *       burst:      { max: 3, windowSeconds: 30 },     // each user, short window
+ *   }
+ */
+const RULES = {
+    burst: { keyOf: ({ userId }) => userId, label: 'por usuário' },
+    perUser: { keyOf: ({ userId }) => userId, label: 'por usuário' },
+    perGroup: { keyOf: ({ chatId }) => chatId, label: 'neste chat' },
+    perCommand: { keyOf: () => 'all', label: 'no total' },
+};
+
+const DEFAULT_MESSAGE =
+    '⏳ Limite de uso de {command} atingido ({max} {period} {scope}). Tente novamente {reset}.';
+
+function getWindowMs(rule) {
+    if (rule.windowSeconds) return rule.windowSeconds * 1000;
+    if (rule.windowMinutes) return rule.windowMinutes * 60 * 1000;
+    if (rule.windowHours) return rule.windowHours * 60 * 60 * 1000;
+    return 0;
+}
+
+/**
+ * Describe a window length in Portuguese (e.g. "por hora", "a cada 30 segundos")
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {string} Human readable period
+ */
+function describeWindow(windowMs) {
+    const minutes = windowMs / 60000;
+    if (minutes === 60) return 'por hora';
+    if (minutes === 1440) return 'por dia';
+    if (minutes < 1) return `a cada ${Math.round(windowMs / 1000)} segundos`;
+    if (minutes < 60) return `a cada ${Math.round(minutes)} minutos`;
+    if (minutes % 1440 === 0) return `a cada ${minutes / 1440} dias`;
+    return `a cada ${Math.round(minutes / 60)} horas`;
+}
+
+/**
+ * Format the reset time relative to now, in São Paulo time
+ * @param {number} resetAt - Timestamp (ms) when a slot frees up
+ * @returns {string} e.g. "em 45 segundos", "às 14:35", "em 21/03 às 09:10"
+ */
+function formatResetTime(resetAt) {
+    const remainingMs = resetAt - Date.now();
+    if (remainingMs < 60000) {
+        return `em ${Math.max(1, Math.ceil(remainingMs / 1000))} segundos`;
+    }
+
+    const options = { timeZone: 'America/Sao_Paulo' };
+    const resetDate = new Date(resetAt);
+    const time = resetDate.toLocaleTimeString('pt-BR', { ...options, hour: '2-digit', minute: '2-digit' });
+    const sameDay =
+        resetDate.toLocaleDateString('pt-BR', options) === new Date().toLocaleDateString('pt-BR', options);
+    if (sameDay) return `às ${time}`;
+
+    const date = resetDate.toLocaleDateString('pt-BR', { ...options, day: '2-digit', month: '2-digit' });
+    return `em ${date} às ${time}`;
+}
+
+class RateLimiter {
+    constructor() {
+        this.hits = new Map(); // `${command}:${rule}:${key}` -> [timestamps]
+        this.maxWindowMs = new Map(); // bucket -> longest window, used for pruning
+        this.cleanupInterval = setInterval(() => this.cleanup(), 10 * 60 * 1000);
+        this.cleanupInterval.unref?.();
+    }
+
+    /**
+     * Get the configured rules of a command as [name, rule, windowMs]
+     * @param {Object} command - Command configuration
+     * @returns {Array} Valid rules
+     */
+    getRules(command) {
+        return Object.entries(command.rateLimit || {})
+            .filter(([name, rule]) => RULES[name] && rule?.max > 0 && getWindowMs(rule) > 0)
+            .map(([name, rule]) => [name, rule, getWindowMs(rule)]);
+    }
+
+    getRecentHits(bucket, windowMs, now) {
+        const hits = (this.hits.get(bucket) || []).filter(timestamp => now - timestamp < windowMs);
+        this.hits.set(bucket, hits);
+        return hits;
+    }
+
+    /**
+     * Check every rule of a command and, if all pass, record the usage
+     * @param {Object} command - Command configuration (with name)
+     * @param {Object} context - Who is calling
+     * @param {string} context.userId - Serialized user ID
+     * @param {string} context.chatId - Serialized chat ID
+     * @returns {{allowed: boolean, rule?: string, max?: number, windowMs?: number, resetAt?: number}}
+     */
+    consume(command, { userId, chatId }) {
+        const rules = this.getRules(command);
+        if (rules.length === 0) return { allowed: true };
+
+        const now = Date.now();
+        const buckets = [];
+        let blocked = null;
+
+        for (const [name, rule, windowMs] of rules) {
+            const bucket = `${command.name}:${name}:${RULES[name].keyOf({ userId, chatId })}`;
+            const hits = this.getRecentHits(bucket, windowMs, now);
+            buckets.push([bucket, windowMs]);
+
+            if (hits.length >= rule.max) {
+                // Oldest hit inside the window is the next one to expire
+                const resetAt = hits[hits.length - rule.max] + windowMs;
+                if (!blocked || resetAt > blocked.resetAt) {
+                    blocked = { allowed: false, rule: name, max: rule.max, windowMs, resetAt };
+                }
+            }
+        }
+
+        if (blocked) {
+            logger.debug('Rate limit reached', { command: command.name, userId, chatId, ...blocked });
+            return blocked;
+        }
+
+        for (const [bucket, windowMs] of buckets) {
+            this.hits.get(bucket).push(now);
+            this.maxWindowMs.set(bucket, Math.max(windowMs, this.maxWindowMs.get(bucket) || 0));
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Build the Portuguese reply for a blocked call
+     * @param {Object} command - Command configuration (with name)
+     * @param {Object} result - Result returned by consume()
+     * @returns {string} Reply text
+     */
+    formatLimitMessage(command, result) {
+        const template = command.errorMessages?.rateLimited || DEFAULT_MESSAGE;
+        return template
+            .replace('{command}', command.prefixes?.[0] || command.name)
+            .replace('{max}', result.max)
+            .replace('{period}', describeWindow(result.windowMs))
+            .replace('{scope}', RULES[result.rule].label)
+            .replace('{reset}', formatResetTime(result.resetAt));
+    }
+
+    /**
+     * Describe the configured limits of a command (used by the #? help page)
+     * @param {Object} command - Command configuration
+     * @returns {string[]} e.g. ["5 por hora por usuário"]
+     */
+    describeLimits(command) {
+        return this.getRules(command).map(
+            ([name, rule, windowMs]) => `${rule.max} ${describeWindow(windowMs)} ${RULES[name].label}`
+        );
+    }
+
+    /**
+     * Drop expired timestamps and empty buckets
+     */
+    cleanup() {
+        const now = Date.now();
+        for (const [bucket, windowMs] of this.maxWindowMs.entries()) {
+            if (this.getRecentHits(bucket, windowMs, now).length === 0) {
+                this.hits.delete(bucket);
+                this.maxWindowMs.delete(bucket);
+            }
+        }
+    }
+
+    /**
+     * Clear recorded usage, optionally only for one command
+     * @param {string|null} commandName - Command to reset, or null for all
+     */
+    reset(commandName = null) {
+        for (const bucket of [...this.hits.keys()]) {
+            if (!commandName || bucket.startsWith(`${commandName}:`)) {
+                this.hits.delete(bucket);
+                this.maxWindowMs.delete(bucket);
+            }
+        }
+    }
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,99 @@
+// reactionHandler.js
+// Runs the action mapped to an emoji (config.REACTIONS) when someone reacts to a message
+
+const config = require('../configs/config');
+const logger = require('../utils/logger');
+const transport = require('./transport/transport');
+
+// How far back in the chat history to look for the reacted message
+const SEARCH_LIMIT = 200;
+
+function getCommandManager() {
+    // Lazy-load to avoid a require cycle (CommandManager → handlers → listener helpers)
+    // eslint-disable-next-line global-require
+    return require('./CommandManager');
+}
+
+/**
+ * Built-in 'delete' action: remove a bot message for everyone
+ */
+async function deleteBotMessage(reaction, message) {
+    if (!reaction.msgId.fromMe) {
+        logger.debug('Message was not from bot, ignoring delete reaction');
+        return;
+    }
+    await message.delete(true);
+    logger.info('Successfully deleted message after reaction');
+}
+
+/**
+ * Dispatch a command as the reacting user, with the reacted message as its quoted input.
+ * Going through CommandManager means permissions, rate limits and the rest of the
+ * middleware apply exactly as if the user had replied to the message with the command.
+ */
+async function runCommandAction(reaction, message, mapping) {
+    const command = config.COMMANDS[mapping.command];
+    if (!command) {
+        logger.warn(`Reaction ${reaction.reaction} is mapped to unknown command ${mapping.command}`);
+        return;
+    }
+    if (mapping.messageTypes && !mapping.messageTypes.includes(message.type)) {
+        logger.debug(`Ignoring ${reaction.reaction} reaction on a ${message.type} message`);
+        return;
+    }
+
+    const chat = await message.getChat();
+    const body = [command.prefixes[0], mapping.input].filter(Boolean).join(' ');
+    const commandMessage = await transport.createCommandMessage(chat, reaction.senderId, body, {
+        source: 'reaction',
+        quotedMessage: message,
+    });
+
+    logger.debug(`Dispatching ${mapping.command} from ${reaction.reaction} reaction`, {
+        chatId: chat.id._serialized,
+        userId: reaction.senderId,
+    });
+    const executed = await getCommandManager().processCommand(commandMessage);
+    if (!executed) {
+        logger.debug(`Reaction ${reaction.reaction} did not run ${mapping.command}`);
+    }
+}
+
+/**
+ * Handle a message_reaction event
+ * @param {Object} reaction - { reaction: emoji, msgId: { _serialized, remote, fromMe }, senderId }
+ */
+async function handleReaction(reaction) {
+    const mapping = (config.REACTIONS || {})[reaction.reaction];
+    if (!mapping) {
+        logger.debug(`Ignoring reaction with unmapped emoji ${reaction.reaction}`);
+        return;
+    }
+
+    // Reactions the bot itself sends (e.g. progress indicators) never trigger actions
+    const botId = `${config.CREDENTIALS.BOT_NUMBER}@c.us`;
+    if (!reaction.senderId || reaction.senderId === botId) {
+        return;
+    }
+
+    const message = await transport.findMessage(reaction.msgId.remote, reaction.msgId._serialized, SEARCH_LIMIT);
+    if (!message) {
+        logger.warn('Could not find reacted message', {
+            searchedId: reaction.msgId._serialized,
+            chatId: reaction.msgId.remote,
+        });
+        return;
+    }
+
+    if (mapping.action === 'delete') {
+        await deleteBotMessage(reaction, message);
+    } else if (mapping.command) {
+        await runCommandAction(reaction, message, mapping);
+    } else {
+        logger.warn(`Reaction ${reaction.reaction} has no valid action configured`);
+    }
+}
+
+module.exports = {
+    handleReaction,
+};
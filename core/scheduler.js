@@ -0,0 +1,214 @@
+// scheduler.js
+// Persisted job scheduler: runs commands (and other job types) at a time or on a recurrence
+
+const logger = require('../utils/logger');
+const transport = require('./transport/transport');
+const { readJsonFile, writeJsonFile } = require('../utils/storageUtils');
+const { getNextRun, describeSchedule } = require('../utils/timeUtils');
+
+const STORE_FILE = 'schedules.json';
+const TICK_INTERVAL = 30 * 1000;
+// One-off jobs missed while the bot was down still run if they are at most this late
+const CATCH_UP_WINDOW = 60 * 60 * 1000;
+
+function getCommandManager() {
+    // Lazy-load: CommandManager indirectly requires modules that use the scheduler
+    // eslint-disable-next-line global-require
+    return require('./CommandManager');
+}
+
+/**
+ * Job shape (persisted in data/schedules.json):
+ *   { id, type: 'command' | ..., schedule, chatId, chatName, userId, payload,
+ *     createdAt, nextRunAt, lastRunAt, runCount }
+ *
+ * `type` selects the executor; 'command' is built in and other modules register their own
+ * with registerExecutor(type, async job => {}).
+ */
+class Scheduler {
+    constructor() {
+        this.data = null;
+        this.timer = null;
+        this.ticking = false;
+        this.executors = new Map();
+        this.registerExecutor('command', job => this.runCommandJob(job));
+    }
+
+    load() {
+        if (!this.data) {
+            const stored = readJsonFile(STORE_FILE, { nextId: 1, jobs: [] });
+            this.data = { nextId: stored.nextId || 1, jobs: stored.jobs || [] };
+        }
+        return this.data;
+    }
+
+    save() {
+        writeJsonFile(STORE_FILE, this.load());
+    }
+
+    /**
+     * Register how jobs of a given type are executed
+     * @param {string} type - Job type
+     * @param {Function} executor - async (job) => {}
+     */
+    registerExecutor(type, executor) {
+        this.executors.set(type, executor);
+    }
+
+    /**
+     * Start the periodic check. Overdue jobs are caught up or rescheduled first.
+     */
+    start() {
+        if (this.timer) return;
+
+        const now = Date.now();
+        let changed = false;
+        for (const job of [...this.load().jobs]) {
+            if (job.nextRunAt > now) continue;
+            if (job.schedule.type === 'once' && now - job.nextRunAt > CATCH_UP_WINDOW) {
+                logger.warn(`Dropping scheduled job ${job.id}: missed by more than an hour`);
+                this.data.jobs = this.data.jobs.filter(candidate => candidate.id !== job.id);
+                changed = true;
+            } else if (job.schedule.type !== 'once') {
+                job.nextRunAt = getNextRun(job.schedule, now, job.createdAt);
+                changed = true;
+            }
+        }
+        if (changed) this.save();
+
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+        this.timer.unref?.();
+        logger.debug(`Scheduler started with ${this.data.jobs.length} job(s)`);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Add a job
+     * @param {Object} job - { type, schedule, chatId, chatName, userId, payload }
+     * @returns {Object|null} Stored job, or null if the schedule never fires
+     */
+    addJob({ type = 'command', schedule, chatId, chatName, userId, payload = {} }) {
+        const now = Date.now();
+        const nextRunAt = getNextRun(schedule, now, now);
+        if (!nextRunAt) return null;
+
+        const data = this.load();
+        const job = {
+            id: data.nextId++,
+            type,
+            schedule,
+            chatId,
+            chatName,
+            userId,
+            payload,
+            createdAt: now,
+            nextRunAt,
+            lastRunAt: null,
+            runCount: 0,
+        };
+        data.jobs.push(job);
+        this.save();
+        logger.info(`Scheduled ${type} job ${job.id} (${describeSchedule(schedule)}) in ${chatName || chatId}`);
+        return job;
+    }
+
+    /**
+     * List jobs, optionally filtered, soonest first
+     * @param {Object} filter - { type, chatId, userId }
+     * @returns {Object[]} Jobs
+     */
+    listJobs({ type = null, chatId = null, userId = null } = {}) {
+        return this.load()
+            .jobs.filter(
+                job =>
+                    (!type || job.type === type) &&
+                    (!chatId || job.chatId === chatId) &&
+                    (!userId || job.userId === userId)
+            )
+            .sort((a, b) => a.nextRunAt - b.nextRunAt);
+    }
+
+    getJob(id) {
+        return this.load().jobs.find(job => job.id === Number(id)) || null;
+    }
+
+    /**
+     * Cancel a job
+     * @param {number|string} id - Job ID
+     * @returns {Object|null} The removed job
+     */
+    cancelJob(id) {
+        const job = this.getJob(id);
+        if (!job) return null;
+        this.data.jobs = this.data.jobs.filter(candidate => candidate.id !== job.id);
+        this.save();
+        logger.info(`Cancelled scheduled job ${job.id}`);
+        return job;
+    }
+
+    /**
+     * Run every due job once
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            const now = Date.now();
+            const due = this.load().jobs.filter(job => job.nextRunAt <= now);
+            for (const job of due) {
+                await this.runJob(job, now);
+            }
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async runJob(job, now) {
+        const executor = this.executors.get(job.type);
+        if (!executor) {
+            // Keep the job: the module that executes it may not have loaded yet
+            logger.debug(`No executor registered for scheduled job type ${job.type} (job ${job.id})`);
+            return;
+        }
+
+        // Advance (or remove) before running so a crash can't make the job fire twice
+        job.lastRunAt = now;
+        job.runCount += 1;
+        job.nextRunAt = job.schedule.type === 'once' ? null : getNextRun(job.schedule, now, job.createdAt);
+        if (!job.nextRunAt) {
+            this.data.jobs = this.data.jobs.filter(candidate => candidate.id !== job.id);
+        }
+        this.save();
+
+        try {
+            logger.debug(`Running scheduled job ${job.id}`, { type: job.type, chatId: job.chatId });
+            await executor(job);
+        } catch (error) {
+            logger.error(`Scheduled job ${job.id} failed:`, error);
+        }
+    }
+
+    /**
+     * Built-in executor: dispatch the stored command text through CommandManager as the
+     * requester, so their current permissions and rate limits apply
+     */
+    async runCommandJob(job) {
+        const chat = await transport.getChatById(job.chatId);
+        const message = await transport.createCommandMessage(chat, job.userId, job.payload.command, {
+            source: 'scheduled',
+        });
+        const executed = await getCommandManager().processCommand(message);
+        if (!executed) {
+            logger.warn(`Scheduled job ${job.id} did not run ${job.payload.command}`);
+        }
+    }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,129 @@
+// stickerBindingStore.js
+// Persisted sticker → command bindings, editable at runtime with !sticker
+
+const crypto = require('crypto');
+const config = require('../configs/config');
+const logger = require('../utils/logger');
+const { readJsonFile, writeJsonFile } = require('../utils/storageUtils');
+
+const STORE_FILE = 'stickerBindings.json';
+
+/**
+ * Bindings are keyed by the SHA-256 of the sticker data (base64), so a command can have
+ * any number of stickers but a sticker triggers a single command:
+ *   { bindings: { [hash]: { command, args, createdBy, createdAt } } }
+ *
+ * The `stickerHash` field of command configs still works as a read-only seed.
+ */
+class StickerBindingStore {
+    constructor() {
+        this.data = null;
+    }
+
+    load() {
+        if (!this.data) {
+            const stored = readJsonFile(STORE_FILE, { bindings: {} });
+            this.data = { bindings: stored.bindings || {} };
+        }
+        return this.data;
+    }
+
+    save() {
+        writeJsonFile(STORE_FILE, this.load());
+    }
+
+    /**
+     * Hash downloaded sticker media the same way bindings are keyed
+     * @param {Object} media - Media with base64 `data`
+     * @returns {string} Hex SHA-256 hash
+     */
+    hashMedia(media) {
+        return crypto.createHash('sha256').update(media.data).digest('hex');
+    }
+
+    /**
+     * Find the binding of a sticker, runtime bindings first, then config seeds
+     * @param {string} hash - Sticker hash
+     * @returns {{command: string, args: string, seed: boolean}|null} Binding or null
+     */
+    getBinding(hash) {
+        const binding = this.load().bindings[hash];
+        if (binding) {
+            return { command: binding.command, args: binding.args || '', seed: false };
+        }
+
+        for (const [name, cmd] of Object.entries(config.COMMANDS)) {
+            if (cmd.stickerHash && cmd.stickerHash === hash) {
+                return { command: name, args: '', seed: true };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Bind a sticker to a command, replacing any previous binding of that sticker
+     * @param {string} hash - Sticker hash
+     * @param {string} command - Command name (e.g. RESUMOS)
+     * @param {string} args - Default arguments appended to the command prefix
+     * @param {string} userId - Who created the binding
+     */
+    bind(hash, command, args, userId) {
+        this.load().bindings[hash] = {
+            command,
+            args: args || '',
+            createdBy: userId,
+            createdAt: Date.now(),
+        };
+        this.save();
+        logger.info(`Sticker ${hash.slice(0, 8)} bound to ${command}${args ? ` ${args}` : ''}`);
+    }
+
+    /**
+     * Remove a runtime binding
+     * @param {string} hash - Sticker hash
+     * @returns {Object|null} The removed binding
+     */
+    unbind(hash) {
+        const data = this.load();
+        const binding = data.bindings[hash];
+        if (!binding) return null;
+        delete data.bindings[hash];
+        this.save();
+        logger.info(`Sticker ${hash.slice(0, 8)} unbound from ${binding.command}`);
+        return binding;
+    }
+
+    /**
+     * Resolve a shortened hash (as shown by !sticker listar) to a bound or seeded hash
+     * @param {string} prefix - Start of the hash
+     * @returns {string|null} Full hash, or null when missing or ambiguous
+     */
+    resolveHash(prefix) {
+        const normalized = (prefix || '').toLowerCase();
+        if (!normalized) return null;
+        const matches = this.listBindings()
+            .map(binding => binding.hash)
+            .filter(hash => hash.startsWith(normalized));
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * List runtime bindings and config seeds, grouped by command
+     * @returns {Object[]} [{ hash, command, args, seed }]
+     */
+    listBindings() {
+        const runtime = Object.entries(this.load().bindings).map(([hash, binding]) => ({
+            hash,
+            command: binding.command,
+            args: binding.args || '',
+            seed: false,
+        }));
+        const seeds = Object.entries(config.COMMANDS)
+            .filter(([, cmd]) => cmd.stickerHash && !this.data.bindings[cmd.stickerHash])
+            .map(([name, cmd]) => ({ hash: cmd.stickerHash, command: name, args: '', seed: true }));
+
+        return [...runtime, ...seeds].sort((a, b) => a.command.localeCompare(b.command));
+    }
+}
+
+module.exports = new StickerBindingStore();
@@ -0,0 +1,367 @@
+// localAdapter.js
+// In-memory transport used to drive the bot from a terminal, HTTP or tests
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg; codecs=opus',
+    '.opus': 'audio/ogg; codecs=opus',
+    '.m4a': 'audio/mp4',
+    '.wav': 'audio/wav',
+    '.mp4': 'video/mp4',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+};
+
+/**
+ * Media object compatible with whatsapp-web.js MessageMedia
+ */
+class LocalMedia {
+    constructor(mimetype, data, filename = null, filesize = null) {
+        this.mimetype = mimetype;
+        this.data = data;
+        this.filename = filename;
+        this.filesize = filesize;
+    }
+
+    static fromFilePath(filePath) {
+        const data = fs.readFileSync(filePath);
+        const extension = path.extname(filePath).toLowerCase();
+        return new LocalMedia(
+            MIME_TYPES[extension] || 'application/octet-stream',
+            data.toString('base64'),
+            path.basename(filePath),
+            data.length
+        );
+    }
+}
+
+/**
+ * Derive a whatsapp-web.js message type from a media object
+ * @param {LocalMedia} media - Media attached to the message
+ * @param {Object} options - Send options
+ * @returns {string} Message type
+ */
+function getMediaType(media, options = {}) {
+    if (options.sendMediaAsSticker) return 'sticker';
+    if (options.sendAudioAsVoice) return 'ptt';
+    const mimetype = media.mimetype || '';
+    if (mimetype === 'image/webp') return 'sticker';
+    if (mimetype.startsWith('image/')) return 'image';
+    if (mimetype.startsWith('audio/')) return 'audio';
+    if (mimetype.startsWith('video/')) return 'video';
+    return 'document';
+}
+
+function createWid(serialized) {
+    const [user, server] = serialized.split('@');
+    return { user, server, _serialized: serialized };
+}
+
+class LocalContact {
+    constructor(id, name = null) {
+        this.id = createWid(id);
+        this.number = this.id.user;
+        this.name = name;
+        this.pushname = name;
+        this.isMe = false;
+    }
+}
+
+class LocalMessage {
+    constructor(client, data) {
+        this._client = client;
+        this._media = data.media || null;
+        this._quotedId = data.quotedMessageId || null;
+        this._data = { isDeleted: false };
+
+        this.id = {
+            fromMe: data.fromMe,
+            remote: data.chatId,
+            id: data.shortId,
+            _serialized: `${data.fromMe}_${data.chatId}_${data.shortId}`,
+        };
+        this.body = data.body || '';
+        this.type = data.type || 'chat';
+        this.timestamp = Math.floor(Date.now() / 1000);
+        this.from = data.fromMe ? client.info.wid._serialized : data.chatId;
+        this.to = data.fromMe ? data.chatId : client.info.wid._serialized;
+        this.author = data.isGroup ? data.authorId : undefined;
+        this.fromMe = data.fromMe;
+        this.hasMedia = !!this._media;
+        this.hasQuotedMsg = !!this._quotedId;
+        this.mentionedIds = data.mentionedIds || [];
+        this.isForwarded = false;
+        this._authorId = data.authorId;
+    }
+
+    async getChat() {
+        return this._client.getChatById(this.id.remote);
+    }
+
+    async getContact() {
+        return this._client.getContactById(this._authorId);
+    }
+
+    async getMentions() {
+        return Promise.all(this.mentionedIds.map(id => this._client.getContactById(id)));
+    }
+
+    async getQuotedMessage() {
+        return this._quotedId ? this._client.getMessageById(this._quotedId) : undefined;
+    }
+
+    async downloadMedia() {
+        return this._media;
+    }
+
+    async reply(content, chatId = null, options = {}) {
+        return this._client.sendMessage(chatId || this.id.remote, content, {
+            ...options,
+            quotedMessageId: this.id._serialized,
+        });
+    }
+
+    async edit(content) {
+        if (!this.fromMe) return null;
+        this.body = content;
+        this._client.emit('outgoing', { action: 'edit', message: this });
+        return this;
+    }
+
+    async delete(everyone = false) {
+        this._data.isDeleted = true;
+        this.body = '';
+        this._client.emit('outgoing', { action: 'delete', message: this, everyone });
+    }
+
+    async react(emoji) {
+        this._client.emit('outgoing', { action: 'react', message: this, emoji });
+    }
+}
+
+class LocalChat {
+    constructor(client, id, name, isGroup) {
+        this._client = client;
+        this.id = createWid(id);
+        this.name = name;
+        this.isGroup = isGroup;
+        this.participants = [];
+        this.messages = [];
+    }
+
+    addParticipant(contactId, isAdmin = false) {
+        if (!this.isGroup || this.participants.some(p => p.id._serialized === contactId)) {
+            return;
+        }
+        this.participants.push({ id: createWid(contactId), isAdmin, isSuperAdmin: false });
+    }
+
+    async fetchMessages({ limit = 50 } = {}) {
+        const visible = this.messages.filter(msg => !msg._data.isDeleted);
+        return limit === Infinity ? visible : visible.slice(-limit);
+    }
+
+    async sendMessage(content, options = {}) {
+        return this._client.sendMessage(this.id._serialized, content, options);
+    }
+
+    async sendStateTyping() {}
+
+    async clearState() {}
+
+    async sendSeen() {}
+}
+
+/**
+ * whatsapp-web.js compatible client that keeps chats in memory. Incoming messages
+ * are injected with `receive()`, and everything the bot sends is emitted as an
+ * `outgoing` event.
+ */
+class LocalClient extends EventEmitter {
+    constructor({ botNumber, adminNumber } = {}) {
+        super();
+        this.info = { wid: createWid(`${botNumber || '0'}@c.us`), pushname: 'Tanabe GPT' };
+        this.adminNumber = adminNumber;
+        this.chats = new Map();
+        this.contacts = new Map();
+        this.messages = new Map();
+        this.messageCounter = 0;
+        this._isReady = true;
+        this.getContactById(this.info.wid._serialized).name = this.info.pushname;
+    }
+
+    addGroup(name, participantIds = []) {
+        const existing = [...this.chats.values()].find(chat => chat.isGroup && chat.name === name);
+        if (existing) return existing;
+
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const chat = new LocalChat(this, `${slug || 'grupo'}@g.us`, name, true);
+        chat.addParticipant(this.info.wid._serialized, true);
+        if (this.adminNumber) chat.addParticipant(`${this.adminNumber}@c.us`, true);
+        participantIds.forEach(id => chat.addParticipant(id));
+        this.chats.set(chat.id._serialized, chat);
+        return chat;
+    }
+
+    addContact(id, name = null) {
+        const contact = this.getContactByIdSync(id);
+        if (name) {
+            contact.name = name;
+            contact.pushname = name;
+        }
+        return contact;
+    }
+
+    getDirectChat(contactId) {
+        if (!this.chats.has(contactId)) {
+            const contact = this.getContactByIdSync(contactId);
+            this.chats.set(
+                contactId,
+                new LocalChat(this, contactId, contact.name || contact.number, false)
+            );
+        }
+        return this.chats.get(contactId);
+    }
+
+    getContactByIdSync(id) {
+        if (!this.contacts.has(id)) {
+            this.contacts.set(id, new LocalContact(id));
+        }
+        return this.contacts.get(id);
+    }
+
+    async getChats() {
+        return [...this.chats.values()];
+    }
+
+    async getChatById(chatId) {
+        const chat = this.chats.get(chatId);
+        if (!chat) {
+            throw new Error(`Chat ${chatId} not found`);
+        }
+        return chat;
+    }
+
+    async getContactById(contactId) {
+        return this.getContactByIdSync(contactId);
+    }
+
+    async getMessageById(messageId) {
+        return this.messages.get(messageId) || null;
+    }
+
+    findMessageByShortId(shortId) {
+        return [...this.messages.values()].find(msg => msg.id.id === shortId) || null;
+    }
+
+    storeMessage(chat, data) {
+        const message = new LocalMessage(this, {
+            ...data,
+            chatId: chat.id._serialized,
+            isGroup: chat.isGroup,
+            shortId: `L${++this.messageCounter}`,
+        });
+        chat.messages.push(message);
+        this.messages.set(message.id._serialized, message);
+        return message;
+    }
+
+    async sendMessage(chatId, content, options = {}) {
+        const chat = await this.getChatById(chatId);
+        const isMedia = content instanceof LocalMedia;
+        const message = this.storeMessage(chat, {
+            fromMe: true,
+            authorId: this.info.wid._serialized,
+            body: isMedia ? options.caption || '' : String(content),
+            media: isMedia ? content : null,
+            type: isMedia ? getMediaType(content, options) : 'chat',
+            quotedMessageId: options.quotedMessageId,
+            mentionedIds: options.mentions || [],
+        });
+        this.emit('outgoing', { action: 'send', message });
+        return message;
+    }
+
+    /**
+     * Inject an incoming message and wait for every `message` listener to finish
+     * @param {Object} params - Message parameters
+     * @param {string} params.chatId - Serialized chat ID
+     * @param {string} params.authorId - Serialized contact ID of the sender
+     * @param {string} params.body - Message text (caption when media is attached)
+     * @param {LocalMedia} params.media - Optional media attachment
+     * @param {string} params.type - Optional explicit message type (e.g. 'ptt')
+     * @param {string} params.quotedMessageId - Optional serialized ID of the quoted message
+     * @param {string[]} params.mentionedIds - Optional mentioned contact IDs
+     * @returns {Promise<LocalMessage>} The injected message
+     */
+    async receive({ chatId, authorId, body = '', media = null, type, quotedMessageId, mentionedIds }) {
+        const chat = await this.getChatById(chatId);
+        chat.addParticipant(authorId);
+        const message = this.storeMessage(chat, {
+            fromMe: false,
+            authorId,
+            body,
+            media,
+            type: type || (media ? getMediaType(media) : 'chat'),
+            quotedMessageId,
+            mentionedIds,
+        });
+        await this.dispatch('message', message);
+        return message;
+    }
+
+    /**
+     * Inject a reaction to a message and wait for the listeners to finish
+     * @param {string} messageId - Serialized ID of the reacted message
+     * @param {string} emoji - Reaction emoji
+     * @param {string} senderId - Serialized contact ID of the reacting user
+     */
+    async react(messageId, emoji, senderId) {
+        const message = this.messages.get(messageId);
+        if (!message) {
+            throw new Error(`Message ${messageId} not found`);
+        }
+        await this.dispatch('message_reaction', {
+            id: { _serialized: `reaction_${Date.now()}` },
+            msgId: message.id,
+            reaction: emoji,
+            senderId,
+            timestamp: Math.floor(Date.now() / 1000),
+        });
+    }
+
+    async dispatch(event, payload) {
+        await Promise.all(this.listeners(event).map(listener => listener(payload)));
+    }
+}
+
+/**
+ * Create a local transport
+ * @param {Object} options - Client options
+ * @param {string} options.botNumber - Bot phone number (without @c.us)
+ * @param {string} options.adminNumber - Admin phone number (without @c.us)
+ * @returns {Object} Transport adapter
+ */
+function createLocalTransport(options = {}) {
+    return {
+        name: 'local',
+        client: new LocalClient(options),
+        createMedia: (mimetype, data, filename) => new LocalMedia(mimetype, data, filename),
+        mediaFromFilePath: filePath => LocalMedia.fromFilePath(filePath),
+    };
+}
+
+module.exports = {
+    createLocalTransport,
+    LocalClient,
+    LocalMedia,
+};
@@ -0,0 +1,293 @@
+// localRunner.js
+// Runs the bot on the local transport, driven from the terminal or over HTTP
+//
+// Usage:
+//   npm run local                 interactive console
+//   npm run local -- --http 3000  HTTP server (POST /message, POST /reaction, GET /chats)
+//   npm run local -- --fake-ai    answer with the deterministic fake LLM provider (no API calls)
+
+const http = require('http');
+const readline = require('readline');
+const config = require('../../configs/config');
+const logger = require('../../utils/logger');
+const { setTransport, createMedia, mediaFromFilePath } = require('./transport');
+const { createLocalTransport } = require('./localAdapter');
+const { setupListeners } = require('../listener');
+const { initializeContextManager } = require('../../chat/contextManager');
+const { initializeConversationManager } = require('../../chat/conversationManager');
+const scheduler = require('../scheduler');
+const { setDefaultProvider } = require('../../utils/providers/providers');
+
+const DEFAULT_USER = `${config.CREDENTIALS.ADMIN_NUMBER}@c.us`;
+const DEFAULT_GROUP = process.env.GROUP_LF || 'Grupo Local';
+
+const CONSOLE_HELP = `Commands:
+  /group <name>          switch to a group chat (created on first use)
+  /dm                    switch to a direct chat with the current user
+  /user <number> [name]  send as another user
+  /quote <id>            quote message <id> in the next message
+  /media <file>          attach a file to the next message
+  /react <id> <emoji>    react to message <id>
+  /chats                 list chats
+  /exit                  quit
+Anything else is sent as a message from the current user.`;
+
+function formatOutgoing({ action, message, emoji }) {
+    const tag = `[${message.id.id}]`;
+    switch (action) {
+        case 'edit':
+            return `🤖 ${tag} (edited) ${message.body}`;
+        case 'delete':
+            return `🤖 ${tag} (deleted)`;
+        case 'react':
+            return `🤖 reacted ${emoji} to ${tag}`;
+        default: {
+            const media = message.hasMedia ? ` <${message.type}: ${message._media.mimetype}>` : '';
+            const quoted = message.hasQuotedMsg ? ' ↩' : '';
+            return `🤖 ${tag}${quoted}${media} ${message.body}`;
+        }
+    }
+}
+
+function serializeMessage(message) {
+    return {
+        id: message.id._serialized,
+        shortId: message.id.id,
+        chatId: message.id.remote,
+        fromMe: message.fromMe,
+        type: message.type,
+        body: message.body,
+        hasMedia: message.hasMedia,
+        media: message.hasMedia ? { mimetype: message._media.mimetype } : null,
+        quotedMessageId: message._quotedId,
+        deleted: message._data.isDeleted,
+    };
+}
+
+function startConsole(client) {
+    const state = {
+        userId: DEFAULT_USER,
+        chat: client.addGroup(DEFAULT_GROUP),
+        quotedMessageId: null,
+        media: null,
+    };
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const prompt = () => {
+        rl.setPrompt(`${state.chat.name} ${state.userId.split('@')[0]}> `);
+        rl.prompt();
+    };
+
+    client.on('outgoing', event => console.log(formatOutgoing(event)));
+
+    console.log(CONSOLE_HELP);
+    prompt();
+
+    rl.on('line', async line => {
+        const text = line.trim();
+        const [directive, ...args] = text.split(/\s+/);
+        try {
+            switch (directive) {
+                case '/help':
+                    console.log(CONSOLE_HELP);
+                    break;
+                case '/group':
+                    state.chat = client.addGroup(args.join(' ') || DEFAULT_GROUP);
+                    break;
+                case '/dm':
+                    state.chat = client.getDirectChat(state.userId);
+                    break;
+                case '/user':
+                    state.userId = `${args[0]}@c.us`;
+                    client.addContact(state.userId, args.slice(1).join(' ') || null);
+                    break;
+                case '/quote': {
+                    const quoted = client.findMessageByShortId(args[0]);
+                    state.quotedMessageId = quoted ? quoted.id._serialized : null;
+                    if (!quoted) console.log(`Message ${args[0]} not found`);
+                    break;
+                }
+                case '/media':
+                    state.media = mediaFromFilePath(args.join(' '));
+                    break;
+                case '/react': {
+                    const target = client.findMessageByShortId(args[0]);
+                    if (!target) {
+                        console.log(`Message ${args[0]} not found`);
+                        break;
+                    }
+                    await client.react(target.id._serialized, args[1], state.userId);
+                    break;
+                }
+                case '/chats':
+                    for (const chat of await client.getChats()) {
+                        console.log(`${chat.id._serialized}  ${chat.name}`);
+                    }
+                    break;
+                case '/exit':
+                    rl.close();
+                    return;
+                default: {
+                    if (!text && !state.media) break;
+                    const pending = client.receive({
+                        chatId: state.chat.id._serialized,
+                        authorId: state.userId,
+                        body: text,
+                        media: state.media,
+                        quotedMessageId: state.quotedMessageId,
+                    });
+                    state.quotedMessageId = null;
+                    state.media = null;
+                    const message = await pending;
+                    console.log(`   sent as [${message.id.id}]`);
+                }
+            }
+        } catch (error) {
+            logger.error('Local console error:', error);
+        }
+        prompt();
+    });
+
+    // Ctrl+C reaches readline, not the process, while it owns the terminal
+    rl.on('SIGINT', () => rl.close());
+    rl.on('close', () => process.exit(0));
+    return rl;
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => (raw += chunk));
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function startHttpServer(client, port) {
+    // Outgoing events are collected from the shared client, so messages and reactions are
+    // handled one at a time: concurrent requests would each collect the other's replies
+    let queue = Promise.resolve();
+    const serialize = task => {
+        const run = queue.then(task, task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const events = [];
+        const collect = event => events.push({ action: event.action, ...serializeMessage(event.message) });
+
+        try {
+            if (req.method === 'GET' && req.url === '/chats') {
+                const chats = await client.getChats();
+                return sendJson(res, 200, {
+                    chats: chats.map(chat => ({
+                        id: chat.id._serialized,
+                        name: chat.name,
+                        isGroup: chat.isGroup,
+                        messages: chat.messages.map(serializeMessage),
+                    })),
+                });
+            }
+
+            if (req.method !== 'POST' || !['/message', '/reaction'].includes(req.url)) {
+                return sendJson(res, 404, { error: 'Not found' });
+            }
+
+            const body = await readJsonBody(req);
+            const userId = body.from ? `${body.from}@c.us` : DEFAULT_USER;
+            if (body.name) client.addContact(userId, body.name);
+
+            return await serialize(async () => {
+                client.on('outgoing', collect);
+                try {
+                    if (req.url === '/reaction') {
+                        await client.react(body.messageId, body.emoji, userId);
+                        return sendJson(res, 200, { events });
+                    }
+
+                    const chat = body.dm
+                        ? client.getDirectChat(userId)
+                        : client.addGroup(body.group || DEFAULT_GROUP);
+                    const message = await client.receive({
+                        chatId: chat.id._serialized,
+                        authorId: userId,
+                        body: body.body || '',
+                        media: body.media
+                            ? createMedia(body.media.mimetype, body.media.data, body.media.filename)
+                            : null,
+                        type: body.type,
+                        quotedMessageId: body.quotedMessageId,
+                        mentionedIds: body.mentionedIds,
+                    });
+                    return sendJson(res, 200, { message: serializeMessage(message), events });
+                } finally {
+                    client.off('outgoing', collect);
+                }
+            });
+        } catch (error) {
+            logger.error('Local HTTP transport error:', error);
+            return sendJson(res, 500, { error: error.message });
+        }
+    });
+
+    server.listen(port, () => logger.info(`Local transport listening on http://localhost:${port}`));
+    return server;
+}
+
+/**
+ * Stop on SIGINT/SIGTERM. Other modules' signal handlers (typingManager) only clean up, and
+ * the scheduler's interval would keep the process alive
+ * @param {Function} close - Closes the console or HTTP server
+ */
+function handleShutdownSignals(close) {
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            logger.info(`${signal} received, stopping the local transport`);
+            scheduler.stop();
+            close();
+            process.exit(0);
+        });
+    }
+}
+
+async function main() {
+    const transport = createLocalTransport({
+        botNumber: config.CREDENTIALS.BOT_NUMBER,
+        adminNumber: config.CREDENTIALS.ADMIN_NUMBER,
+    });
+    setTransport(transport);
+
+    if (process.argv.includes('--fake-ai')) {
+        setDefaultProvider('fake');
+    }
+
+    setupListeners(transport.client);
+    await initializeContextManager();
+    initializeConversationManager();
+    scheduler.start();
+
+    const httpIndex = process.argv.indexOf('--http');
+    if (httpIndex !== -1) {
+        const server = startHttpServer(transport.client, Number(process.argv[httpIndex + 1]) || 3000);
+        handleShutdownSignals(() => server.close());
+    } else {
+        const rl = startConsole(transport.client);
+        handleShutdownSignals(() => rl.removeAllListeners('close').close());
+    }
+}
+
+main().catch(error => {
+    logger.error('Failed to start local transport:', error);
+    process.exit(1);
+});
@@ -0,0 +1,165 @@
+// transport.js
+// Single access point for the messaging backend (WhatsApp or local)
+
+const logger = require('../../utils/logger');
+
+/**
+ * Transport adapter contract
+ *
+ * Every adapter exposes a whatsapp-web.js compatible `client` (events: `message`,
+ * `message_reaction`, methods: getChats, getChatById, getContactById, sendMessage)
+ * whose messages, chats and contacts implement the subset used by the handlers:
+ *
+ *   message: id, body, type, timestamp, from, author, fromMe, hasMedia, hasQuotedMsg,
+ *            mentionedIds, getChat(), getContact(), getQuotedMessage(), downloadMedia(),
+ *            reply(content, chatId, options), edit(text), delete(everyone), react(emoji)
+ *   chat:    id, name, isGroup, participants, fetchMessages({ limit }), sendMessage(),
+ *            sendStateTyping()
+ *   contact: id, name, pushname, number
+ *   media:   mimetype, data (base64), filename
+ *
+ * On top of that the adapter provides `createMedia(mimetype, data, filename)` and
+ * `mediaFromFilePath(filePath)` so handlers never construct backend objects directly.
+ */
+
+let activeTransport = null;
+
+/**
+ * Set the active transport and expose its client globally
+ * @param {Object} transport - Adapter created by one of the transport factories
+ */
+function setTransport(transport) {
+    activeTransport = transport;
+    global.client = transport.client;
+    logger.debug(`Transport set to ${transport.name}`);
+}
+
+/**
+ * Get the active transport
+ * @returns {Object} The active transport adapter
+ */
+function getTransport() {
+    if (!activeTransport) {
+        throw new Error('No transport has been configured');
+    }
+    return activeTransport;
+}
+
+/**
+ * Get the active transport client (equivalent to global.client)
+ * @returns {Object|null} The client, or null when no transport is set
+ */
+function getClient() {
+    return activeTransport ? activeTransport.client : null;
+}
+
+/**
+ * Get a chat by its serialized ID
+ * @param {string} chatId - Serialized chat ID
+ * @returns {Promise<Object>} Chat object
+ */
+async function getChatById(chatId) {
+    return getTransport().client.getChatById(chatId);
+}
+
+/**
+ * Find a message in a chat's recent history
+ * @param {string} chatId - Serialized chat ID
+ * @param {string} messageId - Serialized message ID
+ * @param {number} limit - How many recent messages to search
+ * @returns {Promise<Object|null>} The message, or null if not found
+ */
+async function findMessage(chatId, messageId, limit = 50) {
+    const chat = await getChatById(chatId);
+    const messages = await chat.fetchMessages({ limit });
+    return messages.find(msg => msg.id._serialized === messageId) || null;
+}
+
+/**
+ * Delete a message for everyone, re-fetching it from history first so the
+ * backend operates on a fresh instance
+ * @param {Object} message - Message to delete
+ * @param {number} limit - How many recent messages to search
+ * @returns {Promise<boolean>} Whether the message was found and deleted
+ */
+async function deleteMessage(message, limit = 50) {
+    const chat = await message.getChat();
+    const target = await findMessage(chat.id._serialized, message.id._serialized, limit);
+    if (!target) {
+        return false;
+    }
+    await target.delete(true);
+    return true;
+}
+
+/**
+ * Build a message-like object that makes CommandManager run `body` as if `userId` had
+ * just sent it in the chat. Used to dispatch commands the user did not type themselves
+ * (scheduled jobs, reaction shortcuts).
+ * @param {Object} chat - Chat the command runs in
+ * @param {string} userId - Serialized ID of the user the command runs as
+ * @param {string} body - Command text
+ * @param {Object} options - { source: tag used in the message ID, quotedMessage: message
+ *                           the command should treat as quoted; replies then quote it too }
+ * @returns {Promise<Object>} Message-like object
+ */
+async function createCommandMessage(chat, userId, body, { source = 'synthetic', quotedMessage = null } = {}) {
+    const contact = await getTransport().client.getContactById(userId);
+    const chatId = chat.id._serialized;
+    const now = Date.now();
+    const quotedMessageId = quotedMessage ? quotedMessage.id._serialized : undefined;
+
+    return {
+        id: { id: `${source}-${now}`, remote: chatId, fromMe: false, _serialized: `${source}_${chatId}_${now}` },
+        body,
+        type: 'chat',
+        from: chatId,
+        to: chatId,
+        author: chat.isGroup ? userId : undefined,
+        fromMe: false,
+        timestamp: Math.floor(now / 1000),
+        hasMedia: false,
+        hasQuotedMsg: !!quotedMessage,
+        mentionedIds: [],
+        source,
+        getChat: async () => chat,
+        getContact: async () => contact,
+        getMentions: async () => [],
+        getQuotedMessage: async () => quotedMessage,
+        reply: (content, _chatId, options = {}) => chat.sendMessage(content, { ...options, quotedMessageId }),
+        react: async () => {},
+        delete: async () => {},
+    };
+}
+
+/**
+ * Create a media object for the active transport
+ * @param {string} mimetype - MIME type of the media
+ * @param {string} data - Base64 encoded data
+ * @param {string} filename - Optional file name
+ * @returns {Object} Media object accepted by reply/sendMessage
+ */
+function createMedia(mimetype, data, filename) {
+    return getTransport().createMedia(mimetype, data, filename);
+}
+
+/**
+ * Load a media object from disk for the active transport
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Media object accepted by reply/sendMessage
+ */
+function mediaFromFilePath(filePath) {
+    return getTransport().mediaFromFilePath(filePath);
+}
+
+module.exports = {
+    setTransport,
+    getTransport,
+    getClient,
+    getChatById,
+    findMessage,
+    deleteMessage,
+    createCommandMessage,
+    createMedia,
+    mediaFromFilePath,
+};
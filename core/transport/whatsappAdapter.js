@@ -0,0 +1,22 @@
+// whatsappAdapter.js
+// Transport adapter backed by whatsapp-web.js
+
+const { MessageMedia } = require('whatsapp-web.js');
+
+/**
+ * Wrap an initialized whatsapp-web.js client as a transport
+ * @param {Object} client - whatsapp-web.js Client instance
+ * @returns {Object} Transport adapter
+ */
+function createWhatsAppTransport(client) {
+    return {
+        name: 'whatsapp',
+        client,
+        createMedia: (mimetype, data, filename) => new MessageMedia(mimetype, data, filename),
+        mediaFromFilePath: filePath => MessageMedia.fromFilePath(filePath),
+    };
+}
+
+module.exports = {
+    createWhatsAppTransport,
+};
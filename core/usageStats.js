@@ -0,0 +1,144 @@
+// usageStats.js
+// Daily command usage counters per group, user and command (data/usageStats.json), reported by !stats
+
+const { readJsonFile, writeJsonFile } = require('../utils/storageUtils');
+const { getZonedParts } = require('../utils/timeUtils');
+
+const STORE_FILE = 'usageStats.json';
+const DM_KEY = 'DM';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dispatches where the handler actually ran; denied, invalid or rate limited ones are not usage
+const COUNTED_OUTCOMES = ['success', 'error'];
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * São Paulo calendar day of a timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function dayKey(timestamp) {
+    const parts = getZonedParts(timestamp);
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+function addCount(map, key, count) {
+    map.set(key, (map.get(key) || 0) + count);
+}
+
+function sortCounts(map) {
+    return [...map.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Counters are nested by day, chat (group name or "DM"), user and command:
+ *   { days: { '2026-10-19': { GrupoAG: { '5511...@c.us': { RESUMOS: 3 } } } }, names: { userId: name } }
+ *
+ * Being per day, any period asked for is rounded to whole days.
+ */
+class UsageStats {
+    constructor() {
+        this.data = null;
+    }
+
+    load() {
+        if (!this.data) {
+            const stored = readJsonFile(STORE_FILE, { days: {}, names: {} });
+            this.data = { days: stored.days || {}, names: stored.names || {} };
+        }
+        return this.data;
+    }
+
+    save() {
+        writeJsonFile(STORE_FILE, this.load());
+    }
+
+    /**
+     * Count a finished dispatch
+     * @param {Object} ctx - Pipeline context after the chain completed
+     */
+    record(ctx) {
+        if (!COUNTED_OUTCOMES.includes(ctx.outcome)) return;
+
+        const data = this.load();
+        const day = dayKey(ctx.startedAt);
+        const chatKey = ctx.chat.isGroup ? ctx.chat.name : DM_KEY;
+        data.days[day] = data.days[day] || {};
+        const chats = data.days[day];
+        chats[chatKey] = chats[chatKey] || {};
+        const users = chats[chatKey];
+        users[ctx.userId] = users[ctx.userId] || {};
+        const commands = users[ctx.userId];
+        commands[ctx.command.name] = (commands[ctx.command.name] || 0) + 1;
+
+        const name = ctx.contact.pushname || ctx.contact.name;
+        if (name) data.names[ctx.userId] = name;
+        this.save();
+    }
+
+    getUserName(userId) {
+        return this.load().names[userId] || userId.split('@')[0];
+    }
+
+    /**
+     * Group names with recorded usage
+     * @returns {string[]} Group names
+     */
+    listGroups() {
+        const groups = new Set();
+        for (const chats of Object.values(this.load().days)) {
+            for (const chatName of Object.keys(chats)) {
+                if (chatName !== DM_KEY) groups.add(chatName);
+            }
+        }
+        return [...groups];
+    }
+
+    /**
+     * Aggregate the counters of a period
+     * @param {Object} options - { since, until, chatName, userId, command } (filters optional)
+     * @returns {{total: number, byCommand: Array, byGroup: Array, byUser: Array, byDay: Array}}
+     *   Each list holds [key, count] pairs, most used first; byDay holds every day of the
+     *   period in order, including days without usage
+     */
+    summarize({ since, until = Date.now(), chatName = null, userId = null, command = null }) {
+        const byCommand = new Map();
+        const byGroup = new Map();
+        const byUser = new Map();
+        const byDay = new Map();
+        for (let timestamp = since; dayKey(timestamp) <= dayKey(until); timestamp += DAY_MS) {
+            byDay.set(dayKey(timestamp), 0);
+        }
+
+        let total = 0;
+        for (const [day, chats] of Object.entries(this.load().days)) {
+            if (!byDay.has(day)) continue;
+            for (const [chat, users] of Object.entries(chats)) {
+                if (chatName && chat.toLowerCase() !== chatName.toLowerCase()) continue;
+                for (const [user, commands] of Object.entries(users)) {
+                    if (userId && user !== userId) continue;
+                    for (const [name, count] of Object.entries(commands)) {
+                        if (command && name !== command) continue;
+                        total += count;
+                        addCount(byCommand, name, count);
+                        addCount(byGroup, chat, count);
+                        addCount(byUser, user, count);
+                        addCount(byDay, day, count);
+                    }
+                }
+            }
+        }
+
+        return {
+            total,
+            byCommand: sortCounts(byCommand),
+            byGroup: sortCounts(byGroup),
+            byUser: sortCounts(byUser),
+            byDay: [...byDay.entries()].sort((a, b) => a[0].localeCompare(b[0])),
+        };
+    }
+}
+
+module.exports = new UsageStats();
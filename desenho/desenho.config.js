@@ -12,11 +12,17 @@ const DESENHO_CONFIG = {
     prefixes: ['#desenho'],
     description:
         'Gera imagens com IA. Use #desenho [descrição] para criar uma imagem. A descrição é aprimorada automaticamente para gerar melhores resultados.',
+    args: [{ name: 'descricao', type: 'text', description: 'o que desenhar', errorKey: 'noPrompt' }],
+    examples: ['#desenho um gato astronauta em aquarela'],
     autoDelete: {
         errorMessages: true,
         commandMessages: false,
         deleteTimeout: 60000,
     },
+    rateLimit: {
+        perUser: { max: 5, windowMinutes: 60 },
+        perGroup: { max: 30, windowMinutes: 24 * 60 },
+    },
     errorMessages: {
         noPrompt: 'Por favor, forneça uma descrição após #desenho.',
         generateError: 'Não foi possível gerar as imagens. Tente novamente.',
@@ -35,11 +41,20 @@ const DESENHO_EDIT_CONFIG = {
     prefixes: ['#desenhoedit'],
     description:
         'Edit images with AI. Use #desenhoedit [instruction] with an attached image or replying to an image. The instruction is prioritized and automatically enhanced.',
+    args: [
+        { name: 'instrucao', type: 'text', description: 'o que mudar na imagem', errorKey: 'noInstruction' },
+    ],
+    media: { required: true, from: ['attached', 'quoted'], types: ['image'], errorKey: 'noImage' },
+    examples: ['#desenhoedit deixe o céu roxo (respondendo a uma imagem)'],
     autoDelete: {
         errorMessages: true,
         commandMessages: false,
         deleteTimeout: 60000,
     },
+    rateLimit: {
+        perUser: { max: 5, windowMinutes: 60 },
+        perGroup: { max: 30, windowMinutes: 24 * 60 },
+    },
     errorMessages: {
         noImage: 'Envie uma imagem ou responda a uma imagem com #desenhoedit.',
         noInstruction: 'Forneça uma instrução após #desenhoedit.',
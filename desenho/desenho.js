@@ -1,5 +1,5 @@
 const { handleAutoDelete } = require('../utils/messageUtils');
-const { MessageMedia } = require('whatsapp-web.js');
+const { createMedia } = require('../core/transport/transport');
 const {
     generateImage,
     improvePrompt,
@@ -9,10 +9,10 @@ const {
 } = require('./desenhoUtils');
 const logger = require('../utils/logger');
 
-async function handleDesenho(message, command, input = []) {
-    // Ensure input is an array
+async function handleDesenho(message, command, input = [], args = {}) {
+    // Prefer the argument parsed from the command schema
     const inputArray = Array.isArray(input) ? input : message.body.split(' ');
-    const promptInput = inputArray.slice(1).join(' ');
+    const promptInput = args.descricao || inputArray.slice(1).join(' ');
 
     if (!promptInput) {
         const errorMessage = await message.reply(command.errorMessages.noPrompt);
@@ -38,7 +38,7 @@ async function handleDesenho(message, command, input = []) {
         }
 
         if (imageBase64) {
-            const media = new MessageMedia('image/png', imageBase64, 'generated_image.png');
+            const media = createMedia('image/png', imageBase64, 'generated_image.png');
             logger.debug('Sending generated image');
             const response = await message.reply(media);
             await handleAutoDelete(response, command);
@@ -57,10 +57,10 @@ async function handleDesenho(message, command, input = []) {
 module.exports = { handleDesenho };
 
 // New handler: image editing
-async function handleDesenhoEdit(message, command, input = []) {
+async function handleDesenhoEdit(message, command, input = [], args = {}) {
     // Extrair instrução
     const inputArray = Array.isArray(input) ? input : message.body.split(' ');
-    const instruction = inputArray.slice(1).join(' ').trim();
+    const instruction = (args.instrucao || inputArray.slice(1).join(' ')).trim();
 
     if (!instruction) {
         const errorMessage = await message.reply(command.errorMessages.noInstruction);
@@ -123,7 +123,7 @@ async function handleDesenhoEdit(message, command, input = []) {
             return;
         }
 
-        const media = new MessageMedia('image/png', editedBase64, 'edited_image.png');
+        const media = createMedia('image/png', editedBase64, 'edited_image.png');
         logger.debug('Sending edited image');
         const response = await message.reply(media);
         await handleAutoDelete(response, command);
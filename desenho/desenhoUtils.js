@@ -4,12 +4,14 @@ const path = require('path');
 const FormData = require('form-data');
 const config = require('../configs/config');
 const logger = require('../utils/logger');
-const { runCompletion, getOpenAIClient } = require('../utils/openaiUtils');
+const { recordModel } = require('../utils/requestContext');
+const { runCompletion, runImageGeneration, recordUsage } = require('../utils/openaiUtils');
 const DESENHO = require('./desenho.prompt');
 
 async function generateImage(prompt, cfg_scale = 7) {
     try {
         logger.debug('Generating image with GetImg.ai', { promptLength: prompt.length });
+        recordModel('getimg-essential-v2');
         const response = await axios.post(
             'https://api.getimg.ai/v1/essential-v2/text-to-image',
             {
@@ -81,40 +83,21 @@ async function classifyPublicFigureRequest(promptText) {
 }
 
 /**
- * Generate an image using OpenAI gpt-5 with responses API.
+ * Generate an image using the configured image model (gpt-5 image_generation tool on OpenAI).
  * @param {string} prompt - The image generation prompt
  * @param {object} options - Options like size (currently unused for gpt-5)
  * @returns {Promise<string|null>} Base64 image data or null on failure
  */
 async function generateImageWithOpenAI(prompt, options = {}) {
     try {
-        const openai = getOpenAIClient();
-        
-        logger.debug('Generating image with gpt-5 using responses API');
-        const response = await openai.responses.create({
-            model: "gpt-5",
-            input: prompt,
-            tools: [{type: "image_generation"}],
-        });
-        
-        logger.debug('OpenAI responses.create response structure:', {
-            hasOutput: !!response?.output,
-            outputLength: response?.output?.length,
-            outputTypes: response?.output?.map(o => o.type)
-        });
-        
-        // Extract image data from the response
-        const imageData = response.output
-            .filter((output) => output.type === "image_generation_call")
-            .map((output) => output.result);
-        
-        if (imageData.length > 0) {
-            const imageBase64 = imageData[0];
-            logger.debug('Successfully generated image with gpt-5');
+        logger.debug('Generating image with the configured image model');
+        const imageBase64 = await runImageGeneration(prompt);
+        if (imageBase64) {
+            logger.debug('Successfully generated image');
             return imageBase64;
         }
-        
-        logger.error('No image_generation_call found in gpt-5 response', response?.output);
+
+        logger.error('No image returned by the image generation model');
         return null;
     } catch (error) {
         logger.error('Error generating image with OpenAI gpt-5:', error);
@@ -149,6 +132,7 @@ async function editImageWithOpenAI(imageBase64, prompt, options = {}) {
             contentType: 'image/png',
         });
 
+        recordModel('gpt-image-1');
         const resp = await axios.post('https://api.openai.com/v1/images/edits', form, {
             headers: {
                 Authorization: `Bearer ${config.CREDENTIALS.OPENAI_API_KEY}`,
@@ -158,6 +142,7 @@ async function editImageWithOpenAI(imageBase64, prompt, options = {}) {
             maxBodyLength: Infinity,
             timeout: 120000,
         });
+        recordUsage('gpt-image-1', 'image_edit', resp?.data);
         const b64 = resp?.data?.data?.[0]?.b64_json;
         if (b64) return b64;
         logger.error('No base64 image in OpenAI images/edits response');
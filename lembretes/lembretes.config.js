@@ -0,0 +1,66 @@
+// lembretes.config.js
+// Configuration for the reminder commands (#lembrete, #lembretes)
+
+const LEMBRETE_CONFIG = {
+    prefixes: ['#lembrete'],
+    description:
+        'Cria um lembrete que o bot envia neste chat, mencionando você. Use #lembrete [quando] [texto], ou responda a uma mensagem com #lembrete [quando].',
+    args: [
+        {
+            name: 'quando',
+            type: 'schedule',
+            description: '"amanhã 9h", "em 2 horas", "sexta 18h", "25/12 10h", "todo dia 8h"',
+            errorKey: 'invalidTime',
+        },
+        {
+            name: 'texto',
+            type: 'text',
+            optional: true,
+            description: 'do que lembrar (opcional ao responder a uma mensagem)',
+        },
+    ],
+    examples: ['#lembrete amanhã 9h pagar boleto', '#lembrete em 2 horas (respondendo a uma mensagem)'],
+    maxRemindersPerUser: 20,
+    minIntervalMinutes: 60,
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        invalidTime:
+            'Não entendi quando. Exemplos: #lembrete amanhã 9h pagar boleto, #lembrete em 2 horas, #lembrete sexta 18h reunião',
+        noText: 'Diga do que lembrar ou responda a uma mensagem, ex.: #lembrete amanhã 9h pagar boleto',
+        tooFrequent: 'O intervalo mínimo entre lembretes repetidos é de {minutes} minutos.',
+        tooMany: 'Você já tem {max} lembretes. Cancele algum com #lembretes cancelar [id].',
+        pastTime: 'Esse horário já passou.',
+        error: 'Erro ao criar o lembrete.',
+    },
+    useGroupPersonality: false,
+};
+
+const LEMBRETES_CONFIG = {
+    prefixes: ['#lembretes'],
+    description: 'Lista seus lembretes neste chat. Use #lembretes cancelar [id] para cancelar um lembrete.',
+    args: [
+        { name: 'acao', type: 'enum', values: ['listar', 'cancelar'], optional: true },
+        { name: 'id', type: 'number', optional: true, min: 1, description: 'número do lembrete' },
+    ],
+    examples: ['#lembretes', '#lembretes cancelar 4'],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        noId: 'Informe o número do lembrete, ex.: #lembretes cancelar 4',
+        notFound: 'Lembrete não encontrado.',
+        error: 'Erro ao consultar os lembretes.',
+    },
+    useGroupPersonality: false,
+};
+
+module.exports = {
+    LEMBRETE_CONFIG,
+    LEMBRETES_CONFIG,
+};
@@ -0,0 +1,127 @@
+const logger = require('../utils/logger');
+const scheduler = require('../core/scheduler');
+const permissionStore = require('../core/permissionStore');
+const transport = require('../core/transport/transport');
+const { replyCommandError } = require('../utils/messageUtils');
+const { describeSchedule, formatDateTime } = require('../utils/timeUtils');
+
+/**
+ * Scheduler executor: post the reminder in its chat, mentioning the requester and
+ * quoting the original message (falls back to no quote if it was deleted)
+ */
+async function sendReminder(job) {
+    const chat = await transport.getChatById(job.chatId);
+    const phone = job.userId.split('@')[0];
+    const text = `⏰ *Lembrete* @${phone}${job.payload.text ? `: ${job.payload.text}` : ''}`;
+
+    try {
+        await chat.sendMessage(text, {
+            mentions: [job.userId],
+            quotedMessageId: job.payload.quotedMessageId || undefined,
+        });
+    } catch (error) {
+        logger.warn(`Could not quote the original message of reminder ${job.id}: ${error.message}`);
+        await chat.sendMessage(text, { mentions: [job.userId] });
+    }
+}
+
+scheduler.registerExecutor('reminder', sendReminder);
+
+function describeReminder(job) {
+    const when =
+        job.schedule.type === 'once'
+            ? describeSchedule(job.schedule)
+            : `${describeSchedule(job.schedule)} — próximo: ${formatDateTime(job.nextRunAt)}`;
+    const text = job.payload.text || '(mensagem citada)';
+    return `*${job.id}.* ${text}\n    ${when}`;
+}
+
+async function handleLembrete(message, command, input, args = {}) {
+    logger.debug('Lembrete command activated', { input, hasQuoted: message.hasQuotedMsg });
+
+    const chat = await message.getChat();
+    const contact = await message.getContact();
+    const userId = contact.id._serialized;
+    const text = (args.texto || '').trim();
+
+    // Quote the replied-to message when there is one, otherwise the #lembrete message itself
+    let quotedMessageId = message.id._serialized;
+    if (message.hasQuotedMsg) {
+        const quoted = await message.getQuotedMessage();
+        if (quoted) quotedMessageId = quoted.id._serialized;
+    } else if (!text) {
+        return replyCommandError(message, command, 'noText');
+    }
+
+    const schedule = args.quando;
+    if (schedule.type === 'interval' && schedule.everyMs < command.minIntervalMinutes * 60 * 1000) {
+        return replyCommandError(message, command, 'tooFrequent', { minutes: command.minIntervalMinutes });
+    }
+    if (scheduler.listJobs({ type: 'reminder', userId }).length >= command.maxRemindersPerUser) {
+        return replyCommandError(message, command, 'tooMany', { max: command.maxRemindersPerUser });
+    }
+
+    const job = scheduler.addJob({
+        type: 'reminder',
+        schedule,
+        chatId: chat.id._serialized,
+        chatName: chat.isGroup ? chat.name : 'DM',
+        userId,
+        payload: { text, quotedMessageId },
+    });
+    if (!job) {
+        return replyCommandError(message, command, 'pastTime');
+    }
+
+    await message.reply(
+        `⏰ Lembrete *${job.id}* criado para ${describeSchedule(schedule)}.\n` +
+            `Use #lembretes cancelar ${job.id} para cancelar.`
+    );
+}
+
+async function handleLembretes(message, command, input, args = {}) {
+    logger.debug('Lembretes command activated', { input });
+
+    const chat = await message.getChat();
+    const contact = await message.getContact();
+    const chatId = chat.id._serialized;
+    const userId = contact.id._serialized;
+
+    if (args.acao === 'cancelar') {
+        if (!args.id) {
+            return replyCommandError(message, command, 'noId');
+        }
+
+        // Admins and moderators may cancel anyone's reminder in the chat
+        const role = permissionStore.getRole(userId);
+        const job = scheduler.getJob(args.id);
+        const canCancel =
+            job &&
+            job.type === 'reminder' &&
+            job.chatId === chatId &&
+            (job.userId === userId || role === 'admin' || role === 'moderator');
+        if (!canCancel) {
+            return replyCommandError(message, command, 'notFound');
+        }
+
+        scheduler.cancelJob(job.id);
+        await message.reply(`🗑️ Lembrete *${job.id}* cancelado.`);
+        return;
+    }
+
+    const reminders = scheduler.listJobs({ type: 'reminder', chatId, userId });
+    if (reminders.length === 0) {
+        await message.reply('Você não tem lembretes neste chat. Crie um com #lembrete [quando] [texto].');
+        return;
+    }
+
+    await message.reply(
+        `⏰ *Seus lembretes*\n\n${reminders.map(describeReminder).join('\n\n')}\n\n` +
+            'Use #lembretes cancelar [id] para cancelar.'
+    );
+}
+
+module.exports = {
+    handleLembrete,
+    handleLembretes,
+};
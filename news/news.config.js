@@ -14,6 +14,15 @@ const NEWS_CONFIG = {
     description:
         'Busca e resume notícias. Use #news para últimas notícias, #news [tema] para buscar sobre um assunto específico, ou envie o sticker de notícias. Links compartilhados são automaticamente resumidos.',
     stickerHash: '2ec460ac4810ace36065b5ef1fe279404ba812b04266ffb376a1c404dbdbd994',
+    args: [
+        {
+            name: 'busca',
+            type: 'text',
+            optional: true,
+            description: '"fut" para futebol ou um termo para buscar notícias',
+        },
+    ],
+    examples: ['#news', '#news fut', '#news eleições'],
     autoDelete: {
         errorMessages: true,
         commandMessages: false,
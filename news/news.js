@@ -1,6 +1,6 @@
 const config = require('../configs/config');
 const logger = require('../utils/logger');
-const { handleAutoDelete } = require('../utils/messageUtils');
+const { handleAutoDelete, createStreamingReply } = require('../utils/messageUtils');
 const { runCompletion } = require('../utils/openaiUtils');
 const { extractLinks, unshortenLink, getPageContent } = require('../utils/linkUtils');
 const {
@@ -57,6 +57,7 @@ async function processLinkSummary(message) {
         `Processing link summary for ${isAdminInDM ? 'admin in DM' : 'Ayub in target group'}`
     );
     const link = links[0];
+    let streamingReply = null;
     try {
         logger.debug(`Unshortening link: ${link}`);
         const unshortenedLink = await unshortenLink(link);
@@ -73,22 +74,28 @@ async function processLinkSummary(message) {
 
         logger.debug('Generating summary with ChatGPT');
         const prompt = RESUMO.LINK_SUMMARY.replace('{pageContent}', pageContent);
-        const summary = await runCompletion(prompt, 1);
+        streamingReply = await createStreamingReply(message, {});
+        const summary = await runCompletion(prompt, 1, null, null, {
+            cache: 'LINK_SUMMARY',
+            onText: streamingReply.update,
+        });
 
         if (!summary || summary.trim().length === 0) {
             logger.error('Received empty summary from ChatGPT');
+            await streamingReply.abort();
             const errorMessage = await message.reply('Não consegui gerar um resumo do conteúdo.');
             await handleAutoDelete(errorMessage, true);
             return;
         }
 
         logger.debug('Sending summary response');
-        const sentMessage = await message.reply(summary);
-        if (summary.trim() === 'Não consegui acessar o link para gerar um resumo.') {
+        const sentMessage = await streamingReply.finish(summary);
+        if (sentMessage && summary.trim() === 'Não consegui acessar o link para gerar um resumo.') {
             await handleAutoDelete(sentMessage, true);
         }
     } catch (error) {
         logger.error(`Error accessing link to generate summary:`, error);
+        await streamingReply?.abort();
         const errorMessage = await message.reply(
             `Não consegui acessar o link ${link} para gerar um resumo.`
         );
@@ -131,7 +131,9 @@ async function translateToPortuguese(text, fromLanguage = 'auto') {
         try {
             const newsText = text.join('\n');
             const prompt = `Translate the following news items to Portuguese. Each item is on a new line. If an item is already in clear and fluent Portuguese, return it as is. Otherwise, provide the Portuguese translation. Maintain original formatting.\n\n${newsText}`;
-            const completion = await runCompletion(prompt, 0.3, null, 'TRANSLATE_PORTUGUESE_ARRAY');
+            const completion = await runCompletion(prompt, 0.3, null, 'TRANSLATE_PORTUGUESE_ARRAY', {
+                cache: 'TRANSLATION',
+            });
             return completion
                 .trim()
                 .split('\n')
@@ -165,7 +167,9 @@ async function translateToPortuguese(text, fromLanguage = 'auto') {
                 `NM Translate: Translating (auto-detect/default) to Portuguese: "${originalTextForLog}..."`
             );
         }
-        const translation = await runCompletion(prompt, 0.3, null, 'TRANSLATE_PORTUGUESE_SINGLE');
+        const translation = await runCompletion(prompt, 0.3, null, 'TRANSLATE_PORTUGUESE_SINGLE', {
+            cache: 'TRANSLATION',
+        });
         const trimmedTranslation = translation.trim();
         if (trimmedTranslation !== textAsString) {
             logger.debug(
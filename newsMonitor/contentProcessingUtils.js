@@ -2,6 +2,7 @@ const logger = require('../utils/logger');
 const { runCompletion } = require('../utils/openaiUtils');
 const { readCache, writeCache } = require('./persistentCache');
 const { extractLinks, unshortenLink, getPageContent } = require('../utils/linkUtils');
+const { formatForWhatsApp } = require('../utils/formatUtils');
 const fs = require('fs'); // Still needed for recordSentItemToCache logic temporarily for path.exists
 const path = require('path'); // Still needed for recordSentItemToCache logic temporarily for path.exists
 
@@ -39,8 +40,11 @@ async function generateSummary(title, content, config) {
         logger.debug(
             `NM: Generating summary for ${logTitlePart}${logContentPart} using model ${modelName}.`
         );
-        const summary = await runCompletion(formattedPrompt, 0.7, modelName, 'SUMMARIZE_CONTENT');
-        return summary.trim();
+        const summary = await runCompletion(formattedPrompt, 0.7, modelName, 'SUMMARIZE_CONTENT', {
+            cache: 'NEWS_SUMMARY',
+        });
+        // Summaries go straight into the group message, so Markdown must not reach WhatsApp
+        return formatForWhatsApp(summary.trim());
     } catch (error) {
         logger.error(
             `NM: Error generating summary for ${
@@ -43,7 +43,7 @@ async function evaluateItemWithAccountSpecificPrompt(item, config) {
         logger.debug(
             `NM: Evaluating @${item.accountName}'s item with "${promptName}" using model ${modelName}. Using ${item.originalText ? 'original' : 'current'} text.`
         );
-        const result = await runCompletion(formattedPrompt, 0.1, modelName, promptName);
+        const result = await runCompletion(formattedPrompt, 0.1, modelName, promptName, { cache: 'NEWS_EVALUATION' });
 
         // Enhanced response parsing - support optional justification with delimiter '::'
         if (!result || typeof result !== 'string') {
@@ -193,7 +193,8 @@ async function evaluateItemFullContent(item, config, recentNewsCache = []) {
             formattedPrompt,
             0.1,
             modelName,
-            'EVALUATE_CONTENT'
+            'EVALUATE_CONTENT',
+            { cache: 'NEWS_EVALUATION' }
         );
 
         // Enhanced response validation
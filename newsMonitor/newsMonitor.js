@@ -26,7 +26,8 @@ const { generateNewsCycleDebugReport_core } = require('./debugReportUtils');
 
 const path = require('path');
 const axios = require('axios');
-const { MessageMedia } = require('whatsapp-web.js');
+const { createMedia } = require('../core/transport/transport');
+const { runAsModule } = require('../utils/requestContext');
 const { encodeBufferToBase64 } = require('./workerBase64');
 
 let newsMonitorIntervalId = null;
@@ -90,6 +91,11 @@ function isQuietHours() {
  * @param {boolean} [skipPeriodicCheck=false] - If true, skips the twitterApiHandler.periodicCheck().
  */
 async function processNewsCycle(skipPeriodicCheck = false) {
+    // Model calls of the cycle are accounted to the news monitor (costTracker)
+    return runAsModule('NEWS_MONITOR', () => runNewsCycle(skipPeriodicCheck));
+}
+
+async function runNewsCycle(skipPeriodicCheck) {
     logger.debug('NM: Starting new processing cycle.');
 
     // Before any Twitter activity, check if we should auto-disable due to monthly cap
@@ -637,7 +643,8 @@ async function processNewsCycle(skipPeriodicCheck = false) {
                     formattedPrompt,
                     batchTemp,
                     modelName, // Pass the derived modelName here
-                    'BATCH_EVALUATE_TITLES'
+                    'BATCH_EVALUATE_TITLES',
+                    { cache: 'NEWS_EVALUATION' }
                 );
 
                 // Enhanced batch evaluation response validation
@@ -951,7 +958,7 @@ async function processNewsCycle(skipPeriodicCheck = false) {
                                 const imageName =
                                     path.basename(new URL(imageUrl).pathname) || 'image.jpg';
                                 const base64Data = await encodeBufferToBase64(Buffer.from(imageResponse.data));
-                                mediaToSend = new MessageMedia(
+                                mediaToSend = createMedia(
                                     'image/jpeg',
                                     base64Data,
                                     imageName
@@ -1023,7 +1030,7 @@ async function processNewsCycle(skipPeriodicCheck = false) {
                                     const imageResponse = await axios.get(selectedImageUrl, { responseType: 'arraybuffer' });
                                     const imageName = path.basename(new URL(selectedImageUrl).pathname) || 'image.jpg';
                                     const base64Data = await encodeBufferToBase64(Buffer.from(imageResponse.data));
-                                    mediaToSend = new MessageMedia('image/jpeg', base64Data, imageName);
+                                    mediaToSend = createMedia('image/jpeg', base64Data, imageName);
                                 } else {
                                     logger.debug(`NM: No attachable image detected for @${item.accountName}; sending text only.`);
                                 }
@@ -1,6 +1,7 @@
 // periodicSummaryUtils.js
 const config = require('../configs/config');
 const logger = require('../utils/logger'); // Corrected path and synchronous loading
+const { runAsModule } = require('../utils/requestContext');
 
 // Helper function to get all groups with periodic summaries enabled
 function getPeriodicSummaryGroups(configObj) {
@@ -137,7 +138,9 @@ async function scheduleNextSummary() {
         try {
             logger.summary(`Running scheduled summary for group ${group}`);
             const { runPeriodicSummary } = require('./periodicSummary');
-            const result = await runPeriodicSummary(config, group);
+            const result = await runAsModule('PERIODIC_SUMMARY', () => runPeriodicSummary(config, group), {
+                chatName: group,
+            });
             if (result) {
                 logger.summary(`Successfully completed summary for group ${group}`);
             } else {
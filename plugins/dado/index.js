@@ -0,0 +1,44 @@
+// Example plugin: dice rolls. Disabled by default; enable it with !plugins ativar dado
+
+const logger = require('../../utils/logger');
+
+const DADO_CONFIG = {
+    prefixes: ['#dado'],
+    description: 'Rola dados: #dado, #dado 20 ou #dado 2d20',
+    args: [{ name: 'dados', type: 'word', optional: true, description: 'faces (20) ou quantidade e faces (2d20)' }],
+    examples: ['#dado', '#dado 20', '#dado 3d6'],
+    autoDelete: {
+        errorMessages: true,
+        commandMessages: false,
+        deleteTimeout: 60000,
+    },
+    errorMessages: {
+        invalid: 'Use #dado, #dado 20 ou #dado 2d20 (até {max} dados).',
+        error: 'Erro ao rolar os dados.',
+    },
+};
+
+async function handleDado(message, command, input, args = {}) {
+    const { faces: defaultFaces, maxDados } = command.pluginConfig;
+    const match = (args.dados || '').toLowerCase().match(/^(?:(\d+)d)?(\d+)?$/);
+    const count = match && match[1] ? Number(match[1]) : 1;
+    const faces = match && match[2] ? Number(match[2]) : defaultFaces;
+
+    if (!match || count < 1 || count > maxDados || faces < 2) {
+        await message.reply(command.errorMessages.invalid.replace('{max}', maxDados));
+        return;
+    }
+
+    const rolls = Array.from({ length: count }, () => 1 + Math.floor(Math.random() * faces));
+    const total = rolls.reduce((sum, roll) => sum + roll, 0);
+    logger.debug('Dice rolled', { count, faces, rolls });
+
+    await message.reply(
+        count === 1 ? `🎲 ${total} (d${faces})` : `🎲 ${rolls.join(' + ')} = *${total}* (${count}d${faces})`
+    );
+}
+
+module.exports = {
+    DADO_CONFIG,
+    handleDado,
+};
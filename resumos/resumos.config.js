@@ -14,6 +14,18 @@ const RESUMOS_CONFIG = {
         'Resume mensagens do grupo. Use #resumo [número] para resumir X mensagens, cite uma mensagem para resumi-la, envie um link para resumir seu conteúdo, ou cite uma mensagem com documento (PDF/DOCX) para resumir seu conteúdo. Também pode ser ativado com o sticker de resumo.',
     stickerHash: 'ca1b990a37591cf4abe221eedf9800e20df8554000b972fb3c5a474f2112cbaa',
     defaultSummaryHours: 3,
+    args: [
+        {
+            name: 'periodo',
+            type: ['duration', 'number'],
+            optional: true,
+            min: 1,
+            max: 1000,
+            description: 'hoje, ontem, "2 horas", "30 min" ou quantidade de mensagens',
+            errorKey: 'invalidFormat',
+        },
+    ],
+    examples: ['#resumo', '#resumo 50', '#resumo 2 horas', '#resumo ontem'],
     documentSettings: {
         maxCharacters: 5000,
         supportedFormats: ['.pdf', '.docx', '.doc', '.txt', '.rtf'],
@@ -30,6 +42,10 @@ const RESUMOS_CONFIG = {
         commandMessages: false,
         deleteTimeout: 60000,
     },
+    rateLimit: {
+        burst: { max: 2, windowSeconds: 30 },
+        perUser: { max: 15, windowMinutes: 60 },
+    },
     errorMessages: {
         invalidFormat:
             'Formato inválido. Use #resumo [número] para resumir X mensagens, ou use expressões de tempo como "hoje", "ontem", "1 hora", "30 minutos", etc.',
@@ -3,8 +3,9 @@ const { runCompletion } = require('../utils/openaiUtils');
 const { extractLinks, unshortenLink, getPageContent } = require('../utils/linkUtils');
 const { getResumoPrompt } = require('./resumoPromptUtils');
 const logger = require('../utils/logger');
-const { handleAutoDelete, resolveContactName, sendStreamingResponse } = require('../utils/messageUtils');
+const { handleAutoDelete, resolveContactName, streamReply } = require('../utils/messageUtils');
 const { downloadAndProcessDocument } = require('./documentUtils');
+const { parseDuration } = require('../core/argumentParser');
 
 async function handleQuotedMessage(message, command) {
     try {
@@ -21,10 +22,8 @@ async function handleQuotedMessage(message, command) {
                     text,
                 });
 
-                const summary = await runCompletion(prompt, 0.7);
-                
-                // Use streaming response for document summary
-                await sendStreamingResponse(quotedMsg, summary, command, '🤖', 50, 100, 30);
+                // Stream the document summary as it is generated
+                await streamReply(quotedMsg, command, onText => runCompletion(prompt, 0.7, null, null, { onText }));
                 await handleAutoDelete(message, command);
                 return;
             } catch (error) {
@@ -60,10 +59,10 @@ async function handleQuotedMessage(message, command) {
                 const prompt = getResumoPrompt('LINK_SUMMARY', {
                     pageContent,
                 });
-                const summary = await runCompletion(prompt, 1);
-                
-                // Use streaming response for link summary
-                await sendStreamingResponse(quotedMsg, summary, command, '🤖');
+                // Same page content, same summary: repeated #resumo of a link is served from cache
+                await streamReply(quotedMsg, command, onText =>
+                    runCompletion(prompt, 1, null, null, { cache: 'LINK_SUMMARY', onText })
+                );
             } catch (error) {
                 logger.error('Error processing link:', {
                     link: links[0],
@@ -80,11 +79,15 @@ async function handleQuotedMessage(message, command) {
                         name,
                         quotedText: `Link não pôde ser processado: ${links[0]}\n\n${quotedText}`,
                     });
-                    const result = await runCompletion(prompt, 1);
-                    const fallbackResponse = `⚠️ Não consegui processar o link, mas aqui está um resumo do texto:\n\n${result.trim()}`;
-                    
-                    // Use streaming response for fallback summary
-                    await sendStreamingResponse(quotedMsg, fallbackResponse, command, '🤖');
+                    const notice = '⚠️ Não consegui processar o link, mas aqui está um resumo do texto:\n\n';
+
+                    // Stream the fallback summary under the notice
+                    await streamReply(quotedMsg, command, async onText => {
+                        const result = await runCompletion(prompt, 1, null, null, {
+                            onText: text => onText(notice + text),
+                        });
+                        return notice + result.trim();
+                    });
                 } catch (fallbackError) {
                     logger.error('Fallback text summary also failed:', fallbackError);
                     const errorMessage = await message.reply(command.errorMessages.linkError);
@@ -99,10 +102,8 @@ async function handleQuotedMessage(message, command) {
                 name,
                 quotedText,
             });
-            const result = await runCompletion(prompt, 1);
-            
-            // Use streaming response for quoted text summary
-            await sendStreamingResponse(quotedMsg, result.trim(), command, '🤖');
+            // Stream the quoted text summary as it is generated
+            await streamReply(quotedMsg, command, onText => runCompletion(prompt, 1, null, null, { onText }));
         }
     } catch (error) {
         logger.error('Error handling quoted message:', error);
@@ -196,67 +197,19 @@ async function handleSpecificMessageCount(message, limit, command) {
         timeDescription: `as últimas ${limit} mensagens desta conversa`,
     });
 
-    const result = await runCompletion(prompt, 1);
-    
-    // Use streaming response for message count summary
-    return await sendStreamingResponse(message, result.trim(), command, '🤖', 45, 90, 35);
+    // Stream the message count summary as it is generated
+    return await streamReply(message, command, onText => runCompletion(prompt, 1, null, null, { onText }));
 }
 
-function parseRelativeTime(input) {
-    const now = Date.now();
-    const inputLower = input.toLowerCase().trim();
-
-    // Handle "hoje" and "hj" (today)
-    if (inputLower === 'hoje' || inputLower === 'hj') {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        return { startTime: today.getTime(), timeDescription: 'as mensagens de hoje' };
-    }
-
-    // Handle "ontem" (yesterday)
-    if (inputLower === 'ontem') {
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        yesterday.setHours(0, 0, 0, 0);
-        return { startTime: yesterday.getTime(), timeDescription: 'as mensagens de ontem' };
-    }
-
-    // Handle time units with abbreviations and without spaces
-    const timeUnits = {
-        hora: {
-            multiplier: 3600 * 1000,
-            singular: 'hora',
-            plural: 'horas',
-            regex: /(\d+)\s*(?:hora|horas|hr|hrs)/i,
-        },
-        minuto: {
-            multiplier: 60 * 1000,
-            singular: 'minuto',
-            plural: 'minutos',
-            regex: /(\d+)\s*(?:minuto|minutos|min|mins)/i,
-        },
-    };
-
-    // Try to match time expressions with or without spaces
-    for (const [unit, config] of Object.entries(timeUnits)) {
-        const match = inputLower.match(config.regex);
-        if (match) {
-            const number = parseInt(match[1]);
-            const timeDescription = number === 1 ? config.singular : config.plural;
-            return {
-                startTime: now - number * config.multiplier,
-                timeDescription: `as mensagens das últimas ${number} ${timeDescription}`,
-            };
-        }
-    }
-
-    // If no time expression found, try to parse as a number of messages
-    const numberMatch = inputLower.match(/^\d+$/);
-    if (numberMatch) {
-        return null; // Return null to indicate this should be handled as a message count
-    }
-
-    return null;
+/**
+ * Convert a parsed duration into the time window used by the summary prompt
+ * @param {Object} duration - Result of parseDuration()
+ * @returns {{startTime: number, timeDescription: string}}
+ */
+function toTimeInfo(duration) {
+    // "hoje"/"ontem" have no amount; relative windows read "das últimas N horas"
+    const article = duration.amount === undefined ? 'de' : 'das';
+    return { startTime: duration.startTime, timeDescription: `as mensagens ${article} ${duration.description}` };
 }
 
 async function handleTimeBasedSummary(message, timeInfo, command) {
@@ -287,13 +240,11 @@ async function handleTimeBasedSummary(message, timeInfo, command) {
         timeDescription: timeInfo.timeDescription,
     });
 
-    const result = await runCompletion(prompt, 1);
-    
-    // Use streaming response for time-based summary
-    return await sendStreamingResponse(message, result.trim(), command, '🤖', 45, 90, 35);
+    // Stream the time-based summary as it is generated
+    return await streamReply(message, command, onText => runCompletion(prompt, 1, null, null, { onText }));
 }
 
-async function handleResumos(message, command, input) {
+async function handleResumos(message, command, input, args = {}) {
     logger.debug('handleResumos activated', {
         hasInput: !!input,
         input: input,
@@ -320,10 +271,8 @@ async function handleResumos(message, command, input) {
                     text,
                 });
 
-                const summary = await runCompletion(prompt, 0.7);
-                
-                // Use streaming response for document summary
-                await sendStreamingResponse(message, summary, command, '🤖', 50, 100, 30);
+                // Stream the document summary as it is generated
+                await streamReply(message, command, onText => runCompletion(prompt, 0.7, null, null, { onText }));
                 await handleAutoDelete(message, command);
                 return;
             } catch (error) {
@@ -334,30 +283,15 @@ async function handleResumos(message, command, input) {
             }
         }
 
-        // If there's input after #resumo, try to parse it
-        if (input) {
-            const trimmedInput = input.trim();
-            if (trimmedInput) {
-                // First try to parse as a relative time
-                const timeInfo = parseRelativeTime(trimmedInput);
-                if (timeInfo !== null) {
-                    logger.debug('Processing time-based summary:', trimmedInput);
-                    return await handleTimeBasedSummary(message, timeInfo, command);
-                }
-
-                // Then try to parse as a number
-                const limit = parseInt(trimmedInput);
-                if (!isNaN(limit)) {
-                    logger.debug('Processing specific message count:', limit);
-                    return await handleSpecificMessageCount(message, limit, command);
-                }
-
-                // If neither time expression nor number, show error
-                logger.debug('Invalid input format:', trimmedInput);
-                const errorMessage = await message.reply(command.errorMessages.invalidFormat);
-                await handleAutoDelete(errorMessage, command, true);
-                return;
-            }
+        // The period was already validated against the command's argument schema
+        const periodo = args.periodo ?? parseDuration(input || '') ?? null;
+        if (typeof periodo === 'number') {
+            logger.debug('Processing specific message count:', periodo);
+            return await handleSpecificMessageCount(message, periodo, command);
+        }
+        if (periodo) {
+            logger.debug('Processing time-based summary:', periodo.description);
+            return await handleTimeBasedSummary(message, toTimeInfo(periodo), command);
         }
 
         // Default case: no input and no quoted message - show last 3 hours
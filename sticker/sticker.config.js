@@ -5,6 +5,15 @@ const STICKER_CONFIG = {
     prefixes: ['#sticker'],
     description:
         'Cria stickers de várias formas: cite uma mensagem com imagem, envie uma imagem com #sticker, ou use #sticker [palavra-chave] para buscar e criar um sticker.',
+    args: [
+        {
+            name: 'busca',
+            type: 'text',
+            optional: true,
+            description: 'termo para buscar uma imagem (ou envie/cite uma imagem)',
+        },
+    ],
+    examples: ['#sticker (com imagem)', '#sticker gato de óculos'],
     autoDelete: {
         errorMessages: true,
         commandMessages: false,
@@ -2,7 +2,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const { handleAutoDelete } = require('../utils/messageUtils');
 const logger = require('../utils/logger');
-const { MessageMedia } = require('whatsapp-web.js');
+const { mediaFromFilePath } = require('../core/transport/transport');
 const { searchGoogleForImage, downloadImage } = require('./imageUtils');
 const { deleteFile } = require('./fileUtils');
 
@@ -30,7 +30,7 @@ async function handleSticker(message, command, input = []) {
 
             try {
                 await fs.writeFile(imagePath, attachmentData.data, 'base64');
-                const imageAsSticker = MessageMedia.fromFilePath(imagePath);
+                const imageAsSticker = mediaFromFilePath(imagePath);
                 const response = await message.reply(imageAsSticker, message.from, {
                     sendMediaAsSticker: true,
                 });
@@ -73,7 +73,7 @@ async function handleSticker(message, command, input = []) {
             }
 
             try {
-                const imageAsSticker = MessageMedia.fromFilePath(imagePath);
+                const imageAsSticker = mediaFromFilePath(imagePath);
                 const response = await message.reply(imageAsSticker, message.from, {
                     sendMediaAsSticker: true,
                 });
@@ -664,27 +664,29 @@ async function runTest(client, group, test, options = {}) {
         global.conversationChain = '';
         global.promptCaptured = false;
 
-        // Send the command
-        const response = await sendMessageAndWaitForResponse(client, group, test.command, {
-            attachment: test.attachment,
-            quote: test.quote,
-            preMessage: test.preMessage,
-            preCommand: test.preCommand,
-            timeout: test.extraDelay
-                ? config.RESPONSE_TIMEOUT + test.extraDelay
-                : config.RESPONSE_TIMEOUT,
-            useBotChat: test.useBotChat,
-            useAdminChat: test.useAdminChat,
-            preDelay: test.preDelay,
-            sendAttachmentFirst: test.sendAttachmentFirst,
-            attachWithCommand: test.attachWithCommand,
-            isSticker: test.isSticker,
-            checkBotMessageDeletion: test.checkBotMessageDeletion,
-            followUpCommand: test.followUpCommand,
-            followUpDelay: test.followUpDelay,
-            waitForStreaming: test.waitForStreaming,
-            mentions: test.mentions,
-        });
+        // Local checks run bot modules in this process; the rest go over WhatsApp
+        const response = test.localCheck
+            ? { body: await require('./localChecks')[test.localCheck]() }
+            : await sendMessageAndWaitForResponse(client, group, test.command, {
+                attachment: test.attachment,
+                quote: test.quote,
+                preMessage: test.preMessage,
+                preCommand: test.preCommand,
+                timeout: test.extraDelay
+                    ? config.RESPONSE_TIMEOUT + test.extraDelay
+                    : config.RESPONSE_TIMEOUT,
+                useBotChat: test.useBotChat,
+                useAdminChat: test.useAdminChat,
+                preDelay: test.preDelay,
+                sendAttachmentFirst: test.sendAttachmentFirst,
+                attachWithCommand: test.attachWithCommand,
+                isSticker: test.isSticker,
+                checkBotMessageDeletion: test.checkBotMessageDeletion,
+                followUpCommand: test.followUpCommand,
+                followUpDelay: test.followUpDelay,
+                waitForStreaming: test.waitForStreaming,
+                mentions: test.mentions,
+              });
 
         // Check if we got a response
         if (
@@ -61,6 +61,7 @@ module.exports = {
         MEDIA: true, // Test media commands
         ADMIN: true, // Test admin commands
         MISC: true, // Test miscellaneous commands
+        LOCAL: true, // Test bot modules in the test process (localChecks.js)
     },
 
     // Whitelist verification
@@ -0,0 +1,349 @@
+/**
+ * Local checks: run bot modules inside the test process, without WhatsApp. Checks that need a
+ * model use the fake LLM provider, so nothing reaches an API. Each check returns a text that
+ * runTest matches against the test's expectedResponseContains, or throws when the behavior is
+ * wrong.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Bot modules keep the checks' state in tester/data/, emptied on every run, instead of the
+// bot's data/. storageUtils reads DATA_DIR once, when it loads, so it is only set for that.
+const CHECK_DATA_DIR = path.join(__dirname, 'data');
+fs.rmSync(CHECK_DATA_DIR, { recursive: true, force: true });
+process.env.DATA_DIR = CHECK_DATA_DIR;
+require('../utils/storageUtils');
+delete process.env.DATA_DIR;
+
+const rateLimiter = require('../core/rateLimiter');
+const { parseArguments, parseDuration } = require('../core/argumentParser');
+const nlpProcessor = require('../core/nlpProcessor');
+const intentMatcher = require('../core/intentMatcher');
+const { setDefaultProvider, getProvider } = require('../utils/providers/providers');
+const { runCompletion } = require('../utils/openaiUtils');
+const llmCache = require('../utils/llmCache');
+const circuitBreaker = require('../utils/circuitBreaker');
+const botConfig = require('../configs/config');
+const { streamReply } = require('../utils/messageUtils');
+const chatConfig = require('../chat/chat.config');
+const { resolveThread, getConversationKey } = require('../chat/conversationManager');
+const historyIndex = require('../chat/historyIndex');
+const { formatForWhatsApp } = require('../utils/formatUtils');
+
+// Cache namespace of the checks, so their entries and stats stay apart from the bot's
+const CACHE_NAMESPACE = 'TESTER';
+
+// Group and admin number the conversation checks run with
+const GROUP_NAME = 'Grupo de Testes';
+const ADMIN_NUMBER = '5511000000000';
+
+// A burst rule of 2 lets two calls through and blocks the third, naming the limit in the reply
+async function rateLimits() {
+    const command = {
+        name: 'TESTER_RATE_LIMIT',
+        prefixes: ['#teste'],
+        rateLimit: { burst: { max: 2, windowSeconds: 30 } },
+    };
+    const caller = { userId: '5511000000001@c.us', chatId: '120363000000000001@g.us' };
+    try {
+        const results = [1, 2, 3].map(() => rateLimiter.consume(command, caller));
+        const allowed = results.map(result => result.allowed).join(', ');
+        if (allowed !== 'true, true, false') {
+            throw new Error(`Expected allowed, allowed, blocked; got ${allowed}`);
+        }
+        return rateLimiter.formatLimitMessage(command, results[2]);
+    } finally {
+        rateLimiter.reset(command.name);
+    }
+}
+
+// Typed arguments are read in order, and a value out of range is reported with the usage line
+async function argumentParsing() {
+    const command = {
+        name: 'TESTER_ARGS',
+        prefixes: ['#teste'],
+        args: [
+            { name: 'quantidade', type: 'number', min: 1, max: 100 },
+            { name: 'periodo', type: 'duration', optional: true },
+            { name: 'texto', type: 'text', optional: true },
+        ],
+    };
+    const { valid, args } = await parseArguments(command, '10 2 horas sobre o jogo');
+    if (!valid || args.quantidade !== 10 || args.periodo?.amount !== 2 || args.texto !== 'sobre o jogo') {
+        throw new Error(`Unexpected arguments for "10 2 horas sobre o jogo": ${JSON.stringify(args)}`);
+    }
+
+    const outOfRange = await parseArguments(command, '500');
+    if (outOfRange.valid) {
+        throw new Error('Expected quantidade 500 to be rejected (max 100)');
+    }
+    return outOfRange.error;
+}
+
+// Intents come back best first, and an answer to the clarification question picks one by its
+// number or by a word of its label
+async function intentRanking() {
+    const intents = nlpProcessor.parseIntents(
+        JSON.stringify({
+            intents: [
+                { command: '#ayubnews', confidence: 0.4, label: 'as notícias do Ayub' },
+                { command: '#resumo 2 horas', confidence: 0.55, label: 'um resumo das últimas 2 horas' },
+            ],
+        })
+    );
+    const byNumber = nlpProcessor.matchClarificationAnswer('2', intents);
+    const byWord = nlpProcessor.matchClarificationAnswer('as notícias', intents);
+    if (intents[0]?.command !== '#resumo 2 horas' || byNumber !== intents[1] || byWord !== intents[1]) {
+        throw new Error(`Unexpected ranking or answer match: ${JSON.stringify(intents)}`);
+    }
+    return intents.map(intent => `${intent.command} (${intent.confidence})`).join(', ');
+}
+
+// Clear requests map to their command with the keyword matcher, without asking the LLM
+async function offlineIntents() {
+    const expected = {
+        'desenhe um gato de chapéu': 'DESENHO',
+        'resuma as últimas 2 horas': 'RESUMOS',
+    };
+    const matches = Object.keys(expected).map(text => intentMatcher.match(text)[0]);
+    const wrong = Object.values(expected).filter((name, index) => matches[index]?.name !== name);
+    if (wrong.length > 0) {
+        throw new Error(`Expected ${wrong.join(', ')}; matched ${matches.map(match => match?.name).join(', ')}`);
+    }
+    return matches.map(match => match.command).join(' | ');
+}
+
+/**
+ * Serve calls with the fake provider answering through responder, then restore the echo
+ */
+async function withFakeProvider(responder, fn) {
+    const fakeProvider = getProvider('fake');
+    setDefaultProvider('fake');
+    fakeProvider.setResponder(responder);
+    try {
+        return await fn();
+    } finally {
+        fakeProvider.setResponder(null);
+        setDefaultProvider(null);
+    }
+}
+
+// With no responder the fake provider echoes the prompt, tagged with the model that answered
+async function fakeEcho() {
+    return withFakeProvider(null, () => runCompletion('Olá, mundo', 1, 'TIER:LOW'));
+}
+
+// The first call is a miss that reaches the provider; the same request again is a hit that doesn't
+async function cacheHitAndMiss() {
+    let providerCalls = 0;
+    const before = { ...llmCache.statsFor(CACHE_NAMESPACE) };
+    const prompt = 'Teste do cache';
+
+    const [first, second] = await withFakeProvider(
+        () => {
+            providerCalls += 1;
+            return 'resposta em cache';
+        },
+        async () => [
+            await runCompletion(prompt, 1, 'TIER:LOW', null, { cache: CACHE_NAMESPACE }),
+            await runCompletion(prompt, 1, 'TIER:LOW', null, { cache: CACHE_NAMESPACE }),
+        ]
+    );
+
+    const stats = llmCache.statsFor(CACHE_NAMESPACE);
+    const misses = stats.misses - before.misses;
+    const hits = stats.hits - before.hits;
+    if (providerCalls !== 1 || first !== second || misses !== 1 || hits !== 1) {
+        throw new Error(`Expected 1 provider call, 1 miss and 1 hit; got ${providerCalls} calls, ${misses} misses, ${hits} hits`);
+    }
+    return `${second} (miss: ${misses}, hit: ${hits})`;
+}
+
+// The HIGH model is down (HTTP 503), so the call must fall back to the next tier (MEDIUM)
+async function fallbackChain() {
+    const calledModels = [];
+    try {
+        const reply = await withFakeProvider(
+            ({ model }) => {
+                calledModels.push(model);
+                if (model === 'fake-high') {
+                    throw Object.assign(new Error('Service unavailable'), { status: 503 });
+                }
+                return `resposta de ${model}`;
+            },
+            () => runCompletion('Teste da cadeia de fallback', 1, 'TIER:HIGH')
+        );
+
+        if (calledModels.join(',') !== 'fake-high,fake-medium') {
+            throw new Error(`Expected fake-high then fake-medium, called: ${calledModels.join(', ')}`);
+        }
+        return reply;
+    } finally {
+        // Forget the simulated failure so later calls find fake-high's breaker as it was
+        circuitBreaker.recordSuccess('fake:fake-high');
+    }
+}
+
+// A streamed reply is one placeholder message, edited until it shows the whole answer
+async function streamedReply() {
+    const answer = 'Uma resposta que chega palavra por palavra e vai sendo escrita na mesma mensagem.';
+    const replies = [];
+    const edits = [];
+    const message = {
+        id: { remote: '5511000000001@c.us' },
+        reply: async body => {
+            replies.push(body);
+            return {
+                body,
+                edit: async text => {
+                    edits.push(text);
+                    return { body: text };
+                },
+                delete: async () => {},
+            };
+        },
+    };
+    let updates = 0;
+    const streamingEnabled = botConfig.SYSTEM.STREAMING_ENABLED;
+    botConfig.SYSTEM.STREAMING_ENABLED = true;
+    try {
+        await withFakeProvider(
+            () => answer,
+            () =>
+                streamReply(message, {}, onText =>
+                    runCompletion('Teste de streaming', 1, 'TIER:LOW', null, {
+                        onText: text => {
+                            updates += 1;
+                            onText(text);
+                        },
+                    })
+                )
+        );
+    } finally {
+        botConfig.SYSTEM.STREAMING_ENABLED = streamingEnabled;
+    }
+
+    const shown = edits[edits.length - 1];
+    if (replies.length !== 1 || updates < 2 || shown !== answer) {
+        throw new Error(`Expected 1 message edited to the answer after several updates; got ${replies.length} messages, ${updates} updates, last edit "${shown}"`);
+    }
+    return shown;
+}
+
+// 'user' mode gives each member their own conversation; in 'replyChain' mode a message that
+// replies to no thread starts a new one
+async function conversationThreads() {
+    const threading = chatConfig.conversation.threading;
+    const originalMode = threading.mode;
+    const message = (author, id) => ({
+        id: { id, _serialized: `false_120363000000000001@g.us_${id}_${author}` },
+        author,
+        from: '120363000000000001@g.us',
+        body: '#qual a capital da França?',
+        hasQuotedMsg: false,
+    });
+    const resolve = (author, id, userName) => resolveThread(message(author, id), GROUP_NAME, ADMIN_NUMBER, userName);
+
+    try {
+        threading.mode = 'group';
+        const shared = await resolve('5511000000001@c.us', 'MSG1', 'Ana');
+        threading.mode = 'user';
+        const ana = await resolve('5511000000001@c.us', 'MSG1', 'Ana');
+        const bia = await resolve('5511000000002@c.us', 'MSG2', 'Bia');
+        threading.mode = 'replyChain';
+        const question = await resolve('5511000000001@c.us', 'MSG3', 'Ana');
+
+        if (shared !== null || !ana || !bia || ana.id === bia.id || question?.id !== 'MSG3') {
+            throw new Error(`Unexpected threads: ${JSON.stringify({ shared, ana, bia, question })}`);
+        }
+        return [ana, bia, question].map(thread => getConversationKey(GROUP_NAME, ADMIN_NUMBER, thread)).join(', ');
+    } finally {
+        threading.mode = originalMode;
+    }
+}
+
+// A search for a subject filtered by author finds that author's messages about it
+async function historySearch() {
+    const history = [
+        ['Ana', 'Alguém topa uma viagem para a praia no feriado?'],
+        ['Bia', 'A reunião de trabalho mudou para quinta de manhã'],
+        ['Ana', 'Preciso terminar o relatório do trabalho ainda hoje'],
+        ['Caio', 'Vocês viram o jogo de futebol ontem à noite?'],
+        ['Ana', 'Levo o guarda-sol e a caixa térmica para a praia'],
+        ['Bia', 'Na praia eu prefiro chegar cedo para pegar lugar'],
+    ];
+    const messages = history.map(([name, body], index) => ({
+        id: { _serialized: `false_120363000000000001@g.us_HIST${index}` },
+        timestamp: 1700000000 + index * 60,
+        author: `55110000000${index}@c.us`,
+        from: '120363000000000001@g.us',
+        fromMe: false,
+        body,
+        getContact: async () => ({ pushname: name }),
+    }));
+
+    const results = await withFakeProvider(null, async () => {
+        historyIndex.clear(GROUP_NAME);
+        await historyIndex.addMessages(GROUP_NAME, messages);
+        const queryVector = await historyIndex.embed(GROUP_NAME, 'praia');
+        return historyIndex.search(GROUP_NAME, { query: 'praia', author: 'Ana' }, { limit: 2, queryVector });
+    });
+
+    if (results.length !== 2 || results.some(entry => entry.author !== 'Ana' || !entry.body.includes('praia'))) {
+        throw new Error(`Expected Ana's 2 messages about the beach; got ${JSON.stringify(results.map(entry => entry.body))}`);
+    }
+    return results.map(entry => entry.body).join(' | ');
+}
+
+// Duration descriptions agree with the unit's gender
+async function durationDescriptions() {
+    const expected = { '7 dias': 'últimos 7 dias', '2 horas': 'últimas 2 horas', '1 hora': 'última hora' };
+    const descriptions = Object.keys(expected).map(text => parseDuration(text)?.description);
+    if (descriptions.join(', ') !== Object.values(expected).join(', ')) {
+        throw new Error(`Expected ${Object.values(expected).join(', ')}; got ${descriptions.join(', ')}`);
+    }
+    return descriptions.join(', ');
+}
+
+// __bold__ between spaces becomes WhatsApp bold, while __identifiers__ keep their underscores
+async function whatsappFormatting() {
+    const formatted = formatForWhatsApp('Isso é __muito__ importante: o método __init__() roda primeiro.');
+    if (!formatted.includes('*muito*') || !formatted.includes('__init__()')) {
+        throw new Error(`Unexpected formatting: ${formatted}`);
+    }
+    return formatted;
+}
+
+// A text argument keeps the line breaks of the message
+async function multilineText() {
+    const command = {
+        name: 'TESTER_TEXT',
+        prefixes: ['#teste'],
+        args: [
+            { name: 'quantidade', type: 'number' },
+            { name: 'texto', type: 'text' },
+        ],
+    };
+    const { valid, args } = await parseArguments(command, '3 primeira linha\n\n- segunda linha');
+    if (!valid || args.texto !== 'primeira linha\n\n- segunda linha') {
+        throw new Error(`Expected the text with its line breaks; got ${JSON.stringify(args?.texto)}`);
+    }
+    return args.texto;
+}
+
+module.exports = {
+    rateLimits,
+    argumentParsing,
+    intentRanking,
+    offlineIntents,
+    fakeEcho,
+    cacheHitAndMiss,
+    fallbackChain,
+    streamedReply,
+    conversationThreads,
+    historySearch,
+    durationDescriptions,
+    whatsappFormatting,
+    multilineText,
+};
@@ -175,6 +175,36 @@ const TEST_CASES = {
             optional: false, // Make this test required
             waitForStreaming: true,
         },
+        {
+            name: 'Continue Long Reply',
+            command: '#continua',
+            preCommand: '#chatgpt escreva uma redação de 1500 palavras sobre a história do Brasil',
+            preDelay: 60000, // Wait for the long reply to be sent before asking for the next part
+            expectedResponseContains: ['Parte 2/'],
+            description: 'Should send the second part of the long reply',
+            category: 'CHAT',
+            extraDelay: 5000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Remember Fact',
+            // A new fact every run, so it is never one the group already has
+            command: `#lembrar que o teste de ${new Date().toISOString()} passou`,
+            expectedResponseContains: ['Anotado'],
+            description: 'Should store the fact as a group memory',
+            category: 'CHAT',
+            extraDelay: 3000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'List Memories',
+            command: '#memorias',
+            expectedResponseContains: ['Memórias'],
+            description: 'Should list the memories of the group',
+            category: 'CHAT',
+            extraDelay: 3000,
+            waitForStreaming: false,
+        },
     ],
 
     // Media command tests
@@ -257,6 +287,117 @@ const TEST_CASES = {
             extraDelay: 2000,
             waitForStreaming: false,
         },
+        {
+            name: 'Permission Roles',
+            command: '!perms',
+            expectedResponseContains: ['PAPÉIS', 'admin'],
+            description: 'Should list the permission roles and their users',
+            category: 'ADMIN',
+            adminOnly: true,
+            useAdminChat: true,
+            extraDelay: 2000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Command Permissions',
+            command: '!perms DESENHO',
+            expectedResponseContains: ['PERMISSÕES', 'DESENHO'],
+            description: 'Should show who may use the DESENHO command',
+            category: 'ADMIN',
+            adminOnly: true,
+            useAdminChat: true,
+            extraDelay: 2000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Sticker Bindings',
+            command: '!sticker',
+            expectedResponseContains: ['FIGURINHAS VINCULADAS'],
+            description: 'Should list the stickers bound to commands',
+            category: 'ADMIN',
+            adminOnly: true,
+            useAdminChat: true,
+            extraDelay: 2000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Plugin List',
+            command: '!plugins',
+            expectedResponseContains: ['PLUGINS', 'dado'],
+            description: 'Should list the installed plugins',
+            category: 'ADMIN',
+            adminOnly: true,
+            useAdminChat: true,
+            extraDelay: 2000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Config Reload',
+            command: '!reload',
+            expectedResponseContains: ['recarregadas'],
+            description: 'Should reload the command configs and prompts',
+            category: 'ADMIN',
+            adminOnly: true,
+            useAdminChat: true,
+            extraDelay: 3000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Audit Log',
+            command: '!audit #? hoje',
+            expectedResponseContains: ['AUDITORIA'],
+            description: 'Should list today\'s #? dispatches from the audit log',
+            category: 'ADMIN',
+            adminOnly: true,
+            useAdminChat: true,
+            extraDelay: 2000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Usage Statistics',
+            command: '!stats',
+            expectedResponseContains: ['ESTATÍSTICAS'],
+            description: 'Should show the command usage of the last 7 days',
+            category: 'ADMIN',
+            adminOnly: true,
+            useAdminChat: true,
+            extraDelay: 2000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Usage Chart',
+            command: '!stats grafico',
+            expectedResponseContains: [],
+            expectMedia: true,
+            description: 'Should send the usage statistics as a PNG chart',
+            category: 'ADMIN',
+            adminOnly: true,
+            useAdminChat: true,
+            extraDelay: 5000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'OpenAI Costs',
+            command: '!custos',
+            expectedResponseContains: ['CUSTOS', 'Orçamentos'],
+            description: 'Should show this month\'s OpenAI costs and budgets',
+            category: 'ADMIN',
+            adminOnly: true,
+            useAdminChat: true,
+            extraDelay: 2000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Saved Conversations',
+            command: '!conversa',
+            expectedResponseContains: ['conversa'],
+            description: 'Should list the saved chat conversations',
+            category: 'ADMIN',
+            adminOnly: true,
+            useAdminChat: true,
+            extraDelay: 2000,
+            waitForStreaming: false,
+        },
     ],
 
     // Miscellaneous command tests
@@ -311,6 +452,169 @@ const TEST_CASES = {
             waitForStreaming: false,
             mentions: [`${config.BOT_NUMBER}@c.us`], // Properly mention the bot
         },
+        {
+            name: 'Command Help',
+            command: '#? resumo',
+            expectedResponseContains: ['Uso:'],
+            description: 'Should describe the arguments of #resumo',
+            category: 'MISC',
+            extraDelay: 3000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Schedule Command',
+            command: '#agendar amanhã 9h #?',
+            expectedResponseContains: ['Agendamento', 'criado'],
+            description: 'Should schedule #? for tomorrow at 9h',
+            category: 'MISC',
+            extraDelay: 3000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'List Scheduled Commands',
+            command: '#agendamentos',
+            expectedResponseContains: ['Agendamentos', 'amanhã às 09:00'],
+            description: 'Should list the scheduled commands of the group',
+            category: 'MISC',
+            extraDelay: 3000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Reminder',
+            command: '#lembrete em 2 horas testar o bot',
+            expectedResponseContains: ['Lembrete', 'criado'],
+            description: 'Should create a reminder for 2 hours from now',
+            category: 'MISC',
+            extraDelay: 3000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'List Reminders',
+            command: '#lembretes',
+            expectedResponseContains: ['Seus lembretes', 'testar o bot'],
+            description: 'Should list the reminders of the sender',
+            category: 'MISC',
+            extraDelay: 3000,
+            waitForStreaming: false,
+        },
+        {
+            name: 'Dice Plugin',
+            command: '#dado 2d6',
+            preCommand: '!plugins ativar dado', // The plugin ships disabled
+            expectedResponseContains: ['🎲', '2d6'],
+            description: 'Should roll two six-sided dice',
+            category: 'MISC',
+            extraDelay: 3000,
+            waitForStreaming: false,
+        },
+    ],
+
+    // Local checks: bot modules run in the test process, without WhatsApp (tester/localChecks.js)
+    LOCAL: [
+        {
+            name: 'Rate Limits',
+            command: '',
+            localCheck: 'rateLimits',
+            expectedResponseContains: ['Limite de uso de #teste'],
+            description: 'Should let two calls through a burst limit of 2 and block the third',
+            category: 'LOCAL',
+        },
+        {
+            name: 'Argument Parsing',
+            command: '',
+            localCheck: 'argumentParsing',
+            expectedResponseContains: ['Uso: #teste <quantidade>'],
+            description: 'Should parse typed arguments in order and reject a number above its max with the usage line',
+            category: 'LOCAL',
+        },
+        {
+            name: 'Intent Ranking',
+            command: '',
+            localCheck: 'intentRanking',
+            expectedResponseContains: ['#resumo 2 horas (0.55)'],
+            description: 'Should rank NLP intents by confidence and match clarification answers by number or word',
+            category: 'LOCAL',
+        },
+        {
+            name: 'Offline Intent Matching',
+            command: '',
+            localCheck: 'offlineIntents',
+            expectedResponseContains: ['#resumo 2 horas'],
+            description: 'Should map clear requests to their command without the LLM',
+            category: 'LOCAL',
+        },
+        {
+            name: 'Fake Provider Echo',
+            command: '',
+            localCheck: 'fakeEcho',
+            expectedResponseContains: ['[fake-low] Olá, mundo'],
+            description: 'Should echo the prompt, tagged with the model, when no responder is set',
+            category: 'LOCAL',
+        },
+        {
+            name: 'LLM Cache Hit and Miss',
+            command: '',
+            localCheck: 'cacheHitAndMiss',
+            expectedResponseContains: ['miss: 1, hit: 1'],
+            description: 'Should call the provider on a cache miss and answer a repeated request from the cache',
+            category: 'LOCAL',
+        },
+        {
+            name: 'Model Fallback Chain',
+            command: '',
+            localCheck: 'fallbackChain',
+            expectedResponseContains: ['fake-medium'],
+            description: 'Should answer with the MEDIUM model when the HIGH model fails',
+            category: 'LOCAL',
+        },
+        {
+            name: 'Streamed Reply',
+            command: '',
+            localCheck: 'streamedReply',
+            expectedResponseContains: ['palavra por palavra'],
+            description: 'Should send one placeholder and edit it as the answer arrives, ending with the whole answer',
+            category: 'LOCAL',
+        },
+        {
+            name: 'Conversation Threads',
+            command: '',
+            localCheck: 'conversationThreads',
+            expectedResponseContains: ['Grupo de Testes::MSG3'],
+            description: 'Should give each member a thread in user mode and start a thread per new question in replyChain mode',
+            category: 'LOCAL',
+        },
+        {
+            name: 'History Search',
+            command: '',
+            localCheck: 'historySearch',
+            expectedResponseContains: ['guarda-sol'],
+            description: 'Should find an author\'s messages about a subject in the indexed history',
+            category: 'LOCAL',
+        },
+        {
+            name: 'Duration Descriptions',
+            command: '',
+            localCheck: 'durationDescriptions',
+            expectedResponseContains: ['últimos 7 dias'],
+            description: 'Should agree duration descriptions with the unit\'s gender',
+            category: 'LOCAL',
+        },
+        {
+            name: 'WhatsApp Formatting',
+            command: '',
+            localCheck: 'whatsappFormatting',
+            expectedResponseContains: ['*muito*'],
+            description: 'Should turn __bold__ into WhatsApp bold and leave __identifiers__ alone',
+            category: 'LOCAL',
+        },
+        {
+            name: 'Multiline Text Argument',
+            command: '',
+            localCheck: 'multilineText',
+            expectedResponseContains: ['primeira linha\n\n- segunda linha'],
+            description: 'Should keep the line breaks of a text argument',
+            category: 'LOCAL',
+        },
     ],
 };
 
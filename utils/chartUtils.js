@@ -0,0 +1,77 @@
+/**
+ * chartUtils.js - Simple PNG charts rendered locally (SVG → PNG with sharp)
+ */
+const sharp = require('sharp');
+
+const COLORS = {
+    background: '#ffffff',
+    bar: '#25D366',
+    text: '#222222',
+    muted: '#888888',
+    grid: '#e5e5e5',
+};
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Render a vertical bar chart
+ * @param {Object} options - Chart options
+ * @param {string} options.title - Title drawn at the top
+ * @param {string[]} options.labels - One label per bar (x axis)
+ * @param {number[]} options.values - One value per bar
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function renderBarChart({ title, labels, values, width = 800, height = 420 }) {
+    const margin = { top: 60, right: 20, bottom: 50, left: 50 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    // Whole-number grid steps, so small counts don't repeat axis labels
+    const gridStep = Math.max(1, Math.ceil(Math.max(...values, 0) / 4));
+    const max = gridStep * 4;
+    const slot = plotWidth / Math.max(1, values.length);
+    const barWidth = Math.max(2, slot * 0.7);
+    // Skip labels when bars get too narrow to fit them
+    const labelEvery = Math.ceil(40 / slot);
+
+    const parts = [
+        `<rect width="${width}" height="${height}" fill="${COLORS.background}"/>`,
+        `<text x="${margin.left}" y="34" font-family="sans-serif" font-size="20" font-weight="bold" fill="${COLORS.text}">${escapeXml(title)}</text>`,
+    ];
+
+    for (let step = 0; step <= 4; step++) {
+        const value = gridStep * step;
+        const y = margin.top + plotHeight - (plotHeight * step) / 4;
+        parts.push(
+            `<line x1="${margin.left}" y1="${y}" x2="${width - margin.right}" y2="${y}" stroke="${COLORS.grid}"/>`,
+            `<text x="${margin.left - 8}" y="${y + 4}" font-family="sans-serif" font-size="12" text-anchor="end" fill="${COLORS.muted}">${value}</text>`
+        );
+    }
+
+    values.forEach((value, index) => {
+        const barHeight = (plotHeight * value) / max;
+        const x = margin.left + slot * index + (slot - barWidth) / 2;
+        const y = margin.top + plotHeight - barHeight;
+        parts.push(`<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${COLORS.bar}"/>`);
+        if (value > 0 && barWidth >= 18) {
+            parts.push(
+                `<text x="${x + barWidth / 2}" y="${y - 4}" font-family="sans-serif" font-size="11" text-anchor="middle" fill="${COLORS.text}">${value}</text>`
+            );
+        }
+        if (index % labelEvery === 0) {
+            parts.push(
+                `<text x="${x + barWidth / 2}" y="${height - margin.bottom + 18}" font-family="sans-serif" font-size="12" text-anchor="middle" fill="${COLORS.muted}">${escapeXml(labels[index])}</text>`
+            );
+        }
+    });
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${parts.join('')}</svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+module.exports = {
+    renderBarChart,
+};
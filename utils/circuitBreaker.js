@@ -0,0 +1,146 @@
+/**
+ * circuitBreaker.js - Per provider/model circuit breakers for model calls: after repeated
+ * failures a model is skipped (openaiUtils falls back along SYSTEM.AI_MODEL_FALLBACKS) until a
+ * probe call succeeds again
+ */
+const logger = require('./logger');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half_open';
+
+function getBreakerConfig() {
+    // Lazy-load: openaiUtils requires this module before config is safe to load
+    // eslint-disable-next-line global-require
+    return require('../configs/config').SYSTEM.CIRCUIT_BREAKER || {};
+}
+
+/**
+ * Whether an error says something about the model/provider rather than the request: network
+ * failures, timeouts, rate limits, server errors and unknown (e.g. deprecated) models. Bad
+ * requests and auth errors would fail on any model, so they neither open circuits nor fall back.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isModelFailure(error) {
+    const status = error?.status ?? error?.response?.status;
+    if (status) {
+        return status === 404 || status === 408 || status === 429 || status >= 500;
+    }
+    const text = `${error?.name || ''} ${error?.code || ''} ${error?.message || ''}`;
+    return /timeout|timed out|connection|network|socket|ECONN|ETIMEDOUT|EAI_AGAIN|ENOTFOUND/i.test(text);
+}
+
+function describeError(error) {
+    const status = error?.status ?? error?.response?.status;
+    return status ? `HTTP ${status}` : error?.code || error?.message || 'erro desconhecido';
+}
+
+/**
+ * Breakers are keyed "provider:model" and live in memory only; a restart closes them all.
+ *
+ *   closed     calls go through; FAILURE_THRESHOLD consecutive model failures open it
+ *   open       calls are refused for OPEN_MS, then one probe call is let through (half open)
+ *   half open  the probe's success closes it, its failure opens it for another OPEN_MS
+ *
+ * The admin is told when a breaker opens and when it closes again.
+ */
+class CircuitBreaker {
+    constructor() {
+        this.breakers = new Map();
+    }
+
+    get(key) {
+        if (!this.breakers.has(key)) {
+            this.breakers.set(key, { state: CLOSED, failures: 0, openedAt: null, lastError: null, probing: false });
+        }
+        return this.breakers.get(key);
+    }
+
+    /**
+     * Whether a call may be sent; moves an open breaker past its cooldown to half open
+     * @param {string} key - "provider:model"
+     * @returns {boolean}
+     */
+    canRequest(key) {
+        const breaker = this.get(key);
+        if (breaker.state === CLOSED) return true;
+        if (breaker.state === OPEN && Date.now() - breaker.openedAt >= (getBreakerConfig().OPEN_MS ?? 60000)) {
+            breaker.state = HALF_OPEN;
+            breaker.probing = false;
+        }
+        if (breaker.state === HALF_OPEN && !breaker.probing) {
+            breaker.probing = true;
+            logger.debug(`Circuit ${key} half open, sending a probe call`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {string} key - "provider:model"
+     */
+    recordSuccess(key) {
+        const breaker = this.get(key);
+        const wasOpen = breaker.state !== CLOSED;
+        breaker.state = CLOSED;
+        breaker.failures = 0;
+        breaker.probing = false;
+        if (wasOpen) {
+            logger.info(`Circuit ${key} closed`);
+            logger.notifyAdmin(`✅ *Circuito fechado*: ${key} voltou a responder.`).catch(() => {});
+        }
+    }
+
+    /**
+     * @param {Error} error
+     * @returns {boolean} Whether the error should make callers try the next model
+     */
+    isModelFailure(error) {
+        return isModelFailure(error);
+    }
+
+    /**
+     * Count a failed call; errors that are not model failures (see isModelFailure) are ignored
+     * @param {string} key - "provider:model"
+     * @param {Error} error
+     */
+    recordFailure(key, error) {
+        const breaker = this.get(key);
+        // A half-open breaker lets the next call probe again unless this one proved the model down
+        breaker.probing = false;
+        if (!isModelFailure(error)) return;
+        breaker.failures += 1;
+        breaker.lastError = describeError(error);
+
+        const threshold = getBreakerConfig().FAILURE_THRESHOLD ?? 5;
+        if (breaker.state === HALF_OPEN) {
+            breaker.state = OPEN;
+            breaker.openedAt = Date.now();
+            logger.debug(`Circuit ${key} probe failed (${breaker.lastError}), open again`);
+        } else if (breaker.state === CLOSED && breaker.failures >= threshold) {
+            breaker.state = OPEN;
+            breaker.openedAt = Date.now();
+            const seconds = Math.round((getBreakerConfig().OPEN_MS ?? 60000) / 1000);
+            logger.warn(`Circuit ${key} open after ${breaker.failures} consecutive failures (${breaker.lastError})`);
+            logger
+                .notifyAdmin(
+                    `⚠️ *Circuito aberto*: ${key} falhou ${breaker.failures} vezes seguidas (${breaker.lastError}). ` +
+                        `As chamadas vão para o próximo modelo da cadeia; nova tentativa em ${seconds}s.`
+                )
+                .catch(() => {});
+        }
+    }
+
+    /**
+     * Breakers that are not closed
+     * @returns {Array<{key: string, state: string, failures: number, openedAt: number, lastError: string}>}
+     */
+    listOpen() {
+        return [...this.breakers.entries()]
+            .filter(([, breaker]) => breaker.state !== CLOSED)
+            .map(([key, breaker]) => ({ key, ...breaker }));
+    }
+}
+
+module.exports = new CircuitBreaker();
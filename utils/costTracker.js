@@ -0,0 +1,310 @@
+/**
+ * costTracker.js - OpenAI token usage and estimated cost of every call (data/openaiUsage.jsonl),
+ * monthly budgets per group and global, reported by !custos
+ */
+const logger = require('./logger');
+const { appendJsonLine, readJsonLines, readJsonFile, writeJsonFile } = require('./storageUtils');
+const { getCallTags } = require('./requestContext');
+const { getZonedParts } = require('./timeUtils');
+const { normalizeUsage } = require('./providers/providers');
+
+const USAGE_FILE = 'openaiUsage.jsonl';
+const BUDGET_FILE = 'openaiBudgets.json';
+const GLOBAL_SCOPE = 'global';
+
+function getCostConfig() {
+    // Lazy-load: openaiUtils requires this module before config is safe to load
+    // eslint-disable-next-line global-require
+    return require('../configs/config').SYSTEM.OPENAI_COSTS || {};
+}
+
+/**
+ * São Paulo calendar month of a timestamp
+ * @returns {string} YYYY-MM
+ */
+function monthKey(timestamp = Date.now()) {
+    const parts = getZonedParts(timestamp);
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}`;
+}
+
+/**
+ * Price entry of a model; dated snapshots ("gpt-5-mini-2025-08-07") use their base model
+ */
+function findPrice(model) {
+    const prices = getCostConfig().PRICES || {};
+    if (prices[model]) return prices[model];
+    const base = Object.keys(prices)
+        .filter(name => model.startsWith(`${name}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    return base ? prices[base] : null;
+}
+
+/**
+ * Estimated cost of one call in USD
+ * @returns {number|null} Cost, or null when the model has no configured price
+ */
+function estimateCost(model, tokens, audioSeconds) {
+    const price = findPrice(model);
+    if (!price) return null;
+    if (price.perMinute !== undefined) {
+        return ((audioSeconds || 0) / 60) * price.perMinute;
+    }
+    const uncachedInput = tokens.inputTokens - tokens.cachedTokens;
+    const cachedPrice = price.cachedInput ?? price.input;
+    return (uncachedInput * price.input + tokens.cachedTokens * cachedPrice + tokens.outputTokens * price.output) / 1e6;
+}
+
+function emptyTotals() {
+    return { calls: 0, costUsd: 0, inputTokens: 0, outputTokens: 0, unpriced: 0 };
+}
+
+function addToTotals(totals, entry) {
+    totals.calls += 1;
+    totals.costUsd += entry.costUsd || 0;
+    totals.inputTokens += entry.inputTokens || 0;
+    totals.outputTokens += entry.outputTokens || 0;
+    if (entry.costUsd === null) totals.unpriced += 1;
+}
+
+/**
+ * Every model call appends one JSON line:
+ *   { ts, module, group, userId, provider, model, operation, inputTokens, cachedTokens,
+ *     outputTokens, audioSeconds, costUsd }
+ *
+ * `module` is the command (or background module, see requestContext.runAsModule) that made
+ * the call; `group` is null in DMs and background work outside groups. Calls served by a local
+ * or fake provider (see utils/providers) are logged with their tokens but cost nothing. The
+ * current month's spend per group is kept in memory for the budget checks made before each call.
+ *
+ * Budgets (USD per São Paulo calendar month) come from SYSTEM.OPENAI_COSTS.BUDGETS, with
+ * runtime overrides from !custos in data/openaiBudgets.json:
+ *   { overrides: { global: 50, groups: { GrupoLF: 10 } }, alerts: ['2026-10:global:warning'] }
+ */
+class CostTracker {
+    constructor() {
+        this.month = null;
+        this.spend = null; // { global: number, groups: { name: number } } for this.month
+        this.store = null;
+    }
+
+    loadStore() {
+        if (!this.store) {
+            const stored = readJsonFile(BUDGET_FILE, {});
+            this.store = {
+                overrides: { groups: {}, ...(stored.overrides || {}) },
+                alerts: stored.alerts || [],
+            };
+        }
+        return this.store;
+    }
+
+    saveStore() {
+        writeJsonFile(BUDGET_FILE, this.loadStore());
+    }
+
+    /**
+     * @returns {string} Current São Paulo month as YYYY-MM
+     */
+    getCurrentMonth() {
+        return monthKey();
+    }
+
+    /**
+     * Spend of the current month, rebuilt from the usage log when the month changes
+     */
+    getMonthSpend() {
+        const month = monthKey();
+        if (this.month !== month) {
+            this.month = month;
+            this.spend = { global: 0, groups: {} };
+            for (const entry of readJsonLines(USAGE_FILE)) {
+                if (monthKey(entry.ts) === month) this.addSpend(entry);
+            }
+        }
+        return this.spend;
+    }
+
+    addSpend(entry) {
+        const cost = entry.costUsd || 0;
+        this.spend.global += cost;
+        if (entry.group) {
+            this.spend.groups[entry.group] = (this.spend.groups[entry.group] || 0) + cost;
+        }
+    }
+
+    /**
+     * Persist the usage of one call, tagged from the current request context
+     * @param {Object} call - { provider, model, operation, usage, audioSeconds }
+     *   usage is the `usage` field of the API response (any shape normalizeUsage reads);
+     *   audioSeconds is for transcriptions
+     * @returns {Object|null} Stored entry
+     */
+    record({ provider = 'openai', model, operation, usage = null, audioSeconds = null }) {
+        if (!model) return null;
+        const tokens = normalizeUsage(usage);
+        const entry = {
+            ts: Date.now(),
+            ...getCallTags(),
+            provider,
+            model,
+            operation,
+            ...tokens,
+            audioSeconds,
+            costUsd: provider === 'openai' ? estimateCost(model, tokens, audioSeconds) : 0,
+        };
+        if (entry.costUsd === null) {
+            logger.debug(`No price configured for model ${model}; its cost is not counted`);
+        }
+
+        appendJsonLine(USAGE_FILE, entry);
+        this.getMonthSpend();
+        this.addSpend(entry);
+        this.checkAlerts(entry.group);
+        return entry;
+    }
+
+    /**
+     * Monthly limit of a scope, runtime override first
+     * @param {string|null} group - Group name, or null for the global budget
+     * @returns {number|null} Limit in USD, null when unlimited
+     */
+    getBudget(group = null) {
+        const { overrides } = this.loadStore();
+        const budgets = getCostConfig().BUDGETS || {};
+        if (!group) {
+            return GLOBAL_SCOPE in overrides ? overrides[GLOBAL_SCOPE] : budgets.GLOBAL ?? null;
+        }
+        return group in overrides.groups ? overrides.groups[group] : budgets.GROUPS?.[group] ?? null;
+    }
+
+    /**
+     * Override a monthly limit (null = unlimited)
+     * @param {string|null} group - Group name, or null for the global budget
+     * @param {number|null} limitUsd - New limit
+     */
+    setBudget(group, limitUsd) {
+        const store = this.loadStore();
+        if (group) {
+            store.overrides.groups[group] = limitUsd;
+        } else {
+            store.overrides[GLOBAL_SCOPE] = limitUsd;
+        }
+        this.saveStore();
+        logger.info(`OpenAI budget for ${group || 'global'} set to ${limitUsd === null ? 'unlimited' : `$${limitUsd}`}`);
+    }
+
+    /**
+     * This month's spend against the limit of one scope
+     * @param {string|null} group - Group name, or null for the global budget
+     * @returns {{group: string|null, spent: number, limit: number|null, ratio: number}} Status
+     */
+    getScopeStatus(group) {
+        const spend = this.getMonthSpend();
+        const limit = this.getBudget(group);
+        const spent = group ? spend.groups[group] || 0 : spend.global;
+        const ratio = limit === null ? 0 : limit > 0 ? spent / limit : 1;
+        return { group, spent, limit, ratio };
+    }
+
+    /**
+     * Budgets that apply to a call from a group: the group's own and the global one
+     * @returns {Object[]} Statuses of the limited budgets (see getScopeStatus)
+     */
+    getBudgetStatus(group = null) {
+        const scopes = group ? [null, group] : [null];
+        return scopes.map(scope => this.getScopeStatus(scope)).filter(status => status.limit !== null);
+    }
+
+    /**
+     * Every limited budget, global first
+     * @returns {Object[]} Statuses (see getScopeStatus)
+     */
+    listBudgets() {
+        const groups = new Set([
+            ...Object.keys(getCostConfig().BUDGETS?.GROUPS || {}),
+            ...Object.keys(this.loadStore().overrides.groups),
+        ]);
+        return [null, ...groups].map(scope => this.getScopeStatus(scope)).filter(status => status.limit !== null);
+    }
+
+    /**
+     * Tier cap for a budget usage ratio: MEDIUM once it passes DOWNGRADE_AT, LOW once spent
+     * @returns {'MEDIUM'|'LOW'|null} Cap, or null when the budget is not under pressure
+     */
+    getTierCapForRatio(ratio) {
+        if (ratio >= 1) return 'LOW';
+        if (ratio >= (getCostConfig().DOWNGRADE_AT ?? 0.8)) return 'MEDIUM';
+        return null;
+    }
+
+    /**
+     * Highest tier calls may use right now, given the budgets of the current group and the
+     * global one
+     * @returns {'MEDIUM'|'LOW'|null} Tier cap, or null when no budget is under pressure
+     */
+    getTierCap() {
+        const ratio = Math.max(0, ...this.getBudgetStatus(getCallTags().group).map(status => status.ratio));
+        return this.getTierCapForRatio(ratio);
+    }
+
+    /**
+     * Tell the admin once per month and level when a budget nears or reaches its limit
+     */
+    checkAlerts(group) {
+        const store = this.loadStore();
+        for (const status of this.getBudgetStatus(group)) {
+            const cap = this.getTierCapForRatio(status.ratio);
+            const level = cap === 'LOW' ? 'limit' : cap === 'MEDIUM' ? 'warning' : null;
+            const key = `${this.month}:${status.group || GLOBAL_SCOPE}:${level}`;
+            if (!level || store.alerts.includes(key)) continue;
+
+            store.alerts = store.alerts.filter(alert => alert.startsWith(this.month)).concat(key);
+            this.saveStore();
+            const scope = status.group ? `do grupo ${status.group}` : 'global';
+            const effect =
+                level === 'limit' ? 'modelos HIGH e MEDIUM passam a usar LOW' : 'modelos HIGH passam a usar MEDIUM';
+            logger.warn(`OpenAI budget ${status.group || 'global'} at ${Math.round(status.ratio * 100)}%`);
+            logger
+                .notifyAdmin(
+                    `⚠️ *Custos OpenAI*: orçamento ${scope} em ${Math.round(status.ratio * 100)}% ` +
+                        `(US$ ${status.spent.toFixed(2)} de US$ ${status.limit.toFixed(2)} este mês); ${effect}.`
+                )
+                .catch(() => {});
+        }
+    }
+
+    /**
+     * Aggregate the usage of a month
+     * @param {Object} options - { month: 'YYYY-MM' (default current), group }
+     * @returns {{total: Object, byModule: Array, byGroup: Array, byUser: Array, byModel: Array}}
+     *   Lists hold [key, totals] pairs, most expensive first; null keys mean DMs/unknown
+     */
+    summarize({ month = monthKey(), group = null } = {}) {
+        const total = emptyTotals();
+        const maps = { byModule: new Map(), byGroup: new Map(), byUser: new Map(), byModel: new Map() };
+        const keys = { byModule: 'module', byGroup: 'group', byUser: 'userId', byModel: 'model' };
+
+        for (const entry of readJsonLines(USAGE_FILE)) {
+            if (monthKey(entry.ts) !== month) continue;
+            if (group && (entry.group || '').toLowerCase() !== group.toLowerCase()) continue;
+            addToTotals(total, entry);
+            for (const [name, map] of Object.entries(maps)) {
+                const key = entry[keys[name]] ?? null;
+                if (!map.has(key)) map.set(key, emptyTotals());
+                addToTotals(map.get(key), entry);
+            }
+        }
+
+        const sorted = map => [...map.entries()].sort((a, b) => b[1].costUsd - a[1].costUsd);
+        return {
+            month,
+            total,
+            byModule: sorted(maps.byModule),
+            byGroup: sorted(maps.byGroup),
+            byUser: sorted(maps.byUser),
+            byModel: sorted(maps.byModel),
+        };
+    }
+}
+
+module.exports = new CostTracker();
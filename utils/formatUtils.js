@@ -0,0 +1,167 @@
+/**
+ * formatUtils.js - Model output to WhatsApp: Markdown converted to WhatsApp syntax and long
+ * replies split into numbered parts
+ */
+
+function getFormatConfig() {
+    // eslint-disable-next-line global-require
+    return require('../configs/config').SYSTEM.REPLY_FORMAT || {};
+}
+
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+function parseTableRow(line) {
+    return line
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/\|$/, '')
+        .split('|')
+        .map(cell => cell.trim());
+}
+
+/**
+ * A Markdown table as a list: one bullet per row, led by its first cell, with the other
+ * cells under it as "Header: value" lines (two-column tables fit on one line)
+ */
+function tableToList(lines) {
+    const headers = parseTableRow(lines[0]);
+    return lines
+        .slice(2)
+        .map(parseTableRow)
+        .map(cells => {
+            const [first, ...rest] = cells;
+            if (headers.length === 2) {
+                return `• *${first}*: ${rest[0] || ''}`.trimEnd();
+            }
+            const details = rest
+                .map((cell, index) => (cell ? `   ${headers[index + 1] || ''}: ${cell}` : null))
+                .filter(Boolean);
+            return [`• *${first}*`, ...details].join('\n');
+        })
+        .join('\n');
+}
+
+function convertTables(text) {
+    const lines = text.split('\n');
+    const output = [];
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i].trim().startsWith('|') && TABLE_SEPARATOR.test(lines[i + 1] || '')) {
+            const table = [lines[i], lines[i + 1]];
+            i += 2;
+            while (i < lines.length && lines[i].trim().startsWith('|')) {
+                table.push(lines[i]);
+                i += 1;
+            }
+            i -= 1;
+            output.push(tableToList(table));
+        } else {
+            output.push(lines[i]);
+        }
+    }
+    return output.join('\n');
+}
+
+/**
+ * Convert Markdown to WhatsApp formatting:
+ *   # Header, **bold**, __bold__  → *bold* (__bold__ only between spaces or punctuation)
+ *   ***bold italic***             → *_bold italic_*
+ *   ~~strike~~                    → ~strike~
+ *   ```lang fenced code```        → ```monospace``` (contents untouched)
+ *   - / * / + list items          → • items
+ *   [text](url)                   → text (url)
+ *   tables                        → lists (see tableToList)
+ *   horizontal rules              → removed
+ * A single *text* is left alone: it is already WhatsApp bold, which prompts ask for, so
+ * formatting WhatsApp text again changes nothing.
+ * @param {string} text - Model output
+ * @returns {string} WhatsApp formatted text
+ */
+function formatForWhatsApp(text) {
+    if (!text) return text;
+
+    // Code is kept out of every other conversion
+    const code = [];
+    const protect = value => `\u0000${code.push(value) - 1}\u0000`;
+    let result = String(text)
+        .replace(/\r\n/g, '\n')
+        .replace(/```(?:[\w+-]*\n)?([\s\S]*?)```/g, (_, body) => protect('```' + body.replace(/\n$/, '') + '```'))
+        .replace(/`[^`\n]+`/g, match => protect(match));
+
+    result = convertTables(result)
+        .replace(/^[ \t]*([-*_])([ \t]*\1){2,}[ \t]*$/gm, '')
+        .replace(/^#{1,6}[ \t]+(.+?)[ \t]*#*[ \t]*$/gm, (_, title) => `*${title.replace(/\*+/g, '')}*`)
+        .replace(/^([ \t]*)[-*+][ \t]+/gm, '$1• ')
+        .replace(/\*\*\*(?=\S)([^*\n]*?\S)\*\*\*/g, '*_$1_*')
+        .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, '*$1*')
+        // Only __bold__ set off by spaces or punctuation: identifiers like __init__() stay as written
+        .replace(/(^|[\s([{"'])__(?=\S)([^\n]*?\S)__(?=$|[\s.,;:!?)\]}"'])/gm, '$1*$2*')
+        .replace(/~~(?=\S)([^\n]*?\S)~~/g, '~$1~')
+        .replace(/!?\[([^\]\n]+)\]\((\S+?)\)/g, (_, label, url) => (label === url ? url : `${label} (${url})`))
+        .replace(/\n{3,}/g, '\n\n');
+
+    return result.replace(/\u0000(\d+)\u0000/g, (_, index) => code[Number(index)]).trim();
+}
+
+/**
+ * Where to cut text so the first piece is at most maxLength long: the last paragraph break,
+ * else line break, sentence end or space in the second half of the window, else maxLength
+ */
+function findSplitPoint(text, maxLength) {
+    for (const separator of ['\n\n', '\n', '. ', ' ']) {
+        const index = text.lastIndexOf(separator, maxLength - separator.length);
+        if (index >= maxLength / 2) return index + separator.length;
+    }
+    return maxLength;
+}
+
+/**
+ * Split text into pieces of at most maxLength characters at paragraph boundaries where
+ * possible; a code block cut in two is closed and reopened so both pieces render
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string[]} Pieces (one when the text fits)
+ */
+function splitMessage(text, maxLength) {
+    const pieces = [];
+    let rest = String(text || '').trim();
+    // Room for the ``` that closes a code block cut in two
+    const limit = Math.max(maxLength - 4, 1);
+    while (rest.length > maxLength) {
+        const end = findSplitPoint(rest, limit);
+        let piece = rest.slice(0, end).trimEnd();
+        rest = rest.slice(end).trimStart();
+        if ((piece.match(/```/g) || []).length % 2 === 1) {
+            piece += '```';
+            rest = '```' + rest;
+        }
+        pieces.push(piece);
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+}
+
+/**
+ * Format a model reply for WhatsApp and split it into numbered parts of at most
+ * SYSTEM.REPLY_FORMAT.MAX_MESSAGE_LENGTH characters; every part but the last says how to get
+ * the next one (#continua)
+ * @param {string} text - Model output
+ * @returns {string[]} Parts ready to send
+ */
+function formatReply(text) {
+    const maxLength = getFormatConfig().MAX_MESSAGE_LENGTH ?? 3000;
+    const formatted = formatForWhatsApp(text);
+    // Room for the part label
+    const pieces = splitMessage(formatted, Math.max(maxLength - 60, 100));
+    if (pieces.length === 1) return pieces;
+    return pieces.map((piece, index) => {
+        const next = index < pieces.length - 1 ? ' · envie #continua para a próxima' : '';
+        return `${piece}\n\n_Parte ${index + 1}/${pieces.length}${next}_`;
+    });
+}
+
+module.exports = {
+    formatForWhatsApp,
+    findSplitPoint,
+    splitMessage,
+    formatReply,
+};
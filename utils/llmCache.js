@@ -0,0 +1,205 @@
+/**
+ * llmCache.js - Content-addressed cache of model replies (data/llmCache.json) for call sites
+ * that opt in, with TTLs per namespace, size limits and hit-rate statistics
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+const { readJsonFile, writeJsonFile } = require('./storageUtils');
+
+const CACHE_FILE = 'llmCache.json';
+const HOUR = 60 * 60 * 1000;
+
+function getCacheConfig() {
+    // Lazy-load: openaiUtils requires this module before config is safe to load
+    // eslint-disable-next-line global-require
+    return require('../configs/config').SYSTEM.LLM_CACHE || {};
+}
+
+function emptyStats() {
+    return { hits: 0, misses: 0, savedUsd: 0 };
+}
+
+/**
+ * Entries are keyed by the SHA-256 of everything that shapes the reply (provider, model,
+ * messages, temperature, reasoning), so the same request from any module shares one entry:
+ *   { entries: { <sha256>: { namespace, value, costUsd, createdAt, expiresAt, lastUsedAt } },
+ *     stats: { NEWS_EVALUATION: { hits, misses, savedUsd } }, statsSince }
+ *
+ * Namespaces name the call sites (SYSTEM.LLM_CACHE.TTL keys) and only set the TTL and the
+ * statistics bucket. Past MAX_ENTRIES or MAX_SIZE_MB, expired entries go first, then the least
+ * recently used. Writes are batched (SAVE_DELAY_MS) since entries can be large.
+ */
+class LlmCache {
+    constructor() {
+        this.store = null;
+        this.saveTimer = null;
+    }
+
+    load() {
+        if (!this.store) {
+            const stored = readJsonFile(CACHE_FILE, {});
+            this.store = {
+                entries: stored.entries || {},
+                stats: stored.stats || {},
+                statsSince: stored.statsSince || Date.now(),
+            };
+            // Restarts (e.g. the auto-update's process.exit) keep the pending writes
+            process.once('exit', () => this.flush());
+        }
+        return this.store;
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), getCacheConfig().SAVE_DELAY_MS ?? 5000);
+        this.saveTimer.unref?.();
+    }
+
+    /**
+     * Write pending changes now
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (this.store) {
+            writeJsonFile(CACHE_FILE, this.store);
+        }
+    }
+
+    /**
+     * @param {string} namespace - Call site (SYSTEM.LLM_CACHE.TTL key)
+     * @returns {boolean} Whether replies for this namespace are cached
+     */
+    isEnabled(namespace) {
+        const cacheConfig = getCacheConfig();
+        return cacheConfig.ENABLED !== false && !!namespace && this.getTtl(namespace) > 0;
+    }
+
+    getTtl(namespace) {
+        const ttl = getCacheConfig().TTL || {};
+        return ttl[namespace] ?? ttl.DEFAULT ?? 24 * HOUR;
+    }
+
+    /**
+     * Cache key of a request
+     * @param {Object} request - Everything that shapes the reply
+     * @returns {string} SHA-256 hex digest
+     */
+    buildKey(request) {
+        return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+    }
+
+    statsFor(namespace) {
+        const { stats } = this.load();
+        if (!stats[namespace]) stats[namespace] = emptyStats();
+        return stats[namespace];
+    }
+
+    /**
+     * Cached reply, counting a hit or a miss for the namespace
+     * @returns {string|null} Reply, or null when missing or expired
+     */
+    get(namespace, key) {
+        const { entries } = this.load();
+        const entry = entries[key];
+        const stats = this.statsFor(namespace);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            stats.misses += 1;
+            this.scheduleSave();
+            return null;
+        }
+        stats.hits += 1;
+        stats.savedUsd += entry.costUsd || 0;
+        entry.lastUsedAt = Date.now();
+        this.scheduleSave();
+        return entry.value;
+    }
+
+    /**
+     * Store a reply
+     * @param {string} namespace - Call site
+     * @param {string} key - See buildKey
+     * @param {string} value - Reply
+     * @param {number} costUsd - Estimated cost of the call, counted as saved on each hit
+     */
+    set(namespace, key, value, costUsd = 0) {
+        const { entries } = this.load();
+        const now = Date.now();
+        entries[key] = {
+            namespace,
+            value,
+            costUsd: costUsd || 0,
+            createdAt: now,
+            expiresAt: now + this.getTtl(namespace),
+            lastUsedAt: now,
+        };
+        this.evict();
+        this.scheduleSave();
+    }
+
+    /**
+     * Drop expired entries, then the least recently used ones while over the limits
+     */
+    evict() {
+        const { entries } = this.load();
+        const cacheConfig = getCacheConfig();
+        const maxEntries = cacheConfig.MAX_ENTRIES ?? 2000;
+        const maxBytes = (cacheConfig.MAX_SIZE_MB ?? 20) * 1024 * 1024;
+        const now = Date.now();
+
+        for (const [key, entry] of Object.entries(entries)) {
+            if (entry.expiresAt <= now) delete entries[key];
+        }
+
+        const byAge = Object.entries(entries).sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+        let count = byAge.length;
+        let bytes = byAge.reduce((sum, [, entry]) => sum + Buffer.byteLength(entry.value), 0);
+        let evicted = 0;
+        for (const [key, entry] of byAge) {
+            if (count <= maxEntries && bytes <= maxBytes) break;
+            delete entries[key];
+            count -= 1;
+            bytes -= Buffer.byteLength(entry.value);
+            evicted += 1;
+        }
+        if (evicted > 0) {
+            logger.debug(`LLM cache over its limits, evicted ${evicted} least recently used entries`);
+        }
+    }
+
+    /**
+     * Hit rates since the statistics were last reset
+     * @returns {{since: number, total: Object, byNamespace: Array}} byNamespace holds
+     *   [namespace, { hits, misses, savedUsd, entries }] pairs, most requested first
+     */
+    getStats() {
+        const { entries, stats, statsSince } = this.load();
+        const counts = {};
+        for (const entry of Object.values(entries)) {
+            counts[entry.namespace] = (counts[entry.namespace] || 0) + 1;
+        }
+        const total = { ...emptyStats(), entries: Object.keys(entries).length };
+        const byNamespace = Object.entries(stats).map(([namespace, nsStats]) => {
+            total.hits += nsStats.hits;
+            total.misses += nsStats.misses;
+            total.savedUsd += nsStats.savedUsd;
+            return [namespace, { ...nsStats, entries: counts[namespace] || 0 }];
+        });
+        byNamespace.sort((a, b) => b[1].hits + b[1].misses - (a[1].hits + a[1].misses));
+        return { since: statsSince, total, byNamespace };
+    }
+
+    /**
+     * Remove every entry and reset the statistics
+     * @returns {number} Entries removed
+     */
+    clear() {
+        const removed = Object.keys(this.load().entries).length;
+        this.store = { entries: {}, stats: {}, statsSince: Date.now() };
+        this.flush();
+        logger.info(`LLM cache cleared (${removed} entries)`);
+        return removed;
+    }
+}
+
+module.exports = new LlmCache();
@@ -1,5 +1,9 @@
 const config = require('../configs/config');
 const logger = require('./logger');
+const { formatForWhatsApp, formatReply, findSplitPoint } = require('./formatUtils');
+
+// Parts of long replies not sent yet, per chat, for #continua
+const pendingReplyParts = new Map();
 
 async function handleAutoDelete(message, command, isError = false) {
     if (!command.autoDelete) return;
@@ -20,6 +24,23 @@ async function handleAutoDelete(message, command, isError = false) {
     }
 }
 
+/**
+ * Reply with one of the command's errorMessages, filling its {placeholders}, and auto-delete
+ * the reply like other error messages
+ * @param {Object} message - Message to reply to
+ * @param {Object} command - Command config
+ * @param {string} key - errorMessages key
+ * @param {Object} replacements - Placeholder name → value
+ */
+async function replyCommandError(message, command, key, replacements = {}) {
+    let text = command.errorMessages[key];
+    for (const [placeholder, value] of Object.entries(replacements)) {
+        text = text.replace(`{${placeholder}}`, value);
+    }
+    const errorMessage = await message.reply(text);
+    await handleAutoDelete(errorMessage, command, true);
+}
+
 /**
  * Resolve contact name with proper fallback priority
  * @param {Object} contact - The contact object
@@ -57,131 +78,239 @@ function resolveContactName(contact) {
     return 'Unknown';
 }
 
+function getStreamingConfig() {
+    const streaming = config.SYSTEM?.STREAMING || {};
+    return {
+        enabled: config.SYSTEM?.STREAMING_ENABLED === true,
+        placeholder: streaming.PLACEHOLDER || '🤖',
+        editIntervalMs: streaming.EDIT_INTERVAL_MS ?? 1500,
+        minCharsPerEdit: streaming.MIN_CHARS_PER_EDIT ?? 30,
+        maxEdits: streaming.MAX_EDITS ?? 40,
+        chunkSize: streaming.CHUNK_SIZE ?? 1000,
+    };
+}
+
+/**
+ * Keep the parts of a long reply that were not sent, replacing older ones of the chat
+ * @param {string} chatId - Chat the reply went to
+ * @param {string[]} parts - Every part of the reply; the first one was sent
+ */
+function storeReplyParts(chatId, parts) {
+    if (parts.length <= 1) return;
+    const ttl = config.SYSTEM?.REPLY_FORMAT?.PENDING_TTL ?? 60 * 60 * 1000;
+    pendingReplyParts.set(chatId, { parts, next: 1, expiresAt: Date.now() + ttl });
+}
+
 /**
- * Send a streaming response that simulates typing effect
- * @param {Object} message - The original message to reply to
- * @param {string} finalResponse - The complete response text
+ * Next unsent part of the chat's last long reply (#continua)
+ * @param {string} chatId
+ * @returns {string|null} Part text, or null when nothing is pending or it expired
+ */
+function takeNextReplyPart(chatId) {
+    const pending = pendingReplyParts.get(chatId);
+    if (!pending || pending.expiresAt <= Date.now()) {
+        pendingReplyParts.delete(chatId);
+        return null;
+    }
+    const part = pending.parts[pending.next];
+    pending.next += 1;
+    if (pending.next >= pending.parts.length) {
+        pendingReplyParts.delete(chatId);
+    }
+    return part;
+}
+
+/**
+ * Reply that grows as a model generates it. A placeholder reply is sent right away and edited
+ * with the text so far, at most once every SYSTEM.STREAMING.EDIT_INTERVAL_MS (WhatsApp drops
+ * or rate-limits fast edits of the same message) and at most MAX_EDITS times; the final text
+ * always replaces it. Where editing fails (the adapter has no edit, or WhatsApp refuses it)
+ * the placeholder is removed and the text goes out as CHUNK_SIZE messages split on paragraph
+ * breaks as it arrives. With SYSTEM.STREAMING_ENABLED off, finish() sends a plain reply.
+ *
+ * Text is converted to WhatsApp formatting (utils/formatUtils.js). A final text longer than
+ * SYSTEM.REPLY_FORMAT.MAX_MESSAGE_LENGTH is sent as its first numbered part; #continua sends
+ * the others.
+ *
+ * All sends and edits run one at a time through a queue, so update() can be called from a
+ * token callback without awaiting.
+ *
+ * @param {Object} message - Message to reply to
  * @param {Object} command - Command configuration for auto-delete
- * @param {string} placeholder - Initial placeholder text (default: '🤖')
- * @param {number} chunkSizeMin - Minimum chunk size for streaming (default: 5)
- * @param {number} chunkSizeMax - Maximum chunk size for streaming (default: 20)
- * @param {number} intervalMs - Interval between chunks in milliseconds (default: 50)
- * @returns {Promise<Object>} The final response message
+ * @param {Object} options
+ * @param {string} options.placeholder - Placeholder text (default SYSTEM.STREAMING.PLACEHOLDER)
+ * @returns {Promise<{update: Function, finish: Function, abort: Function}>} update(text) with
+ *   the whole text so far, finish(text) with the final text (resolves to the last message
+ *   sent), abort() to remove the placeholder when the caller replies with an error instead
  */
-async function sendStreamingResponse(message, finalResponse, command, placeholder = '🤖', chunkSizeMin = 40, chunkSizeMax = 80, intervalMs = 50) {
-    const config = require('../configs/config'); // Load config inside function
-    
-    // Check master streaming switch
-    if (config.SYSTEM?.STREAMING_ENABLED === false) {
-        const responseMessage = await message.reply(finalResponse.trim());
-        await handleAutoDelete(responseMessage, command);
-        return responseMessage;
+async function createStreamingReply(message, command, options = {}) {
+    const streamingConfig = getStreamingConfig();
+    let mode = streamingConfig.enabled ? 'edit' : 'off';
+    let placeholderMessage = null;
+    let latest = '';
+    let shown = '';
+    let shownLength = 0;
+    let edits = 0;
+    let lastEditAt = 0;
+    let chunkOffset = 0;
+    let lastSent = null;
+    let timer = null;
+    let queue = Promise.resolve();
+
+    const enqueue = task =>
+        (queue = queue.then(task).catch(error => logger.error('Error in streaming reply:', error)));
+
+    async function switchToChunks(reason) {
+        logger.debug('Message edits unavailable, streaming in chunks instead', { reason });
+        mode = 'chunks';
+        if (placeholderMessage) {
+            await placeholderMessage.delete(true).catch(() => {});
+            placeholderMessage = null;
+        }
     }
 
-    try {
-        // Send initial placeholder message
-        const responseMessage = await message.reply(placeholder);
-        
-        if (!finalResponse || !finalResponse.trim()) {
-            logger.warn('Empty response provided to streaming function');
-            await responseMessage.edit('Resposta vazia recebida.');
-            await handleAutoDelete(responseMessage, command);
-            return responseMessage;
+    async function edit(text) {
+        try {
+            const edited = await placeholderMessage.edit(text);
+            // whatsapp-web.js resolves to null when the message can no longer be edited
+            if (edited === null) {
+                await switchToChunks('edit refused');
+                return false;
+            }
+            shown = text;
+            shownLength = latest.length;
+            lastEditAt = Date.now();
+            return true;
+        } catch (error) {
+            await switchToChunks(error.message);
+            return false;
         }
+    }
 
-        const responseText = finalResponse.trim();
-        let currentIndex = 0;
-        let isEditing = false; // Lock to prevent concurrent edits
+    async function sendChunks(final) {
+        let pending = latest.slice(chunkOffset);
+        while (pending.trim() && (final || pending.length > streamingConfig.chunkSize)) {
+            const end =
+                pending.length <= streamingConfig.chunkSize
+                    ? pending.length
+                    : findSplitPoint(pending, streamingConfig.chunkSize);
+            lastSent = await message.reply(formatForWhatsApp(pending.slice(0, end).trim()));
+            await handleAutoDelete(lastSent, command);
+            chunkOffset += end;
+            pending = pending.slice(end);
+        }
+    }
 
-        const streamInterval = setInterval(async () => {
-            if (isEditing) return; // Don't run if an edit is in progress
+    async function flush() {
+        timer = null;
+        if (mode === 'chunks') {
+            await sendChunks(false);
+            return;
+        }
+        if (mode !== 'edit' || edits >= streamingConfig.maxEdits) return;
+        if (latest.length - shownLength < streamingConfig.minCharsPerEdit) return;
+        // Once the first part is complete the preview stops growing
+        const parts = formatReply(latest);
+        const preview = parts.length > 1 ? parts[0] : `${parts[0]}...`;
+        if (preview === shown) return;
+        edits += 1;
+        await edit(preview);
+    }
 
-            isEditing = true;
+    if (mode === 'edit') {
+        try {
+            placeholderMessage = await message.reply(options.placeholder || streamingConfig.placeholder);
+            if (typeof placeholderMessage?.edit !== 'function') {
+                await switchToChunks('adapter has no edit');
+            }
+        } catch (error) {
+            logger.error('Error sending streaming placeholder:', error);
+            mode = 'off';
+        }
+    }
 
-            try {
-                // Random chunk size for more natural feel
-                const chunkSize = Math.floor(Math.random() * (chunkSizeMax - chunkSizeMin + 1)) + chunkSizeMin;
-                currentIndex += chunkSize;
-
-                let newText;
-                if (currentIndex >= responseText.length) {
-                    newText = responseText;
-                    logger.debug('Preparing final edit', { expectedText: newText });
-                    clearInterval(streamInterval);
-                    await responseMessage.edit(newText);
-                    logger.debug('Final edit attempted');
-                    await handleAutoDelete(responseMessage, command);
-                    logger.debug('Streaming response completed', {
-                        responseLength: responseText.length,
-                        placeholder: placeholder
-                    });
+    return {
+        update(text) {
+            latest = text || '';
+            if (mode === 'off' || timer) return;
+            const wait = Math.max(0, lastEditAt + streamingConfig.editIntervalMs - Date.now());
+            timer = setTimeout(() => enqueue(flush), mode === 'chunks' ? 0 : wait);
+        },
 
-                    // Verify final edit
-                    const chat = await message.getChat();
-                    const messages = await chat.fetchMessages({ limit: 1 });
-                    const updatedMsg = messages[0];
-                    if (updatedMsg && updatedMsg.id._serialized === responseMessage.id._serialized) {
-                        if (updatedMsg.body !== newText) {
-                            logger.warn('Final edit verification failed', {
-                                expected: newText,
-                                actual: updatedMsg.body
-                            });
-                        } else {
-                            logger.debug('Final edit verified successfully');
-                        }
-                    } else {
-                        logger.warn('Could not verify final message');
-                    }
-                } else {
-                    newText = responseText.substring(0, currentIndex) + '...';
-                    logger.debug('Preparing chunk edit', { expectedText: newText, currentIndex });
-                    await responseMessage.edit(newText);
-                    logger.debug('Chunk edit attempted');
-                    
-                    // Verify chunk edit
-                    const chat = await message.getChat();
-                    const messages = await chat.fetchMessages({ limit: 1 });
-                    const updatedMsg = messages[0];
-                    if (updatedMsg && updatedMsg.id._serialized === responseMessage.id._serialized) {
-                        if (updatedMsg.body !== newText) {
-                            logger.warn('Chunk edit verification failed', {
-                                expected: newText,
-                                actual: updatedMsg.body,
-                                currentIndex
-                            });
-                        } else {
-                            logger.debug('Chunk edit verified successfully');
-                        }
-                    } else {
-                        logger.warn('Could not verify chunk message');
-                    }
+        async finish(text = latest) {
+            clearTimeout(timer);
+            timer = null;
+            latest = text || '';
+            await enqueue(async () => {
+                const finalText = latest.trim();
+                if (!finalText) {
+                    logger.warn('Empty response provided to streaming reply');
+                    if (placeholderMessage) await placeholderMessage.delete(true).catch(() => {});
+                    return;
                 }
-            } catch (error) {
-                logger.error('Error during streaming message edit:', error);
-                clearInterval(streamInterval); // Stop streaming on error
-                try {
-                    await responseMessage.edit(responseText); // Send full response as fallback
-                    await handleAutoDelete(responseMessage, command);
-                } catch (fallbackError) {
-                    logger.error('Fallback edit also failed:', fallbackError);
+                const parts = formatReply(finalText);
+                const wait = lastEditAt + streamingConfig.editIntervalMs - Date.now();
+                if (mode === 'edit' && wait > 0) {
+                    await new Promise(resolve => setTimeout(resolve, wait));
                 }
-            } finally {
-                isEditing = false; // Release the lock
-            }
-        }, intervalMs);
+                if (mode === 'edit' && (await edit(parts[0]))) {
+                    lastSent = placeholderMessage;
+                    await handleAutoDelete(placeholderMessage, command);
+                    storeReplyParts(message.id.remote, parts);
+                    logger.debug('Streaming reply completed', {
+                        responseLength: finalText.length,
+                        parts: parts.length,
+                        edits,
+                    });
+                    return;
+                }
+                if (mode === 'chunks') {
+                    await sendChunks(true);
+                    return;
+                }
+                lastSent = await message.reply(parts[0]);
+                await handleAutoDelete(lastSent, command);
+                storeReplyParts(message.id.remote, parts);
+            });
+            return lastSent;
+        },
 
-        return responseMessage;
+        async abort() {
+            clearTimeout(timer);
+            timer = null;
+            mode = 'off';
+            await enqueue(async () => {
+                if (placeholderMessage) await placeholderMessage.delete(true).catch(() => {});
+            });
+        },
+    };
+}
+
+/**
+ * Generate a reply while streaming it into a createStreamingReply message
+ * @param {Object} message - Message to reply to
+ * @param {Object} command - Command configuration for auto-delete
+ * @param {Function} generate - onText => Promise<string>; passes onText to runCompletion /
+ *   runConversationCompletion and resolves to the final text
+ * @param {Object} options - See createStreamingReply
+ * @returns {Promise<Object>} The last message sent
+ */
+async function streamReply(message, command, generate, options = {}) {
+    const streamingReply = await createStreamingReply(message, command, options);
+    try {
+        const text = await generate(streamingReply.update);
+        return await streamingReply.finish(text);
     } catch (error) {
-        logger.error('Error in sendStreamingResponse:', error);
-        // Fallback to regular reply
-        const fallbackMessage = await message.reply(finalResponse);
-        await handleAutoDelete(fallbackMessage, command);
-        return fallbackMessage;
+        await streamingReply.abort();
+        throw error;
     }
 }
 
 module.exports = {
     handleAutoDelete,
+    replyCommandError,
     resolveContactName,
-    sendStreamingResponse,
+    createStreamingReply,
+    streamReply,
+    takeNextReplyPart,
 };
@@ -1,5 +1,11 @@
-const OpenAI = require('openai');
 const logger = require('./logger');
+const costTracker = require('./costTracker');
+const llmCache = require('./llmCache');
+const circuitBreaker = require('./circuitBreaker');
+const { recordModel, getCallTags } = require('./requestContext');
+const { getProviderFor } = require('./providers/providers');
+const { getOpenAIClient } = require('./providers/openaiProvider');
+const { extractUrls } = require('./providers/openaiCompatible');
 
 let config;
 // Lazy-load config on demand to avoid early access/circular timing issues
@@ -90,209 +96,13 @@ function resolveTierToken(modelOrTierToken) {
     }
 }
 
-// Detect if an error indicates that 'temperature' is not supported for this model/API
-function isUnsupportedTemperatureError(error) {
-    try {
-        const dataStr = (error?.response?.data && JSON.stringify(error.response.data)) || '';
-        const msg = String(error?.message || dataStr || '').toLowerCase();
-        return (
-            msg.includes('unsupported') || msg.includes('not supported') || msg.includes('unknown parameter')
-        ) && msg.includes('temperature');
-    } catch (_) {
-        return false;
-    }
-}
-
-// Wrapper around openai.responses.create that retries once without 'temperature' if the model rejects it
-async function responsesCreateHandlingTemperature(openai, args) {
-    try {
-        return await openai.responses.create(args);
-    } catch (e) {
-        if (isUnsupportedTemperatureError(e) && Object.prototype.hasOwnProperty.call(args, 'temperature')) {
-            const { temperature, ...rest } = args;
-            if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                logger.warn('Responses API: model does not support temperature, retrying without it', {
-                    model: args?.model,
-                });
-            }
-            return await openai.responses.create(rest);
-        }
-        throw e;
-    }
-}
-
-// Initialize OpenAI with a getter function
-function getOpenAIClient() {
-    ensureConfigLoaded();
-    if (!config) {
-        throw new Error('Configuration not yet loaded');
-    }
-    const apiKey = config?.CREDENTIALS?.OPENAI_API_KEY;
-    if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0) {
-        throw new Error('OPENAI_API_KEY is not set');
-    }
-    return new OpenAI({ apiKey });
-}
-
-// Transient network error detection
-function isTransientNetworkError(error) {
-    const code = (error && (error.code || error.errno)) || '';
-    const status = error?.response?.status;
-    const msg = String(error?.message || '').toLowerCase();
-    if (status && [502, 503, 504].includes(status)) return true;
-    const transientCodes = new Set(['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'ECONNABORTED']);
-    if (transientCodes.has(code)) return true;
-    if (msg.includes('timeout') || msg.includes('timed out') || msg.includes('network')) return true;
-    if (msg.includes('connection') && msg.includes('error')) return true;
-    return false;
-}
-
-async function withRetries(fn, { maxAttempts = 3, baseDelayMs = 300, jitterMs = 150 } = {}) {
-    let attempt = 0;
-    let lastErr;
-    while (attempt < maxAttempts) {
-        try {
-            return await fn();
-        } catch (e) {
-            lastErr = e;
-            attempt += 1;
-            if (!isTransientNetworkError(e) || attempt >= maxAttempts) break;
-            const backoff = baseDelayMs * Math.pow(2, attempt - 1);
-            const jitter = Math.floor(Math.random() * jitterMs);
-            await new Promise(r => setTimeout(r, backoff + jitter));
-        }
-    }
-    throw lastErr;
-}
-
-/**
- * Extracts assistant text from Responses API output.
- * Supports SDK convenience field `output_text` and raw `output` array format.
- * @param {object} response
- * @returns {string|null}
- */
-function extractTextFromResponses(response) {
-    try {
-        if (!response) return null;
-        if (typeof response.output_text === 'string' && response.output_text.length > 0) {
-            return response.output_text;
-        }
-        if (Array.isArray(response.output)) {
-            for (const item of response.output) {
-                if (item && Array.isArray(item.content)) {
-                    for (const contentPart of item.content) {
-                        if (contentPart && contentPart.type === 'output_text' && typeof contentPart.text === 'string') {
-                            return contentPart.text;
-                        }
-                    }
-                }
-            }
-        }
-        // Fallbacks for any alternative shapes
-        if (response?.data && typeof response.data === 'string') return response.data;
-        return null;
-    } catch (_) {
-        return null;
-    }
-}
-
-/**
- * Extract a reasoning summary if present in Responses API output.
- * Looks for SDK `reasoning` field or a known metadata location.
- * @param {object} response
- * @returns {string|null}
- */
-function extractReasoningSummary(response) {
-    try {
-        // Prefer the Responses API output shape that actually carries summary text
-        // { type: 'reasoning', summary: [{ type: 'summary_text', text: '...' }, ...] }
-        if (Array.isArray(response?.output)) {
-            for (const item of response.output) {
-                if (item && item.type === 'reasoning' && Array.isArray(item.summary)) {
-                    const texts = item.summary
-                        .filter(p => p && typeof p.text === 'string' && p.text.trim().length > 0)
-                        .map(p => p.text.trim());
-                    if (texts.length > 0) return texts.join('\n\n');
-                }
-            }
-        }
-
-        // Some SDKs might echo back the request setting as a string ('auto'|'concise'|'detailed').
-        // Treat those as non-informative and ignore.
-        const sentinel = new Set(['auto', 'concise', 'detailed']);
-
-        // SDK style: response.reasoning?.summary (string)
-        const summary = response?.reasoning?.summary;
-        if (typeof summary === 'string' && summary.length > 0 && !sentinel.has(summary.trim().toLowerCase())) {
-            return summary;
-        }
-
-        // Metadata fallback
-        const meta = response?.metadata?.reasoning?.summary;
-        if (typeof meta === 'string' && meta.length > 0 && !sentinel.has(meta.trim().toLowerCase())) {
-            return meta;
-        }
-        return null;
-    } catch (_) {
-        return null;
-    }
-}
-
-/**
- * Extract detailed reasoning trace from Responses API output parts.
- * Concatenates any content parts with type 'reasoning'.
- * @param {object} response
- * @returns {string|null}
- */
-function extractReasoningTrace(response) {
-    try {
-        if (!Array.isArray(response?.output)) return null;
-        const collected = [];
-        for (const item of response.output) {
-            if (item && Array.isArray(item.content)) {
-                for (const part of item.content) {
-                    if (part && part.type === 'reasoning' && typeof part.text === 'string' && part.text.trim().length > 0) {
-                        collected.push(part.text.trim());
-                    }
-                }
-            }
-        }
-        if (collected.length > 0) return collected.join('\n\n');
-        return null;
-    } catch (_) {
-        return null;
-    }
-}
-
-// Recursively extract URLs found anywhere in the Responses API object tree.
-function extractUrlsFromAny(node, acc = new Set()) {
-    try {
-        if (node == null) return acc;
-        if (typeof node === 'string') {
-            for (const url of extractUrls(node)) acc.add(url);
-            return acc;
-        }
-        if (Array.isArray(node)) {
-            for (const item of node) extractUrlsFromAny(item, acc);
-            return acc;
-        }
-        if (typeof node === 'object') {
-            for (const value of Object.values(node)) extractUrlsFromAny(value, acc);
-            return acc;
-        }
-        return acc;
-    } catch (_) {
-        return acc;
-    }
-}
-
 // Normalize web_search response text and FONTES section
-function normalizeWebSearchResponseText(text, resp, cfg) {
+function normalizeWebSearchResponseText(text, sources = []) {
     if (!text || typeof text !== 'string') return text || '';
     try {
         const webCfg = getWebSearchConfig();
         const urlsInText = extractUrls(text);
-        const urlsInMeta = Array.from(extractUrlsFromAny(resp));
+        const urlsInMeta = sources;
         const max = Math.min(webCfg.MAX_RESULTS || 5, 10);
         // Strip tracking/query params and dedupe
         const stripQuery = (u) => {
@@ -331,19 +141,6 @@ function normalizeWebSearchResponseText(text, resp, cfg) {
     }
 }
 
-/**
- * Extract unique URLs from text.
- * @param {string} text
- * @returns {string[]} unique URLs
- */
-function extractUrls(text) {
-    if (!text || typeof text !== 'string') return [];
-    const urlRegex = /https?:\/\/[^\s)]+/gi;
-    const matches = text.match(urlRegex) || [];
-    const unique = Array.from(new Set(matches.map(u => u.replace(/[),.]+$/g, ''))));
-    return unique;
-}
-
 /**
  * Optionally append a FONTES section with citations if configured and helpful.
  * Keeps inline citations intact; appends consolidated list at the end to reduce clutter.
@@ -368,100 +165,6 @@ function maybeAppendFontesSection(content, cfg) {
     }
 }
 
-/**
- * Run Responses API with web_search tool enabled for Chat flows.
- * Returns an assistant message object: { role: 'assistant', content: string }.
- * @param {Array<{role:string,content:string}>} messages
- * @param {object} options
- */
-
-
-async function runResponsesWithWebSearch(messages, options = {}) {
-    ensureConfigLoaded();
-    if (!config) {
-        // Try one more time with a direct require as fallback
-        try {
-            config = require('../configs/config');
-        } catch (e) {
-            throw new Error(`Configuration not yet loaded for runResponsesWithWebSearch: ${e.message}`);
-        }
-    }
-    const openai = getOpenAIClient();
-    const webCfg = getWebSearchConfig();
-    const modelToUse = options?.model || (config?.SYSTEM?.AI_MODELS?.MEDIUM || 'gpt-5-mini');
-    const temperature = typeof options?.temperature === 'number' ? options.temperature : 1;
-    const toolChoice = webCfg.TOOL_CHOICE === 'required' ? { type: 'web_search' } : 'auto';
-
-    // Only add citation hint if web search is required
-    const shouldAddCitationHint = toolChoice?.type === 'web_search';
-    
-    let inputMessages = Array.isArray(messages) ? [...messages] : [];
-    
-    if (shouldAddCitationHint) {
-        const citationHint = {
-            role: 'system',
-            content: 'INSTRUÇÕES DE CITAÇÃO: NÃO inclua NENHUMA citação inline no texto da resposta. NÃO use [1],[2] ou links entre parênteses como ([site.com](url)). Escreva a resposta em texto limpo, depois adicione apenas uma seção "FONTES:" no final com URLs limpos. REMOVA qualquer citação inline que o sistema tenha adicionado automaticamente.'
-        };
-        inputMessages.push(citationHint);
-    }
-
-    // Per docs, tool settings belong under top-level tool_config; tool list only specifies type
-    const tools = [
-        { type: 'web_search_preview' }
-    ];
-
-    try {
-        const formattedMessages = inputMessages.map((m, i) => `Message ${i + 1} (${m.role}):\n${m.content}\n${'='.repeat(50)}`).join('\n');
-        logger.prompt('ChatGPT Conversation Messages', formattedMessages);
-
-        // Determine if reasoning should be attached for this model/tier
-        const tier = getTierForModel(modelToUse) || null;
-        const reasoningParams = buildReasoningParams(tier, modelToUse, false);
-
-        let resp;
-        if (reasoningParams.reasoning) {
-            logger.debug(`OpenAI Responses API Call (web_search + reasoning) - Model: ${modelToUse} | Temperature: ${temperature} | Reasoning: ${reasoningParams.reasoning.effort}`);
-            resp = await createResponsesWithReasoning(openai, {
-                model: modelToUse,
-                input: inputMessages,
-                temperature,
-                tools,
-                tool_choice: toolChoice,
-            }, reasoningParams.reasoning.effort);
-            const rs = extractReasoningSummary(resp);
-            const rt = extractReasoningTrace(resp);
-            const printed = rs && rs.trim().length > 0 ? rs : '(none returned by model)';
-            logger.prompt('Reasoning Summary', printed);
-            if (rt && rt.trim().length > 0) {
-                logger.prompt('Reasoning Trace', rt);
-            }
-        } else {
-            logger.debug(`OpenAI Responses API Call (web_search enabled) - Model: ${modelToUse} | Temperature: ${temperature}`);
-            resp = await responsesCreateHandlingTemperature(openai, {
-                model: modelToUse,
-                input: inputMessages,
-                temperature,
-                tools,
-                tool_choice: toolChoice
-            });
-        }
-
-        let text = extractTextFromResponses(resp) || '';
-        text = normalizeWebSearchResponseText(text, resp, config);
-        if (!text) {
-            return { role: 'assistant', content: '' };
-        }
-        logger.prompt('OpenAI Web Search Response', text);
-        return { role: 'assistant', content: text };
-    } catch (error) {
-
-        logger.error('OpenAI web_search tool failed', {
-            message: error?.message,
-        });
-        throw error;
-    }
-}
-
 /**
  * Selects a model based on centrally configured AI model tiers.
  *
@@ -555,6 +258,72 @@ function getTierForModel(modelId) {
     }
 }
 
+const TIER_ORDER = ['LOW', 'MEDIUM', 'HIGH'];
+
+/**
+ * Swap a tier model for a cheaper tier when the monthly budget of the calling group or the
+ * global budget is nearly spent (see costTracker.getTierCap). Models outside the tiers are kept.
+ * @param {string} modelId
+ * @returns {string} Model to use
+ */
+function applyBudgetDowngrade(modelId) {
+    const tier = getTierForModel(modelId);
+    if (!tier || tier === 'LOW') return modelId;
+    const cap = costTracker.getTierCap();
+    const downgraded = cap && config?.SYSTEM?.AI_MODELS?.[cap];
+    if (!downgraded || TIER_ORDER.indexOf(tier) <= TIER_ORDER.indexOf(cap)) return modelId;
+    logger.debug(`Budget nearly spent, using ${cap} tier instead of ${tier}: ${modelId} → ${downgraded}`);
+    return downgraded;
+}
+
+/**
+ * Persist token usage and estimated cost of a response (Chat Completions or Responses API)
+ * @param {string} model - Model the request was sent to
+ * @param {string} operation - 'completion', 'conversation', 'web_search', 'vision', ...
+ * @param {Object} response - API response; only its `usage` field is read
+ * @param {number|null} audioSeconds - Audio length, for transcriptions (billed per minute)
+ * @param {string} provider - Provider that served the call (only 'openai' calls cost money)
+ * @returns {Object|null} Stored usage entry (see costTracker.record)
+ */
+function recordUsage(model, operation, response, audioSeconds = null, provider = 'openai') {
+    try {
+        return costTracker.record({ provider, model, operation, usage: response?.usage, audioSeconds });
+    } catch (error) {
+        logger.warn(`Failed to record OpenAI usage: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Provider serving the current call, from the group of the request context
+ * (SYSTEM.AI_PROVIDERS.GROUPS, else SYSTEM.AI_PROVIDERS.DEFAULT)
+ * @returns {Object} Provider (see utils/providers/providers.js)
+ */
+function selectProvider() {
+    ensureConfigLoaded();
+    return getProviderFor(getCallTags().group);
+}
+
+/**
+ * Map an OpenAI model id to the provider's own model. OpenAI keeps it; other providers use
+ * their model for `kind` (VISION, VOICE, IMAGE, EMBEDDING or a tier), else for the model's tier,
+ * else their LOW model.
+ * @param {Object} provider - Provider
+ * @param {string} modelId - Model picked from SYSTEM.AI_MODELS / OPENAI_MODELS
+ * @param {string|null} kind - Model kind or tier to prefer
+ * @returns {string} Model to send to the provider
+ */
+function resolveProviderModel(provider, modelId, kind = null) {
+    const models = provider.models;
+    if (!models) return modelId;
+    return (kind && models[kind]) || models[getTierForModel(modelId)] || models.LOW || modelId;
+}
+
+// Models are tagged with their provider in the audit log/metrics, except OpenAI's
+function recordProviderModel(provider, model) {
+    recordModel(provider.name === 'openai' ? model : `${provider.name}:${model}`);
+}
+
 /**
  * Build optional reasoning payload based on configured tier and flags.
  * Returns { reasoning: { effort } } or {} if not applicable.
@@ -574,239 +343,393 @@ function buildReasoningParams(tier, modelId, isVision = false) {
 }
 
 /**
- * Create a Responses API call with reasoning and robust summary fallback handling.
- * Tries configured summary, then 'detailed', then no summary if API rejects value.
- * @param {import('openai').OpenAI} openai
- * @param {{ model:string, input:any, temperature:number }} baseArgs
- * @param {string} effort
+ * Reasoning options for a provider call: effort plus the configured summary preference
  */
-async function createResponsesWithReasoning(openai, baseArgs, effort) {
-    const summaryPref = config?.SYSTEM?.REASONING?.SUMMARY;
-    const argsBase = {
-        ...baseArgs,
-    };
+function toProviderReasoning(reasoningParams) {
+    if (!reasoningParams.reasoning) return null;
+    return { effort: reasoningParams.reasoning.effort, summary: config?.SYSTEM?.REASONING?.SUMMARY };
+}
+
+function logReasoning(result) {
+    const printed = result.reasoningSummary && result.reasoningSummary.trim().length > 0
+        ? result.reasoningSummary
+        : '(none returned by model)';
+    logger.prompt('Reasoning Summary', printed);
+    if (result.reasoningTrace && result.reasoningTrace.trim().length > 0) {
+        logger.prompt('Reasoning Trace', result.reasoningTrace);
+    }
+}
 
-    // Attempt with configured summary if present
-    if (summaryPref) {
+/**
+ * Run Responses API with web_search tool enabled for Chat flows.
+ * Providers without web search answer the same messages without it.
+ * Returns an assistant message object: { role: 'assistant', content: string }.
+ * @param {Array<{role:string,content:string}>} messages
+ * @param {object} options - { temperature, model, onText }; onText streams the reply like
+ *   runConversationCompletion's (the final content has its citations cleaned up)
+ */
+async function runResponsesWithWebSearch(messages, options = {}) {
+    ensureConfigLoaded();
+    if (!config) {
+        // Try one more time with a direct require as fallback
         try {
-            const resp = await responsesCreateHandlingTemperature(openai, {
-                ...argsBase,
-                reasoning: { effort, summary: summaryPref },
-            });
-            if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                logger.debug('Responses reasoning call succeeded with summary', { summary: summaryPref });
-            }
-            return resp;
+            config = require('../configs/config');
         } catch (e) {
-            const msg = (e?.response?.data && JSON.stringify(e.response.data)) || e?.message || '';
-            const lower = String(msg).toLowerCase();
-            const looksUnsupportedSummary = lower.includes('unsupported value') || lower.includes('not supported');
-            if (!looksUnsupportedSummary) throw e;
-            if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                logger.warn('Reasoning summary not supported for model; retrying with detailed', { preferred: summaryPref });
-            }
+            throw new Error(`Configuration not yet loaded for runResponsesWithWebSearch: ${e.message}`);
         }
     }
-
-    // Attempt with 'detailed'
-    try {
-        const resp = await responsesCreateHandlingTemperature(openai, {
-            ...argsBase,
-            reasoning: { effort, summary: 'detailed' },
+    const provider = selectProvider();
+    if (!provider.supports('webSearch')) {
+        logger.debug(`Provider ${provider.name} has no web search; answering without it`);
+        return runConversationCompletion(messages, options?.temperature ?? 1, options?.model || null, null, {
+            onText: options?.onText,
         });
-        if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-            logger.debug('Responses reasoning call succeeded with summary', { summary: 'detailed' });
-        }
-        return resp;
-    } catch (e2) {
-        const msg2 = (e2?.response?.data && JSON.stringify(e2.response.data)) || e2?.message || '';
-        const lower2 = String(msg2).toLowerCase();
-        const stillSummaryIssue = lower2.includes('unsupported value') || lower2.includes('not supported');
-        if (!stillSummaryIssue) throw e2;
-        if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-            logger.warn('Reasoning summary still unsupported; retrying without summary');
-        }
     }
 
-    // Attempt with no summary
-    const resp = await responsesCreateHandlingTemperature(openai, {
-        ...argsBase,
-        reasoning: { effort },
-    });
-    if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-        logger.debug('Responses reasoning call succeeded without summary');
-    }
-    return resp;
-}
+    const webCfg = getWebSearchConfig();
+    const modelToUse = applyBudgetDowngrade(options?.model || (config?.SYSTEM?.AI_MODELS?.MEDIUM || 'gpt-5-mini'));
+    const temperature = typeof options?.temperature === 'number' ? options.temperature : 1;
+    const toolChoice = webCfg.TOOL_CHOICE === 'required' ? { type: 'web_search' } : 'auto';
 
-function shouldRetryWithoutReasoning(error) {
-    const reasoningCfg = config?.SYSTEM?.REASONING;
-    if (!reasoningCfg || reasoningCfg.RETRY_ON_UNSUPPORTED !== true) return false;
-    const status = error?.response?.status;
-    const data = (error?.response?.data && JSON.stringify(error.response.data)) || '';
-    const lowerData = data.toLowerCase();
-    // Only retry on explicit request-argument rejections
-    const looksUnsupported =
-        status === 400 && (
-            lowerData.includes('unrecognized') ||
-            lowerData.includes('unknown') ||
-            lowerData.includes('does not support') ||
-            lowerData.includes('reasoning') ||
-            lowerData.includes('invalid')
-        );
-    return looksUnsupported;
-}
+    // Only add citation hint if web search is required
+    const shouldAddCitationHint = toolChoice?.type === 'web_search';
+    
+    let inputMessages = Array.isArray(messages) ? [...messages] : [];
+    
+    if (shouldAddCitationHint) {
+        const citationHint = {
+            role: 'system',
+            content: 'INSTRUÇÕES DE CITAÇÃO: NÃO inclua NENHUMA citação inline no texto da resposta. NÃO use [1],[2] ou links entre parênteses como ([site.com](url)). Escreva a resposta em texto limpo, depois adicione apenas uma seção "FONTES:" no final com URLs limpos. REMOVA qualquer citação inline que o sistema tenha adicionado automaticamente.'
+        };
+        inputMessages.push(citationHint);
+    }
 
-// Function to run ChatGPT completion
-const runCompletion = async (prompt, temperature = 1, model = null, promptType = null) => {
     try {
-        // Log prompt (logger handles its own enable/disable logic)
-        if (prompt) {
-            logger.prompt('ChatGPT Prompt', prompt);
-        }
-
-        // Resolve tier tokens (e.g., 'TIER:MEDIUM') that may be passed directly
-        let modelToUse = resolveTierToken(model);
+        const formattedMessages = inputMessages.map((m, i) => `Message ${i + 1} (${m.role}):\n${m.content}\n${'='.repeat(50)}`).join('\n');
+        logger.prompt('ChatGPT Conversation Messages', formattedMessages);
 
-        // Model selection priority:
-        // 1. Explicitly passed model parameter
-        // 2. NEWS_MONITOR.AI_MODELS[promptType] if promptType is specified
-        // 3. NEWS_MONITOR.AI_MODELS.DEFAULT as fallback for news monitor functions
-        // 4. SYSTEM.AI_MODELS tier-based selection (LOW/MEDIUM/HIGH)
-        // 5. SYSTEM.OPENAI_MODELS.DEFAULT as final legacy fallback
-
-        if (!modelToUse && promptType && config?.NEWS_MONITOR?.AI_MODELS) {
-            // Check if we have a specific model for this prompt type in NEWS_MONITOR.AI_MODELS
-            if (config.NEWS_MONITOR.AI_MODELS[promptType]) {
-                modelToUse = resolveTierToken(config.NEWS_MONITOR.AI_MODELS[promptType]);
-                if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                    logger.debug(`Using NEWS_MONITOR.AI_MODELS.${promptType}: ${modelToUse}`);
-                }
-            } else if (config.NEWS_MONITOR.AI_MODELS.DEFAULT) {
-                // Fall back to NEWS_MONITOR default if specified prompt type doesn't exist
-                modelToUse = resolveTierToken(config.NEWS_MONITOR.AI_MODELS.DEFAULT);
-                if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                    logger.debug(
-                        `Prompt type ${promptType} not found, using NEWS_MONITOR.AI_MODELS.DEFAULT: ${modelToUse}`
-                    );
+        const result = await runWithFallback(provider, {
+            modelId: modelToUse,
+            tier: getTierForModel(modelToUse),
+            attempt: async (searchModel, candidate) => {
+                recordProviderModel(provider, searchModel);
+
+                // Determine if reasoning should be attached for this model/tier
+                const reasoningParams = buildReasoningParams(candidate.tier, searchModel, false);
+
+                logger.debug(`OpenAI Responses API Call (web_search${reasoningParams.reasoning ? ' + reasoning' : ' enabled'}) - Model: ${searchModel} | Temperature: ${temperature}${reasoningParams.reasoning ? ` | Reasoning: ${reasoningParams.reasoning.effort}` : ''}`);
+                // onText always receives the whole text so far, so a fallback model starts over
+                let streamed = '';
+                const searchResult = await provider.webSearch({
+                    model: searchModel,
+                    messages: inputMessages,
+                    temperature,
+                    reasoning: toProviderReasoning(reasoningParams),
+                    toolChoice,
+                    onDelta: options?.onText
+                        ? delta => {
+                            streamed += delta;
+                            options.onText(streamed);
+                        }
+                        : null,
+                });
+                if (reasoningParams.reasoning) {
+                    logReasoning(searchResult);
                 }
-            }
+                recordUsage(searchModel, 'web_search', searchResult, null, provider.name);
+                return searchResult;
+            },
+        });
+
+        const text = normalizeWebSearchResponseText(result.content, result.sources);
+        if (!text) {
+            return { role: 'assistant', content: '' };
         }
+        logger.prompt('OpenAI Web Search Response', text);
+        return { role: 'assistant', content: text };
+    } catch (error) {
 
-        // New tier-based selection using the centralized config if still unresolved
-        if (!modelToUse && promptType) {
-            const tierModel = getTierBasedModel(promptType);
-            if (tierModel) {
-                modelToUse = tierModel;
+        logger.error('OpenAI web_search tool failed', {
+            message: error?.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Pick the model of a chat call
+ *
+ * Model selection priority:
+ * 1. Explicitly passed model parameter (model ids or 'TIER:X' tokens)
+ * 2. NEWS_MONITOR.AI_MODELS[promptType] if promptType is specified
+ * 3. NEWS_MONITOR.AI_MODELS.DEFAULT as fallback for news monitor functions
+ * 4. SYSTEM.AI_MODELS tier-based selection (LOW/MEDIUM/HIGH)
+ * 5. SYSTEM.OPENAI_MODELS.DEFAULT as final legacy fallback
+ *
+ * @param {string|null} model - Requested model
+ * @param {string|null} promptType - Semantic key for the prompt type
+ * @returns {string} Model id
+ */
+function selectChatModel(model, promptType) {
+    // Resolve tier tokens (e.g., 'TIER:MEDIUM') that may be passed directly
+    let modelToUse = resolveTierToken(model);
+
+    if (!modelToUse && promptType && config?.NEWS_MONITOR?.AI_MODELS) {
+        // Check if we have a specific model for this prompt type in NEWS_MONITOR.AI_MODELS
+        if (config.NEWS_MONITOR.AI_MODELS[promptType]) {
+            modelToUse = resolveTierToken(config.NEWS_MONITOR.AI_MODELS[promptType]);
+            if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
+                logger.debug(`Using NEWS_MONITOR.AI_MODELS.${promptType}: ${modelToUse}`);
+            }
+        } else if (config.NEWS_MONITOR.AI_MODELS.DEFAULT) {
+            // Fall back to NEWS_MONITOR default if specified prompt type doesn't exist
+            modelToUse = resolveTierToken(config.NEWS_MONITOR.AI_MODELS.DEFAULT);
+            if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
+                logger.debug(
+                    `Prompt type ${promptType} not found, using NEWS_MONITOR.AI_MODELS.DEFAULT: ${modelToUse}`
+                );
             }
         }
+    }
 
-        // If no model is selected yet, prefer tier LOW, then DEFAULT
-        if (!modelToUse) {
-            if (config?.SYSTEM?.AI_MODELS?.LOW) {
-                modelToUse = config.SYSTEM.AI_MODELS.LOW;
-                if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                    logger.debug(`Using SYSTEM.AI_MODELS.LOW as fallback: ${modelToUse}`);
-                }
-            } else if (config?.SYSTEM?.OPENAI_MODELS?.DEFAULT) {
-                modelToUse = config.SYSTEM.OPENAI_MODELS.DEFAULT;
-                if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                    logger.debug(`Using SYSTEM.OPENAI_MODELS.DEFAULT: ${modelToUse}`);
-                }
-            } else {
-                // Final conservative fallback
-                modelToUse = 'gpt-5-nano';
-                if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                    logger.debug(`No model configuration found, using hardcoded fallback: ${modelToUse}`);
-                }
-            }
+    // New tier-based selection using the centralized config if still unresolved
+    if (!modelToUse && promptType) {
+        const tierModel = getTierBasedModel(promptType);
+        if (tierModel) {
+            modelToUse = tierModel;
         }
+    }
 
-        // Handle temperature restrictions for specific models
-        let effectiveTemperature = temperature;
-        const modelsRequiringDefaultTemperature = ['gpt-5-nano', 'gpt-5-mini'];
-        
-        if (modelsRequiringDefaultTemperature.includes(modelToUse) && temperature !== 1) {
-            effectiveTemperature = 1;
+    // If no model is selected yet, prefer tier LOW, then DEFAULT
+    if (!modelToUse) {
+        if (config?.SYSTEM?.AI_MODELS?.LOW) {
+            modelToUse = config.SYSTEM.AI_MODELS.LOW;
+            if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
+                logger.debug(`Using SYSTEM.AI_MODELS.LOW as fallback: ${modelToUse}`);
+            }
+        } else if (config?.SYSTEM?.OPENAI_MODELS?.DEFAULT) {
+            modelToUse = config.SYSTEM.OPENAI_MODELS.DEFAULT;
+            if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
+                logger.debug(`Using SYSTEM.OPENAI_MODELS.DEFAULT: ${modelToUse}`);
+            }
+        } else {
+            // Final conservative fallback
+            modelToUse = 'gpt-5-nano';
             if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                logger.debug(`Model ${modelToUse} only supports default temperature (1). Adjusting from ${temperature} to 1.`);
+                logger.debug(`No model configuration found, using hardcoded fallback: ${modelToUse}`);
             }
         }
+    }
 
-        // Build payload (with optional reasoning)
-        const tier = getTierForModel(modelToUse) || (promptType ? getTierForModel(getTierBasedModel(promptType)) : null);
-        const basePayload = {
-            model: modelToUse,
-            messages: [{ role: 'user', content: prompt }],
-            temperature: effectiveTemperature,
-        };
-        const reasoningParams = buildReasoningParams(tier, modelToUse, false);
-        if (reasoningParams.reasoning && config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-            logger.debug('Reasoning enabled for request', {
-                model: modelToUse,
-                tier,
-                effort: reasoningParams.reasoning.effort,
-                operation: 'single',
-            });
+    return modelToUse;
+}
+
+/**
+ * Models to try for a call: the selected one, then the models of the tiers in its fallback
+ * chain (SYSTEM.AI_MODEL_FALLBACKS, e.g. HIGH → MEDIUM → LOW)
+ * @returns {Array<{modelId: string, tier: string|null}>} Candidates in order
+ */
+function buildFallbackCandidates(modelId, tier) {
+    const candidates = [{ modelId, tier }];
+    for (const fallbackTier of config?.SYSTEM?.AI_MODEL_FALLBACKS?.[tier] || []) {
+        const fallbackModel = config?.SYSTEM?.AI_MODELS?.[fallbackTier];
+        if (fallbackModel) {
+            candidates.push({ modelId: fallbackModel, tier: fallbackTier });
         }
-        const openai = getOpenAIClient();
+    }
+    return candidates;
+}
 
-        logger.debug(`OpenAI API Call - Model: ${modelToUse} | Temperature: ${effectiveTemperature} | Type: Single Completion${reasoningParams.reasoning ? ' | Reasoning: ' + reasoningParams.reasoning.effort : ''}`);
+/**
+ * Run a provider call on the first usable model of the fallback chain. Models whose circuit
+ * is open are skipped; a model failure (see circuitBreaker.isModelFailure) counts against the
+ * model's breaker and moves on to the next candidate, any other error is thrown as is.
+ * @param {Object} provider - Provider
+ * @param {Object} options
+ * @param {string} options.modelId - Selected model (OpenAI id from SYSTEM.AI_MODELS / OPENAI_MODELS)
+ * @param {string|null} options.tier - Its tier, which picks the fallback chain
+ * @param {string|null} options.kind - Provider model kind (VISION, VOICE, ...), see resolveProviderModel
+ * @param {Function} options.attempt - (providerModel, candidate) => Promise<result>
+ * @param {Function} options.fromCache - Optional (providerModel, candidate) => cached result or null,
+ *   checked before the breaker so cache hits never count as calls
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function runWithFallback(provider, { modelId, tier = null, kind = null, attempt, fromCache = null }) {
+    const tried = new Set();
+    let lastError = null;
+    for (const candidate of buildFallbackCandidates(modelId, tier)) {
+        const providerModel = resolveProviderModel(provider, candidate.modelId, kind || candidate.tier);
+        if (tried.has(providerModel)) continue;
+        tried.add(providerModel);
+
+        const cached = fromCache ? fromCache(providerModel, candidate) : null;
+        if (cached !== null) return cached;
+
+        const breakerKey = `${provider.name}:${providerModel}`;
+        if (!circuitBreaker.canRequest(breakerKey)) {
+            logger.debug(`Circuit ${breakerKey} is open, skipping it`);
+            continue;
+        }
+        try {
+            const result = await attempt(providerModel, candidate);
+            circuitBreaker.recordSuccess(breakerKey);
+            return result;
+        } catch (error) {
+            circuitBreaker.recordFailure(breakerKey, error);
+            if (!circuitBreaker.isModelFailure(error)) throw error;
+            lastError = error;
+            logger.warn(`Model ${breakerKey} failed (${error.message}); trying the next model of its fallback chain`);
+        }
+    }
+    throw lastError || new Error(`No model available: every circuit in the fallback chain of ${modelId} is open`);
+}
 
-        let finalText = null;
-        if (reasoningParams.reasoning) {
-            // Prefer Responses API when reasoning is enabled (per OpenAI docs)
-            try {
-                logger.debug(`OpenAI Responses API Call - Model: ${modelToUse} | Temperature: ${effectiveTemperature} | Type: Single Completion | Reasoning: ${reasoningParams.reasoning.effort}`);
-                const resp = await withRetries(() => createResponsesWithReasoning(openai, {
-                    model: modelToUse,
-                    input: [{ role: 'user', content: prompt }],
-                    temperature: effectiveTemperature,
-                }, reasoningParams.reasoning.effort));
-                finalText = extractTextFromResponses(resp);
-                const reasoningSummary = extractReasoningSummary(resp);
-                const reasoningTrace = extractReasoningTrace(resp);
-                const printedSummary = reasoningSummary && reasoningSummary.trim().length > 0
-                    ? reasoningSummary
-                    : '(none returned by model)';
-                logger.prompt('Reasoning Summary', printedSummary);
-                if (reasoningTrace && reasoningTrace.trim().length > 0) {
-                    logger.prompt('Reasoning Trace', reasoningTrace);
-                }
-                if (!finalText) {
-                    // As a safety net, try chat.completions with reasoning (some models may accept it)
-                    const completion = await withRetries(() => openai.chat.completions.create({
-                        ...basePayload,
-                        ...reasoningParams,
-                    }));
-                    finalText = completion?.choices?.[0]?.message?.content || null;
-                }
-            } catch (err) {
-                const maxRetries = config?.SYSTEM?.REASONING?.MAX_RETRIES ?? 1;
-                if (maxRetries > 0 && shouldRetryWithoutReasoning(err)) {
-                    logger.warn('Reasoning parameter rejected, retrying without reasoning', {
-                        model: modelToUse,
-                        tier,
-                        effort: reasoningParams.reasoning.effort,
-                        operation: 'single',
-                        error: err.message,
-                    });
-                    const completion = await withRetries(() => openai.chat.completions.create(basePayload));
-                    finalText = completion?.choices?.[0]?.message?.content || null;
-                } else {
-                    throw err;
-                }
+/**
+ * Temperature, reasoning and cache key of a chat call on one model
+ */
+function planChatRequest(provider, providerModel, candidate, messages, temperature, cacheNamespace) {
+    // Handle temperature restrictions for specific models
+    let effectiveTemperature = temperature;
+    const modelsRequiringDefaultTemperature = ['gpt-5-nano', 'gpt-5-mini'];
+    
+    if (modelsRequiringDefaultTemperature.includes(providerModel) && temperature !== 1) {
+        effectiveTemperature = 1;
+        if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
+            logger.debug(`Model ${providerModel} only supports default temperature (1). Adjusting from ${temperature} to 1.`);
+        }
+    }
+
+    // Reasoning needs the Responses API, so only providers that support it get it
+    const reasoningParams = provider.supports('reasoning')
+        ? buildReasoningParams(candidate.tier, candidate.modelId, false)
+        : {};
+
+    const cacheKey = llmCache.isEnabled(cacheNamespace)
+        ? llmCache.buildKey({
+              provider: provider.name,
+              model: providerModel,
+              messages,
+              temperature: effectiveTemperature,
+              reasoning: reasoningParams.reasoning || null,
+          })
+        : null;
+    return { effectiveTemperature, reasoningParams, cacheKey };
+}
+
+/**
+ * Shared body of runCompletion and runConversationCompletion: picks the model and provider,
+ * applies reasoning, records usage, falls back along the tier chain when a model fails and,
+ * when the call site opted in with a cache namespace, answers repeated requests from the
+ * response cache (utils/llmCache.js). With onText the reply is streamed when the provider
+ * supports it; onText always receives the whole text so far, so a fallback model simply
+ * starts over.
+ * @returns {Promise<{content: string|null, reasoning: boolean}>} Reply text
+ */
+async function runChat(messages, temperature, model, promptType, operation, cacheNamespace = null, onText = null) {
+    const provider = selectProvider();
+    let modelToUse = selectChatModel(model, promptType);
+    if (provider.name === 'openai') {
+        modelToUse = applyBudgetDowngrade(modelToUse);
+    }
+    const tier = getTierForModel(modelToUse) || (promptType ? getTierForModel(getTierBasedModel(promptType)) : null);
+
+    return runWithFallback(provider, {
+        modelId: modelToUse,
+        tier,
+        fromCache: (providerModel, candidate) => {
+            const { reasoningParams, cacheKey } = planChatRequest(
+                provider, providerModel, candidate, messages, temperature, cacheNamespace
+            );
+            const cached = cacheKey ? llmCache.get(cacheNamespace, cacheKey) : null;
+            if (cached === null) return null;
+            logger.debug(`LLM cache hit (${cacheNamespace}) - Model: ${providerModel}`);
+            if (onText) onText(cached);
+            return { content: cached, reasoning: !!reasoningParams.reasoning };
+        },
+        attempt: async (providerModel, candidate) => {
+            const { effectiveTemperature, reasoningParams, cacheKey } = planChatRequest(
+                provider, providerModel, candidate, messages, temperature, cacheNamespace
+            );
+            if (reasoningParams.reasoning && config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
+                logger.debug('Reasoning enabled for request', {
+                    model: candidate.modelId,
+                    tier: candidate.tier,
+                    effort: reasoningParams.reasoning.effort,
+                    operation,
+                });
             }
-        } else {
-            // Standard Chat Completions path (no reasoning)
-            const completion = await withRetries(() => openai.chat.completions.create(basePayload));
-            finalText = completion?.choices?.[0]?.message?.content || null;
+
+            const reasoningCfg = config?.SYSTEM?.REASONING;
+            recordProviderModel(provider, providerModel);
+            logger.debug(`${provider.name === 'openai' ? 'OpenAI' : `LLM (${provider.name})`} API Call - Model: ${providerModel} | Temperature: ${effectiveTemperature} | Type: ${operation === 'completion' ? 'Single' : 'Conversation'} Completion${reasoningParams.reasoning ? ' | Reasoning: ' + reasoningParams.reasoning.effort : ''}`);
+
+            const request = {
+                model: providerModel,
+                messages,
+                temperature: effectiveTemperature,
+                reasoning: toProviderReasoning(reasoningParams),
+                retryWithoutReasoning: reasoningCfg?.RETRY_ON_UNSUPPORTED === true && (reasoningCfg?.MAX_RETRIES ?? 1) > 0,
+            };
+            let result;
+            if (onText && typeof provider.streamChat === 'function') {
+                let streamed = '';
+                result = await provider.streamChat({
+                    ...request,
+                    onDelta: delta => {
+                        streamed += delta;
+                        onText(streamed);
+                    },
+                });
+            } else {
+                result = await provider.chat(request);
+                if (onText && result.content) onText(result.content);
+            }
+            const usageEntry = recordUsage(providerModel, operation, result, null, provider.name);
+            if (reasoningParams.reasoning) {
+                logReasoning(result);
+            }
+            if (cacheKey && result.content) {
+                llmCache.set(cacheNamespace, cacheKey, result.content, usageEntry?.costUsd);
+            }
+            return { content: result.content, reasoning: !!reasoningParams.reasoning };
+        },
+    });
+}
+
+/**
+ * Function to run ChatGPT completion
+ * @param {string} prompt - User prompt
+ * @param {number} temperature - Sampling temperature
+ * @param {string|null} model - Model id or 'TIER:X' token (see selectChatModel)
+ * @param {string|null} promptType - Semantic key for the prompt type
+ * @param {Object} options - { cache: namespace } to reuse replies to identical requests
+ *   (SYSTEM.LLM_CACHE.TTL key); only for deterministic prompts such as evaluations,
+ *   summaries of fixed content and translations. { onText: text => {} } streams the reply:
+ *   it is called with the whole text so far as tokens arrive (see createStreamingReply)
+ * @returns {Promise<string|null>} Reply text
+ */
+const runCompletion = async (prompt, temperature = 1, model = null, promptType = null, options = {}) => {
+    try {
+        ensureConfigLoaded();
+        // Log prompt (logger handles its own enable/disable logic)
+        if (prompt) {
+            logger.prompt('ChatGPT Prompt', prompt);
         }
 
+        const result = await runChat(
+            [{ role: 'user', content: prompt }],
+            temperature,
+            model,
+            promptType,
+            'completion',
+            options?.cache,
+            options?.onText
+        );
+        const finalText = result.content || null;
+
         if (finalText) {
-            const usedReasoning = !!reasoningParams.reasoning;
             logger.prompt(
-                `ChatGPT Completion Response${usedReasoning ? ' (with reasoning)' : ''}`,
+                `ChatGPT Completion Response${result.reasoning ? ' (with reasoning)' : ''}`,
                 finalText
             );
         }
@@ -826,9 +749,10 @@ const runCompletion = async (prompt, temperature = 1, model = null, promptType =
     }
 };
 
-// Function to run ChatGPT completion with conversation history
-const runConversationCompletion = async (messages, temperature = 1, model = null, promptType = null) => {
+// Function to run ChatGPT completion with conversation history (options as in runCompletion)
+const runConversationCompletion = async (messages, temperature = 1, model = null, promptType = null, options = {}) => {
     try {
+        ensureConfigLoaded();
         // Validate messages format
         if (!Array.isArray(messages) || messages.length === 0) {
             throw new Error('Messages must be a non-empty array');
@@ -842,138 +766,20 @@ const runConversationCompletion = async (messages, temperature = 1, model = null
         
         logger.prompt('ChatGPT Conversation Messages', formattedMessages);
 
-        // Resolve tier tokens (e.g., 'TIER:MEDIUM') that may be passed directly
-        let modelToUse = resolveTierToken(model);
-
-        // Model selection priority (same as runCompletion)
-        if (!modelToUse && promptType && config?.NEWS_MONITOR?.AI_MODELS) {
-            if (config.NEWS_MONITOR.AI_MODELS[promptType]) {
-                modelToUse = resolveTierToken(config.NEWS_MONITOR.AI_MODELS[promptType]);
-                if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                    logger.debug(`Using NEWS_MONITOR.AI_MODELS.${promptType}: ${modelToUse}`);
-                }
-            } else if (config.NEWS_MONITOR.AI_MODELS.DEFAULT) {
-                modelToUse = resolveTierToken(config.NEWS_MONITOR.AI_MODELS.DEFAULT);
-                if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                    logger.debug(
-                        `Prompt type ${promptType} not found, using NEWS_MONITOR.AI_MODELS.DEFAULT: ${modelToUse}`
-                    );
-                }
-            }
-        }
-
-        // New tier-based selection using the centralized config if still unresolved
-        if (!modelToUse && promptType) {
-            const tierModel = getTierBasedModel(promptType);
-            if (tierModel) {
-                modelToUse = tierModel;
-            }
-        }
-
-        if (!modelToUse) {
-            if (config?.SYSTEM?.AI_MODELS?.LOW) {
-                modelToUse = config.SYSTEM.AI_MODELS.LOW;
-                if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                    logger.debug(`Using SYSTEM.AI_MODELS.LOW as fallback: ${modelToUse}`);
-                }
-            } else if (config?.SYSTEM?.OPENAI_MODELS?.DEFAULT) {
-                modelToUse = config.SYSTEM.OPENAI_MODELS.DEFAULT;
-                if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                    logger.debug(`Using SYSTEM.OPENAI_MODELS.DEFAULT: ${modelToUse}`);
-                }
-            } else {
-                modelToUse = 'gpt-5-nano';
-                if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                    logger.debug(`No model configuration found, using hardcoded fallback: ${modelToUse}`);
-                }
-            }
-        }
-
-        // Handle temperature restrictions for specific models
-        let effectiveTemperature = temperature;
-        const modelsRequiringDefaultTemperature = ['gpt-5-nano', 'gpt-5-mini'];
-        
-        if (modelsRequiringDefaultTemperature.includes(modelToUse) && temperature !== 1) {
-            effectiveTemperature = 1;
-            if (config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-                logger.debug(`Model ${modelToUse} only supports default temperature (1). Adjusting from ${temperature} to 1.`);
-            }
-        }
-
-        // Build payload (with optional reasoning)
-        const tier = getTierForModel(modelToUse) || (promptType ? getTierForModel(getTierBasedModel(promptType)) : null);
-        const basePayload = {
-            model: modelToUse,
-            messages: messages,
-            temperature: effectiveTemperature,
-        };
-        const reasoningParams = buildReasoningParams(tier, modelToUse, false);
-        if (reasoningParams.reasoning && config?.SYSTEM?.CONSOLE_LOG_LEVELS?.DEBUG) {
-            logger.debug('Reasoning enabled for request', {
-                model: modelToUse,
-                tier,
-                effort: reasoningParams.reasoning.effort,
-                operation: 'conversation',
-            });
-        }
-
-        const openai = getOpenAIClient();
-
-        logger.debug(`OpenAI API Call - Model: ${modelToUse} | Temperature: ${effectiveTemperature} | Type: Conversation Completion${reasoningParams.reasoning ? ' | Reasoning: ' + reasoningParams.reasoning.effort : ''}`);
-
-        let finalMessageObj = null;
-        if (reasoningParams.reasoning) {
-            try {
-                logger.debug(`OpenAI Responses API Call - Model: ${modelToUse} | Temperature: ${effectiveTemperature} | Type: Conversation Completion | Reasoning: ${reasoningParams.reasoning.effort}`);
-                const resp = await withRetries(() => createResponsesWithReasoning(openai, {
-                    model: modelToUse,
-                    input: messages,
-                    temperature: effectiveTemperature,
-                }, reasoningParams.reasoning.effort));
-                const text = extractTextFromResponses(resp);
-                finalMessageObj = { role: 'assistant', content: text || '' };
-                const reasoningSummary = extractReasoningSummary(resp);
-                const reasoningTrace = extractReasoningTrace(resp);
-                const printedSummary = reasoningSummary && reasoningSummary.trim().length > 0
-                    ? reasoningSummary
-                    : '(none returned by model)';
-                logger.prompt('Reasoning Summary', printedSummary);
-                if (reasoningTrace && reasoningTrace.trim().length > 0) {
-                    logger.prompt('Reasoning Trace', reasoningTrace);
-                }
-                if (!text) {
-                    // Fallback to chat.completions with reasoning params
-                    const completion = await withRetries(() => openai.chat.completions.create({
-                        ...basePayload,
-                        ...reasoningParams,
-                    }));
-                    finalMessageObj = completion?.choices?.[0]?.message || null;
-                }
-            } catch (err) {
-                const maxRetries = config?.SYSTEM?.REASONING?.MAX_RETRIES ?? 1;
-                if (maxRetries > 0 && shouldRetryWithoutReasoning(err)) {
-                    logger.warn('Reasoning parameter rejected, retrying without reasoning', {
-                        model: modelToUse,
-                        tier,
-                        effort: reasoningParams.reasoning.effort,
-                        operation: 'conversation',
-                        error: err.message,
-                    });
-                    const completion = await withRetries(() => openai.chat.completions.create(basePayload));
-                    finalMessageObj = completion?.choices?.[0]?.message || null;
-                } else {
-                    throw err;
-                }
-            }
-        } else {
-            const completion = await withRetries(() => openai.chat.completions.create(basePayload));
-            finalMessageObj = completion?.choices?.[0]?.message || null;
-        }
+        const result = await runChat(
+            messages,
+            temperature,
+            model,
+            promptType,
+            'conversation',
+            options?.cache,
+            options?.onText
+        );
+        const finalMessageObj = { role: 'assistant', content: result.content || '' };
 
-        if (finalMessageObj?.content) {
-            const usedReasoning = !!reasoningParams.reasoning;
+        if (finalMessageObj.content) {
             logger.prompt(
-                `ChatGPT Conversation Response${usedReasoning ? ' (with reasoning)' : ''}`,
+                `ChatGPT Conversation Response${result.reasoning ? ' (with reasoning)' : ''}`,
                 finalMessageObj.content
             );
         }
@@ -991,7 +797,6 @@ const runConversationCompletion = async (messages, temperature = 1, model = null
         throw error;
     }
 };
-
 // Backward compatibility function - returns just the content
 const runConversationCompletionLegacy = async (messages, temperature = 1, model = null, promptType = null) => {
     const result = await runConversationCompletion(messages, temperature, model, promptType, null);
@@ -1139,56 +944,31 @@ async function extractTextFromImageWithOpenAI(imageInput, options = {}, model =
             });
         }
 
-        const openai = getOpenAIClient();
-        const baseVisionPayload = {
-            model: effectiveModel,
-            messages: [
-                {
-                    role: 'user',
-                    content: [
-                        { type: 'text', text: visionPrompt },
-                        {
-                            type: 'image_url',
-                            image_url: {
-                                url: imageUrl,
-                            },
-                        },
-                    ],
-                },
-            ],
-        };
-
-        let completion;
-        try {
-            // Prefer max_completion_tokens for current Chat Completions API models
-            completion = await openai.chat.completions.create({
-                ...baseVisionPayload,
-                max_completion_tokens: 2000,
-            });
-        } catch (e) {
-            const dataStr = (e?.response?.data && JSON.stringify(e.response.data)) || '';
-            const combined = `${e?.message || ''} ${dataStr}`.toLowerCase();
-            const complainsAboutMaxCompletion = combined.includes('unsupported parameter') && combined.includes('max_completion_tokens');
-            // If model complains about max_completion_tokens, retry with legacy max_tokens
-            if (complainsAboutMaxCompletion) {
-                logger.debug('Vision: model rejected max_completion_tokens, retrying with max_tokens', { model: effectiveModel });
-                completion = await openai.chat.completions.create({
-                    ...baseVisionPayload,
-                    max_tokens: 2000,
-                });
-            } else {
-                throw e;
-            }
+        const provider = selectProvider();
+        if (provider.name === 'openai') {
+            effectiveModel = applyBudgetDowngrade(effectiveModel);
         }
-
-        const result = completion.choices[0].message.content;
+        const { providerModel, completion } = await runWithFallback(provider, {
+            modelId: effectiveModel,
+            tier: getTierForModel(effectiveModel),
+            kind: 'VISION',
+            attempt: async visionModel => {
+                recordProviderModel(provider, visionModel);
+                const visionCompletion = await provider.vision({
+                    model: visionModel,
+                    prompt: visionPrompt,
+                    imageUrl,
+                    maxTokens: 2000,
+                });
+                recordUsage(visionModel, 'vision', visionCompletion, null, provider.name);
+                return { providerModel: visionModel, completion: visionCompletion };
+            },
+        });
+        const result = completion.content;
 
         logger.debug('OpenAI Vision API response structure', {
-            hasChoices: !!completion.choices,
-            choicesLength: completion.choices?.length,
-            hasMessage: !!completion.choices?.[0]?.message,
-            hasContent: !!completion.choices?.[0]?.message?.content,
-            contentLength: completion.choices?.[0]?.message?.content?.length || 0
+            hasContent: !!result,
+            contentLength: result?.length || 0
         });
 
         if (result) {
@@ -1196,29 +976,36 @@ async function extractTextFromImageWithOpenAI(imageInput, options = {}, model =
         } else {
             // Log additional diagnostics at debug level to avoid noisy warns with large objects
             logger.debug('OpenAI Vision returned empty content - diagnostics', {
-                model: effectiveModel,
-                usage: completion?.usage,
-                finish_reason: completion?.choices?.[0]?.finish_reason,
+                model: providerModel,
+                usage: completion.usage,
+                finish_reason: completion.finishReason,
             });
             logger.warn('OpenAI Vision API returned empty/null content');
 
             // Optional: one-time retry with a higher-tier model if configured
-            const higherTierModel = config?.SYSTEM?.AI_MODELS?.MEDIUM || config?.SYSTEM?.OPENAI_MODELS?.DEFAULT;
-            if (higherTierModel && higherTierModel !== effectiveModel) {
+            let higherTierModel = config?.SYSTEM?.AI_MODELS?.MEDIUM || config?.SYSTEM?.OPENAI_MODELS?.DEFAULT;
+            if (higherTierModel && provider.name === 'openai') {
+                higherTierModel = applyBudgetDowngrade(higherTierModel);
+            }
+            higherTierModel = higherTierModel && resolveProviderModel(provider, higherTierModel, 'VISION');
+            if (higherTierModel && higherTierModel !== providerModel) {
                 try {
                     logger.debug('Retrying OpenAI Vision with higher tier model due to empty content', {
-                        previousModel: effectiveModel,
+                        previousModel: providerModel,
                         retryModel: higherTierModel,
                     });
-                    const retryPayload = { ...baseVisionPayload, model: higherTierModel };
-                    const retryCompletion = await openai.chat.completions.create(retryPayload);
-                    const retryResult = retryCompletion?.choices?.[0]?.message?.content || null;
+                    recordProviderModel(provider, higherTierModel);
+                    const retryCompletion = await provider.vision({
+                        model: higherTierModel,
+                        prompt: visionPrompt,
+                        imageUrl,
+                        maxTokens: null,
+                    });
+                    recordUsage(higherTierModel, 'vision', retryCompletion, null, provider.name);
+                    const retryResult = retryCompletion.content || null;
                     logger.debug('Retry Vision API response structure', {
-                        hasChoices: !!retryCompletion.choices,
-                        choicesLength: retryCompletion.choices?.length,
-                        hasMessage: !!retryCompletion.choices?.[0]?.message,
-                        hasContent: !!retryCompletion.choices?.[0]?.message?.content,
-                        contentLength: retryCompletion.choices?.[0]?.message?.content?.length || 0
+                        hasContent: !!retryResult,
+                        contentLength: retryResult?.length || 0
                     });
                     if (retryResult) {
                         logger.prompt('OpenAI Vision Response (retry)', retryResult);
@@ -1250,6 +1037,71 @@ async function extractTextFromImageWithOpenAI(imageInput, options = {}, model =
     }
 }
 
+/**
+ * Transcribe an audio file with the voice model (SYSTEM.OPENAI_MODELS.VOICE, or the provider's VOICE)
+ * @param {string} filePath - Audio file on disk
+ * @param {Object} options - { language } (default 'pt')
+ * @returns {Promise<{text: string, duration: number|null}>} Transcript and audio length in seconds
+ */
+async function runTranscription(filePath, { language = 'pt' } = {}) {
+    const provider = selectProvider();
+    return runWithFallback(provider, {
+        modelId: config?.SYSTEM?.OPENAI_MODELS?.VOICE || 'whisper-1',
+        kind: 'VOICE',
+        attempt: async model => {
+            recordProviderModel(provider, model);
+            logger.debug(`OpenAI API Call - Model: ${model} | Provider: ${provider.name} | Type: Transcription`);
+            const transcription = await provider.transcribe({ model, filePath, language });
+            recordUsage(model, 'transcription', null, transcription.duration, provider.name);
+            return transcription;
+        },
+    });
+}
+
+/**
+ * Generate an image from a prompt (SYSTEM.OPENAI_MODELS.IMAGE, or the provider's IMAGE)
+ * @param {string} prompt - Image description
+ * @returns {Promise<string|null>} Base64 PNG, or null when the model returned no image
+ */
+async function runImageGeneration(prompt) {
+    const provider = selectProvider();
+    return runWithFallback(provider, {
+        modelId: config?.SYSTEM?.OPENAI_MODELS?.IMAGE || 'gpt-5',
+        kind: 'IMAGE',
+        attempt: async model => {
+            recordProviderModel(provider, model);
+            logger.debug(`OpenAI API Call - Model: ${model} | Provider: ${provider.name} | Type: Image Generation`);
+            const result = await provider.generateImage({ model, prompt });
+            recordUsage(model, 'image_generation', result, null, provider.name);
+            return result.base64;
+        },
+    });
+}
+
+/**
+ * Embed texts with the embedding model (SYSTEM.OPENAI_MODELS.EMBEDDING, or the provider's
+ * EMBEDDING). Vectors from different models are not comparable, so callers keep the model
+ * next to stored vectors.
+ * @param {string|string[]} input - Text or texts
+ * @returns {Promise<{model: string, embeddings: number[][]}>} One vector per text
+ */
+async function runEmbedding(input) {
+    const provider = selectProvider();
+    return runWithFallback(provider, {
+        modelId: config?.SYSTEM?.OPENAI_MODELS?.EMBEDDING || 'text-embedding-3-small',
+        kind: 'EMBEDDING',
+        attempt: async model => {
+            recordProviderModel(provider, model);
+            const result = await provider.embed({ model, input });
+            recordUsage(model, 'embedding', result, null, provider.name);
+            return {
+                model: provider.name === 'openai' ? model : `${provider.name}:${model}`,
+                embeddings: result.embeddings,
+            };
+        },
+    });
+}
+
 /**
  * Parse vision response when multiple tasks are requested
  * @param {string} response - OpenAI vision response
@@ -1307,4 +1159,8 @@ module.exports = {
     runConversationCompletionLegacy,
     extractTextFromImageWithOpenAI,
     runResponsesWithWebSearch,
+    runTranscription,
+    runImageGeneration,
+    runEmbedding,
+    recordUsage,
 };
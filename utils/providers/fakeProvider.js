@@ -0,0 +1,135 @@
+// fakeProvider.js
+// Deterministic offline provider for the local runner (--fake-ai) and the test harness
+
+const crypto = require('crypto');
+const { normalizeUsage } = require('./providers');
+
+const EMBEDDING_DIMENSIONS = 64;
+
+// 1x1 transparent PNG
+const FAKE_IMAGE_BASE64 =
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+let responder = null;
+
+function getFakeConfig() {
+    // eslint-disable-next-line global-require
+    return require('../../configs/config').SYSTEM.AI_PROVIDERS?.FAKE || {};
+}
+
+function countTokens(text) {
+    return String(text || '')
+        .split(/\s+/)
+        .filter(Boolean).length;
+}
+
+function contentToText(content) {
+    if (Array.isArray(content)) {
+        return content
+            .filter(part => part?.type === 'text')
+            .map(part => part.text)
+            .join('\n');
+    }
+    return String(content ?? '');
+}
+
+/**
+ * Reply to a conversation: the responder set by tests, else an echo of the last user message
+ */
+function reply(model, messages) {
+    if (responder) {
+        return String(responder({ model, messages }) ?? '');
+    }
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    return `[${model}] ${contentToText(lastUser?.content)}`;
+}
+
+function usageFor(messages, content) {
+    return normalizeUsage({
+        inputTokens: messages.reduce((sum, message) => sum + countTokens(contentToText(message.content)), 0),
+        cachedTokens: 0,
+        outputTokens: countTokens(content),
+    });
+}
+
+module.exports = {
+    name: 'fake',
+
+    get models() {
+        return getFakeConfig().MODELS || {};
+    },
+
+    supports() {
+        return false;
+    },
+
+    async chat({ model, messages }) {
+        const content = reply(model, messages);
+        return { content, usage: usageFor(messages, content), reasoningSummary: null, reasoningTrace: null };
+    },
+
+    async streamChat({ model, messages, onDelta }) {
+        const content = reply(model, messages);
+        // Word by word, so streaming consumers see several updates
+        for (const piece of content.match(/\S+\s*/g) || []) {
+            onDelta(piece);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return { content, usage: usageFor(messages, content), reasoningSummary: null, reasoningTrace: null };
+    },
+
+    async webSearch({ model, messages, onDelta = null }) {
+        if (onDelta) {
+            return { ...(await this.streamChat({ model, messages, onDelta })), sources: [] };
+        }
+        const content = reply(model, messages);
+        return { content, usage: usageFor(messages, content), sources: [], reasoningSummary: null, reasoningTrace: null };
+    },
+
+    async vision({ model, prompt }) {
+        const messages = [{ role: 'user', content: prompt }];
+        const content = reply(model, messages);
+        return { content, usage: usageFor(messages, content), finishReason: 'stop' };
+    },
+
+    async transcribe() {
+        return { text: 'Transcrição de teste.', duration: 1 };
+    },
+
+    async generateImage() {
+        return { base64: FAKE_IMAGE_BASE64, usage: normalizeUsage(null) };
+    },
+
+    /**
+     * Bag-of-words vectors: texts sharing words get similar embeddings, the same text always
+     * gets the same one
+     */
+    async embed({ input }) {
+        const texts = Array.isArray(input) ? input : [input];
+        const embeddings = texts.map(text => {
+            const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+            for (const word of String(text).toLowerCase().split(/\W+/).filter(Boolean)) {
+                const hash = crypto.createHash('md5').update(word).digest();
+                vector[hash[0] % EMBEDDING_DIMENSIONS] += hash[1] % 2 === 0 ? 1 : -1;
+            }
+            const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+            return vector.map(value => value / norm);
+        });
+        return {
+            embeddings,
+            usage: normalizeUsage({
+                inputTokens: texts.reduce((sum, text) => sum + countTokens(text), 0),
+                cachedTokens: 0,
+                outputTokens: 0,
+            }),
+        };
+    },
+
+    /**
+     * Replace the echo with a custom reply function (null to restore it)
+     * @param {Function|null} fn - ({ model, messages }) => string
+     */
+    setResponder(fn) {
+        responder = fn;
+    },
+};
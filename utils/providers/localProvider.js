@@ -0,0 +1,40 @@
+// localProvider.js
+// OpenAI-compatible local server (llama.cpp server, Ollama, LocalAI) over the Chat Completions API
+
+const OpenAI = require('openai');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+function getLocalConfig() {
+    // eslint-disable-next-line global-require
+    return require('../../configs/config').SYSTEM.AI_PROVIDERS?.LOCAL || {};
+}
+
+let client = null;
+let clientKey = null;
+
+// One client per BASE_URL/API_KEY/TIMEOUT_MS, rebuilt when a config reload changes them
+function getLocalClient() {
+    const local = getLocalConfig();
+    if (!local.BASE_URL) {
+        throw new Error('SYSTEM.AI_PROVIDERS.LOCAL.BASE_URL is not set');
+    }
+    const key = `${local.BASE_URL}|${local.API_KEY}|${local.TIMEOUT_MS}`;
+    if (!client || clientKey !== key) {
+        client = new OpenAI({
+            baseURL: local.BASE_URL,
+            // Local servers ignore the key, but the SDK requires one
+            apiKey: local.API_KEY || 'local',
+            timeout: local.TIMEOUT_MS || 120000,
+            maxRetries: 0,
+        });
+        clientKey = key;
+    }
+    return client;
+}
+
+module.exports = createOpenAICompatibleProvider({
+    name: 'local',
+    getClient: getLocalClient,
+    getModels: () => getLocalConfig().MODELS || {},
+    responsesApi: false,
+});
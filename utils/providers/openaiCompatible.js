@@ -0,0 +1,546 @@
+// openaiCompatible.js
+// Provider implementation for OpenAI and OpenAI-compatible servers (llama.cpp, Ollama, LocalAI)
+
+const fs = require('fs');
+const logger = require('../logger');
+const { normalizeUsage, addUsage } = require('./providers');
+
+// Detect if an error indicates that 'temperature' is not supported for this model/API
+function isUnsupportedTemperatureError(error) {
+    try {
+        const dataStr = (error?.response?.data && JSON.stringify(error.response.data)) || '';
+        const msg = String(error?.message || dataStr || '').toLowerCase();
+        return (
+            msg.includes('unsupported') || msg.includes('not supported') || msg.includes('unknown parameter')
+        ) && msg.includes('temperature');
+    } catch (_) {
+        return false;
+    }
+}
+
+// Wrapper around client.responses.create that retries once without 'temperature' if the model rejects it
+async function responsesCreateHandlingTemperature(client, args) {
+    try {
+        return await client.responses.create(args);
+    } catch (e) {
+        if (isUnsupportedTemperatureError(e) && Object.prototype.hasOwnProperty.call(args, 'temperature')) {
+            const { temperature, ...rest } = args;
+            logger.debug('Responses API: model does not support temperature, retrying without it', {
+                model: args?.model,
+            });
+            return await client.responses.create(rest);
+        }
+        throw e;
+    }
+}
+
+/**
+ * Read a streamed Responses API call, passing each text delta on
+ * @param {AsyncIterable} stream - responses.create({ ..., stream: true })
+ * @param {Function} onDelta - Receives each new piece of text
+ * @returns {Promise<{content: string, response: Object|null}>} Text streamed and the completed response
+ */
+async function readResponsesStream(stream, onDelta) {
+    let content = '';
+    let response = null;
+    for await (const event of stream) {
+        if (event.type === 'response.output_text.delta') {
+            content += event.delta;
+            onDelta(event.delta);
+        } else if (event.type === 'response.completed') {
+            response = event.response;
+        } else if (event.type === 'response.failed' || event.type === 'error') {
+            throw new Error(event.response?.error?.message || event.message || 'Response stream failed');
+        }
+    }
+    return { content, response };
+}
+
+// Transient network error detection
+function isTransientNetworkError(error) {
+    const code = (error && (error.code || error.errno)) || '';
+    const status = error?.response?.status;
+    const msg = String(error?.message || '').toLowerCase();
+    if (status && [502, 503, 504].includes(status)) return true;
+    const transientCodes = new Set(['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'ECONNABORTED']);
+    if (transientCodes.has(code)) return true;
+    if (msg.includes('timeout') || msg.includes('timed out') || msg.includes('network')) return true;
+    if (msg.includes('connection') && msg.includes('error')) return true;
+    return false;
+}
+
+async function withRetries(fn, { maxAttempts = 3, baseDelayMs = 300, jitterMs = 150 } = {}) {
+    let attempt = 0;
+    let lastErr;
+    while (attempt < maxAttempts) {
+        try {
+            return await fn();
+        } catch (e) {
+            lastErr = e;
+            attempt += 1;
+            if (!isTransientNetworkError(e) || attempt >= maxAttempts) break;
+            const backoff = baseDelayMs * Math.pow(2, attempt - 1);
+            const jitter = Math.floor(Math.random() * jitterMs);
+            await new Promise(r => setTimeout(r, backoff + jitter));
+        }
+    }
+    throw lastErr;
+}
+
+/**
+ * Extracts assistant text from Responses API output.
+ * Supports SDK convenience field `output_text` and raw `output` array format.
+ * @param {object} response
+ * @returns {string|null}
+ */
+function extractTextFromResponses(response) {
+    try {
+        if (!response) return null;
+        if (typeof response.output_text === 'string' && response.output_text.length > 0) {
+            return response.output_text;
+        }
+        if (Array.isArray(response.output)) {
+            for (const item of response.output) {
+                if (item && Array.isArray(item.content)) {
+                    for (const contentPart of item.content) {
+                        if (contentPart && contentPart.type === 'output_text' && typeof contentPart.text === 'string') {
+                            return contentPart.text;
+                        }
+                    }
+                }
+            }
+        }
+        // Fallbacks for any alternative shapes
+        if (response?.data && typeof response.data === 'string') return response.data;
+        return null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Extract a reasoning summary if present in Responses API output.
+ * Looks for SDK `reasoning` field or a known metadata location.
+ * @param {object} response
+ * @returns {string|null}
+ */
+function extractReasoningSummary(response) {
+    try {
+        // Prefer the Responses API output shape that actually carries summary text
+        // { type: 'reasoning', summary: [{ type: 'summary_text', text: '...' }, ...] }
+        if (Array.isArray(response?.output)) {
+            for (const item of response.output) {
+                if (item && item.type === 'reasoning' && Array.isArray(item.summary)) {
+                    const texts = item.summary
+                        .filter(p => p && typeof p.text === 'string' && p.text.trim().length > 0)
+                        .map(p => p.text.trim());
+                    if (texts.length > 0) return texts.join('\n\n');
+                }
+            }
+        }
+
+        // Some SDKs might echo back the request setting as a string ('auto'|'concise'|'detailed').
+        // Treat those as non-informative and ignore.
+        const sentinel = new Set(['auto', 'concise', 'detailed']);
+
+        // SDK style: response.reasoning?.summary (string)
+        const summary = response?.reasoning?.summary;
+        if (typeof summary === 'string' && summary.length > 0 && !sentinel.has(summary.trim().toLowerCase())) {
+            return summary;
+        }
+
+        // Metadata fallback
+        const meta = response?.metadata?.reasoning?.summary;
+        if (typeof meta === 'string' && meta.length > 0 && !sentinel.has(meta.trim().toLowerCase())) {
+            return meta;
+        }
+        return null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Extract detailed reasoning trace from Responses API output parts.
+ * Concatenates any content parts with type 'reasoning'.
+ * @param {object} response
+ * @returns {string|null}
+ */
+function extractReasoningTrace(response) {
+    try {
+        if (!Array.isArray(response?.output)) return null;
+        const collected = [];
+        for (const item of response.output) {
+            if (item && Array.isArray(item.content)) {
+                for (const part of item.content) {
+                    if (part && part.type === 'reasoning' && typeof part.text === 'string' && part.text.trim().length > 0) {
+                        collected.push(part.text.trim());
+                    }
+                }
+            }
+        }
+        if (collected.length > 0) return collected.join('\n\n');
+        return null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Extract unique URLs from text.
+ * @param {string} text
+ * @returns {string[]} unique URLs
+ */
+function extractUrls(text) {
+    if (!text || typeof text !== 'string') return [];
+    const urlRegex = /https?:\/\/[^\s)]+/gi;
+    const matches = text.match(urlRegex) || [];
+    const unique = Array.from(new Set(matches.map(u => u.replace(/[),.]+$/g, ''))));
+    return unique;
+}
+
+// Recursively extract URLs found anywhere in the Responses API object tree.
+function extractUrlsFromAny(node, acc = new Set()) {
+    try {
+        if (node == null) return acc;
+        if (typeof node === 'string') {
+            for (const url of extractUrls(node)) acc.add(url);
+            return acc;
+        }
+        if (Array.isArray(node)) {
+            for (const item of node) extractUrlsFromAny(item, acc);
+            return acc;
+        }
+        if (typeof node === 'object') {
+            for (const value of Object.values(node)) extractUrlsFromAny(value, acc);
+            return acc;
+        }
+        return acc;
+    } catch (_) {
+        return acc;
+    }
+}
+
+/**
+ * Create a Responses API call with reasoning and robust summary fallback handling.
+ * Tries the preferred summary, then 'detailed', then no summary if API rejects value.
+ * @param {import('openai').OpenAI} client
+ * @param {{ model:string, input:any, temperature:number }} baseArgs
+ * @param {{ effort: string, summary: string }} reasoning
+ */
+async function createResponsesWithReasoning(client, baseArgs, { effort, summary: summaryPref }) {
+    const looksUnsupportedSummary = error => {
+        const msg = (error?.response?.data && JSON.stringify(error.response.data)) || error?.message || '';
+        const lower = String(msg).toLowerCase();
+        return lower.includes('unsupported value') || lower.includes('not supported');
+    };
+
+    // Attempt with configured summary if present
+    if (summaryPref) {
+        try {
+            const resp = await responsesCreateHandlingTemperature(client, {
+                ...baseArgs,
+                reasoning: { effort, summary: summaryPref },
+            });
+            logger.debug('Responses reasoning call succeeded with summary', { summary: summaryPref });
+            return resp;
+        } catch (e) {
+            if (!looksUnsupportedSummary(e)) throw e;
+            logger.debug('Reasoning summary not supported for model; retrying with detailed', { preferred: summaryPref });
+        }
+    }
+
+    // Attempt with 'detailed'
+    try {
+        const resp = await responsesCreateHandlingTemperature(client, {
+            ...baseArgs,
+            reasoning: { effort, summary: 'detailed' },
+        });
+        logger.debug('Responses reasoning call succeeded with summary', { summary: 'detailed' });
+        return resp;
+    } catch (e2) {
+        if (!looksUnsupportedSummary(e2)) throw e2;
+        logger.debug('Reasoning summary still unsupported; retrying without summary');
+    }
+
+    // Attempt with no summary
+    const resp = await responsesCreateHandlingTemperature(client, {
+        ...baseArgs,
+        reasoning: { effort },
+    });
+    logger.debug('Responses reasoning call succeeded without summary');
+    return resp;
+}
+
+function shouldRetryWithoutReasoning(error) {
+    const status = error?.response?.status;
+    const data = (error?.response?.data && JSON.stringify(error.response.data)) || '';
+    const lowerData = data.toLowerCase();
+    // Only retry on explicit request-argument rejections
+    return (
+        status === 400 &&
+        (lowerData.includes('unrecognized') ||
+            lowerData.includes('unknown') ||
+            lowerData.includes('does not support') ||
+            lowerData.includes('reasoning') ||
+            lowerData.includes('invalid'))
+    );
+}
+
+/**
+ * Build a provider on top of an OpenAI SDK client
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name
+ * @param {Function} options.getClient - Returns the OpenAI SDK client to use
+ * @param {Function} options.getModels - Returns the tier/kind → model map, or null
+ * @param {boolean} options.responsesApi - Server implements the Responses API (reasoning,
+ *   web search, image generation tool); otherwise only the Chat Completions family is used
+ * @returns {Object} Provider (see providers.js)
+ */
+function createOpenAICompatibleProvider({ name, getClient, getModels = () => null, responsesApi = false }) {
+    return {
+        name,
+
+        get models() {
+            return getModels();
+        },
+
+        supports(feature) {
+            return responsesApi && (feature === 'reasoning' || feature === 'webSearch');
+        },
+
+        async chat({ model, messages, temperature, reasoning = null, retryWithoutReasoning = false }) {
+            const client = getClient();
+            const payload = { model, messages, temperature };
+
+            if (reasoning && responsesApi) {
+                // Prefer Responses API when reasoning is enabled (per OpenAI docs)
+                try {
+                    logger.debug(`${name} Responses API Call - Model: ${model} | Reasoning: ${reasoning.effort}`);
+                    const resp = await withRetries(() =>
+                        createResponsesWithReasoning(client, { model, input: messages, temperature }, reasoning)
+                    );
+                    let content = extractTextFromResponses(resp);
+                    let usage = normalizeUsage(resp?.usage);
+                    if (!content) {
+                        // As a safety net, try chat.completions with reasoning (some models may accept it)
+                        const completion = await withRetries(() =>
+                            client.chat.completions.create({ ...payload, reasoning: { effort: reasoning.effort } })
+                        );
+                        content = completion?.choices?.[0]?.message?.content || null;
+                        usage = addUsage(usage, completion?.usage);
+                    }
+                    return {
+                        content,
+                        usage,
+                        reasoningSummary: extractReasoningSummary(resp),
+                        reasoningTrace: extractReasoningTrace(resp),
+                    };
+                } catch (err) {
+                    if (!retryWithoutReasoning || !shouldRetryWithoutReasoning(err)) {
+                        throw err;
+                    }
+                    logger.warn('Reasoning parameter rejected, retrying without reasoning', {
+                        model,
+                        effort: reasoning.effort,
+                        error: err.message,
+                    });
+                }
+            }
+
+            const completion = await withRetries(() => client.chat.completions.create(payload));
+            return {
+                content: completion?.choices?.[0]?.message?.content || null,
+                usage: normalizeUsage(completion?.usage),
+                reasoningSummary: null,
+                reasoningTrace: null,
+            };
+        },
+
+        /**
+         * chat() that hands the reply text to onDelta as it is generated; same arguments and result
+         */
+        async streamChat({ model, messages, temperature, reasoning = null, retryWithoutReasoning = false, onDelta }) {
+            const client = getClient();
+
+            if (reasoning && responsesApi) {
+                let content = '';
+                try {
+                    logger.debug(`${name} Responses API Stream - Model: ${model} | Reasoning: ${reasoning.effort}`);
+                    const stream = await withRetries(() =>
+                        createResponsesWithReasoning(
+                            client,
+                            { model, input: messages, temperature, stream: true },
+                            reasoning
+                        )
+                    );
+                    const streamed = await readResponsesStream(stream, delta => {
+                        content += delta;
+                        onDelta(delta);
+                    });
+                    const response = streamed.response;
+                    if (!content) {
+                        // Same safety net as chat(): some models only answer the non-streamed call
+                        return this.chat({ model, messages, temperature, reasoning, retryWithoutReasoning });
+                    }
+                    return {
+                        content,
+                        usage: normalizeUsage(response?.usage),
+                        reasoningSummary: extractReasoningSummary(response),
+                        reasoningTrace: extractReasoningTrace(response),
+                    };
+                } catch (err) {
+                    if (content || !retryWithoutReasoning || !shouldRetryWithoutReasoning(err)) {
+                        throw err;
+                    }
+                    logger.warn('Reasoning parameter rejected, retrying without reasoning', {
+                        model,
+                        effort: reasoning.effort,
+                        error: err.message,
+                    });
+                }
+            }
+
+            const stream = await withRetries(() =>
+                client.chat.completions.create({
+                    model,
+                    messages,
+                    temperature,
+                    stream: true,
+                    stream_options: { include_usage: true },
+                })
+            );
+            let content = '';
+            let usage = null;
+            for await (const chunk of stream) {
+                const delta = chunk?.choices?.[0]?.delta?.content;
+                if (delta) {
+                    content += delta;
+                    onDelta(delta);
+                }
+                if (chunk?.usage) usage = chunk.usage;
+            }
+            return { content: content || null, usage: normalizeUsage(usage), reasoningSummary: null, reasoningTrace: null };
+        },
+
+        async webSearch({ model, messages, temperature, reasoning = null, toolChoice = 'auto', onDelta = null }) {
+            if (!responsesApi) {
+                throw new Error(`${name} provider does not support web search`);
+            }
+            const client = getClient();
+            // Per docs, tool settings belong under top-level tool_config; tool list only specifies type
+            const args = {
+                model,
+                input: messages,
+                temperature,
+                tools: [{ type: 'web_search_preview' }],
+                tool_choice: toolChoice,
+                ...(onDelta ? { stream: true } : {}),
+            };
+            const created = reasoning
+                ? await createResponsesWithReasoning(client, args, reasoning)
+                : await responsesCreateHandlingTemperature(client, args);
+            // Streamed: the text arrives as deltas, the sources with the completed response
+            let resp = created;
+            let streamedText = '';
+            if (onDelta) {
+                const streamed = await readResponsesStream(created, onDelta);
+                resp = streamed.response;
+                streamedText = streamed.content;
+            }
+            return {
+                content: extractTextFromResponses(resp) || streamedText || '',
+                usage: normalizeUsage(resp?.usage),
+                sources: Array.from(extractUrlsFromAny(resp)),
+                reasoningSummary: reasoning ? extractReasoningSummary(resp) : null,
+                reasoningTrace: reasoning ? extractReasoningTrace(resp) : null,
+            };
+        },
+
+        async vision({ model, prompt, imageUrl, maxTokens = 2000 }) {
+            const client = getClient();
+            const payload = {
+                model,
+                messages: [
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: prompt },
+                            { type: 'image_url', image_url: { url: imageUrl } },
+                        ],
+                    },
+                ],
+            };
+
+            let completion;
+            if (!maxTokens) {
+                completion = await client.chat.completions.create(payload);
+            } else {
+                try {
+                    // Prefer max_completion_tokens for current Chat Completions API models
+                    completion = await client.chat.completions.create({ ...payload, max_completion_tokens: maxTokens });
+                } catch (e) {
+                    const dataStr = (e?.response?.data && JSON.stringify(e.response.data)) || '';
+                    const combined = `${e?.message || ''} ${dataStr}`.toLowerCase();
+                    // If model complains about max_completion_tokens, retry with legacy max_tokens
+                    if (!(combined.includes('unsupported parameter') && combined.includes('max_completion_tokens'))) {
+                        throw e;
+                    }
+                    logger.debug('Vision: model rejected max_completion_tokens, retrying with max_tokens', { model });
+                    completion = await client.chat.completions.create({ ...payload, max_tokens: maxTokens });
+                }
+            }
+
+            return {
+                content: completion?.choices?.[0]?.message?.content || null,
+                usage: normalizeUsage(completion?.usage),
+                finishReason: completion?.choices?.[0]?.finish_reason || null,
+            };
+        },
+
+        async transcribe({ model, filePath, language = 'pt' }) {
+            // verbose_json reports the audio duration, which is what transcription is billed by
+            const transcription = await getClient().audio.transcriptions.create({
+                file: fs.createReadStream(filePath),
+                model,
+                language,
+                response_format: 'verbose_json',
+            });
+            return {
+                text: transcription.text || '',
+                duration: transcription.duration ?? transcription.usage?.seconds ?? null,
+            };
+        },
+
+        async generateImage({ model, prompt }) {
+            const client = getClient();
+            if (responsesApi) {
+                const response = await client.responses.create({
+                    model,
+                    input: prompt,
+                    tools: [{ type: 'image_generation' }],
+                });
+                const imageCall = (response?.output || []).find(output => output.type === 'image_generation_call');
+                return { base64: imageCall?.result || null, usage: normalizeUsage(response?.usage) };
+            }
+            const response = await client.images.generate({ model, prompt, response_format: 'b64_json' });
+            return { base64: response?.data?.[0]?.b64_json || null, usage: normalizeUsage(response?.usage) };
+        },
+
+        async embed({ model, input }) {
+            // The SDK asks for base64 by default, which not every local server implements
+            const response = await withRetries(() =>
+                getClient().embeddings.create({ model, input, encoding_format: 'float' })
+            );
+            return {
+                embeddings: (response?.data || []).map(item => item.embedding),
+                usage: normalizeUsage(response?.usage),
+            };
+        },
+    };
+}
+
+module.exports = {
+    createOpenAICompatibleProvider,
+    extractUrls,
+};
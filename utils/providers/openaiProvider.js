@@ -0,0 +1,25 @@
+// openaiProvider.js
+// OpenAI API provider (Responses API for reasoning, web search and image generation)
+
+const OpenAI = require('openai');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+// Initialize OpenAI with a getter function
+function getOpenAIClient() {
+    // eslint-disable-next-line global-require
+    const config = require('../../configs/config');
+    const apiKey = config?.CREDENTIALS?.OPENAI_API_KEY;
+    if (!apiKey || typeof apiKey !== 'string' || apiKey.trim().length === 0) {
+        throw new Error('OPENAI_API_KEY is not set');
+    }
+    return new OpenAI({ apiKey });
+}
+
+const provider = createOpenAICompatibleProvider({
+    name: 'openai',
+    getClient: getOpenAIClient,
+    responsesApi: true,
+});
+
+module.exports = provider;
+module.exports.getOpenAIClient = getOpenAIClient;
@@ -0,0 +1,122 @@
+// providers.js
+// LLM provider registry: which backend serves a model call (OpenAI, a local server or the fake)
+
+const logger = require('../logger');
+
+/**
+ * Provider contract
+ *
+ * Every provider exposes:
+ *
+ *   name                 'openai', 'local', 'fake'
+ *   models               tier/kind → model map (LOW, MEDIUM, HIGH, VISION, VOICE, IMAGE,
+ *                        EMBEDDING), or null when SYSTEM.AI_MODELS / OPENAI_MODELS apply as is
+ *   supports(feature)    optional features: 'reasoning', 'webSearch'
+ *
+ *   chat({ model, messages, temperature, reasoning, retryWithoutReasoning })
+ *                        → { content, usage, reasoningSummary, reasoningTrace }
+ *   streamChat({ ...chat arguments, onDelta })
+ *                        same result as chat(), calling onDelta(textPiece) as the reply is
+ *                        generated (optional; callers fall back to chat())
+ *   webSearch({ model, messages, temperature, reasoning, toolChoice, onDelta })
+ *                        → { content, usage, sources, reasoningSummary, reasoningTrace }; with
+ *                        onDelta the reply is streamed like streamChat()
+ *   vision({ model, prompt, imageUrl, maxTokens }) → { content, usage, finishReason }
+ *   transcribe({ model, filePath, language }) → { text, duration }
+ *   generateImage({ model, prompt }) → { base64, usage }
+ *   embed({ model, input }) → { embeddings, usage }
+ *
+ * `usage` is always normalized to { inputTokens, cachedTokens, outputTokens } (see
+ * normalizeUsage). Callers go through utils/openaiUtils.js, which picks the model, the
+ * provider and records usage; modules never call providers directly.
+ */
+
+const PROVIDER_MODULES = {
+    openai: './openaiProvider',
+    local: './localProvider',
+    fake: './fakeProvider',
+};
+
+// Set by the local runner (--fake-ai) or tests; wins over SYSTEM.AI_PROVIDERS.DEFAULT
+let defaultOverride = null;
+
+function getProvidersConfig() {
+    // Lazy-load: openaiUtils (and so this module) loads before config in some paths
+    // eslint-disable-next-line global-require
+    return require('../../configs/config').SYSTEM.AI_PROVIDERS || {};
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+    const modulePath = PROVIDER_MODULES[name];
+    if (!modulePath) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    // eslint-disable-next-line global-require
+    return require(modulePath);
+}
+
+/**
+ * Provider serving a group: SYSTEM.AI_PROVIDERS.GROUPS[group], else the default
+ * @param {string|null} group - Group name, null for DMs and background work
+ * @returns {Object} Provider
+ */
+function getProviderFor(group = null) {
+    const providersConfig = getProvidersConfig();
+    const name = defaultOverride || (group && providersConfig.GROUPS?.[group]) || providersConfig.DEFAULT || 'openai';
+    return getProvider(name);
+}
+
+/**
+ * Serve every call with one provider, whatever the config says (null to undo)
+ * @param {string|null} name - Provider name
+ */
+function setDefaultProvider(name) {
+    if (name) getProvider(name);
+    defaultOverride = name;
+    logger.debug(`LLM provider override: ${name || 'none'}`);
+}
+
+/**
+ * Token counts from any API shape: Chat Completions (prompt/completion_tokens), Responses
+ * (input/output_tokens) or already normalized
+ * @returns {{inputTokens: number, cachedTokens: number, outputTokens: number}} Usage
+ */
+function normalizeUsage(usage) {
+    if (!usage) {
+        return { inputTokens: 0, cachedTokens: 0, outputTokens: 0 };
+    }
+    if ('inputTokens' in usage) {
+        return usage;
+    }
+    return {
+        inputTokens: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+        cachedTokens: usage.prompt_tokens_details?.cached_tokens ?? usage.input_tokens_details?.cached_tokens ?? 0,
+        outputTokens: usage.completion_tokens ?? usage.output_tokens ?? 0,
+    };
+}
+
+/**
+ * Sum the usage of several requests made for one call (e.g. a fallback request)
+ */
+function addUsage(a, b) {
+    const first = normalizeUsage(a);
+    const second = normalizeUsage(b);
+    return {
+        inputTokens: first.inputTokens + second.inputTokens,
+        cachedTokens: first.cachedTokens + second.cachedTokens,
+        outputTokens: first.outputTokens + second.outputTokens,
+    };
+}
+
+module.exports = {
+    getProvider,
+    getProviderFor,
+    setDefaultProvider,
+    normalizeUsage,
+    addUsage,
+};
@@ -0,0 +1,79 @@
+/**
+ * requestContext.js - Per-dispatch context that follows async calls (AsyncLocalStorage),
+ * so helpers deep in the call stack (e.g. openaiUtils) know which command they serve
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a context visible to everything it awaits
+ * @param {Object} context - Dispatch context (CommandManager passes its pipeline ctx)
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+function runWithContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * Run background work (news monitor, periodic summaries) under a context naming its module,
+ * so its model calls are attributed like a command's. Inside a command the command's own
+ * context is kept.
+ * @param {string} module - Module name (e.g. 'NEWS_MONITOR')
+ * @param {Function} fn - Function to run
+ * @param {Object} options - { chatName, userId } when the work belongs to a group or user
+ * @returns {*} Whatever fn returns
+ */
+function runAsModule(module, fn, { chatName = null, userId = null } = {}) {
+    if (getContext()) {
+        return fn();
+    }
+    return storage.run({ module, chatName, userId, models: [] }, fn);
+}
+
+/**
+ * Context of the current dispatch
+ * @returns {Object|null} Context, or null outside a command (e.g. news monitor, timers)
+ */
+function getContext() {
+    return storage.getStore() || null;
+}
+
+/**
+ * Note that the current dispatch called a model (shown in the audit log)
+ * @param {string} model - Model ID
+ */
+function recordModel(model) {
+    const context = getContext();
+    if (!context || !model) return;
+    context.models = context.models || [];
+    if (!context.models.includes(model)) {
+        context.models.push(model);
+    }
+}
+
+/**
+ * Who a model call is for: command (or background module), group and user
+ * @returns {{module: string|null, group: string|null, userId: string|null}} Tags, null when unknown
+ */
+function getCallTags() {
+    const context = getContext();
+    if (!context) {
+        return { module: null, group: null, userId: null };
+    }
+    const group = context.chat ? (context.chat.isGroup ? context.chat.name : null) : context.chatName || null;
+    return {
+        module: context.module || context.command?.name || null,
+        group,
+        userId: context.userId || null,
+    };
+}
+
+module.exports = {
+    runWithContext,
+    runAsModule,
+    getContext,
+    getCallTags,
+    recordModel,
+};
@@ -0,0 +1,145 @@
+/**
+ * storageUtils.js - Small JSON persistence helpers for runtime state under data/
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// DATA_DIR in the environment moves it elsewhere (the tester's local checks use their own)
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+/**
+ * Ensure the data directory exists
+ */
+function ensureDataDir() {
+    try {
+        if (!fs.existsSync(DATA_DIR)) {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+            logger.debug(`Created data directory: ${DATA_DIR}`);
+        }
+    } catch (error) {
+        logger.error(`Failed to create data directory: ${error.message}`);
+    }
+}
+
+/**
+ * Get the absolute path of a file inside the data directory
+ * @param {string} fileName - File name (e.g. 'permissions.json')
+ * @returns {string} Absolute path
+ */
+function getDataPath(fileName) {
+    return path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Read a JSON file from the data directory
+ * @param {string} fileName - File name inside data/
+ * @param {*} defaultValue - Value returned when the file is missing or unreadable
+ * @returns {*} Parsed content or the default value
+ */
+function readJsonFile(fileName, defaultValue) {
+    const filePath = getDataPath(fileName);
+    try {
+        if (!fs.existsSync(filePath)) {
+            return defaultValue;
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        logger.error(`Failed to read ${filePath}: ${error.message}`);
+        return defaultValue;
+    }
+}
+
+/**
+ * Write a JSON file to the data directory atomically (temp file + rename)
+ * @param {string} fileName - File name inside data/, optionally in a subdirectory
+ * @param {*} data - Serializable content
+ * @param {Object} options
+ * @param {boolean} options.pretty - Indent the JSON (off for large files nobody reads by hand)
+ * @returns {boolean} Whether the write succeeded
+ */
+function writeJsonFile(fileName, data, { pretty = true } = {}) {
+    ensureDataDir();
+    const filePath = getDataPath(fileName);
+    const tempPath = `${filePath}.tmp`;
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tempPath, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+        fs.renameSync(tempPath, filePath);
+        return true;
+    } catch (error) {
+        logger.error(`Failed to write ${filePath}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Delete a file or a subdirectory of the data directory; missing ones are ignored
+ * @param {string} fileName - File or directory name inside data/
+ * @returns {boolean} Whether the removal succeeded
+ */
+function removeDataFile(fileName) {
+    const filePath = getDataPath(fileName);
+    try {
+        fs.rmSync(filePath, { recursive: true, force: true });
+        return true;
+    } catch (error) {
+        logger.error(`Failed to remove ${filePath}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Append one record to a JSON Lines file in the data directory
+ * @param {string} fileName - File name inside data/ (e.g. 'audit.jsonl')
+ * @param {Object} record - Serializable record
+ * @returns {boolean} Whether the append succeeded
+ */
+function appendJsonLine(fileName, record) {
+    ensureDataDir();
+    const filePath = getDataPath(fileName);
+    try {
+        fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+        return true;
+    } catch (error) {
+        logger.error(`Failed to append to ${filePath}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Read every record of a JSON Lines file, skipping lines that don't parse
+ * @param {string} fileName - File name inside data/
+ * @returns {Object[]} Records in file order
+ */
+function readJsonLines(fileName) {
+    const filePath = getDataPath(fileName);
+    try {
+        if (!fs.existsSync(filePath)) {
+            return [];
+        }
+        const records = [];
+        for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-append can leave a partial last line
+            }
+        }
+        return records;
+    } catch (error) {
+        logger.error(`Failed to read ${filePath}: ${error.message}`);
+        return [];
+    }
+}
+
+module.exports = {
+    DATA_DIR,
+    getDataPath,
+    readJsonFile,
+    writeJsonFile,
+    removeDataFile,
+    appendJsonLine,
+    readJsonLines,
+};
@@ -0,0 +1,351 @@
+/**
+ * timeUtils.js - São Paulo wall-clock helpers and Portuguese schedule parsing
+ * ("18h", "amanhã 9h", "toda segunda 9h", "em 2 horas", "a cada 30 min")
+ */
+
+const TIME_ZONE = 'America/Sao_Paulo';
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// feminine: gender of the unit's name, for agreeing words ("últimas 2 horas", "últimos 7 dias")
+const DURATION_UNITS = [
+    { regex: /^(?:minutos?|mins?|m)$/, ms: MINUTE_MS, singular: 'minuto', plural: 'minutos', feminine: false },
+    { regex: /^(?:horas?|hrs?|h)$/, ms: 60 * MINUTE_MS, singular: 'hora', plural: 'horas', feminine: true },
+    { regex: /^(?:dias?|d)$/, ms: DAY_MS, singular: 'dia', plural: 'dias', feminine: false },
+];
+
+// Index = JS weekday (0 = domingo)
+const WEEKDAYS = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
+const WEEKDAY_LABELS = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+
+const DEFAULT_HOUR = 9;
+
+/**
+ * Find the duration unit matching a word ("h", "horas", "min"...)
+ * @param {string} word - Unit word, lowercase
+ * @returns {{ms: number, singular: string, plural: string, feminine: boolean}|null}
+ */
+function findDurationUnit(word) {
+    return DURATION_UNITS.find(unit => unit.regex.test(word)) || null;
+}
+
+/**
+ * Wall-clock fields of a timestamp in São Paulo
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+ */
+function getZonedParts(timestamp) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: TIME_ZONE,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23',
+    }).formatToParts(new Date(timestamp));
+    const value = type => Number(parts.find(part => part.type === type).value);
+
+    const fields = {
+        year: value('year'),
+        month: value('month'),
+        day: value('day'),
+        hour: value('hour'),
+        minute: value('minute'),
+    };
+    fields.weekday = new Date(Date.UTC(fields.year, fields.month - 1, fields.day)).getUTCDay();
+    return fields;
+}
+
+/**
+ * Timestamp of a São Paulo wall-clock time
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} fields
+ * @returns {number} Milliseconds since epoch
+ */
+function zonedTimeToTimestamp({ year, month, day, hour = 0, minute = 0 }) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    // Offset between the wall clock and UTC around that instant (two passes for DST edges)
+    let timestamp = asUtc;
+    for (let pass = 0; pass < 2; pass++) {
+        const parts = getZonedParts(timestamp);
+        const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - timestamp;
+        timestamp = asUtc - offset;
+    }
+    return Math.floor(timestamp / MINUTE_MS) * MINUTE_MS;
+}
+
+/**
+ * Calendar date `days` after the given one
+ */
+function addDays({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function normalize(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parse a time of day: "18h", "18h30", "18:30", "as 9", "às 9h"
+ * @returns {{hour: number, minute: number}|null}
+ */
+function parseTimeOfDay(text) {
+    const match =
+        text.match(/^(?:as? )?(\d{1,2})(?::(\d{2})|h(\d{2})?|hs)$/) || text.match(/^as? (\d{1,2})()$/);
+    if (!match) return null;
+
+    const hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2] || match[3] || '0', 10);
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute };
+}
+
+/**
+ * Parse the day part of an expression
+ * @returns {Object|null} { kind: 'date' | 'daily' | 'weekly' | 'weekday', date?, weekday? }
+ */
+function parseDayPart(text, today) {
+    if (text === '' || text === 'hoje') return { kind: 'date', date: today, implicit: text === '' };
+    if (text === 'amanha') return { kind: 'date', date: addDays(today, 1) };
+    if (text === 'depois de amanha') return { kind: 'date', date: addDays(today, 2) };
+    if (/^(?:todo dia|todos os dias|diariamente|diario)$/.test(text)) return { kind: 'daily' };
+
+    const weekday = text.match(/^(toda |todo |todas as |todos os |na |no )?([a-z]+?)s?(?:-feiras?)?$/);
+    if (weekday) {
+        const index = WEEKDAYS.indexOf(weekday[2]);
+        if (index !== -1) {
+            const recurring = /^tod/.test(weekday[1] || '');
+            return { kind: recurring ? 'weekly' : 'weekday', weekday: index };
+        }
+    }
+
+    const date = text.match(/^(?:dia )?(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+    if (date) {
+        const day = parseInt(date[1], 10);
+        const month = parseInt(date[2], 10);
+        let year = date[3] ? parseInt(date[3], 10) : today.year;
+        if (year < 100) year += 2000;
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        // Without a year, a date already past means next year
+        return { kind: 'date', date: { year, month, day }, rollsOver: !date[3] };
+    }
+
+    return null;
+}
+
+/**
+ * Parse a past or present calendar date: "hoje", "ontem", "anteontem", "21/10", "21/10/26"
+ * @param {string} text
+ * @param {number} now - Reference timestamp (ms)
+ * @returns {{year: number, month: number, day: number}|null} A date without a year that is
+ *   still ahead means last year's
+ */
+function parseDate(text, now = Date.now()) {
+    const normalized = normalize(text);
+    const today = getZonedParts(now);
+    if (normalized === 'hoje') return addDays(today, 0);
+    if (normalized === 'ontem') return addDays(today, -1);
+    if (normalized === 'anteontem') return addDays(today, -2);
+
+    const day = parseDayPart(normalized, today);
+    if (!day || day.kind !== 'date') return null;
+    const { year, month } = day.date;
+    const isAhead = month > today.month || (month === today.month && day.date.day > today.day);
+    return day.rollsOver && isAhead ? { ...day.date, year: year - 1 } : day.date;
+}
+
+/**
+ * Parse a Portuguese schedule expression
+ * @param {string} text - e.g. "18h", "amanhã 9h", "toda segunda 9h", "em 2 horas", "a cada 30 min"
+ * @param {number} now - Reference timestamp (ms)
+ * @returns {Object|null} Schedule: {type: 'once', at} | {type: 'daily', hour, minute} |
+ *   {type: 'weekly', weekday, hour, minute} | {type: 'interval', everyMs}
+ */
+function parseSchedule(text, now = Date.now()) {
+    const normalized = normalize(text);
+    if (!normalized) return null;
+
+    // Relative: "em 2 horas", "daqui a 30 min", "daqui 1h"
+    const relative = normalized.match(/^(?:em|daqui a|daqui) (\d+) ?([a-z]+)$/);
+    if (relative) {
+        const unit = findDurationUnit(relative[2]);
+        const amount = parseInt(relative[1], 10);
+        return unit && amount > 0 ? { type: 'once', at: now + amount * unit.ms } : null;
+    }
+
+    // Interval: "a cada 2 horas"
+    const interval = normalized.match(/^a cada (\d+) ?([a-z]+)$/);
+    if (interval) {
+        const unit = findDurationUnit(interval[2]);
+        const amount = parseInt(interval[1], 10);
+        return unit && amount > 0 ? { type: 'interval', everyMs: amount * unit.ms } : null;
+    }
+
+    // "<dia> [as] <hora>", either part optional
+    const tokens = normalized.split(' ');
+    let time = null;
+    let dayTokens = tokens;
+    for (const length of [2, 1]) {
+        if (tokens.length >= length) {
+            time = parseTimeOfDay(tokens.slice(-length).join(' '));
+            if (time) {
+                dayTokens = tokens.slice(0, -length);
+                break;
+            }
+        }
+    }
+
+    const nowParts = getZonedParts(now);
+    const today = { year: nowParts.year, month: nowParts.month, day: nowParts.day };
+    const day = parseDayPart(dayTokens.join(' '), today);
+    if (!day || (day.implicit && !time)) return null;
+
+    const { hour, minute } = time || { hour: DEFAULT_HOUR, minute: 0 };
+
+    if (day.kind === 'daily') return { type: 'daily', hour, minute };
+    if (day.kind === 'weekly') return { type: 'weekly', weekday: day.weekday, hour, minute };
+
+    if (day.kind === 'weekday') {
+        let offset = (day.weekday - nowParts.weekday + 7) % 7;
+        let at = zonedTimeToTimestamp({ ...addDays(today, offset), hour, minute });
+        if (at <= now) {
+            offset += 7;
+            at = zonedTimeToTimestamp({ ...addDays(today, offset), hour, minute });
+        }
+        return { type: 'once', at };
+    }
+
+    let at = zonedTimeToTimestamp({ ...day.date, hour, minute });
+    if (at <= now && day.implicit) {
+        // A bare time already past today means tomorrow
+        at = zonedTimeToTimestamp({ ...addDays(today, 1), hour, minute });
+    } else if (at <= now && day.rollsOver) {
+        at = zonedTimeToTimestamp({ ...day.date, year: day.date.year + 1, hour, minute });
+    }
+    return at > now ? { type: 'once', at } : null;
+}
+
+/**
+ * Parse the longest schedule expression at the start of a text
+ * @param {string} text - e.g. "amanhã 9h pagar boleto"
+ * @param {number} now - Reference timestamp (ms)
+ * @returns {{schedule: Object, rest: string}|null} Schedule and the remaining text
+ */
+function parseSchedulePrefix(text, now = Date.now()) {
+    const tokens = (text || '').trim().split(/\s+/).filter(Boolean);
+    for (let length = Math.min(6, tokens.length); length > 0; length--) {
+        const schedule = parseSchedule(tokens.slice(0, length).join(' '), now);
+        if (schedule) {
+            return { schedule, rest: tokens.slice(length).join(' ') };
+        }
+    }
+    return null;
+}
+
+/**
+ * Next run of a schedule strictly after a timestamp
+ * @param {Object} schedule - Result of parseSchedule()
+ * @param {number} after - Reference timestamp (ms)
+ * @param {number} anchor - For intervals, the timestamp the interval counts from
+ * @returns {number|null} Timestamp, or null when a one-off schedule already ran
+ */
+function getNextRun(schedule, after = Date.now(), anchor = after) {
+    switch (schedule.type) {
+        case 'once':
+            return schedule.at > after ? schedule.at : null;
+
+        case 'interval': {
+            const elapsed = Math.max(0, after - anchor);
+            return anchor + (Math.floor(elapsed / schedule.everyMs) + 1) * schedule.everyMs;
+        }
+
+        case 'daily':
+        case 'weekly': {
+            const parts = getZonedParts(after);
+            const today = { year: parts.year, month: parts.month, day: parts.day };
+            for (let offset = 0; offset <= 7; offset++) {
+                const date = addDays(today, offset);
+                const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+                if (schedule.type === 'weekly' && weekday !== schedule.weekday) continue;
+                const at = zonedTimeToTimestamp({ ...date, hour: schedule.hour, minute: schedule.minute });
+                if (at > after) return at;
+            }
+            return null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * Format a timestamp as São Paulo date and time ("21/10 às 18:00", "hoje às 18:00")
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {number} now - Reference timestamp (ms)
+ * @returns {string}
+ */
+function formatDateTime(timestamp, now = Date.now()) {
+    const parts = getZonedParts(timestamp);
+    const nowParts = getZonedParts(now);
+    const time = `${pad(parts.hour)}:${pad(parts.minute)}`;
+    const tomorrow = addDays(nowParts, 1);
+
+    if (parts.year === nowParts.year && parts.month === nowParts.month && parts.day === nowParts.day) {
+        return `hoje às ${time}`;
+    }
+    if (parts.year === tomorrow.year && parts.month === tomorrow.month && parts.day === tomorrow.day) {
+        return `amanhã às ${time}`;
+    }
+    const year = parts.year === nowParts.year ? '' : `/${parts.year}`;
+    return `${pad(parts.day)}/${pad(parts.month)}${year} às ${time}`;
+}
+
+/**
+ * Describe a schedule in Portuguese
+ * @param {Object} schedule - Result of parseSchedule()
+ * @param {number} now - Reference timestamp (ms)
+ * @returns {string} e.g. "toda segunda às 09:00", "a cada 2 horas", "amanhã às 18:00"
+ */
+function describeSchedule(schedule, now = Date.now()) {
+    switch (schedule.type) {
+        case 'once':
+            return formatDateTime(schedule.at, now);
+        case 'daily':
+            return `todo dia às ${pad(schedule.hour)}:${pad(schedule.minute)}`;
+        case 'weekly': {
+            const article = schedule.weekday === 0 || schedule.weekday === 6 ? 'todo' : 'toda';
+            return `${article} ${WEEKDAY_LABELS[schedule.weekday]} às ${pad(schedule.hour)}:${pad(schedule.minute)}`;
+        }
+        case 'interval': {
+            const unit = [...DURATION_UNITS].reverse().find(candidate => schedule.everyMs % candidate.ms === 0);
+            const amount = schedule.everyMs / unit.ms;
+            return `a cada ${amount} ${amount === 1 ? unit.singular : unit.plural}`;
+        }
+        default:
+            return 'agendamento desconhecido';
+    }
+}
+
+module.exports = {
+    TIME_ZONE,
+    findDurationUnit,
+    getZonedParts,
+    zonedTimeToTimestamp,
+    addDays,
+    parseDate,
+    parseSchedule,
+    parseSchedulePrefix,
+    getNextRun,
+    formatDateTime,
+    describeSchedule,
+};